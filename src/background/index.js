@@ -2,6 +2,22 @@
 
 import clipboardHistoryManager from '../utils/clipboardHistory.js';
 import { isBrowserHomePage } from '../utils/commonUtils.js';
+import { getSettings, DEFAULTS } from '../utils/storage.js';
+import linkHistoryManager from '../utils/linkHistory.js';
+import {
+  ANALYZE_MODES,
+  processPath,
+  convertPathToFileUrl,
+  processLinkGeneration
+} from '../utils/textProcessor.js';
+import {
+  ENGINE_CATEGORIES,
+  selectEngines,
+  getEngineKeyword,
+  parseEngineQuery,
+  buildSearchUrl,
+  getSearchContext
+} from '../utils/searchEngines.js';
 
 /**
  * Decide Search Background Script
@@ -13,6 +29,9 @@ import { isBrowserHomePage } from '../utils/commonUtils.js';
  * - 多tab同步
  * - 快捷键处理
  * - 剪贴板历史保存
+ * - 右键菜单
+ * - 地址栏关键词（omnibox）
+ * - 多引擎搜索（标签组）
  */
 
 // ============================================================================
@@ -25,7 +44,26 @@ const CONFIG = {
     CLIPBOARD_CONTENT: 'globalClipboardContent',
     CLIPBOARD_VERSION: 'globalClipboardVersion',
     LAST_CLIPBOARD_CONTENT: 'lastClipboardContent',
-    MONITORING_ENABLED: 'monitoringEnabled' // 统一存储键
+    MONITORING_ENABLED: 'monitoringEnabled', // 统一存储键
+    PENDING_CONTEXT_ACTION: 'pendingContextAction'
+  },
+  CONTEXT_MENU: {
+    ROOT_ID: 'decide-search',
+    CONTEXTS: ['selection', 'link']
+  },
+  OMNIBOX: {
+    MAX_SUGGESTIONS: 6,
+    // 识别为本地路径的 Unix 顶层目录，/r/xxx、/help 这类输入仍按搜索处理
+    POSIX_PATH_ROOTS: [
+      'home', 'usr', 'etc', 'var', 'opt', 'tmp', 'mnt', 'media', 'srv', 'root', 'bin', 'sbin',
+      'lib', 'dev', 'proc', 'sys', 'boot', 'snap', 'cygdrive', 'private', 'Users', 'Volumes',
+      'Applications', 'Library', 'System'
+    ]
+  },
+  FAN_OUT: {
+    MAX_ENGINES: 10,
+    TITLE_QUERY_LENGTH: 20,
+    MIXED_COLOR: 'grey'
   },
   DEFAULT_MONITORING: true
 };
@@ -274,6 +312,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       break;
     }
 
+    case 'fanOutSearch': {
+      const result = await fanOutSearch(request);
+      sendResponse(result);
+      break;
+    }
+
     case 'showNotification':
       // 转发到content script显示通知
       if (sender.tab?.id) {
@@ -517,6 +561,490 @@ chrome.commands.onCommand.addListener(async (command, tab) => {
   logger.info('========================================');
 });
 
+// ============================================================================
+// 右键菜单
+// ============================================================================
+
+/**
+ * 生成菜单项ID，格式为 "decide-search:<类型>[:<参数>]"
+ * @param {string} type - 动作类型: search, split, path, link_gen
+ * @param {string} [arg] - 引擎名或分词模式
+ * @returns {string}
+ */
+function buildMenuId(type, arg) {
+  const parts = [CONFIG.CONTEXT_MENU.ROOT_ID, type];
+  if (arg !== undefined) parts.push(arg);
+  return parts.join(':');
+}
+
+/**
+ * 解析菜单项ID
+ * @param {string} menuItemId - 菜单项ID
+ * @returns {{type: string, arg: string|undefined}|null}
+ */
+function parseMenuId(menuItemId) {
+  const prefix = `${CONFIG.CONTEXT_MENU.ROOT_ID}:`;
+  if (typeof menuItemId !== 'string' || !menuItemId.startsWith(prefix)) {
+    return null;
+  }
+  const rest = menuItemId.slice(prefix.length);
+  const separatorIndex = rest.indexOf(':');
+  if (separatorIndex === -1) {
+    return { type: rest, arg: undefined };
+  }
+  // 引擎名中可能含有冒号，只按第一个冒号拆分
+  return { type: rest.slice(0, separatorIndex), arg: rest.slice(separatorIndex + 1) };
+}
+
+/**
+ * 创建菜单项，忽略重复创建等错误
+ * @param {Object} properties - chrome.contextMenus.create 参数
+ */
+function createMenuItem(properties) {
+  chrome.contextMenus.create(properties, () => {
+    if (chrome.runtime.lastError) {
+      logger.warn('创建右键菜单项失败:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+/**
+ * 重建右键菜单
+ * 搜索引擎列表来自用户设置，设置读取失败时回退到默认引擎
+ */
+async function rebuildContextMenus() {
+  if (!chrome.contextMenus) return;
+
+  let engines = DEFAULTS.searchEngines;
+  try {
+    const settings = await getSettings();
+    if (Array.isArray(settings.searchEngines) && settings.searchEngines.length > 0) {
+      engines = settings.searchEngines;
+    }
+  } catch (error) {
+    logger.warn('读取搜索引擎设置失败，使用默认引擎:', error);
+  }
+
+  try {
+    await chrome.contextMenus.removeAll();
+
+    const contexts = CONFIG.CONTEXT_MENU.CONTEXTS;
+    const rootId = CONFIG.CONTEXT_MENU.ROOT_ID;
+
+    createMenuItem({ id: rootId, title: 'Decide Search', contexts });
+
+    createMenuItem({ id: buildMenuId('search'), parentId: rootId, title: '搜索', contexts });
+    engines.forEach((engine) => {
+      createMenuItem({
+        id: buildMenuId('search', engine.name),
+        parentId: buildMenuId('search'),
+        title: `使用 ${engine.name} 搜索`,
+        contexts
+      });
+    });
+
+    createMenuItem({ id: buildMenuId('split'), parentId: rootId, title: '拆分文本', contexts });
+    Object.entries(ANALYZE_MODES).forEach(([mode, config]) => {
+      createMenuItem({
+        id: buildMenuId('split', mode),
+        parentId: buildMenuId('split'),
+        title: `按${config.name}拆分`,
+        contexts
+      });
+    });
+
+    createMenuItem({ id: buildMenuId('path'), parentId: rootId, title: '转换路径', contexts });
+    createMenuItem({
+      id: buildMenuId('link_gen'),
+      parentId: rootId,
+      title: '生成仓库 Wiki 链接',
+      contexts
+    });
+
+    logger.info(`右键菜单已重建，引擎数: ${engines.length}`);
+  } catch (error) {
+    logger.error('重建右键菜单失败:', error);
+  }
+}
+
+/**
+ * 处理右键菜单点击
+ * 先打开侧边栏（必须在用户手势内同步调用），再写入待处理动作，由侧边栏读取并执行
+ */
+chrome.contextMenus?.onClicked.addListener((info, tab) => {
+  const parsed = parseMenuId(info.menuItemId);
+  if (!parsed) return;
+
+  const text = (info.selectionText || info.linkUrl || '').trim();
+  if (!text) {
+    logger.warn('右键菜单: 没有可用的选中文本');
+    return;
+  }
+
+  const windowId = tab?.windowId;
+  if (windowId && !isSidePanelOpen(windowId)) {
+    chrome.sidePanel.open({ windowId }).catch((e) => {
+      logger.error('打开侧边栏失败:', e.message);
+    });
+  }
+
+  const action = {
+    type: parsed.type,
+    text,
+    engine: parsed.type === 'search' ? parsed.arg : undefined,
+    mode: parsed.type === 'split' ? parsed.arg : undefined,
+    timestamp: Date.now()
+  };
+
+  chrome.storage.local
+    .set({ [CONFIG.STORAGE_KEYS.PENDING_CONTEXT_ACTION]: action })
+    .then(() => logger.info(`右键菜单动作已保存: ${action.type}`))
+    .catch((error) => logger.error('保存右键菜单动作失败:', error));
+});
+
+// 搜索引擎变化时同步菜单
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.searchEngines) {
+    rebuildContextMenus();
+  }
+});
+
+// ============================================================================
+// 多引擎搜索
+// ============================================================================
+
+/**
+ * 生成多引擎搜索的标签组标题和颜色
+ * @param {string} query - 搜索内容
+ * @param {Array} engines - 参与搜索的引擎
+ * @returns {{title: string, color: string}}
+ */
+function getFanOutGroupStyle(query, engines) {
+  const categories = new Set(engines.map((e) => e.category));
+  const category = categories.size === 1 ? ENGINE_CATEGORIES[[...categories][0]] : null;
+
+  const maxLength = CONFIG.FAN_OUT.TITLE_QUERY_LENGTH;
+  const shortQuery = query.length > maxLength ? `${query.slice(0, maxLength)}…` : query;
+
+  return {
+    title: `${category ? category.name : '多引擎'}: ${shortQuery}`,
+    color: category ? category.color : CONFIG.FAN_OUT.MIXED_COLOR
+  };
+}
+
+/**
+ * 同时用多个引擎搜索，结果放入同一个带名称和颜色的标签组
+ * @param {Object} request - 请求参数
+ * @param {string} request.query - 搜索内容
+ * @param {string} [request.category] - 按分类选择引擎
+ * @param {Array<string>} [request.engineNames] - 按名称选择引擎
+ * @param {number} [request.windowId] - 打开标签页的窗口
+ * @returns {Promise<{success: boolean, count?: number, error?: string}>}
+ */
+async function fanOutSearch({ query, category, engineNames, windowId }) {
+  const trimmedQuery = (query || '').trim();
+  if (!trimmedQuery) {
+    return { success: false, error: '搜索内容为空' };
+  }
+
+  const { engines } = await loadSearchEngines();
+  const selected = selectEngines(engines, { category, engineNames }).slice(
+    0,
+    CONFIG.FAN_OUT.MAX_ENGINES
+  );
+  if (selected.length === 0) {
+    return { success: false, error: '没有匹配的搜索引擎' };
+  }
+
+  const context = await getSearchContext(selected, trimmedQuery);
+  const searches = selected
+    .map((engine) => ({ engine: engine.name, url: buildSearchUrl(engine, trimmedQuery, context) }))
+    .filter((s) => s.url);
+
+  try {
+    const tabs = [];
+    for (const [index, search] of searches.entries()) {
+      const tab = await chrome.tabs.create({
+        url: search.url,
+        active: index === 0,
+        ...(windowId ? { windowId } : {})
+      });
+      tabs.push(tab);
+    }
+
+    const { title, color } = getFanOutGroupStyle(trimmedQuery, selected);
+    const groupId = await chrome.tabs.group({
+      tabIds: tabs.map((t) => t.id),
+      ...(windowId ? { createProperties: { windowId } } : {})
+    });
+    await chrome.tabGroups.update(groupId, { title, color, collapsed: false });
+
+    await linkHistoryManager.addSearchSession(trimmedQuery, searches, {
+      category: category || null,
+      groupTitle: title
+    });
+
+    logger.info(`多引擎搜索完成: ${searches.length} 个引擎, 标签组 "${title}"`);
+    return { success: true, count: searches.length, groupId };
+  } catch (error) {
+    logger.error('多引擎搜索失败:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// 地址栏关键词（omnibox）
+// ============================================================================
+
+/**
+ * 转义 omnibox 描述中的 XML 特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+function escapeOmniboxText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 判断输入是否为本地路径：Windows 盘符、UNC（\\server\share）或以常见顶层目录开头的 Unix 绝对路径
+ * @param {string} text - 输入文本
+ * @returns {boolean}
+ */
+function isLocalPathInput(text) {
+  const path = text.trim().replace(/^["']/, '');
+  if (/^[a-zA-Z]:[\\/]|^\\\\[^\\\s]+\\[^\\\s]+/.test(path)) return true;
+
+  const root = path.match(/^\/([^/\s]+)(?:\/|$)/);
+  return !!root && CONFIG.OMNIBOX.POSIX_PATH_ROOTS.includes(root[1]);
+}
+
+/**
+ * 判断输入是否为仓库或包标识（owner/repo、gh:owner/repo、仓库链接、npm:pkg 等）
+ * @param {string} text - 输入文本
+ * @param {Array} providers - 仓库链接提供方
+ * @returns {Object|null} processLinkGeneration 的结果
+ */
+function getRepoLinks(text, providers) {
+  const shorthand = text.trim().match(/^gh:(\S+)$/i);
+  return processLinkGeneration(shorthand ? `github.com/${shorthand[1]}` : text, providers);
+}
+
+/**
+ * 判断输入是否只是不带主机和前缀的 a/b
+ * 这种输入也可能是普通搜索词（如 tcp/ip），只列在建议中，回车时仍然搜索；
+ * 仓库链接、gh:owner/repo 或 npm: 等提供方前缀则直接打开
+ * @param {string} text - 输入文本
+ * @returns {boolean}
+ */
+function isBareOwnerRepo(text) {
+  return /^[\w-]+\/[\w.-]+$/.test(text.trim());
+}
+
+/**
+ * 读取搜索引擎列表、默认引擎与仓库链接提供方
+ * @returns {Promise<{engines: Array, defaultEngine: Object, repoProviders: Array}>}
+ */
+async function loadSearchEngines() {
+  let settings = DEFAULTS;
+  try {
+    settings = await getSettings();
+  } catch (error) {
+    logger.warn('读取搜索引擎设置失败，使用默认引擎:', error);
+  }
+
+  const engines =
+    Array.isArray(settings.searchEngines) && settings.searchEngines.length > 0
+      ? settings.searchEngines
+      : DEFAULTS.searchEngines;
+  const defaultEngine = engines.find((e) => e.name === settings.defaultEngine) || engines[0];
+  const repoProviders = Array.isArray(settings.repoProviders)
+    ? settings.repoProviders
+    : DEFAULTS.repoProviders;
+
+  return { engines, defaultEngine, repoProviders };
+}
+
+/**
+ * 生成路径转换建议
+ * @param {string} text - 输入文本
+ * @returns {Array<{content: string, description: string}>}
+ */
+function buildPathSuggestions(text) {
+  const paths = processPath(text) || [];
+  const suggestions = [];
+
+  paths.forEach((path) => {
+    const fileUrl = convertPathToFileUrl(path);
+    if (fileUrl && fileUrl !== path) {
+      suggestions.push({
+        content: fileUrl,
+        description: `<url>${escapeOmniboxText(fileUrl)}</url> <dim>- file:// 链接</dim>`
+      });
+    }
+
+    const forward = path.replace(/\\/g, '/');
+    if (forward !== path) {
+      suggestions.push({
+        content: forward,
+        description: `<match>${escapeOmniboxText(forward)}</match> <dim>- 正斜杠路径</dim>`
+      });
+    }
+
+    const backward = path.replace(/\//g, '\\');
+    if (backward !== path && /^[a-zA-Z]:/.test(path)) {
+      suggestions.push({
+        content: backward,
+        description: `<match>${escapeOmniboxText(backward)}</match> <dim>- 反斜杠路径</dim>`
+      });
+    }
+  });
+
+  return suggestions;
+}
+
+/**
+ * 生成 omnibox 建议列表
+ * @param {string} text - 用户输入（不含关键词 ds）
+ * @returns {Promise<{defaultDescription: string, suggestions: Array}>}
+ */
+async function buildOmniboxSuggestions(text) {
+  const input = text.trim();
+  if (!input) {
+    return {
+      defaultDescription: '输入搜索内容，可用引擎关键词开头，如 <match>g</match> 关键词',
+      suggestions: []
+    };
+  }
+
+  const { engines, defaultEngine, repoProviders } = await loadSearchEngines();
+  const { engine, query } = parseEngineQuery(input, engines);
+  const suggestions = [];
+
+  if (engine) {
+    return {
+      defaultDescription: `使用 <match>${escapeOmniboxText(engine.name)}</match> 搜索: ${escapeOmniboxText(query)}`,
+      suggestions
+    };
+  }
+
+  const repoLinks = getRepoLinks(input, repoProviders);
+  if (repoLinks) {
+    repoLinks.links.forEach((link) => {
+      suggestions.push({
+        content: link.url,
+        description: `<url>${escapeOmniboxText(link.url)}</url> <dim>- ${escapeOmniboxText(link.name)}</dim>`
+      });
+    });
+  } else if (isLocalPathInput(input)) {
+    suggestions.push(...buildPathSuggestions(input));
+  }
+
+  // 其余位置用于快速切换引擎
+  engines
+    .filter((e) => e !== defaultEngine)
+    .forEach((e) => {
+      const keyword = getEngineKeyword(e);
+      suggestions.push({
+        content: `${keyword} ${input}`,
+        description: `使用 <match>${escapeOmniboxText(e.name)}</match> 搜索 <dim>(${escapeOmniboxText(keyword)})</dim>`
+      });
+    });
+
+  const defaultDescription =
+    repoLinks && !isBareOwnerRepo(input)
+      ? `打开仓库 <url>${escapeOmniboxText(repoLinks.originalLink)}</url>`
+      : `使用 <match>${escapeOmniboxText(defaultEngine.name)}</match> 搜索: ${escapeOmniboxText(input)}`;
+
+  return {
+    defaultDescription,
+    suggestions: suggestions.slice(0, CONFIG.OMNIBOX.MAX_SUGGESTIONS)
+  };
+}
+
+/**
+ * 按 omnibox 的打开方式打开链接
+ * @param {string} url - 目标链接
+ * @param {string} disposition - currentTab, newForegroundTab, newBackgroundTab
+ */
+async function openOmniboxUrl(url, disposition) {
+  switch (disposition) {
+  case 'newForegroundTab':
+    await chrome.tabs.create({ url });
+    break;
+  case 'newBackgroundTab':
+    await chrome.tabs.create({ url, active: false });
+    break;
+  default:
+    await chrome.tabs.update({ url });
+  }
+}
+
+/**
+ * 处理 omnibox 回车
+ * @param {string} text - 用户输入或选中的建议内容
+ * @param {string} disposition - 打开方式
+ */
+async function handleOmniboxEntered(text, disposition) {
+  const input = text.trim();
+  if (!input) return;
+
+  if (/^(?:https?|file):\/\//i.test(input)) {
+    await openOmniboxUrl(input, disposition);
+    await linkHistoryManager.addLink(input, '', 'omnibox');
+    return;
+  }
+
+  const { engines, defaultEngine, repoProviders } = await loadSearchEngines();
+  const parsed = parseEngineQuery(input, engines);
+
+  if (!parsed.engine) {
+    const repoLinks = !isBareOwnerRepo(input) ? getRepoLinks(input, repoProviders) : null;
+    if (repoLinks) {
+      await openOmniboxUrl(repoLinks.originalLink, disposition);
+      await linkHistoryManager.addLink(repoLinks.originalLink, '', 'repo_link');
+      return;
+    }
+
+    const [firstPath] = isLocalPathInput(input) ? processPath(input) || [] : [];
+    const fileUrl = convertPathToFileUrl(firstPath);
+    if (fileUrl) {
+      await openOmniboxUrl(fileUrl, disposition);
+      return;
+    }
+  }
+
+  const engine = parsed.engine || defaultEngine;
+  const context = await getSearchContext(engine, parsed.query);
+  const searchUrl = buildSearchUrl(engine, parsed.query, context);
+  if (!searchUrl) {
+    logger.warn('omnibox: 无法构建搜索链接');
+    return;
+  }
+
+  await openOmniboxUrl(searchUrl, disposition);
+  await linkHistoryManager.addSearchQuery(parsed.query, searchUrl, engine.name, 'omnibox');
+}
+
+chrome.omnibox?.onInputChanged.addListener((text, suggest) => {
+  buildOmniboxSuggestions(text)
+    .then(({ defaultDescription, suggestions }) => {
+      chrome.omnibox.setDefaultSuggestion({ description: defaultDescription });
+      suggest(suggestions);
+    })
+    .catch((error) => logger.error('生成 omnibox 建议失败:', error));
+});
+
+chrome.omnibox?.onInputEntered.addListener((text, disposition) => {
+  handleOmniboxEntered(text, disposition).catch((error) => {
+    logger.error('处理 omnibox 输入失败:', error);
+  });
+});
+
 // ============================================================================
 // 初始化
 // ============================================================================
@@ -529,6 +1057,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     // 加载状态
     await loadState();
 
+    // 创建右键菜单
+    await rebuildContextMenus();
+
     if (details.reason === 'install') {
       logger.info('首次安装，默认开启全局监控');
     }
@@ -1,6 +1,16 @@
 // src/popup/main.js - 剪贴板历史优化版本
 
 import { getSettings } from '../utils/storage.js';
+import { ENGINE_CATEGORIES, buildSearchUrl, getSearchContext } from '../utils/searchEngines.js';
+import { BUILTIN_REPO_PROVIDERS } from '../utils/repoProviders.js';
+import { GITHUB_KIND_LABELS, resolveGitHubPermalink } from '../utils/githubUrl.js';
+import { parseGitRemote, getGitRemoteForms } from '../utils/gitRemote.js';
+import {
+  convertPathFormats,
+  getPathParts,
+  getRelativePath,
+  joinPath
+} from '../utils/pathConverter.js';
 
 import {
   isURL,
@@ -9,12 +19,37 @@ import {
   extractEmails,
   extractPhoneNumbers,
   processPath,
+  convertPathToFileUrl,
   processLinkGeneration,
   processTextExtraction,
-  randomAnalyze
+  randomAnalyze,
+  tagToken,
+  TOKEN_TAGS
 } from '../utils/textProcessor.js';
 
 import { applySingleRule } from '../utils/multiRuleAnalyzer.js';
+import { listSymbols, SYMBOL_KINDS } from '../utils/codeAnalyzer.js';
+import { parseIdentifierList, splitIdentifier, convertAllCases } from '../utils/caseConverter.js';
+import {
+  toTraditional,
+  toSimplified,
+  toPinyin,
+  toPinyinInitials,
+  loadPinyinTable,
+  isPinyinTableLoaded,
+  matchesPinyin
+} from '../utils/chineseConverter.js';
+import { DataFormatError, formatJson, convertData } from '../utils/dataFormatter.js';
+import { ENCODING_ACTIONS, applyEncoding, suggestDecoders } from '../utils/encodingConverter.js';
+import { TEXT_ENCODINGS, computeHashes, findHashMatches } from '../utils/hashCalculator.js';
+import {
+  DATE_KINDS,
+  DEFAULT_TIMEZONES,
+  parseDateInput,
+  findDateExpressions,
+  describeDate
+} from '../utils/dateConverter.js';
+import { extractEntities, buildEntitySearchUrl } from '../utils/entityExtractors.js';
 
 import linkHistoryManager from '../utils/linkHistory.js';
 import clipboardHistoryManager from '../utils/clipboardHistory.js';
@@ -40,6 +75,9 @@ const LinkHistoryMode = {
 const appState = {
   settings: null,
   splitItemsState: [],
+  // 词性标注开关和当前筛选的标注类型（为空表示不筛选）
+  splitTagging: false,
+  splitTagFilter: new Set(),
   clipboardMonitoring: false,
   lastClipboardContent: '',
   linkHistory: [],
@@ -68,7 +106,14 @@ const appState = {
   pathConversion: {
     currentResults: [],
     quoteLevel: 0
-  }
+  },
+  // 哈希校验选项，提取面板和剪贴板条目共用
+  hashOptions: {
+    encoding: 'utf8',
+    perLine: false,
+    expected: ''
+  },
+  multiEngineSelection: []
 };
 
 const elements = {};
@@ -112,6 +157,97 @@ async function checkPendingFeatureToggle() {
   }
 }
 
+/**
+ * 检查是否有待处理的右键菜单动作
+ */
+async function checkPendingContextAction() {
+  try {
+    const result = await chrome.storage.local.get('pendingContextAction');
+    if (result.pendingContextAction) {
+      await chrome.storage.local.remove('pendingContextAction');
+      handleContextAction(result.pendingContextAction);
+    }
+  } catch (error) {
+    logger.error('检查右键菜单动作失败:', error);
+  }
+}
+
+/**
+ * 打开指定功能面板（已打开时保持不变）
+ * @param {string} feature - 功能名称: extract, link_gen, multi_format
+ */
+function activateFeature(feature) {
+  const switchMap = {
+    extract: elements.switch_extract,
+    link_gen: elements.switch_link_gen,
+    multi_format: elements.switch_multi_format
+  };
+
+  const checkbox = switchMap[feature];
+  if (!checkbox) {
+    logger.warn(`未知的功能: ${feature}`);
+    return;
+  }
+
+  Object.values(switchMap).forEach((sw) => {
+    if (sw) sw.checked = sw === checkbox;
+  });
+}
+
+/**
+ * 执行右键菜单动作：把选中文本载入输入框并切换到对应面板
+ * @param {Object} action - 右键菜单动作
+ * @param {string} action.type - 动作类型: search, split, path, link_gen
+ * @param {string} action.text - 选中文本或链接
+ * @param {string} [action.engine] - 搜索引擎名称
+ * @param {string} [action.mode] - 分词模式
+ */
+function handleContextAction(action) {
+  if (!action || !action.text || !elements.search_input) return;
+
+  logger.info(`处理右键菜单动作: ${action.type}`);
+
+  elements.search_input.value = action.text;
+  elements.search_input.isManuallyResized = false;
+
+  switch (action.type) {
+  case 'search': {
+    const engineExists = appState.settings?.searchEngines.some((e) => e.name === action.engine);
+    if (engineExists && elements.engine_select) {
+      elements.engine_select.value = action.engine;
+    }
+    break;
+  }
+
+  case 'split':
+    activateFeature('extract');
+    if (elements.split_delimiter_select && action.mode) {
+      elements.split_delimiter_select.value = action.mode;
+    }
+    break;
+
+  case 'path':
+    activateFeature('extract');
+    break;
+
+  case 'link_gen':
+    activateFeature('link_gen');
+    break;
+
+  default:
+    logger.warn(`未知的右键菜单动作: ${action.type}`);
+  }
+
+  // 触发 input 事件，刷新面板内容和输入框高度
+  elements.search_input.dispatchEvent(new Event('input', { bubbles: true }));
+
+  if (action.type === 'search') {
+    handleSearch();
+  }
+
+  focusSearchInput();
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
   logger.info('Decide Search 正在初始化...');
 
@@ -137,6 +273,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupEventListeners();
 
     // 渲染搜索引擎选择器
+    await loadMultiEngineSelection();
     renderEngineSelect();
 
     // 初始化剪贴板监控状态
@@ -164,6 +301,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // 检查是否有待切换的功能（通过快捷键触发）
     checkPendingFeatureToggle();
 
+    // 检查是否有待处理的右键菜单动作
+    await checkPendingContextAction();
+
     // 检查是否需要读取剪贴板（通过Alt+J快捷键触发）
     const readClipboardResult = await chrome.storage.local.get('readClipboardOnOpen');
     if (readClipboardResult.readClipboardOnOpen) {
@@ -199,6 +339,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         }, 100);
       }
     }
+
+    if (areaName === 'local' && changes.pendingContextAction?.newValue) {
+      chrome.storage.local.remove('pendingContextAction');
+      handleContextAction(changes.pendingContextAction.newValue);
+    }
+
+    // 设置页修改的转换选项即时生效
+    if (areaName === 'local' && appState.settings) {
+      ['repoProviders', 'pathSettings', 'dateSettings'].forEach((key) => {
+        if (changes[key]?.newValue) {
+          appState.settings[key] = changes[key].newValue;
+        }
+      });
+    }
   });
 });
 
@@ -207,6 +361,7 @@ function initializeElements() {
     'search-input',
     'search-btn',
     'engine-select',
+    'multi-engine-picker',
     'switch-extract',
     'switch-link-gen',
     'switch-multi-format',
@@ -218,9 +373,21 @@ function initializeElements() {
     'multi-format-container',
     'path-conversion-tool',
     'path-conversion-result',
+    'path-join-input',
+    'path-join-result',
     'path-add-quote-btn',
     'path-reset-quote-btn',
     'link-extraction-result',
+    'case-conversion-tool',
+    'case-conversion-result',
+    'date-conversion-tool',
+    'date-conversion-result',
+    'date-now-ms-btn',
+    'date-now-seconds-btn',
+    'entity-tool',
+    'entity-result',
+    'hash-tool',
+    'hash-tool-body',
     'text-splitting-tool',
     'split-delimiter-select',
     'refresh-split-btn',
@@ -230,6 +397,8 @@ function initializeElements() {
     'copy-opt-newline',
     'copy-opt-tab',
     'select-all-checkbox',
+    'split-tag-toggle',
+    'split-tag-filter',
     'show-history-btn',
     'edit-history-btn',
     'clear-history-btn',
@@ -748,45 +917,6 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
-/**
- * 将本地路径转换为 file:// URL
- * @param {string} path - 本地路径
- * @returns {string|null} - file:// URL 或 null
- */
-function convertPathToFileUrl(path) {
-  if (!path) return null;
-
-  // 检查是否是 URL（已经是 http/https/file 开头）
-  if (/^(https?:|file:)/i.test(path)) {
-    return path;
-  }
-
-  // Windows 路径处理 (D:\\path 或 D:/path)
-  if (/^[a-zA-Z]:[\\/]/.test(path)) {
-    // 将反斜杠转为正斜杠
-    let normalizedPath = path.replace(/\\/g, '/');
-    // 确保路径以 / 开头（Windows 盘符前加 /）
-    if (!normalizedPath.startsWith('/')) {
-      normalizedPath = '/' + normalizedPath;
-    }
-    return 'file://' + normalizedPath;
-  }
-
-  // Unix/Linux/Mac 路径处理 (/home/user/...)
-  if (path.startsWith('/')) {
-    return 'file://' + path;
-  }
-
-  // 网络路径 (\\server\share)
-  if (path.startsWith('\\\\')) {
-    // 转换为 file://server/share 格式
-    const normalizedPath = path.replace(/\\/g, '/');
-    return 'file:' + normalizedPath;
-  }
-
-  return null;
-}
-
 /**
  * 打开路径 URL
  * @param {string} url - 要打开的 URL
@@ -896,11 +1026,11 @@ function renderClipboardHistory(searchTerm = '') {
     });
   }
 
-  // 应用搜索
+  // 应用搜索（纯字母搜索词同时按拼音全拼和首字母匹配，如 bjdx 匹配「北京大学」）
   if (searchTerm) {
     filteredHistory = filteredHistory.filter((item) => {
       const text = item.text || '';
-      return text.toLowerCase().includes(searchTerm.toLowerCase());
+      return text.toLowerCase().includes(searchTerm.toLowerCase()) || matchesPinyin(text, searchTerm);
     });
   }
 
@@ -1002,6 +1132,14 @@ function renderActionButtons(itemId, isBatchMode = false) {
                     <path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/>
                 </svg>
             </button>
+            <button class="hash-btn btn-sm" data-id="${safeId}" title="计算哈希">
+                <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="4" x2="20" y1="9" y2="9"/>
+                    <line x1="4" x2="20" y1="15" y2="15"/>
+                    <line x1="10" x2="8" y1="3" y2="21"/>
+                    <line x1="16" x2="14" y1="3" y2="21"/>
+                </svg>
+            </button>
             ${editButton}
         </div>
     `;
@@ -1069,6 +1207,11 @@ function handleClipboardItemClick(e) {
     return;
   }
 
+  if (btnClass.includes('hash-btn')) {
+    toggleClipboardHashPanel(id);
+    return;
+  }
+
   if (btnClass.includes('edit-btn')) {
     enterEditMode(id);
     return;
@@ -1144,6 +1287,29 @@ async function handleCopyItem(itemId) {
   }
 }
 
+/**
+ * 展开或收起剪贴板条目下方的哈希面板
+ * @param {string} itemId - 条目 ID
+ */
+function toggleClipboardHashPanel(itemId) {
+  const item = appState.clipboardHistory.find((entry) => entry.id === itemId);
+  const itemElement = elements.clipboard_history_list?.querySelector(
+    `.history-item[data-id="${CSS.escape(itemId)}"]`
+  );
+  if (!item || !itemElement) return;
+
+  const existing = itemElement.querySelector('.clipboard-hash-panel');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  const panel = document.createElement('div');
+  panel.className = 'clipboard-hash-panel';
+  itemElement.querySelector('.clipboard-item-content').appendChild(panel);
+  mountHashPanel(panel, item.text);
+}
+
 async function handleDeleteItem(itemId) {
   if (confirm('确定要删除这条记录吗？')) {
     await removeClipboardItem(itemId);
@@ -1432,6 +1598,11 @@ function updateBatchCounter() {
   updateClipboardToolbar();
 }
 
+const FAN_OUT_PREFIX = {
+  CATEGORY: 'category:',
+  CUSTOM: 'multi:custom'
+};
+
 function renderEngineSelect() {
   if (!elements.engine_select || !appState.settings) return;
 
@@ -1446,12 +1617,136 @@ function renderEngineSelect() {
     }
     elements.engine_select.appendChild(option);
   });
+
+  // 多引擎搜索：按分类或自选
+  const group = document.createElement('optgroup');
+  group.label = '多引擎搜索';
+
+  Object.entries(ENGINE_CATEGORIES).forEach(([category, config]) => {
+    const count = appState.settings.searchEngines.filter((e) => e.category === category).length;
+    if (count < 2) return;
+    const option = document.createElement('option');
+    option.value = `${FAN_OUT_PREFIX.CATEGORY}${category}`;
+    option.textContent = `全部${config.name} (${count})`;
+    group.appendChild(option);
+  });
+
+  const customOption = document.createElement('option');
+  customOption.value = FAN_OUT_PREFIX.CUSTOM;
+  customOption.textContent = '自选多个引擎…';
+  group.appendChild(customOption);
+
+  elements.engine_select.appendChild(group);
+  renderMultiEnginePicker();
 }
 
-function handleSearch() {
-  const query = elements.search_input.value.trim();
-  if (!query) return;
+/**
+ * 渲染自选多引擎的勾选列表，仅在选中"自选多个引擎"时显示
+ */
+function renderMultiEnginePicker() {
+  if (!elements.multi_engine_picker || !appState.settings) return;
+
+  const isCustom = elements.engine_select?.value === FAN_OUT_PREFIX.CUSTOM;
+  elements.multi_engine_picker.style.display = isCustom ? 'flex' : 'none';
+  if (!isCustom) return;
+
+  elements.multi_engine_picker.innerHTML = appState.settings.searchEngines
+    .map((engine) => {
+      const checked = appState.multiEngineSelection.includes(engine.name) ? 'checked' : '';
+      return `<label class="multi-engine-option">
+                <input type="checkbox" value="${escapeHtml(engine.name)}" ${checked}>
+                ${escapeHtml(engine.name)}
+            </label>`;
+    })
+    .join('');
+}
+
+/**
+ * 保存自选多引擎的勾选状态
+ */
+async function handleMultiEnginePickerChange() {
+  if (!elements.multi_engine_picker) return;
 
+  appState.multiEngineSelection = Array.from(
+    elements.multi_engine_picker.querySelectorAll('input[type="checkbox"]:checked')
+  ).map((input) => input.value);
+
+  try {
+    await chrome.storage.local.set({ multiEngineSelection: appState.multiEngineSelection });
+  } catch (error) {
+    logger.error('保存多引擎选择失败:', error);
+  }
+}
+
+/**
+ * 加载自选多引擎的勾选状态
+ */
+async function loadMultiEngineSelection() {
+  try {
+    const result = await chrome.storage.local.get('multiEngineSelection');
+    appState.multiEngineSelection = Array.isArray(result.multiEngineSelection)
+      ? result.multiEngineSelection
+      : [];
+  } catch (error) {
+    logger.error('加载多引擎选择失败:', error);
+  }
+}
+
+/**
+ * 解析引擎选择器中的多引擎选项
+ * @param {string} value - 选择器的值
+ * @returns {{category?: string, engineNames?: Array<string>}|null} 非多引擎选项返回 null
+ */
+function parseFanOutSelection(value) {
+  if (!value) return null;
+  if (value.startsWith(FAN_OUT_PREFIX.CATEGORY)) {
+    return { category: value.slice(FAN_OUT_PREFIX.CATEGORY.length) };
+  }
+  if (value === FAN_OUT_PREFIX.CUSTOM) {
+    return { engineNames: appState.multiEngineSelection };
+  }
+  return null;
+}
+
+/**
+ * 多引擎搜索：交给后台打开标签页并分组
+ * @param {string} query - 搜索内容
+ * @param {Object} selector - parseFanOutSelection 的结果
+ */
+async function handleFanOutSearch(query, selector) {
+  if (selector.engineNames && selector.engineNames.length === 0) {
+    showNotification('请先勾选要使用的搜索引擎', false);
+    return;
+  }
+
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await chrome.runtime.sendMessage({
+      action: 'fanOutSearch',
+      query,
+      ...selector,
+      windowId: currentWindow?.id
+    });
+
+    if (!response?.success) {
+      showNotification(`多引擎搜索失败: ${response?.error || '未知错误'}`, false);
+      return;
+    }
+
+    showNotification(`已用 ${response.count} 个引擎搜索`);
+    appState.linkHistory = await linkHistoryManager.getHistory();
+    renderHistory();
+  } catch (error) {
+    logger.error('多引擎搜索失败:', error);
+    showNotification('多引擎搜索失败', false);
+  }
+}
+
+/**
+ * 使用当前选中的引擎（或多引擎组合）搜索
+ * @param {string} query - 搜索内容
+ */
+async function searchWithSelectedEngine(query) {
   if (isURL(query)) {
     window.open(query, '_blank');
     addToHistoryEnhanced(query);
@@ -1463,23 +1758,44 @@ function handleSearch() {
     selectedEngineName = elements.engine_select.value;
   }
 
+  const fanOutSelector = parseFanOutSelection(selectedEngineName);
+  if (fanOutSelector) {
+    handleFanOutSearch(query, fanOutSelector);
+    return;
+  }
+
   const selectedEngine = appState.settings.searchEngines.find((e) => e.name === selectedEngineName);
 
   if (selectedEngine) {
-    const searchUrl = selectedEngine.template.replace('%s', encodeURIComponent(query));
-    window.open(searchUrl, '_blank');
+    const context = await getSearchContext(selectedEngine, query);
+    const searchUrl = buildSearchUrl(selectedEngine, query, context);
+    try {
+      await chrome.tabs.create({ url: searchUrl });
+    } catch (error) {
+      logger.error('打开搜索页面失败:', error);
+      window.open(searchUrl, '_blank');
+    }
     addToHistoryEnhanced(query);
   } else {
     showNotification('没有找到搜索引擎配置', false);
   }
 }
 
+function handleSearch() {
+  const query = elements.search_input.value.trim();
+  if (!query) return;
+
+  searchWithSelectedEngine(query);
+}
+
 async function addToHistoryEnhanced(item) {
   try {
-    const isGithubRepo = isGitHubRepository(item);
+    const repoLinks = processLinkGeneration(item, getRepoProviders());
 
-    if (isGithubRepo.isRepo && isGithubRepo.githubUrl) {
-      await linkHistoryManager.addLink(isGithubRepo.githubUrl, '', 'github_repo');
+    if (repoLinks) {
+      // GitHub 的文件、Issue、PR 等深层链接保留原位置，其余记录仓库主页
+      const [deepLink] = repoLinks.github?.kind !== 'repo' ? repoLinks.githubVariants : [];
+      await linkHistoryManager.addLink(deepLink?.url || repoLinks.originalLink, '', 'repo_link');
     } else {
       await linkHistoryManager.addLink(item, '', 'general');
     }
@@ -1491,40 +1807,14 @@ async function addToHistoryEnhanced(item) {
   }
 }
 
-function isGitHubRepository(url) {
-  const repoPatterns = [
-    /https?:\/\/github\.com\/([^/]+)\/([^/?#]+)/,
-    /https?:\/\/zread\.ai\/([^/]+)\/([^/?#]+)/,
-    /https?:\/\/deepwiki\.com\/([^/]+)\/([^/?#]+)/,
-    /https?:\/\/context7\.com\/([^/]+)\/([^/?#]+)/
-  ];
-
-  for (const pattern of repoPatterns) {
-    const match = url.match(pattern);
-    if (match) {
-      const [, username, repo] = match;
-      return {
-        isRepo: true,
-        username,
-        repo,
-        githubUrl: `https://github.com/${username}/${repo}`
-      };
-    }
-  }
-
-  const simplePattern = /^([a-zA-Z0-9_-]+)\/([a-zA-Z0-9_-]+)$/;
-  const simpleMatch = url.match(simplePattern);
-  if (simpleMatch) {
-    const [, username, repo] = simpleMatch;
-    return {
-      isRepo: true,
-      username,
-      repo,
-      githubUrl: `https://github.com/${username}/${repo}`
-    };
-  }
-
-  return { isRepo: false };
+/**
+ * 获取仓库链接提供方（设置未加载时使用内置列表）
+ * @returns {Array}
+ */
+function getRepoProviders() {
+  return Array.isArray(appState.settings?.repoProviders)
+    ? appState.settings.repoProviders
+    : BUILTIN_REPO_PROVIDERS;
 }
 
 function handleInputChange() {
@@ -1662,10 +1952,24 @@ function renderExtractionUI(text) {
     return;
   }
 
-  const pathResults = processPath(text);
-
   // 始终显示拆词面板
   elements.text_splitting_tool.style.display = 'block';
+  renderCaseConversion(text);
+  renderDateConversion(text);
+  renderEntityTool(text);
+  renderHashTool(text);
+
+  // Git 远程地址和克隆命令优先识别，避免被当作路径
+  const gitRemote = parseGitRemote(text);
+  if (gitRemote) {
+    elements.path_conversion_tool.style.display = 'none';
+    elements.link_extraction_result.style.display = 'block';
+    renderGitRemoteResult(gitRemote, text);
+    renderSplittingTool(text);
+    return;
+  }
+
+  const pathResults = processPath(text);
 
   if (pathResults) {
     elements.path_conversion_tool.style.display = 'block';
@@ -1676,6 +1980,17 @@ function renderExtractionUI(text) {
 
     renderPathList();
 
+    // 输入中单独一行的 ./ 或 ../ 相对路径自动填入拼接框
+    if (elements.path_join_input) {
+      const relative = text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .find((line) => /^\.{1,2}[\\/]/.test(line));
+      if (relative) elements.path_join_input.value = relative;
+      elements.path_join_input.oninput = renderPathJoin;
+      renderPathJoin();
+    }
+
     if (elements.path_add_quote_btn) {
       elements.path_add_quote_btn.onclick = () => {
         appState.pathConversion.quoteLevel++;
@@ -1727,6 +2042,256 @@ function renderExtractionUI(text) {
   }
 }
 
+/**
+ * 渲染命名转换面板：输入是一个或多个带命名结构的标识符时显示
+ * @param {string} text - 输入文本
+ */
+function renderCaseConversion(text) {
+  if (!elements.case_conversion_tool || !elements.case_conversion_result) return;
+
+  const identifiers = parseIdentifierList(text);
+  // 至少有一个标识符能拆出多个单词，避免普通英文单词也弹出面板
+  const hasNaming = identifiers?.some((id) => !/\s/.test(id) && splitIdentifier(id).length > 1);
+  if (!hasNaming) {
+    elements.case_conversion_tool.style.display = 'none';
+    return;
+  }
+
+  elements.case_conversion_tool.style.display = 'block';
+  elements.case_conversion_result.innerHTML = renderPathRows(convertAllCases(identifiers));
+  elements.case_conversion_result.querySelectorAll('.path-copy-btn').forEach((btn) => {
+    btn.addEventListener('click', (e) => copyToClipboard(e.target.dataset.path, e.target));
+  });
+}
+
+/**
+ * 渲染日期时间工具：整段输入能解析为日期时直接换算，否则换算文本中出现的第一个日期
+ * @param {string} text - 输入文本
+ */
+function renderDateConversion(text) {
+  if (!elements.date_conversion_tool || !elements.date_conversion_result) return;
+
+  const now = new Date();
+  let source = text.trim();
+  let parsed = parseDateInput(source, now);
+  if (!parsed) {
+    [source] = findDateExpressions(text);
+    parsed = source ? parseDateInput(source, now) : null;
+  }
+  if (!parsed) {
+    elements.date_conversion_tool.style.display = 'none';
+    return;
+  }
+
+  const timezones = appState.settings?.dateSettings?.timezones || DEFAULT_TIMEZONES;
+  const kind = `${DATE_KINDS[parsed.kind]}${parsed.local ? '，未写明时区，按本地时区解释' : ''}`;
+  const hint = source === text.trim() ? `识别为${kind}` : `识别到 ${source}（${kind}）`;
+
+  elements.date_conversion_tool.style.display = 'block';
+  elements.date_conversion_result.innerHTML =
+    `<p class="path-hint">${escapeHtml(hint)}</p>` +
+    renderPathRows(describeDate(parsed.date, { timezones, now }));
+  elements.date_conversion_result.querySelectorAll('.path-copy-btn').forEach((btn) => {
+    btn.addEventListener('click', (e) => copyToClipboard(e.target.dataset.path, e.target));
+  });
+}
+
+/**
+ * 渲染识别的实体：只列出带搜索动作的实体（IP、UUID、哈希、CVE、DOI 等），每项可复制或跳转搜索
+ * @param {string} text - 输入文本
+ */
+function renderEntityTool(text) {
+  if (!elements.entity_tool || !elements.entity_result) return;
+
+  const entities = extractEntities(text).filter((entity) => entity.search);
+  if (entities.length === 0) {
+    elements.entity_tool.style.display = 'none';
+    return;
+  }
+
+  elements.entity_tool.style.display = 'block';
+  elements.entity_result.innerHTML = entities
+    .flatMap((entity) =>
+      entity.values.map((value) => {
+        const safeValue = escapeHtml(value);
+        const searchUrl = escapeHtml(buildEntitySearchUrl(entity.search, value));
+        return `<div class="link-item">
+                <button class="copy-btn" data-link="${safeValue}">复制</button>
+                <span class="link-provider">${escapeHtml(entity.name)}</span>
+                <code>${safeValue}</code>
+                <a class="entity-search-link" href="${searchUrl}" target="_blank">用 ${escapeHtml(entity.search.name)} 搜索</a>
+            </div>`;
+      })
+    )
+    .join('');
+  elements.entity_result.querySelectorAll('.copy-btn').forEach((btn) => {
+    btn.addEventListener('click', (e) => copyToClipboard(e.target.dataset.link, e.target));
+  });
+}
+
+/**
+ * 渲染提取面板中的哈希校验工具，折叠时不计算
+ * @param {string} text - 输入文本
+ */
+function renderHashTool(text) {
+  if (!elements.hash_tool || !elements.hash_tool_body || !elements.hash_tool.open) return;
+  mountHashPanel(elements.hash_tool_body, text);
+}
+
+/**
+ * 描述哈希比对结果
+ * @param {Object|null} match - findHashMatches 的结果
+ * @param {boolean} perLine - 是否逐行计算
+ * @returns {string}
+ */
+function describeHashMatch(match, perLine) {
+  if (!match) return '不是有效的哈希值';
+  if (match.matches.length > 0) {
+    const names = match.matches.map((m) => (perLine ? `${m.label} ${m.algorithm}` : m.algorithm));
+    return `✓ 一致：${names.join('、')}`;
+  }
+  let hint = '';
+  if (match.candidates.length > 0) {
+    hint = `（按长度应为 ${match.candidates.join('/')}，可尝试切换编码）`;
+  } else if (match.expected.hex.length === 32) {
+    hint = '（32 位通常是 MD5，暂不支持）';
+  }
+  return `✗ 不一致${hint}`;
+}
+
+/**
+ * 在容器中挂载哈希面板：编码、逐行计算、比对输入和各算法结果
+ * @param {HTMLElement} container - 容器
+ * @param {string} text - 要计算的文本
+ */
+function mountHashPanel(container, text) {
+  const options = appState.hashOptions;
+  const encodingOptions = Object.entries(TEXT_ENCODINGS)
+    .map(
+      ([value, name]) =>
+        `<option value="${value}"${value === options.encoding ? ' selected' : ''}>${name}</option>`
+    )
+    .join('');
+  container.innerHTML = `
+        <div class="hash-controls">
+            <select class="hash-encoding">${encodingOptions}</select>
+            <label class="hash-option">
+                <input type="checkbox" class="hash-per-line"${options.perLine ? ' checked' : ''} /> 逐行计算
+            </label>
+        </div>
+        <input type="text" class="hash-compare" placeholder="粘贴哈希值比对（支持 sha256sum、SRI 格式）" value="${escapeHtml(options.expected)}" />
+        <div class="hash-compare-status"></div>
+        <div class="hash-result"></div>
+    `;
+
+  const status = container.querySelector('.hash-compare-status');
+  const resultContainer = container.querySelector('.hash-result');
+  let results = [];
+  let renderId = 0;
+
+  const renderResults = () => {
+    const match = options.expected.trim() ? findHashMatches(options.expected, results) : undefined;
+    const matched = new Set(match?.matches.map((m) => `${m.label}|${m.algorithm}`));
+
+    status.textContent = match === undefined ? '' : describeHashMatch(match, options.perLine);
+    status.className = `hash-compare-status${match?.matches.length ? ' match' : match !== undefined ? ' mismatch' : ''}`;
+
+    resultContainer.innerHTML =
+      results
+        .map((result) => {
+          const label = options.perLine
+            ? `<h5 class="hash-line-label">${escapeHtml(result.label)}：${escapeHtml(truncateText(result.text, 40))}</h5>`
+            : '';
+          const rows = result.hashes.map((hash) => ({
+            name: hash.algorithm,
+            value: hash.value,
+            highlight: matched.has(`${result.label}|${hash.algorithm}`)
+          }));
+          return label + renderPathRows(rows);
+        })
+        .join('') || '<div class="no-results">没有可计算的内容</div>';
+
+    // 阻止冒泡，避免在剪贴板列表中被当成条目的复制按钮
+    resultContainer.querySelectorAll('.path-copy-btn').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        copyToClipboard(e.target.dataset.path, e.target);
+      });
+    });
+  };
+
+  const refresh = async () => {
+    const currentId = ++renderId;
+    try {
+      const computed = await computeHashes(text, {
+        encoding: options.encoding,
+        perLine: options.perLine
+      });
+      // 计算期间选项又变了，丢弃旧结果
+      if (currentId !== renderId) return;
+      results = computed;
+      renderResults();
+    } catch (err) {
+      logger.error('计算哈希失败:', err);
+      resultContainer.innerHTML = '<div class="no-results">计算哈希失败</div>';
+    }
+  };
+
+  container.querySelector('.hash-encoding').addEventListener('change', (e) => {
+    options.encoding = e.target.value;
+    refresh();
+  });
+  container.querySelector('.hash-per-line').addEventListener('change', (e) => {
+    options.perLine = e.target.checked;
+    refresh();
+  });
+  container.querySelector('.hash-compare').addEventListener('input', (e) => {
+    options.expected = e.target.value;
+    renderResults();
+  });
+
+  refresh();
+}
+
+/**
+ * 渲染 Git 远程地址的各种等价写法及仓库链接
+ * @param {Object} remote - parseGitRemote 的结果
+ * @param {string} text - 原始输入
+ */
+function renderGitRemoteResult(remote, text) {
+  const container = elements.link_extraction_result;
+  const renderItem = (name, value, isLink = false) => {
+    const safeValue = escapeHtml(value);
+    const content = isLink
+      ? `<a href="${safeValue}" target="_blank">${safeValue}</a>`
+      : `<code>${safeValue}</code>`;
+    return `<div class="link-item">
+                <button class="copy-btn" data-link="${safeValue}">复制</button>
+                <span class="link-provider">${escapeHtml(name)}</span>
+                ${content}
+            </div>`;
+  };
+
+  let html = `<h5>Git 远程地址 · ${escapeHtml(remote.host)}/${escapeHtml(remote.path)}</h5>`;
+  html += getGitRemoteForms(remote)
+    .map((form) => renderItem(form.name, form.value))
+    .join('');
+
+  const linkGenResult = processLinkGeneration(text.trim(), getRepoProviders());
+  if (linkGenResult) {
+    addToHistoryEnhanced(linkGenResult.originalLink);
+    html += '<h5>仓库链接</h5>';
+    html += linkGenResult.links.map((link) => renderItem(link.name, link.url, true)).join('');
+  }
+
+  container.innerHTML = html;
+  container.querySelectorAll('.copy-btn').forEach((btn) => {
+    btn.addEventListener('click', (e) => {
+      copyToClipboard(e.target.dataset.link, e.target);
+    });
+  });
+}
+
 /**
  * 渲染路径列表
  */
@@ -1734,6 +2299,8 @@ function renderPathList() {
   const { currentResults, quoteLevel } = appState.pathConversion;
   if (!elements.path_conversion_result || currentResults.length === 0) return;
 
+  const pathOptions = getPathConversionOptions();
+
   elements.path_conversion_result.innerHTML = currentResults
     .map((p) => {
       const safePath = escapeHtml(p);
@@ -1745,9 +2312,9 @@ function renderPathList() {
                 <button class="path-copy-btn" data-path="${escapeHtml(copyPath)}">复制</button>
                 ${fileUrl ? `<button class="path-open-btn" data-url="${escapeHtml(fileUrl)}">打开</button>` : ''}
                 <pre>${displayPath}</pre>
-            </div>`;
+            </div>${renderPathInfo(p)}${renderPathFormats(p, pathOptions)}`;
     })
-    .join('');
+    .join('') + renderRelativePaths(currentResults);
 
   // 绑定复制按钮事件
   elements.path_conversion_result.querySelectorAll('.path-copy-btn').forEach((btn) => {
@@ -1766,30 +2333,150 @@ function renderPathList() {
   });
 }
 
+/**
+ * 渲染一组可复制的路径行
+ * @param {Array<{name: string, value: string}>} rows - 行数据
+ * @returns {string} HTML
+ */
+function renderPathRows(rows) {
+  return rows
+    .map((row) => {
+      const safeValue = escapeHtml(row.value);
+      return `<div class="path-format-row${row.highlight ? ' highlighted' : ''}">
+                <button class="path-copy-btn" data-path="${safeValue}">复制</button>
+                <span class="path-format-name">${escapeHtml(row.name)}</span>
+                <pre>${safeValue}</pre>
+            </div>`;
+    })
+    .join('');
+}
+
+/**
+ * 渲染路径信息：规范化结果、上级目录、文件名、扩展名、主名
+ * @param {string} path - 识别出的路径
+ * @returns {string} HTML
+ */
+function renderPathInfo(path) {
+  const parts = getPathParts(path);
+  if (!parts) return '';
+
+  const rows = [
+    parts.normalized !== path ? { name: '规范化', value: parts.normalized } : null,
+    { name: '上级目录', value: parts.parent },
+    { name: '文件名', value: parts.basename },
+    parts.ext ? { name: '扩展名', value: parts.ext } : null,
+    parts.ext ? { name: '主名', value: parts.stem } : null
+  ].filter((row) => row && row.value);
+
+  return `<details class="path-formats"><summary>路径信息</summary>${renderPathRows(rows)}</details>`;
+}
+
+/**
+ * 输入中有多个路径时，计算前两个路径之间的相对路径
+ * @param {Array<string>} paths - 识别出的路径
+ * @returns {string} HTML
+ */
+function renderRelativePaths(paths) {
+  if (paths.length < 2) return '';
+
+  const [from, to] = paths;
+  const forward = getRelativePath(from, to);
+  const backward = getRelativePath(to, from);
+  if (forward === null) {
+    return '<p class="path-hint">前两个路径不在同一盘符或共享下，无法计算相对路径。</p>';
+  }
+
+  return `<h5>相对路径</h5>${renderPathRows([
+    { name: '第一个 → 第二个', value: forward },
+    { name: '第二个 → 第一个', value: backward }
+  ])}`;
+}
+
+/**
+ * 把输入框中的相对路径与第一个路径拼接
+ */
+function renderPathJoin() {
+  if (!elements.path_join_input || !elements.path_join_result) return;
+
+  const [base] = appState.pathConversion.currentResults;
+  const relative = elements.path_join_input.value.trim();
+  const joined = base && relative ? joinPath(base, relative) : null;
+
+  elements.path_join_result.innerHTML = joined
+    ? renderPathRows([{ name: '拼接结果', value: joined }])
+    : '';
+  elements.path_join_result.querySelectorAll('.path-copy-btn').forEach((btn) => {
+    btn.addEventListener('click', (e) => {
+      copyToClipboard(e.target.dataset.path, e.target);
+    });
+  });
+}
+
+/**
+ * 获取路径转换选项（主目录、WSL 发行版）
+ * @returns {{home: string, wslDistro: string}}
+ */
+function getPathConversionOptions() {
+  const pathSettings = appState.settings?.pathSettings || {};
+  return {
+    home: pathSettings.homeDir || '',
+    wslDistro: pathSettings.wslDistro || ''
+  };
+}
+
+/**
+ * 渲染路径的其他写法（WSL、MSYS、Cygwin、UNC、file://、各种 Shell 引号）
+ * @param {string} path - 识别出的路径
+ * @param {Object} options - 路径转换选项
+ * @returns {string} HTML
+ */
+function renderPathFormats(path, options) {
+  if (/^(?:https?|chrome|about|edge|firefox):/i.test(path)) return '';
+
+  const result = convertPathFormats(path, options);
+  if (!result) return '';
+
+  const rows = renderPathRows(result.forms.filter((form) => form.value !== path));
+
+  return rows
+    ? `<details class="path-formats"><summary>其他写法</summary>${rows}</details>`
+    : '';
+}
+
 function renderLinkGenerationUI(text) {
   if (!elements.link_gen_container) return;
 
-  const linkGenResult = processLinkGeneration(text);
+  const linkGenResult = processLinkGeneration(text.trim(), getRepoProviders());
   let html = '';
 
   if (linkGenResult) {
-    if (linkGenResult.originalGithubLink) {
-      addToHistoryEnhanced(linkGenResult.originalGithubLink);
-    }
+    addToHistoryEnhanced(text.trim());
 
-    html =
-      '<h5>生成的链接</h5>' +
-      linkGenResult.generatedLinks
-        .map((link) => {
-          addToHistoryEnhanced(link);
-          const safeLink = escapeHtml(link);
-          return `<div class="link-item">
+    const renderLinkItem = (link) => {
+      const safeLink = escapeHtml(link.url);
+      return `<div class="link-item">
                 <button class="copy-btn" data-link="${safeLink}">复制</button>
+                <span class="link-provider">${escapeHtml(link.name)}</span>
                 <a href="${safeLink}" target="_blank">${safeLink}</a>
             </div>`;
-        })
-        .join('');
+    };
 
+    html = '<h5>生成的链接</h5>' + linkGenResult.links.map(renderLinkItem).join('');
+
+    const { github } = linkGenResult;
+    if (github && linkGenResult.githubVariants.length > 0) {
+      const kindLabel = GITHUB_KIND_LABELS[github.kind] || github.kind;
+      const safeShorthand = escapeHtml(linkGenResult.shorthand);
+      html +=
+        `<h5>GitHub ${escapeHtml(kindLabel)}</h5>` +
+        `<div class="link-item">
+                <button class="copy-btn" data-link="${safeShorthand}">复制</button>
+                <span class="link-provider">简写</span>
+                <code>${safeShorthand}</code>
+            </div>` +
+        linkGenResult.githubVariants.map(renderLinkItem).join('') +
+        '<div id="github-permalink"></div>';
+    }
     html += `
             <div class="extract-buttons">
                 <button id="extract-emails-btn" class="extract-btn">提取邮箱</button>
@@ -1798,7 +2485,7 @@ function renderLinkGenerationUI(text) {
             <div id="extract-results"></div>
         `;
   } else {
-    html = '<p>请输入 "用户名/仓库名" 或已知的仓库URL。</p>';
+    html = '<p>请输入 "用户名/仓库名"、已知的仓库URL，或 npm:包名 这类包标识。</p>';
   }
 
   elements.link_gen_container.innerHTML = html;
@@ -1820,6 +2507,55 @@ function renderLinkGenerationUI(text) {
   if (extractPhonesBtn) {
     extractPhonesBtn.addEventListener('click', () => handleExtractPhones(text));
   }
+
+  if (linkGenResult?.github) {
+    renderGitHubPermalink(linkGenResult.github);
+  }
+}
+
+// 固定链接解析结果缓存，避免输入时重复请求 GitHub API
+const githubPermalinkCache = new Map();
+
+/**
+ * 异步解析分支对应的提交 SHA，在链接列表末尾补充固定链接
+ * @param {Object} github - parseGitHubUrl 的结果
+ */
+async function renderGitHubPermalink(github) {
+  if (!['blob', 'blame', 'tree'].includes(github.kind)) return;
+
+  const container = document.getElementById('github-permalink');
+  if (!container) return;
+
+  const key = `${github.owner}/${github.repo}/${github.kind}/${github.ref}/${github.path}#${github.lineStart}-${github.lineEnd}`;
+  container.dataset.key = key;
+  try {
+    if (!githubPermalinkCache.has(key)) {
+      githubPermalinkCache.set(key, resolveGitHubPermalink(github));
+    }
+    const permalink = await githubPermalinkCache.get(key);
+
+    // 等待期间输入已变化时不再更新
+    if (!permalink || !container.isConnected || container.dataset.key !== key) return;
+
+    const safeLink = escapeHtml(permalink.url);
+    // 链接里分支与路径无法区分（如 tree/feature/x/src），按 API 实际解析出的分支提示
+    const refHint =
+      permalink.ref !== github.ref
+        ? `<p class="link-hint">分支名含斜杠：实际分支为「${escapeHtml(permalink.ref)}」，` +
+          `路径为「${escapeHtml(permalink.path || '/')}」。</p>`
+        : '';
+    container.innerHTML = `<div class="link-item">
+                <button class="copy-btn" data-link="${safeLink}">复制</button>
+                <span class="link-provider">固定链接</span>
+                <a href="${safeLink}" target="_blank">${safeLink}</a>
+            </div>${refHint}`;
+    container.querySelector('.copy-btn').addEventListener('click', (e) => {
+      copyToClipboard(e.target.dataset.link, e.target);
+    });
+  } catch (error) {
+    githubPermalinkCache.delete(key);
+    logger.warn('解析 GitHub 固定链接失败:', error);
+  }
 }
 
 function handleExtractEmails(text) {
@@ -1870,7 +2606,24 @@ function displayMultiFormatResult(text) {
   const resultContainer = document.getElementById('multi-format-result');
   if (!resultContainer) return;
 
-  resultContainer.innerHTML = text;
+  // 结果可能是 JSON、CSV 等结构化文本，按纯文本显示
+  resultContainer.textContent = text;
+  updateDecoderSuggestions(text);
+}
+
+/**
+ * 根据当前结果高亮可能适用的解码按钮
+ * @param {string} text - 当前结果
+ */
+function updateDecoderSuggestions(text) {
+  const suggested = suggestDecoders(text);
+  document.querySelectorAll('#multi-format-container .format-btn[data-action]').forEach((btn) => {
+    const isSuggested = suggested.includes(btn.dataset.action);
+    // 记住按钮原有的提示，取消推荐时恢复
+    if (btn.dataset.title === undefined) btn.dataset.title = btn.title;
+    btn.classList.toggle('suggested', isSuggested);
+    btn.title = isSuggested ? '推荐：内容看起来需要这样解码' : btn.dataset.title;
+  });
 }
 
 function updateBackButtonState() {
@@ -1935,6 +2688,46 @@ function handleSplitModeChange() {
   }
 }
 
+/**
+ * 执行简繁转换或拼音转换
+ * @param {string} text - 输入文本
+ * @param {string} action - 多格式按钮动作
+ * @returns {Promise<string>}
+ */
+function convertChineseText(text, action) {
+  switch (action) {
+  case 'to-traditional':
+    return toTraditional(text);
+  case 'to-simplified':
+    return toSimplified(text);
+  case 'to-pinyin':
+    return toPinyin(text);
+  case 'to-pinyin-plain':
+    return toPinyin(text, { tone: false });
+  default:
+    return toPinyinInitials(text);
+  }
+}
+
+/**
+ * 执行结构化数据的格式化或格式转换，来源格式自动识别
+ * @param {string} text - 输入文本
+ * @param {string} action - 多格式按钮动作
+ * @returns {string}
+ */
+function transformStructuredData(text, action) {
+  switch (action) {
+  case 'format-json':
+    return formatJson(text);
+  case 'minify-json':
+    return formatJson(text, { minify: true });
+  case 'curl-to-json':
+    return convertData(text, 'json', 'curl');
+  default:
+    return convertData(text, action.replace(/^data-to-/, ''));
+  }
+}
+
 async function handleCopyResult() {
   const resultContainer = document.getElementById('multi-format-result');
   if (!resultContainer) return;
@@ -1958,29 +2751,10 @@ function handleSearchResult() {
   const resultText = resultContainer.innerText;
   if (!resultText) return;
 
-  if (isURL(resultText)) {
-    window.open(resultText, '_blank');
-    addToHistoryEnhanced(resultText);
-    return;
-  }
-
-  let selectedEngineName = appState.settings.defaultEngine;
-  if (elements.engine_select && elements.engine_select.value) {
-    selectedEngineName = elements.engine_select.value;
-  }
-
-  const selectedEngine = appState.settings.searchEngines.find((e) => e.name === selectedEngineName);
-
-  if (selectedEngine) {
-    const searchUrl = selectedEngine.template.replace('%s', encodeURIComponent(resultText));
-    window.open(searchUrl, '_blank');
-    addToHistoryEnhanced(resultText);
-  } else {
-    showNotification('没有找到搜索引擎配置', false);
-  }
+  searchWithSelectedEngine(resultText);
 }
 
-function handleFormatButtonClick(e) {
+async function handleFormatButtonClick(e) {
   const btn = e.target;
   const action = btn.dataset.action;
   const currentText =
@@ -2003,6 +2777,38 @@ function handleFormatButtonClick(e) {
     processedResult = currentText.replace(/[\u4e00-\u9fa5\u3000-\u303f\uff00-\uffef]/g, '');
     break;
   }
+  case 'to-traditional':
+  case 'to-simplified':
+  case 'to-pinyin':
+  case 'to-pinyin-plain':
+  case 'to-pinyin-initials':
+    // 简繁转换和拼音依赖打包的转换表，首次使用时加载
+    try {
+      processedResult = await convertChineseText(currentText, action);
+    } catch (err) {
+      logger.error('加载转换表失败:', err);
+      showNotification('转换表加载失败', false);
+      return;
+    }
+    break;
+  case 'format-json':
+  case 'minify-json':
+  case 'curl-to-json':
+  case 'data-to-json':
+  case 'data-to-yaml':
+  case 'data-to-toml':
+  case 'data-to-csv':
+  case 'data-to-tsv':
+  case 'data-to-query':
+    // 解析失败时提示出错的行列，不写入处理历史
+    try {
+      processedResult = transformStructuredData(currentText, action);
+    } catch (err) {
+      if (!(err instanceof DataFormatError)) throw err;
+      showNotification(err.message, false);
+      return;
+    }
+    break;
   case 'remove-non-url-chars': {
     processedResult = currentText
       .replace(/[\u4e00-\u9fa5\u3000-\u303f\uff00-\uffef<>{}|^`'"\s]+/g, ' ')
@@ -2082,6 +2888,14 @@ function handleFormatButtonClick(e) {
     processedResult = escapeSpaces(currentText);
     break;
   default:
+    if (ENCODING_ACTIONS[action]) {
+      try {
+        processedResult = applyEncoding(currentText, action);
+      } catch (err) {
+        showNotification(err.message, false);
+        return;
+      }
+    }
     break;
   }
 
@@ -2121,6 +2935,13 @@ function renderSplittingTool(text) {
   }
 
   const delimiter = elements.split_delimiter_select.value;
+
+  // 符号提取：按类别分组显示
+  if (delimiter === 'symbols') {
+    renderSplitItems(listSymbols(text));
+    return;
+  }
+
   splitText(text, delimiter).then((splitItems) => {
     renderSplitItems(splitItems);
   });
@@ -2238,6 +3059,7 @@ function getRuleName(rule) {
     whitespaceSplit: '空格分词',
     newlineSplit: '换行分词',
     chineseEnglishSplit: '中英分词',
+    scriptSplit: '文字分词',
     uppercaseSplit: '大写分词',
     namingSplit: '命名分词',
     digitSplit: '数字分词',
@@ -2376,43 +3198,157 @@ function handleRefreshSplit() {
   }
 }
 
+/**
+ * 渲染分词结果
+ * @param {Array<string|{text: string, kind: string}>} splitItems - 分词结果，带 kind 的项按类别分组显示
+ */
 function renderSplitItems(splitItems) {
-  appState.splitItemsState = splitItems.map((item) => ({
-    text: item,
-    selected: false
-  }));
+  appState.splitItemsState = splitItems.map((item) => {
+    const text = typeof item === 'string' ? item : item.text;
+    return {
+      text,
+      kind: typeof item === 'string' ? null : item.kind,
+      tag: appState.splitTagging ? tagToken(text) : null,
+      selected: false
+    };
+  });
+  appState.splitTagFilter.clear();
+
+  renderSplitTagFilter();
+  renderSplitRows();
+}
+
+/**
+ * 分词项是否通过当前的标注筛选
+ * @param {object} item - 分词项状态
+ * @returns {boolean}
+ */
+function isSplitItemVisible(item) {
+  const filter = appState.splitTagFilter;
+  return !appState.splitTagging || filter.size === 0 || filter.has(item.tag);
+}
+
+function renderSplitRows() {
+  const visibleIndexes = [];
+  appState.splitItemsState.forEach((item, index) => {
+    if (isSplitItemVisible(item)) visibleIndexes.push(index);
+  });
 
   let html = '';
   const ITEMS_PER_ROW = 5;
 
-  for (let i = 0; i < appState.splitItemsState.length; i += ITEMS_PER_ROW) {
-    const rowItems = appState.splitItemsState.slice(i, i + ITEMS_PER_ROW);
-    const rowNum = Math.floor(i / ITEMS_PER_ROW) + 1;
+  // 每行最多 ITEMS_PER_ROW 项，分组结果在类别变化处换行
+  const rows = [];
+  visibleIndexes.forEach((index) => {
+    const kind = appState.splitItemsState[index].kind;
+    const lastRow = rows[rows.length - 1];
+    if (lastRow && lastRow.kind === kind && lastRow.indexes.length < ITEMS_PER_ROW) {
+      lastRow.indexes.push(index);
+    } else {
+      rows.push({ kind, indexes: [index] });
+    }
+  });
+
+  rows.forEach(({ kind, indexes: rowIndexes }, rowIndex) => {
+    const rowLabel = kind ? SYMBOL_KINDS[kind].name : `第 ${rowIndex + 1} 行`;
+    const rowSelected = rowIndexes.every((index) => appState.splitItemsState[index].selected);
 
     html += `<div class="split-row">
             <div class="split-row-header">
-                <input type="checkbox" class="split-row-checkbox" data-row-start-index="${i}">
-                <span>第 ${rowNum} 行</span>
+                <input type="checkbox" class="split-row-checkbox" data-indexes="${rowIndexes.join(',')}"${rowSelected ? ' checked' : ''}>
+                <span>${rowLabel}</span>
             </div>
             <div class="split-row-items">
-                ${rowItems
-    .map(
-      (item, index) =>
-        `<div class="split-item" data-index="${i + index}">${item.text}</div>`
-    )
-    .join('')}
+                ${rowIndexes.map(renderSplitItem).join('')}
             </div>
         </div>`;
+  });
+
+  if (!html && appState.splitItemsState.length > 0) {
+    html = '<div class="no-results">没有符合筛选条件的分词</div>';
   }
 
   elements.split_output_container.innerHTML = html;
   addSplitItemListeners();
 
   if (elements.select_all_checkbox) {
-    elements.select_all_checkbox.checked = false;
+    elements.select_all_checkbox.checked =
+      visibleIndexes.length > 0 &&
+      visibleIndexes.every((index) => appState.splitItemsState[index].selected);
   }
 }
 
+function renderSplitItem(index) {
+  const item = appState.splitItemsState[index];
+  const tagChip =
+    appState.splitTagging && item.tag
+      ? `<span class="tag-chip tag-${item.tag}">${TOKEN_TAGS[item.tag].name}</span>`
+      : '';
+  const className = item.selected ? 'split-item selected' : 'split-item';
+  return `<div class="${className}" data-index="${index}">${escapeHtml(item.text)}${tagChip}</div>`;
+}
+
+/**
+ * 渲染标注筛选栏，只列出当前结果中出现的标注类型
+ */
+function renderSplitTagFilter() {
+  const container = elements.split_tag_filter;
+  if (!container) return;
+
+  if (!appState.splitTagging || appState.splitItemsState.length === 0) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+
+  const counts = {};
+  appState.splitItemsState.forEach((item) => {
+    counts[item.tag] = (counts[item.tag] || 0) + 1;
+  });
+
+  const filter = appState.splitTagFilter;
+  const chips = Object.keys(TOKEN_TAGS)
+    .filter((tag) => counts[tag])
+    .map(
+      (tag) =>
+        `<button class="tag-chip tag-${tag}${filter.has(tag) ? ' active' : ''}" data-tag="${tag}">${TOKEN_TAGS[tag].name} ${counts[tag]}</button>`
+    );
+
+  container.innerHTML = `<button class="tag-chip tag-all${filter.size === 0 ? ' active' : ''}" data-tag="">全部 ${appState.splitItemsState.length}</button>${chips.join('')}`;
+  container.style.display = 'flex';
+}
+
+function handleSplitTagFilterClick(e) {
+  const chip = e.target.closest('.tag-chip');
+  if (!chip) return;
+
+  const tag = chip.dataset.tag;
+  const filter = appState.splitTagFilter;
+  if (!tag) {
+    filter.clear();
+  } else if (filter.has(tag)) {
+    filter.delete(tag);
+  } else {
+    filter.add(tag);
+  }
+
+  renderSplitTagFilter();
+  renderSplitRows();
+}
+
+function handleSplitTaggingChange(e) {
+  appState.splitTagging = e.target.checked;
+  appState.splitTagFilter.clear();
+  if (appState.splitTagging) {
+    appState.splitItemsState.forEach((item) => {
+      if (!item.tag) item.tag = tagToken(item.text);
+    });
+  }
+
+  renderSplitTagFilter();
+  renderSplitRows();
+}
+
 function toggleMultiRuleSelection() {
   const checkbox = document.getElementById('enable-multi-rules');
   const container = document.getElementById('multi-rule-selection');
@@ -2433,18 +3369,17 @@ function toggleMultiRuleSelection() {
 function addSplitItemListeners() {
   document.querySelectorAll('.split-item').forEach((el) => {
     el.addEventListener('click', (e) => {
-      const index = parseInt(e.target.dataset.index);
+      const index = parseInt(e.currentTarget.dataset.index);
       appState.splitItemsState[index].selected = !appState.splitItemsState[index].selected;
-      e.target.classList.toggle('selected', appState.splitItemsState[index].selected);
+      e.currentTarget.classList.toggle('selected', appState.splitItemsState[index].selected);
     });
   });
 
   document.querySelectorAll('.split-row-checkbox').forEach((el) => {
     el.addEventListener('change', (e) => {
-      const startIndex = parseInt(e.target.dataset.rowStartIndex);
-      const endIndex = Math.min(startIndex + 5, appState.splitItemsState.length);
+      const indexes = e.target.dataset.indexes.split(',').map(Number);
 
-      for (let i = startIndex; i < endIndex; i++) {
+      for (const i of indexes) {
         appState.splitItemsState[i].selected = e.target.checked;
         const item = document.querySelector(`.split-item[data-index="${i}"]`);
         if (item) {
@@ -2587,11 +3522,23 @@ function renderHistory(searchTerm = '') {
         ? '<button class="copy-btn btn-sm" disabled>复制</button><button class="remove-btn btn-sm" disabled>删除</button>'
         : `<button class="copy-btn btn-sm" data-link="${url}">复制</button><button class="remove-btn btn-sm" data-id="${safeId}" data-link="${url}">删除</button>`;
 
+      // 多引擎搜索会话：列出各引擎的搜索链接
+      const sessionHtml =
+        item.type === 'search_session' && Array.isArray(item.sessionLinks)
+          ? `<div class="history-session-links">${item.sessionLinks
+            .map(
+              (link) =>
+                `<a href="${escapeHtml(link.url)}" target="_blank" class="history-session-link">${escapeHtml(link.engine)}</a>`
+            )
+            .join('')}</div>`
+          : '';
+
       return `
             <div class="history-item ${isGithub ? 'github-item' : 'other-item'} ${editableClass}" data-id="${safeId}" data-url="${url}">
                 <div class="history-content">
                     ${linkHtml}
                     <span class="history-domain">${domain}</span>
+                    ${sessionHtml}
                 </div>
                 <div class="history-actions">
                     ${buttonsHtml}
@@ -2796,6 +3743,16 @@ function handleHistorySearch() {
 function handleClipboardHistorySearch() {
   const searchTerm = elements.clipboard_history_search.value.toLowerCase().trim();
   renderClipboardHistory(searchTerm);
+
+  // 拼音表首次按需加载，加载完成后按当前搜索词重新过滤
+  if (/^[a-z]+$/.test(searchTerm) && !isPinyinTableLoaded()) {
+    loadPinyinTable()
+      .then(() => {
+        const currentTerm = elements.clipboard_history_search.value.toLowerCase().trim();
+        if (currentTerm) renderClipboardHistory(currentTerm);
+      })
+      .catch((err) => logger.error('加载拼音表失败:', err));
+  }
 }
 
 /**
@@ -2888,6 +3845,14 @@ function setupEventListeners() {
     elements.search_btn.addEventListener('click', handleSearch);
   }
 
+  if (elements.engine_select) {
+    elements.engine_select.addEventListener('change', renderMultiEnginePicker);
+  }
+
+  if (elements.multi_engine_picker) {
+    elements.multi_engine_picker.addEventListener('change', handleMultiEnginePickerChange);
+  }
+
   if (elements.clipboard_btn) {
     elements.clipboard_btn.addEventListener('click', () => {
       toggleClipboardMonitoring();
@@ -2958,6 +3923,34 @@ function setupEventListeners() {
     elements.select_all_checkbox.addEventListener('change', handleSelectAll);
   }
 
+  if (elements.split_tag_toggle) {
+    elements.split_tag_toggle.addEventListener('change', handleSplitTaggingChange);
+  }
+
+  if (elements.split_tag_filter) {
+    elements.split_tag_filter.addEventListener('click', handleSplitTagFilterClick);
+  }
+
+  // 一键复制当前时间戳
+  if (elements.date_now_ms_btn) {
+    elements.date_now_ms_btn.addEventListener('click', (e) =>
+      copyToClipboard(String(Date.now()), e.currentTarget)
+    );
+  }
+
+  if (elements.date_now_seconds_btn) {
+    elements.date_now_seconds_btn.addEventListener('click', (e) =>
+      copyToClipboard(String(Math.floor(Date.now() / 1000)), e.currentTarget)
+    );
+  }
+
+  // 哈希校验工具展开时才计算
+  if (elements.hash_tool) {
+    elements.hash_tool.addEventListener('toggle', () => {
+      if (elements.search_input?.value.trim()) renderHashTool(elements.search_input.value);
+    });
+  }
+
   if (elements.path_quote_checkbox) {
     elements.path_quote_checkbox.addEventListener('change', () =>
       renderExtractionUI(elements.search_input ? elements.search_input.value : '')
@@ -3287,8 +4280,9 @@ function initializeResponsiveLayout() {
 }
 
 function handleCopySelected() {
+  // 启用标注筛选时只复制筛选后可见的选中项
   const selectedItems = appState.splitItemsState
-    .filter((item) => item.selected)
+    .filter((item) => item.selected && isSplitItemVisible(item))
     .map((item) => item.text);
   if (selectedItems.length === 0) {
     showNotification('未选择任何项目！', false);
@@ -3310,7 +4304,9 @@ function handleCopySelected() {
 
 function handleSelectAll(e) {
   const isSelected = e.target.checked;
-  appState.splitItemsState.forEach((item) => (item.selected = isSelected));
+  appState.splitItemsState.forEach((item) => {
+    if (isSplitItemVisible(item)) item.selected = isSelected;
+  });
   document
     .querySelectorAll('.split-item')
     .forEach((el) => el.classList.toggle('selected', isSelected));
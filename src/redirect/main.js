@@ -0,0 +1,57 @@
+// src/redirect/main.js
+
+/**
+ * POST 搜索中转页面
+ * 地址的 hash 部分是 JSON：{ url, params: [[key, value], ...], charset }
+ * 页面加载后构建表单并提交，字符集由表单的 accept-charset 处理
+ */
+
+const logger = {
+  info: (msg, ...args) => console.log(`[Decide Search-Redirect] ${msg}`, ...args),
+  error: (msg, ...args) => console.error(`[Decide Search-Redirect] ${msg}`, ...args)
+};
+
+function parsePayload() {
+  try {
+    const payload = JSON.parse(decodeURIComponent(location.hash.slice(1)));
+    const url = new URL(payload.url);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    return {
+      url: url.href,
+      params: Array.isArray(payload.params) ? payload.params : [],
+      charset: payload.charset || 'UTF-8'
+    };
+  } catch (error) {
+    logger.error('解析搜索参数失败:', error);
+    return null;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const status = document.getElementById('redirect-status');
+  const payload = parsePayload();
+
+  if (!payload) {
+    status.textContent = '搜索参数无效，无法跳转';
+    return;
+  }
+
+  const form = document.createElement('form');
+  form.method = 'POST';
+  form.action = payload.url;
+  form.acceptCharset = payload.charset;
+
+  payload.params.forEach(([name, value]) => {
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = String(name);
+    input.value = String(value ?? '');
+    form.appendChild(input);
+  });
+
+  document.body.appendChild(form);
+  logger.info(`提交 POST 搜索: ${payload.url}`);
+  form.submit();
+});
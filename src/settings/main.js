@@ -1,14 +1,32 @@
 // src/settings/main.js
 import { getSettings, saveSettings, DEFAULTS } from '../utils/storage.js';
+import {
+  SUPPORTED_CHARSETS,
+  getEngineKeyword,
+  validateEngineTemplate,
+  buildSearchRequest
+} from '../utils/searchEngines.js';
+import { BUILTIN_REPO_PROVIDERS, validateRepoProvider } from '../utils/repoProviders.js';
+import { isValidTimeZone } from '../utils/dateConverter.js';
+import { fastCWS } from '../utils/fastCWS.js';
+import { loadFullDictionary, getFullDictionaryStatus } from '../utils/cwsDictionary.js';
 import linkHistoryManager from '../utils/linkHistory.js';
 import clipboardHistoryManager from '../utils/clipboardHistory.js';
 import {
   createFullExport,
+  parseEngineImport,
+  createOpenSearchExport,
   parseImportData,
   extractDataForContext,
   IMPORT_CONTEXTS
 } from '../utils/exportImportSchema.js';
 
+const logger = {
+  info: (message, ...args) => console.log(`[Settings] ${message}`, ...args),
+  error: (message, ...args) => console.error(`[Settings] ${message}`, ...args),
+  warn: (message, ...args) => console.warn(`[Settings] ${message}`, ...args)
+};
+
 // XSS防护：HTML转义函数
 function escapeHtml(text) {
   if (text === null || text === undefined) return '';
@@ -22,7 +40,43 @@ document.addEventListener('DOMContentLoaded', async () => {
   const engineList = document.getElementById('engine-list');
   const newEngineNameInput = document.getElementById('new-engine-name');
   const newEngineTemplateInput = document.getElementById('new-engine-template');
+  const newEngineKeywordInput = document.getElementById('new-engine-keyword');
   const addEngineBtn = document.getElementById('add-engine-btn');
+  const newEngineMethodInput = document.getElementById('new-engine-method');
+  const newEngineCharsetInput = document.getElementById('new-engine-charset');
+  const newEnginePostBodyInput = document.getElementById('new-engine-post-body');
+  const engineTemplatePreview = document.getElementById('engine-template-preview');
+  const engineImportText = document.getElementById('engine-import-text');
+  const engineImportBtn = document.getElementById('engine-import-btn');
+  const engineImportFile = document.getElementById('engine-import-file');
+  const engineExportOpenSearchBtn = document.getElementById('engine-export-opensearch-btn');
+
+  // 仓库链接提供方元素
+  const repoProviderList = document.getElementById('repo-provider-list');
+  const newProviderNameInput = document.getElementById('new-provider-name');
+  const newProviderPatternsInput = document.getElementById('new-provider-patterns');
+  const newProviderTemplateInput = document.getElementById('new-provider-template');
+  const addProviderBtn = document.getElementById('add-provider-btn');
+  const resetProvidersBtn = document.getElementById('reset-providers-btn');
+
+  // 路径转换元素
+  const pathHomeDirInput = document.getElementById('path-home-dir');
+  const pathWslDistroInput = document.getElementById('path-wsl-distro');
+
+  // 日期时间元素
+  const dateTimezonesInput = document.getElementById('date-timezones');
+
+  // 自定义词典元素
+  const dictListTypeInput = document.getElementById('dict-list-type');
+  const dictWordCount = document.getElementById('dict-word-count');
+  const dictWordList = document.getElementById('dict-word-list');
+  const dictWordInput = document.getElementById('dict-word-input');
+  const dictAddBtn = document.getElementById('dict-add-btn');
+  const dictBulkText = document.getElementById('dict-bulk-text');
+  const dictBulkAddBtn = document.getElementById('dict-bulk-add-btn');
+  const dictImportFile = document.getElementById('dict-import-file');
+  const dictExportBtn = document.getElementById('dict-export-btn');
+  const dictClearBtn = document.getElementById('dict-clear-btn');
 
   // 链接历史元素
   const linkHistoryList = document.getElementById('link-history-list');
@@ -47,6 +101,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   // --- Tokenizer Settings Elements ---
   const cnUseDictInput = document.getElementById('cn-use-dict');
   const cnUseAlgoInput = document.getElementById('cn-use-algo');
+  const cnFullDictInput = document.getElementById('cn-full-dict');
+  const cnBidirectionalInput = document.getElementById('cn-bidirectional');
+  const cnUseHmmInput = document.getElementById('cn-use-hmm');
+  const cnFullDictStatus = document.getElementById('cn-full-dict-status');
   const aiEnabledInput = document.getElementById('ai-enabled');
   const aiProviderInput = document.getElementById('ai-provider');
   const aiBaseURLInput = document.getElementById('ai-base-url');
@@ -69,6 +127,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // --- Initial Rendering ---
   renderEngineList();
+  initEngineTemplateEditor();
+  renderRepoProviderList();
+  initPathSettings();
+  initDateSettings();
 
   // 初始化链接历史设置
   initLinkHistorySettings();
@@ -80,9 +142,45 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // 初始化分词设置
   initTokenizerSettings();
+  renderDictionaryList();
 
   // --- Event Listeners ---
   addEngineBtn.addEventListener('click', handleAddEngine);
+  if (engineImportBtn) {
+    engineImportBtn.addEventListener('click', () => importEngines(engineImportText.value));
+  }
+  if (engineImportFile) {
+    engineImportFile.addEventListener('change', handleEngineImportFile);
+  }
+  if (engineExportOpenSearchBtn) {
+    engineExportOpenSearchBtn.addEventListener('click', handleExportOpenSearch);
+  }
+  [newEngineTemplateInput, newEngineMethodInput, newEngineCharsetInput, newEnginePostBodyInput]
+    .filter(Boolean)
+    .forEach((input) => input.addEventListener('input', renderEngineTemplatePreview));
+  if (addProviderBtn) {
+    addProviderBtn.addEventListener('click', handleAddRepoProvider);
+  }
+  if (resetProvidersBtn) {
+    resetProvidersBtn.addEventListener('click', handleResetRepoProviders);
+  }
+  [pathHomeDirInput, pathWslDistroInput]
+    .filter(Boolean)
+    .forEach((input) => input.addEventListener('change', handleSavePathSettings));
+  if (dateTimezonesInput) {
+    dateTimezonesInput.addEventListener('change', handleSaveDateSettings);
+  }
+  if (dictWordList) {
+    dictListTypeInput.addEventListener('change', renderDictionaryList);
+    dictAddBtn.addEventListener('click', () => handleAddDictionaryWords(dictWordInput.value));
+    dictWordInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') handleAddDictionaryWords(dictWordInput.value);
+    });
+    dictBulkAddBtn.addEventListener('click', () => handleAddDictionaryWords(dictBulkText.value));
+    dictImportFile.addEventListener('change', handleImportDictionary);
+    dictExportBtn.addEventListener('click', handleExportDictionary);
+    dictClearBtn.addEventListener('click', handleClearDictionaryList);
+  }
   exportBtn.addEventListener('click', handleExport);
   importFileInput.addEventListener('change', handleImport);
 
@@ -127,6 +225,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   const openTestPageBtn = document.getElementById('open-test-page-btn');
   const openDebugPageBtn = document.getElementById('open-debug-page-btn');
   const openExamPageBtn = document.getElementById('open-exam-page-btn');
+  const openBenchmarkPageBtn = document.getElementById('open-benchmark-page-btn');
 
   if (openTestPageBtn) {
     openTestPageBtn.addEventListener('click', () => openTestPage('test/test.html'));
@@ -137,6 +236,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (openExamPageBtn) {
     openExamPageBtn.addEventListener('click', () => openTestPage('test/exam.html'));
   }
+  if (openBenchmarkPageBtn) {
+    openBenchmarkPageBtn.addEventListener('click', () => openTestPage('test/benchmark.html'));
+  }
 
   // Schema 调试弹窗事件
   const openSchemaDebugBtn = document.getElementById('open-schema-debug-btn');
@@ -168,6 +270,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   // 分词设置事件
   saveTokenizerBtn.addEventListener('click', handleSaveTokenizerSettings);
 
+  // 完整词典与 HMM 开关事件
+  cnFullDictInput.addEventListener('change', renderFullDictionaryStatus);
+  cnUseHmmInput.addEventListener('change', handleUseHmmChange);
+
   // AI启用开关事件
   aiEnabledInput.addEventListener('change', handleAIEnabledChange);
 
@@ -418,11 +524,19 @@ document.addEventListener('DOMContentLoaded', async () => {
       item.className = 'engine-item';
       const safeName = escapeHtml(engine.name);
       const safeTemplate = escapeHtml(engine.template);
+      const badges = [
+        engine.keyword ? `ds ${engine.keyword}` : '',
+        engine.method === 'POST' ? 'POST' : '',
+        engine.charset || ''
+      ]
+        .filter((b) => b && b !== 'UTF-8')
+        .map((b) => escapeHtml(b))
+        .join(' · ');
       item.innerHTML = `
                 <input type="radio" name="default-engine" value="${safeName}" ${isDefault ? 'checked' : ''} data-index="${index}" id="engine-${index}" style="margin-right: 8px;">
                 <div class="engine-info">
                     <div class="engine-name">${safeName}</div>
-                    <div class="engine-url">${safeTemplate}</div>
+                    <div class="engine-url">${badges ? `[${badges}] ` : ''}${safeTemplate}</div>
                 </div>
                 <div class="engine-actions">
                     <button class="engine-btn delete" data-index="${index}" title="删除">
@@ -477,8 +591,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    if (!template.includes('%s')) {
-      showNotification('URL模板必须包含 "%s" 作为搜索词占位符', false);
+    const newEngine = readEngineForm(name, template);
+    const { valid, errors } = validateEngineTemplate(newEngine);
+    if (!valid) {
+      showNotification(errors[0], false);
       newEngineTemplateInput.focus();
       return;
     }
@@ -492,14 +608,174 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    settings.searchEngines.push({ name, template });
+    if (newEngine.keyword) {
+      if (/\s/.test(newEngine.keyword)) {
+        showNotification('关键词不能包含空格', false);
+        newEngineKeywordInput.focus();
+        return;
+      }
+      const keywordOwner = settings.searchEngines.find(
+        (engine) => getEngineKeyword(engine) === newEngine.keyword
+      );
+      if (keywordOwner) {
+        showNotification(`关键词已被「${keywordOwner.name}」使用`, false);
+        newEngineKeywordInput.focus();
+        return;
+      }
+    }
+
+    settings.searchEngines.push(newEngine);
     await saveSettings(settings);
     renderEngineList();
     newEngineNameInput.value = '';
     newEngineTemplateInput.value = '';
+    if (newEngineKeywordInput) newEngineKeywordInput.value = '';
+    if (newEnginePostBodyInput) newEnginePostBodyInput.value = '';
+    renderEngineTemplatePreview();
     showNotification('搜索引擎添加成功！');
   }
 
+  /**
+   * 从添加表单读取引擎配置，GET/UTF-8 为默认值不写入，关键词留空时不写入
+   */
+  function readEngineForm(name, template) {
+    const engine = { name, template };
+    const keyword = newEngineKeywordInput?.value.trim().toLowerCase() || '';
+    if (keyword) {
+      engine.keyword = keyword;
+    }
+    const method = newEngineMethodInput?.value || 'GET';
+    const charset = newEngineCharsetInput?.value || 'UTF-8';
+    if (method === 'POST') {
+      engine.method = 'POST';
+      engine.postBody = newEnginePostBodyInput?.value.trim() || '';
+    }
+    if (charset !== 'UTF-8') {
+      engine.charset = charset;
+    }
+    return engine;
+  }
+
+  function initEngineTemplateEditor() {
+    if (newEngineCharsetInput) {
+      newEngineCharsetInput.innerHTML = SUPPORTED_CHARSETS.map(
+        (charset) => `<option value="${charset}">${charset}</option>`
+      ).join('');
+    }
+    renderEngineTemplatePreview();
+  }
+
+  /**
+   * 用示例内容预览模板展开结果
+   */
+  function renderEngineTemplatePreview() {
+    if (!engineTemplatePreview) return;
+
+    const isPost = newEngineMethodInput?.value === 'POST';
+    if (newEnginePostBodyInput) {
+      newEnginePostBodyInput.style.display = isPost ? '' : 'none';
+    }
+
+    const template = newEngineTemplateInput.value.trim();
+    if (!template) {
+      engineTemplatePreview.classList.remove('error');
+      engineTemplatePreview.textContent =
+        '可用占位符: {query} {query:raw} {query:plus} {selection} {pageUrl} {pageHost} {lang}';
+      return;
+    }
+
+    const engine = readEngineForm('preview', template);
+    const { valid, errors } = validateEngineTemplate(engine);
+    engineTemplatePreview.classList.toggle('error', !valid);
+    if (!valid) {
+      engineTemplatePreview.textContent = errors.join('；');
+      return;
+    }
+
+    const request = buildSearchRequest(engine, '搜索 示例', {
+      pageUrl: 'https://example.com/page',
+      pageHost: 'example.com',
+      lang: navigator.language
+    });
+    const body = request.params.map(([key, value]) => `${key}=${value}`).join('&');
+    engineTemplatePreview.textContent =
+      `预览 (${request.method}): ${request.url}` + (body ? `  参数: ${body}` : '');
+  }
+
+  /**
+   * 导入搜索引擎（OpenSearch XML / 浏览器导出），同名引擎跳过
+   * @param {string} raw - 原始文本
+   */
+  async function importEngines(raw) {
+    if (!raw || !raw.trim()) {
+      showNotification('请先粘贴或选择要导入的内容', false);
+      return;
+    }
+
+    const result = parseEngineImport(raw);
+    if (!result.success) {
+      showNotification(result.error, false);
+      return;
+    }
+
+    const existingNames = new Set(settings.searchEngines.map((e) => e.name.toLowerCase()));
+    const added = [];
+    result.engines.forEach((engine) => {
+      const key = engine.name.toLowerCase();
+      if (!existingNames.has(key)) {
+        existingNames.add(key);
+        added.push(engine);
+      }
+    });
+
+    if (added.length === 0) {
+      showNotification('没有新的搜索引擎（名称均已存在）', false);
+      return;
+    }
+
+    settings.searchEngines.push(...added);
+    await saveSettings(settings);
+    renderEngineList();
+    if (engineImportText) engineImportText.value = '';
+
+    const skippedCount = result.engines.length - added.length + result.skipped.length;
+    showNotification(
+      `已导入 ${added.length} 个搜索引擎` + (skippedCount > 0 ? `，跳过 ${skippedCount} 个` : '')
+    );
+  }
+
+  async function handleEngineImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      await importEngines(await file.text());
+    } catch (error) {
+      logger.error('读取搜索引擎文件失败:', error);
+      showNotification('读取文件失败', false);
+    }
+    event.target.value = '';
+  }
+
+  /**
+   * 导出搜索引擎：每个引擎一个标准 OpenSearch 描述文件，浏览器和本扩展都能导入
+   */
+  function handleExportOpenSearch() {
+    const exportData = createOpenSearchExport(settings.searchEngines);
+    exportData.data.openSearch.forEach(({ filename, xml }) => {
+      const blob = new Blob([xml], { type: 'application/opensearchdescription+xml' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    });
+    showNotification(`已导出 ${exportData.data.openSearch.length} 个 OpenSearch 描述文件`);
+  }
+
   async function handleRemoveEngine(index) {
     if (settings.searchEngines.length <= 1) {
       showNotification('必须至少保留一个搜索引擎', false);
@@ -520,6 +796,295 @@ document.addEventListener('DOMContentLoaded', async () => {
     showNotification('默认搜索引擎已更新');
   }
 
+  // ===== 路径转换 =====
+  function initPathSettings() {
+    const pathSettings = { ...DEFAULTS.pathSettings, ...settings.pathSettings };
+    if (pathHomeDirInput) pathHomeDirInput.value = pathSettings.homeDir;
+    if (pathWslDistroInput) pathWslDistroInput.value = pathSettings.wslDistro;
+  }
+
+  async function handleSavePathSettings() {
+    settings.pathSettings = {
+      homeDir: pathHomeDirInput.value.trim(),
+      wslDistro: pathWslDistroInput.value.trim()
+    };
+    await saveSettings(settings);
+    showNotification('路径转换设置已保存');
+  }
+
+  // ===== 日期时间 =====
+  function initDateSettings() {
+    const dateSettings = { ...DEFAULTS.dateSettings, ...settings.dateSettings };
+    if (dateTimezonesInput) dateTimezonesInput.value = dateSettings.timezones.join(', ');
+  }
+
+  async function handleSaveDateSettings() {
+    const timezones = [
+      ...new Set(
+        dateTimezonesInput.value
+          .split(/[,，\s]+/)
+          .map((zone) => zone.trim())
+          .filter(Boolean)
+      )
+    ];
+    const invalid = timezones.filter((zone) => !isValidTimeZone(zone));
+    if (invalid.length > 0) {
+      showNotification(`无法识别的时区：${invalid.join(', ')}`, false);
+      return;
+    }
+
+    settings.dateSettings = {
+      timezones: timezones.length > 0 ? timezones : [...DEFAULTS.dateSettings.timezones]
+    };
+    dateTimezonesInput.value = settings.dateSettings.timezones.join(', ');
+    await saveSettings(settings);
+    showNotification('日期时间设置已保存');
+  }
+
+  // ===== 仓库链接提供方 =====
+  function getRepoProviders() {
+    if (!Array.isArray(settings.repoProviders)) {
+      settings.repoProviders = BUILTIN_REPO_PROVIDERS.map((p) => ({ ...p }));
+    }
+    return settings.repoProviders;
+  }
+
+  function renderRepoProviderList() {
+    if (!repoProviderList) return;
+    repoProviderList.innerHTML = '';
+    getRepoProviders().forEach((provider, index) => {
+      const item = document.createElement('div');
+      item.className = 'engine-item';
+      item.innerHTML = `
+                <div class="engine-info">
+                    <div class="engine-name">${escapeHtml(provider.name)}</div>
+                    <div class="engine-url">[${escapeHtml(provider.patterns.join(', '))}] ${escapeHtml(provider.template)}</div>
+                </div>
+                <div class="engine-actions">
+                    <button class="engine-btn delete" data-index="${index}" title="删除">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-trash-2">
+                            <path d="M3 6h18"/>
+                            <path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/>
+                            <path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/>
+                            <line x1="10" x2="10" y1="11" y2="17"/>
+                            <line x1="14" x2="14" y1="11" y2="17"/>
+                        </svg>
+                    </button>
+                </div>
+            `;
+      repoProviderList.appendChild(item);
+    });
+    repoProviderList.querySelectorAll('.engine-btn.delete').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        const index = parseInt(e.currentTarget.dataset.index);
+        handleRemoveRepoProvider(index);
+      });
+    });
+  }
+
+  async function handleAddRepoProvider() {
+    const provider = {
+      name: newProviderNameInput.value.trim(),
+      patterns: newProviderPatternsInput.value
+        .split(',')
+        .map((p) => p.trim())
+        .filter(Boolean),
+      template: newProviderTemplateInput.value.trim()
+    };
+
+    const { valid, errors } = validateRepoProvider(provider);
+    if (!valid) {
+      showNotification(errors[0], false);
+      return;
+    }
+
+    const providers = getRepoProviders();
+    const nameExists = providers.some((p) => p.name.toLowerCase() === provider.name.toLowerCase());
+    if (nameExists) {
+      showNotification('该提供方名称已存在', false);
+      newProviderNameInput.focus();
+      return;
+    }
+
+    providers.push(provider);
+    await saveSettings(settings);
+    renderRepoProviderList();
+    newProviderNameInput.value = '';
+    newProviderPatternsInput.value = '';
+    newProviderTemplateInput.value = '';
+    showNotification('仓库链接提供方添加成功！');
+  }
+
+  async function handleRemoveRepoProvider(index) {
+    getRepoProviders().splice(index, 1);
+    await saveSettings(settings);
+    renderRepoProviderList();
+    showNotification('仓库链接提供方已删除');
+  }
+
+  async function handleResetRepoProviders() {
+    if (!confirm('确定要恢复默认的仓库链接提供方吗？自定义的提供方将被删除。')) return;
+    settings.repoProviders = BUILTIN_REPO_PROVIDERS.map((p) => ({ ...p }));
+    await saveSettings(settings);
+    renderRepoProviderList();
+    showNotification('已恢复默认提供方');
+  }
+
+  // ===== 自定义词典 =====
+  const DICTIONARY_LIST_NAMES = {
+    words: '自定义词',
+    neverSplit: '不拆分词',
+    stopWords: '停用词'
+  };
+
+  function getCustomDictionary() {
+    settings.customDictionary = { ...DEFAULTS.customDictionary, ...settings.customDictionary };
+    return settings.customDictionary;
+  }
+
+  /**
+   * 把粘贴或导入的文本拆成词，每行一个，也支持逗号、顿号分隔
+   * @param {string} text - 原始文本
+   * @returns {Array<string>}
+   */
+  function parseDictionaryWords(text) {
+    return String(text || '')
+      .split(/[\r\n,，、;；]+/)
+      .map((word) => word.trim())
+      .filter(Boolean);
+  }
+
+  function renderDictionaryList() {
+    const listType = dictListTypeInput.value;
+    const words = getCustomDictionary()[listType];
+    dictWordCount.textContent = `共 ${words.length} 个`;
+
+    if (words.length === 0) {
+      dictWordList.innerHTML = `<span class="input-hint">暂无${DICTIONARY_LIST_NAMES[listType]}</span>`;
+      return;
+    }
+
+    dictWordList.innerHTML = words
+      .map(
+        (word, index) => `
+                <span class="dict-word">
+                    ${escapeHtml(word)}
+                    <button data-index="${index}" title="删除">×</button>
+                </span>
+            `
+      )
+      .join('');
+    dictWordList.querySelectorAll('button').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        handleRemoveDictionaryWord(parseInt(e.currentTarget.dataset.index));
+      });
+    });
+  }
+
+  /**
+   * 向当前词表添加词，已存在的词跳过
+   * @param {string} text - 单个词或批量文本
+   * @param {string} listType - 词表类型，默认为当前选中的词表
+   */
+  async function handleAddDictionaryWords(text, listType = dictListTypeInput.value) {
+    const words = parseDictionaryWords(text);
+    if (words.length === 0) {
+      showNotification('请输入要添加的词', false);
+      return;
+    }
+
+    const dictionary = getCustomDictionary();
+    const list = dictionary[listType];
+    const existing = new Set(list);
+    const added = words.filter((word) => !existing.has(word) && existing.add(word));
+
+    if (added.length === 0) {
+      showNotification('这些词已在词表中', false);
+      return;
+    }
+
+    dictionary[listType] = [...list, ...added];
+    await saveSettings(settings);
+    dictWordInput.value = '';
+    dictBulkText.value = '';
+    renderDictionaryList();
+    showNotification(`已添加 ${added.length} 个${DICTIONARY_LIST_NAMES[listType]}`);
+  }
+
+  async function handleRemoveDictionaryWord(index) {
+    const dictionary = getCustomDictionary();
+    const listType = dictListTypeInput.value;
+    dictionary[listType] = dictionary[listType].filter((_, i) => i !== index);
+    await saveSettings(settings);
+    renderDictionaryList();
+  }
+
+  async function handleClearDictionaryList() {
+    const listType = dictListTypeInput.value;
+    if (!confirm(`确定要清空全部${DICTIONARY_LIST_NAMES[listType]}吗？`)) return;
+    getCustomDictionary()[listType] = [];
+    await saveSettings(settings);
+    renderDictionaryList();
+    showNotification(`已清空${DICTIONARY_LIST_NAMES[listType]}`);
+  }
+
+  /**
+   * 导入词典：JSON 文件按词表合并，文本文件导入到当前词表
+   */
+  async function handleImportDictionary(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      if (!file.name.toLowerCase().endsWith('.json')) {
+        await handleAddDictionaryWords(text);
+        return;
+      }
+
+      const data = JSON.parse(text);
+      const dictionary = getCustomDictionary();
+      let addedCount = 0;
+      for (const listType of Object.keys(DICTIONARY_LIST_NAMES)) {
+        // 纯数组视为当前词表
+        const incoming = Array.isArray(data)
+          ? listType === dictListTypeInput.value && data
+          : data[listType];
+        if (!Array.isArray(incoming)) continue;
+
+        const existing = new Set(dictionary[listType]);
+        const added = parseDictionaryWords(incoming.join('\n')).filter(
+          (word) => !existing.has(word) && existing.add(word)
+        );
+        dictionary[listType] = [...dictionary[listType], ...added];
+        addedCount += added.length;
+      }
+
+      await saveSettings(settings);
+      renderDictionaryList();
+      showNotification(`已导入 ${addedCount} 个词`);
+    } catch (error) {
+      logger.error('导入词典失败:', error);
+      showNotification('导入失败：文件格式不正确', false);
+    } finally {
+      event.target.value = '';
+    }
+  }
+
+  function handleExportDictionary() {
+    const json = JSON.stringify(getCustomDictionary(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `custom-dictionary-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    showNotification('词典已导出');
+  }
+
   /**
    * 显示导出选项对话框
    * @returns {Promise<Object|null>} 导出选项或null（取消）
@@ -912,6 +1477,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     cnUseDictInput.checked = ts.cnUseDict !== false;
     cnUseAlgoInput.checked = ts.cnUseAlgo !== false;
+    cnFullDictInput.checked = ts.cnFullDict === true;
+    cnBidirectionalInput.checked = ts.cnBidirectional !== false;
+    cnUseHmmInput.checked = ts.cnUseHmm === true;
+    handleUseHmmChange();
 
     // AI设置
     aiEnabledInput.checked = ts.aiEnabled === true;
@@ -952,6 +1521,50 @@ document.addEventListener('DOMContentLoaded', async () => {
     historyMaxSizeInput.value = ts.historyMaxSize || 6;
   }
 
+  /**
+   * 显示完整词典状态：启用时加载词典并显示词数、文件大小和内存估算
+   */
+  async function renderFullDictionaryStatus() {
+    if (!cnFullDictInput.checked) {
+      const { wordCount } = fastCWS.getStats();
+      cnFullDictStatus.textContent = `未启用，使用内置精简词典（${wordCount} 个词）`;
+      return;
+    }
+
+    cnFullDictStatus.textContent = '正在加载完整词典...';
+    try {
+      await loadFullDictionary();
+    } catch (error) {
+      // 错误信息由状态对象提供
+      logger.warn('完整词典加载失败:', error);
+    }
+
+    const status = getFullDictionaryStatus();
+    if (status.state === 'error') {
+      cnFullDictStatus.textContent = `完整词典加载失败：${status.error}`;
+      return;
+    }
+    cnFullDictStatus.textContent =
+      `已加载 ${status.wordCount} 个词，文件 ${formatBytes(status.fileBytes)}，` +
+      `内存约 ${formatBytes(status.estimatedBytes)}，耗时 ${status.loadTime} ms`;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * HMM 只切分词典没有匹配上的单字片段，内置词典太小时几乎整句都交给 HMM，
+   * 所以开启 HMM 时一并使用完整词典
+   */
+  function handleUseHmmChange() {
+    if (cnUseHmmInput.checked) cnFullDictInput.checked = true;
+    cnFullDictInput.disabled = cnUseHmmInput.checked;
+    renderFullDictionaryStatus();
+  }
+
   /**
    * 处理AI启用开关变化
    */
@@ -1079,6 +1692,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     const tokenizerSettings = {
       cnUseDict: cnUseDictInput.checked,
       cnUseAlgo: cnUseAlgoInput.checked,
+      cnFullDict: cnFullDictInput.checked,
+      cnBidirectional: cnBidirectionalInput.checked,
+      cnUseHmm: cnUseHmmInput.checked,
       aiEnabled: aiEnabledInput.checked,
       aiProvider: aiProviderInput.value,
       aiBaseURL: aiBaseURLInput.value.trim(),
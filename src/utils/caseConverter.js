@@ -0,0 +1,169 @@
+/**
+ * 命名风格转换模块
+ * 把任意命名（camelCase、snake_case、kebab-case、dot.case、path/case、普通词组等）
+ * 拆成单词后输出各种命名风格。拆词复用 textProcessor 的 splitNaming，
+ * 连续大写的缩写会被正确切开：HTTPServer → HTTP + Server。
+ */
+
+import { splitNaming } from './textProcessor.js';
+
+// 单个标识符：字母或 _ $ 开头，可含数字和常见分隔符（空格、. _ - / : \）
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*(?:[\s._\-/:\\]+[\w$]+)*$/;
+
+// 一次最多转换的标识符数量
+const MAX_IDENTIFIERS = 50;
+
+// ============================================================================
+// 拆词
+// ============================================================================
+
+/**
+ * 把标识符拆成单词（保留原大小写）
+ * @param {string} identifier - 标识符
+ * @returns {string[]}
+ */
+export function splitIdentifier(identifier) {
+  if (!identifier) return [];
+
+  return (
+    identifier
+      // 数字后接大写字母也是单词边界：utf8Encoder → utf8 Encoder
+      .replace(/(\d)([A-Z])/g, '$1 $2')
+      .split(/[\s._\-/:\\$]+/)
+      .filter(Boolean)
+      .flatMap((part) => splitNaming(part))
+  );
+}
+
+/**
+ * 标准化单词：统一小写，并标记缩写
+ * 输入整体是大写（如 SCREAMING_SNAKE）时不视为缩写，否则两个字母以上的全大写单词视为缩写
+ * @param {string[]} words - 原始单词
+ * @returns {Array<{lower: string, acronym: boolean, original: string}>}
+ */
+function normalizeWords(words) {
+  const allUpper = words.every((word) => word === word.toUpperCase());
+  return words.map((word) => ({
+    lower: word.toLowerCase(),
+    acronym: !allUpper && word.length >= 2 && /[A-Z]/.test(word) && word === word.toUpperCase(),
+    original: word
+  }));
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// ============================================================================
+// 命名风格
+// ============================================================================
+
+export const CASE_STYLES = {
+  camel: {
+    name: 'camelCase',
+    convert: (words) =>
+      words.map((w, i) => (i === 0 ? w.lower : capitalize(w.lower))).join('')
+  },
+  pascal: {
+    name: 'PascalCase',
+    convert: (words) => words.map((w) => capitalize(w.lower)).join('')
+  },
+  snake: {
+    name: 'snake_case',
+    convert: (words) => words.map((w) => w.lower).join('_')
+  },
+  screamingSnake: {
+    name: 'SCREAMING_SNAKE',
+    convert: (words) => words.map((w) => w.lower.toUpperCase()).join('_')
+  },
+  kebab: {
+    name: 'kebab-case',
+    convert: (words) => words.map((w) => w.lower).join('-')
+  },
+  dot: {
+    name: 'dot.case',
+    convert: (words) => words.map((w) => w.lower).join('.')
+  },
+  path: {
+    name: 'path/case',
+    convert: (words) => words.map((w) => w.lower).join('/')
+  },
+  title: {
+    name: 'Title Case',
+    convert: (words) => words.map((w) => (w.acronym ? w.original : capitalize(w.lower))).join(' ')
+  },
+  sentence: {
+    name: 'Sentence case',
+    convert: (words) =>
+      words
+        .map((w, i) => {
+          if (w.acronym) return w.original;
+          return i === 0 ? capitalize(w.lower) : w.lower;
+        })
+        .join(' ')
+  }
+};
+
+/**
+ * 转换标识符的命名风格
+ * @param {string} identifier - 标识符
+ * @param {string} style - CASE_STYLES 中的风格
+ * @returns {string}
+ */
+export function convertCase(identifier, style) {
+  const caseStyle = CASE_STYLES[style];
+  if (!caseStyle) {
+    throw new Error(`未知命名风格: ${style}`);
+  }
+  const words = splitIdentifier(identifier);
+  return words.length > 0 ? caseStyle.convert(normalizeWords(words)) : identifier;
+}
+
+// ============================================================================
+// 标识符列表
+// ============================================================================
+
+/**
+ * 解析标识符列表：每行一个，也可用逗号、分号分隔；不是标识符列表时返回 null
+ * @param {string} text - 输入文本
+ * @returns {string[]|null}
+ */
+export function parseIdentifierList(text) {
+  if (!text || !text.trim()) return null;
+
+  const identifiers = text
+    .split(/[\r\n,;，；]+/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  if (identifiers.length === 0 || identifiers.length > MAX_IDENTIFIERS) return null;
+  // 排除链接和 Windows 盘符路径，它们由链接提取和路径转换处理
+  const valid = identifiers.every(
+    (identifier) =>
+      IDENTIFIER_REGEX.test(identifier) &&
+      !identifier.includes('://') &&
+      !/^[A-Za-z]:[\\/]/.test(identifier)
+  );
+  return valid ? identifiers : null;
+}
+
+/**
+ * 把标识符列表转换为所有命名风格，多个标识符按行输出
+ * @param {string[]} identifiers - 标识符列表
+ * @returns {Array<{style: string, name: string, value: string}>}
+ */
+export function convertAllCases(identifiers) {
+  return Object.entries(CASE_STYLES).map(([style, { name }]) => ({
+    style,
+    name,
+    value: identifiers.map((identifier) => convertCase(identifier, style)).join('\n')
+  }));
+}
+
+export default {
+  CASE_STYLES,
+  splitIdentifier,
+  convertCase,
+  parseIdentifierList,
+  convertAllCases
+};
@@ -0,0 +1,351 @@
+/**
+ * 简繁转换与拼音模块
+ * 转换表打包在 src/data/zh-convert.json（来自 OpenCC），拼音表打包在 src/data/pinyin.json，
+ * 均离线可用，首次使用时加载，同一页面会话内只解析一次。
+ * 转换和拼音都先按词组做正向最大匹配，再逐字查表，以处理「头发」「银行」这类一对多的字。
+ */
+
+export const ZH_CONVERT_PATH = 'src/data/zh-convert.json';
+export const PINYIN_PATH = 'src/data/pinyin.json';
+
+// 拼音索引缓存上限（剪贴板历史搜索时按文本缓存）
+const PINYIN_INDEX_CACHE_LIMIT = 500;
+
+let convertPromise = null;
+let pinyinPromise = null;
+let pinyinTable = null;
+const pinyinIndexCache = new Map();
+
+// ============================================================================
+// 数据加载
+// ============================================================================
+
+/**
+ * 获取打包数据文件地址
+ * @param {string} path - 相对扩展根目录的路径
+ * @returns {string}
+ */
+function getDataUrl(path) {
+  if (typeof chrome !== 'undefined' && chrome.runtime?.getURL) {
+    return chrome.runtime.getURL(path);
+  }
+  return `/${path}`;
+}
+
+async function fetchJson(path) {
+  const response = await fetch(getDataUrl(path));
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * 编译词组表，记录最长词组的字数供最大匹配使用
+ * @param {Map} phrases - 词组 → 结果
+ * @returns {{phrases: Map, maxLen: number}}
+ */
+function compilePhrases(phrases) {
+  let maxLen = 1;
+  for (const phrase of phrases.keys()) {
+    maxLen = Math.max(maxLen, Array.from(phrase).length);
+  }
+  return { phrases, maxLen };
+}
+
+/**
+ * 编译单向转换表
+ * @param {object} data - { from, to, phrases }，from/to 为逐字对齐的字符串
+ * @returns {{chars: Map, phrases: Map, maxLen: number}}
+ */
+function compileConvertTable(data) {
+  const from = Array.from(data.from);
+  const to = Array.from(data.to);
+  const chars = new Map(from.map((char, index) => [char, to[index]]));
+  return { chars, ...compilePhrases(new Map(Object.entries(data.phrases || {}))) };
+}
+
+/**
+ * 加载简繁转换表，同一会话内只请求一次
+ * @returns {Promise<{s2t: object, t2s: object}>}
+ */
+export function loadConvertTables() {
+  if (convertPromise) return convertPromise;
+
+  convertPromise = fetchJson(ZH_CONVERT_PATH)
+    .then((data) => ({
+      s2t: compileConvertTable(data.s2t),
+      t2s: compileConvertTable(data.t2s)
+    }))
+    .catch((error) => {
+      convertPromise = null;
+      throw error;
+    });
+
+  return convertPromise;
+}
+
+/**
+ * 加载拼音表，同一会话内只请求一次
+ * @returns {Promise<{chars: Map, phrases: Map, maxLen: number}>}
+ */
+export function loadPinyinTable() {
+  if (pinyinPromise) return pinyinPromise;
+
+  pinyinPromise = fetchJson(PINYIN_PATH)
+    .then((data) => {
+      const chars = new Map();
+      for (const [syllable, list] of Object.entries(data.chars)) {
+        for (const char of list) {
+          chars.set(char, syllable);
+        }
+      }
+      const phrases = new Map(
+        Object.entries(data.phrases || {}).map(([phrase, syllables]) => [phrase, syllables.split(' ')])
+      );
+      pinyinTable = { chars, ...compilePhrases(phrases) };
+      return pinyinTable;
+    })
+    .catch((error) => {
+      pinyinPromise = null;
+      throw error;
+    });
+
+  return pinyinPromise;
+}
+
+/**
+ * 拼音表是否已加载（供同步搜索判断）
+ * @returns {boolean}
+ */
+export function isPinyinTableLoaded() {
+  return pinyinTable !== null;
+}
+
+// ============================================================================
+// 简繁转换
+// ============================================================================
+
+/**
+ * 按转换表转换文本：词组正向最大匹配，未命中时逐字转换
+ * @param {object} table - 编译后的转换表
+ * @param {string} text - 输入文本
+ * @returns {string}
+ */
+function convertWithTable(table, text) {
+  const chars = Array.from(text);
+  let result = '';
+
+  for (let i = 0; i < chars.length; ) {
+    let matched = false;
+    for (let len = Math.min(table.maxLen, chars.length - i); len >= 2; len--) {
+      const phrase = chars.slice(i, i + len).join('');
+      const converted = table.phrases.get(phrase);
+      if (converted !== undefined) {
+        result += converted;
+        i += len;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      result += table.chars.get(chars[i]) || chars[i];
+      i++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 简体转繁体
+ * @param {string} text - 输入文本
+ * @returns {Promise<string>}
+ */
+export async function toTraditional(text) {
+  if (!text) return '';
+  const tables = await loadConvertTables();
+  return convertWithTable(tables.s2t, text);
+}
+
+/**
+ * 繁体转简体
+ * @param {string} text - 输入文本
+ * @returns {Promise<string>}
+ */
+export async function toSimplified(text) {
+  if (!text) return '';
+  const tables = await loadConvertTables();
+  return convertWithTable(tables.t2s, text);
+}
+
+// ============================================================================
+// 拼音
+// ============================================================================
+
+/**
+ * 去除声调符号，保留 ü
+ * @param {string} syllable - 带声调的拼音
+ * @returns {string}
+ */
+export function removeToneMarks(syllable) {
+  return syllable
+    .normalize('NFD')
+    .replace(/[\u0300\u0301\u0304\u030c]/g, '')
+    .normalize('NFC');
+}
+
+/**
+ * 把文本切成拼音片段：汉字为 { pinyin }，其余连续字符为 { text }
+ * @param {object} table - 编译后的拼音表
+ * @param {string} text - 输入文本
+ * @returns {Array<{text: string, pinyin?: string}>}
+ */
+function toPinyinSegments(table, text) {
+  const chars = Array.from(text);
+  const segments = [];
+
+  const pushText = (char) => {
+    const last = segments[segments.length - 1];
+    if (last && last.pinyin === undefined) {
+      last.text += char;
+    } else {
+      segments.push({ text: char });
+    }
+  };
+
+  for (let i = 0; i < chars.length; ) {
+    let matched = false;
+    for (let len = Math.min(table.maxLen, chars.length - i); len >= 2; len--) {
+      const syllables = table.phrases.get(chars.slice(i, i + len).join(''));
+      if (syllables) {
+        syllables.forEach((pinyin, offset) => segments.push({ text: chars[i + offset], pinyin }));
+        i += len;
+        matched = true;
+        break;
+      }
+    }
+    if (matched) continue;
+
+    const pinyin = table.chars.get(chars[i]);
+    if (pinyin) {
+      segments.push({ text: chars[i], pinyin });
+    } else {
+      pushText(chars[i]);
+    }
+    i++;
+  }
+
+  return segments;
+}
+
+/**
+ * 汉字转拼音，音节之间用空格分隔，非汉字原样保留
+ * @param {string} text - 输入文本
+ * @param {object} options - 选项
+ * @param {boolean} options.tone - 是否保留声调，默认 true
+ * @returns {Promise<string>}
+ */
+export async function toPinyin(text, options = {}) {
+  if (!text) return '';
+  const { tone = true } = options;
+  const table = await loadPinyinTable();
+
+  let result = '';
+  let lastIsPinyin = false;
+  for (const segment of toPinyinSegments(table, text)) {
+    const isPinyin = segment.pinyin !== undefined;
+    const piece = isPinyin ? (tone ? segment.pinyin : removeToneMarks(segment.pinyin)) : segment.text;
+    // 拼音与相邻内容之间补一个空格，原文已有空白或相邻的是标点时不添加
+    if (
+      result &&
+      (isPinyin || lastIsPinyin) &&
+      !/[\s\p{P}]$/u.test(result) &&
+      !/^[\s\p{P}]/u.test(piece)
+    ) {
+      result += ' ';
+    }
+    result += piece;
+    lastIsPinyin = isPinyin;
+  }
+  return result;
+}
+
+/**
+ * 汉字转拼音首字母，如「北京大学」→「bjdx」，非汉字原样保留
+ * @param {string} text - 输入文本
+ * @returns {Promise<string>}
+ */
+export async function toPinyinInitials(text) {
+  if (!text) return '';
+  const table = await loadPinyinTable();
+  return toPinyinSegments(table, text)
+    .map((segment) =>
+      segment.pinyin !== undefined ? removeToneMarks(segment.pinyin)[0] : segment.text
+    )
+    .join('');
+}
+
+/**
+ * 获取文本的拼音索引（全拼和首字母，小写无声调，ü 记作 v）
+ * 需要先加载拼音表，未加载时返回 null
+ * @param {string} text - 输入文本
+ * @returns {{full: string, initials: string}|null}
+ */
+export function getPinyinIndex(text) {
+  if (!pinyinTable || !text) return null;
+
+  const cached = pinyinIndexCache.get(text);
+  if (cached) return cached;
+
+  let full = '';
+  let initials = '';
+  for (const segment of toPinyinSegments(pinyinTable, text)) {
+    if (segment.pinyin !== undefined) {
+      const syllable = removeToneMarks(segment.pinyin).replace(/ü/g, 'v');
+      full += syllable;
+      initials += syllable[0];
+    } else {
+      const plain = segment.text.toLowerCase().replace(/\s+/g, '');
+      full += plain;
+      initials += plain;
+    }
+  }
+
+  if (pinyinIndexCache.size >= PINYIN_INDEX_CACHE_LIMIT) {
+    pinyinIndexCache.clear();
+  }
+  const index = { full, initials };
+  pinyinIndexCache.set(text, index);
+  return index;
+}
+
+/**
+ * 判断文本是否匹配拼音搜索词（全拼或首字母），如 bjdx、beijing 都能匹配「北京大学」
+ * @param {string} text - 被搜索的文本
+ * @param {string} query - 搜索词，只有纯字母时才按拼音匹配
+ * @returns {boolean}
+ */
+export function matchesPinyin(text, query) {
+  if (!query || !/^[a-z]+$/i.test(query)) return false;
+  const index = getPinyinIndex(text);
+  if (!index) return false;
+
+  const q = query.toLowerCase();
+  return index.initials.includes(q) || index.full.includes(q);
+}
+
+export default {
+  ZH_CONVERT_PATH,
+  PINYIN_PATH,
+  loadConvertTables,
+  loadPinyinTable,
+  isPinyinTableLoaded,
+  toTraditional,
+  toSimplified,
+  removeToneMarks,
+  toPinyin,
+  toPinyinInitials,
+  getPinyinIndex,
+  matchesPinyin
+};
@@ -2,8 +2,15 @@
  * 代码分析器 - Code Analyzer
  *
  * 功能：
+ * - 语言识别：结构特征 + 关键字打分，识别 JavaScript/TypeScript、Go、Rust、Java、
+ *   C/C++、Python、Shell、SQL，无法识别时退化为按结构判断
+ * - 词法遮蔽：按语言把字符串、注释（以及 JS 正则、Shell heredoc 正文）替换为空格，
+ *   括号计数和分块都在遮蔽后的文本上进行，字符串和注释里的括号不再干扰匹配
+ * - JS/TS、Go、Rust、Java：按顶层函数、类、导入语句分块，类/接口/impl 展开一层
  * - Python 代码分析：缩进栈算法，按行组合代码块
  * - C++ 代码分析：成对符号匹配，处理花括号
+ * - Shell：按命令分块，管道、续行、复合语句和 heredoc 保持完整
+ * - SQL：按分号分割语句，BEGIN...END 块内的分号不分割
  * - 整句识别：宏定义、引入语句、函数声明
  *
  * 缩进栈算法（Python）：
@@ -16,12 +23,447 @@
  * 3. 组合规则：同一栈层内的连续行组合为逻辑块
  * 4. 函数体识别：包含 `:` 的行作为块头，后续同栈层行为体
  *
+ * 顶层分块算法（花括号语言）：
+ * 1. 统计遮蔽文本中 {} () [] 的深度
+ * 2. 深度回到 0 时，遇到 `;` 或闭合的 `}` 结束当前块；`}` 后紧跟 else/catch/finally、
+ *    `;`、`)`、`.` 等续接符号时不结束
+ * 3. JS/TS、Go 允许省略分号：顶层换行处，当前行不以运算符结尾、下一行不以续接符号开头时结束
+ * 4. 注释、装饰器、注解不单独成块，归入其后的代码块
+ *
  * 代码类型检测：
- * - if (text.includes('{') || text.includes('}')) → cpp_brace
+ * - 识别出语言 → 该语言的分析方式（见 CODE_LANGUAGES）
+ * - 否则 if (text.includes('{') || text.includes('}')) → cpp_brace
  * - else if (lines.some(line => line.trim().endsWith(':'))) → python_indent
  * - else → line_based（退化为整句分析）
  */
 
+// ============================================================================
+// 语言定义
+// ============================================================================
+
+/**
+ * 支持的语言及其分析方式
+ * - brace_block：顶层分块算法
+ * - cpp_brace：成对符号匹配
+ * - python_indent：缩进栈算法
+ * - shell_script：按命令分块
+ * - sql_statement：按语句分块
+ */
+export const CODE_LANGUAGES = {
+  javascript: { name: 'JavaScript', codeType: 'brace_block' },
+  typescript: { name: 'TypeScript', codeType: 'brace_block' },
+  go: { name: 'Go', codeType: 'brace_block' },
+  rust: { name: 'Rust', codeType: 'brace_block' },
+  java: { name: 'Java', codeType: 'brace_block' },
+  cpp: { name: 'C/C++', codeType: 'cpp_brace' },
+  python: { name: 'Python', codeType: 'python_indent' },
+  shell: { name: 'Shell', codeType: 'shell_script' },
+  sql: { name: 'SQL', codeType: 'sql_statement' }
+};
+
+// 关键字打分：[特征, 分值]，每个特征命中一次计分
+const JAVASCRIPT_FEATURES = [
+  [/\b(const|let|var)\s+[\w$[{]/, 2],
+  [/=>/, 2],
+  [/\bfunction\s*[\w$]*\s*\(/, 2],
+  [/\bconsole\.\w+\(/, 3],
+  [/\brequire\(\s*['"]/, 3],
+  [/^\s*import\s+[\w${},*\s]+\s+from\s+['"]/m, 3],
+  [/^\s*export\s+(default|const|function|class|async)\b/m, 3],
+  [/===|!==/, 2],
+  [/\b(document|window)\.\w+/, 2],
+  [/\basync\s+function\b|\bawait\s+[\w$]/, 1]
+];
+
+const LANGUAGE_FEATURES = {
+  javascript: JAVASCRIPT_FEATURES,
+  // TypeScript 在 JavaScript 得分基础上加类型特征分，没有类型特征时不参与比较
+  typescript: [
+    [/[\w$)]\s*:\s*(string|number|boolean|any|void|unknown|never)\b/, 3],
+    [/\binterface\s+\w+(\s+extends\s+[\w<>,\s]+)?\s*\{/, 3],
+    [/^\s*(export\s+)?type\s+\w+(<[^>]*>)?\s*=/m, 3],
+    [/\b(public|private|protected|readonly)\s+\w+\s*[:?]/, 2],
+    [/\bas\s+(const|string|number|any|unknown)\b/, 2],
+    [/\w+<[\w\s,[\]|]+>\s*\(/, 1]
+  ],
+  go: [
+    [/^\s*package\s+\w+\s*$/m, 4],
+    [/\bfunc\s+(\([^)]*\)\s*)?\w+\s*\(/, 4],
+    [/:=/, 2],
+    [/\bfmt\.\w+\(/, 3],
+    [/^\s*import\s*\(\s*$/m, 3],
+    [/\bchan\b|\bgo\s+\w+\(|\bdefer\s+\w/, 2],
+    [/\berr\s*!=\s*nil\b/, 3],
+    [/\btype\s+\w+\s+(struct|interface)\s*\{/, 4]
+  ],
+  rust: [
+    [/\bfn\s+\w+\s*(<[^>]*>)?\s*\(/, 4],
+    [/\blet\s+mut\b/, 4],
+    [/^\s*use\s+[\w:]+(::\{[^}]*\})?\s*;/m, 3],
+    [/^\s*impl\b/m, 3],
+    [/\b(println|format|vec|panic)!\s*[([]/, 3],
+    [/&mut\b|&self\b/, 3],
+    [/#\[(derive|test|cfg)\b/, 4],
+    [/\bpub\s+(fn|struct|enum|mod|trait)\b/, 3],
+    [/\bmatch\s+[\w.&]+\s*\{/, 2]
+  ],
+  java: [
+    [/\bpublic\s+(static\s+)?(final\s+)?(abstract\s+)?(class|interface|enum|record)\s+\w+/, 4],
+    [/\bpublic\s+static\s+void\s+main\b/, 4],
+    [/\bSystem\.(out|err)\.print/, 4],
+    [/^\s*package\s+[\w.]+\s*;/m, 4],
+    [/^\s*import\s+(static\s+)?[\w.]+(\.\*)?\s*;/m, 3],
+    [/@(Override|Autowired|Test|Deprecated)\b/, 3],
+    [/\b(private|protected|public)\s+[\w<>[\]]+\s+\w+\s*[;=(]/, 2],
+    [/\bString\[\]/, 2]
+  ],
+  cpp: [
+    [/^\s*#\s*include\s*[<"]/m, 5],
+    [/\bstd::/, 4],
+    [/\b(cout|cin|endl|printf|scanf)\b/, 3],
+    [/^\s*#\s*(define|ifndef|pragma)\b/m, 3],
+    [/\btemplate\s*</, 3],
+    [/\bnamespace\s+\w+/, 2],
+    [/^\s*(public|private|protected):\s*$/m, 3],
+    [/\b(int|void|char|double|float|bool)\s+\*?\w+\s*\(/, 2]
+  ],
+  python: [
+    [/^\s*def\s+\w+\s*\(.*\)\s*(->\s*[^:]+)?:/m, 4],
+    [/^\s*class\s+\w+(\(.*\))?\s*:/m, 3],
+    [/^\s*from\s+[\w.]+\s+import\b/m, 3],
+    [/^\s*import\s+[\w.]+(\s+as\s+\w+)?\s*$/m, 1],
+    [/\bself\./, 2],
+    [/^\s*(elif|except|with|for\s+\w+\s+in)\b.*:\s*$/m, 3],
+    [/\bprint\(/, 1],
+    [/\b(None|True|False)\b/, 1],
+    [/^\s*@\w+/m, 1]
+  ],
+  shell: [
+    [/^#!.*\b(ba|z|k|da)?sh\b/, 6],
+    [/^\s*(sudo|echo|export|cd|ls|grep|apt(-get)?|yum|brew|curl|wget|chmod|chown|mkdir|rm|cp|mv|cat|sed|awk|npm|git|docker)\b/m, 2],
+    [/\$\{?\w+\}?|\$\(/, 1],
+    [/\|\s*(grep|awk|sed|xargs|sort|uniq|head|tail|wc|tee|cut)\b/, 3],
+    [/<<-?\s*['"]?\w+/, 2],
+    [/^\s*(fi|done|esac)\b/m, 3],
+    [/^\s*(if|while)\s+\[\[?\s/m, 3],
+    [/\s--?[a-z][\w-]*/, 1]
+  ],
+  sql: [
+    [/\bSELECT\b[\s\S]+?\bFROM\b/i, 5],
+    [/\b(INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|CREATE\s+(TABLE|INDEX|VIEW|DATABASE|PROCEDURE|TRIGGER)|ALTER\s+TABLE|DROP\s+(TABLE|INDEX|VIEW))\b/i, 5],
+    [/\b(WHERE|JOIN|GROUP\s+BY|ORDER\s+BY|VALUES|HAVING)\b/i, 2],
+    [/^\s*--/m, 1]
+  ]
+};
+
+// 识别语言所需的最低分数
+const MIN_LANGUAGE_SCORE = 3;
+
+// 允许省略分号、以换行结束语句的语言
+const ASI_LANGUAGES = new Set(['javascript', 'typescript', 'go']);
+
+// 展开一层的容器声明
+const CONTAINER_PATTERN = /\b(class|interface|trait|impl|namespace)\b/;
+
+// 只有装饰器、注解、属性的内容（归入下一个块）
+const ANNOTATION_ONLY_PATTERN = /^(?:(?:@[\w.]+(?:\([^)]*\))?|#!?\[[^\]]*\])\s*)+$/;
+
+// ============================================================================
+// 词法遮蔽
+// ============================================================================
+
+const C_COMMENTS = { lineComments: ['//'], blockComments: [['/*', '*/']] };
+const DOUBLE_QUOTED = { open: '"', close: '"', escape: true };
+const SINGLE_QUOTED = { open: '\'', close: '\'', escape: true };
+
+/**
+ * 各语言的字符串与注释语法
+ * 字符串：open/close 定界符，escape 支持反斜杠转义，multiline 可跨行，
+ * doubled 连写两个结束符表示转义（SQL），wordStart 前一个字符不能是标识符字符，
+ * test 额外判断（Rust 字符字面量与生命周期区分）
+ */
+const LANGUAGE_SYNTAX = {
+  javascript: {
+    ...C_COMMENTS,
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED, { open: '`', close: '`', escape: true, multiline: true }],
+    regexLiterals: true
+  },
+  go: {
+    ...C_COMMENTS,
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED, { open: '`', close: '`', multiline: true }]
+  },
+  rust: {
+    ...C_COMMENTS,
+    strings: [
+      { open: 'r#"', close: '"#', multiline: true, wordStart: true },
+      { open: 'r"', close: '"', multiline: true, wordStart: true },
+      { ...DOUBLE_QUOTED, multiline: true },
+      {
+        ...SINGLE_QUOTED,
+        test: (text, i) => /^'(?:\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|.)|[^\\'\n])'/.test(text.slice(i, i + 12))
+      }
+    ]
+  },
+  java: {
+    ...C_COMMENTS,
+    strings: [{ open: '"""', close: '"""', escape: true, multiline: true }, DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  cpp: {
+    ...C_COMMENTS,
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED]
+  },
+  python: {
+    lineComments: ['#'],
+    blockComments: [],
+    strings: [
+      { open: '"""', close: '"""', escape: true, multiline: true },
+      { open: '\'\'\'', close: '\'\'\'', escape: true, multiline: true },
+      DOUBLE_QUOTED,
+      SINGLE_QUOTED
+    ]
+  },
+  shell: {
+    lineComments: ['#'],
+    blockComments: [],
+    strings: [
+      { open: '$\'', close: '\'', escape: true, multiline: true },
+      { open: '\'', close: '\'', multiline: true },
+      { ...DOUBLE_QUOTED, multiline: true }
+    ],
+    shellComments: true,
+    heredocs: true
+  },
+  sql: {
+    lineComments: ['--'],
+    blockComments: [['/*', '*/']],
+    strings: [
+      { open: '\'', close: '\'', multiline: true, doubled: true },
+      { open: '"', close: '"', multiline: true, doubled: true },
+      { open: '`', close: '`', doubled: true }
+    ],
+    dollarQuotes: true
+  }
+};
+
+LANGUAGE_SYNTAX.typescript = LANGUAGE_SYNTAX.javascript;
+
+// 前一个有效字符是这些符号（或位于开头）时，`/` 开始的是正则字面量而不是除号
+const REGEX_PRECEDING_CHARS = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_PRECEDING_WORDS = /\b(return|typeof|case|in|of|void|throw|new|delete|yield|await)$/;
+
+// Shell heredoc 起始：<<WORD、<<-WORD、<<'WORD'、<<"WORD"（排除 <<< here-string）
+const HEREDOC_PATTERN = /(?<!<)<<(-?)\s*(['"]?)([A-Za-z_][\w-]*)\2/g;
+const HEREDOC_START = /^<<(-?)\s*(['"]?)([A-Za-z_][\w-]*)\2/;
+
+/**
+ * 查找字符串字面量的结束位置
+ * @param {string} text - 源文本
+ * @param {number} from - 开始定界符之后的位置
+ * @param {object} str - 字符串语法
+ * @returns {number} 结束定界符之后的位置；单行字符串遇到换行时返回换行位置
+ */
+function findStringEnd(text, from, str) {
+  let j = from;
+  while (j < text.length) {
+    if (str.escape && text[j] === '\\') {
+      j += 2;
+      continue;
+    }
+    if (text.startsWith(str.close, j)) {
+      if (str.doubled && text.startsWith(str.close, j + str.close.length)) {
+        j += str.close.length * 2;
+        continue;
+      }
+      return j + str.close.length;
+    }
+    if (!str.multiline && text[j] === '\n') return j;
+    j++;
+  }
+  return text.length;
+}
+
+/**
+ * 查找 JS 正则字面量的结束位置，不是正则时返回 -1
+ * @param {string} text - 源文本
+ * @param {string[]} out - 已遮蔽的字符
+ * @param {number} i - `/` 的位置
+ * @returns {number} 结束 `/` 的位置
+ */
+function findRegexEnd(text, out, i) {
+  let k = i - 1;
+  while (k >= 0 && /\s/.test(out[k])) k--;
+  const prev = k >= 0 ? out[k] : '';
+  if (prev && !REGEX_PRECEDING_CHARS.includes(prev)) {
+    if (!/\w/.test(prev)) return -1;
+    const before = out.slice(Math.max(0, k - 9), k + 1).join('');
+    if (!REGEX_PRECEDING_WORDS.test(before)) return -1;
+  }
+
+  let inClass = false;
+  for (let j = i + 1; j < text.length; j++) {
+    const char = text[j];
+    if (char === '\n') return -1;
+    if (char === '\\') {
+      j++;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === ']') {
+      inClass = false;
+    } else if (char === '/' && !inClass) {
+      return j;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 跳过 heredoc 正文，返回结束标记行的行尾位置
+ * @param {string} text - 源文本
+ * @param {number} from - 正文开始位置（heredoc 所在行的下一行）
+ * @param {{word: string, stripTabs: boolean}} heredoc - 结束标记
+ * @returns {{bodyEnd: number, end: number}}
+ */
+function findHeredocEnd(text, from, heredoc) {
+  let lineStart = from;
+  while (lineStart < text.length) {
+    const newline = text.indexOf('\n', lineStart);
+    const lineEnd = newline === -1 ? text.length : newline;
+    let line = text.slice(lineStart, lineEnd).replace(/\r$/, '');
+    if (heredoc.stripTabs) line = line.replace(/^\t+/, '');
+    if (line === heredoc.word) {
+      return { bodyEnd: lineStart, end: lineEnd };
+    }
+    lineStart = lineEnd + 1;
+  }
+  return { bodyEnd: text.length, end: text.length };
+}
+
+/**
+ * 词法扫描：遮蔽字符串内容和注释，同时收集字符串字面量
+ * @param {string} text - 源代码
+ * @param {string} language - CODE_LANGUAGES 中的语言，默认按 C/C++ 处理
+ * @returns {{masked: string, code: string, strings: Array<{value: string, quote: string}>}}
+ *   masked 遮蔽字符串内容和注释，code 只遮蔽注释
+ */
+function scanCode(text, language = 'cpp') {
+  if (!text) return { masked: '', code: '', strings: [] };
+
+  const strings = [];
+  const syntax = LANGUAGE_SYNTAX[language] || LANGUAGE_SYNTAX.cpp;
+  const out = text.split('');
+  const code = text.split('');
+  const blank = (from, to, target = out) => {
+    for (let k = from; k < to; k++) {
+      if (target[k] !== '\n' && target[k] !== '\r') target[k] = ' ';
+    }
+  };
+  const blankComment = (from, to) => {
+    blank(from, to);
+    blank(from, to, code);
+  };
+  const pendingHeredocs = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    // heredoc 正文从所在行的下一行开始
+    if (char === '\n' && pendingHeredocs.length > 0) {
+      let from = i + 1;
+      while (pendingHeredocs.length > 0) {
+        const { bodyEnd, end } = findHeredocEnd(text, from, pendingHeredocs.shift());
+        blank(from, bodyEnd);
+        from = end + 1;
+      }
+      i = Math.min(from - 1, text.length);
+      continue;
+    }
+
+    const lineComment = syntax.lineComments.find(
+      (marker) =>
+        text.startsWith(marker, i) &&
+        (!syntax.shellComments || i === 0 || /[\s;&|(]/.test(text[i - 1]))
+    );
+    if (lineComment) {
+      const newline = text.indexOf('\n', i);
+      const end = newline === -1 ? text.length : newline;
+      blankComment(i, end);
+      i = end;
+      continue;
+    }
+
+    const blockComment = syntax.blockComments.find(([open]) => text.startsWith(open, i));
+    if (blockComment) {
+      const close = text.indexOf(blockComment[1], i + blockComment[0].length);
+      const end = close === -1 ? text.length : close + blockComment[1].length;
+      blankComment(i, end);
+      i = end;
+      continue;
+    }
+
+    const str = syntax.strings.find(
+      (s) =>
+        text.startsWith(s.open, i) &&
+        (!s.wordStart || i === 0 || !/\w/.test(text[i - 1])) &&
+        (!s.test || s.test(text, i))
+    );
+    if (str) {
+      const end = findStringEnd(text, i + str.open.length, str);
+      const closed = text.startsWith(str.close, end - str.close.length) && end > i + str.open.length;
+      const contentEnd = closed ? end - str.close.length : end;
+      strings.push({ value: text.slice(i + str.open.length, contentEnd), quote: str.open });
+      blank(i + str.open.length, contentEnd);
+      i = end;
+      continue;
+    }
+
+    if (syntax.dollarQuotes && char === '$') {
+      const tag = text.slice(i).match(/^\$(?:[A-Za-z_]\w*)?\$/);
+      if (tag) {
+        const close = text.indexOf(tag[0], i + tag[0].length);
+        const end = close === -1 ? text.length : close;
+        strings.push({ value: text.slice(i + tag[0].length, end), quote: tag[0] });
+        blank(i + tag[0].length, end);
+        i = close === -1 ? end : end + tag[0].length;
+        continue;
+      }
+    }
+
+    if (syntax.heredocs && text.startsWith('<<', i) && text[i - 1] !== '<') {
+      const match = text.slice(i, i + 64).match(HEREDOC_START);
+      if (match) {
+        pendingHeredocs.push({ word: match[3], stripTabs: match[1] === '-' });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    if (syntax.regexLiterals && char === '/') {
+      const end = findRegexEnd(text, out, i);
+      if (end > i) {
+        blank(i + 1, end);
+        i = end + 1;
+        continue;
+      }
+    }
+
+    i++;
+  }
+
+  return { masked: out.join(''), code: code.join(''), strings };
+}
+
+/**
+ * 词法遮蔽：把字符串内容、注释替换为空格，保留字符串定界符和换行，
+ * 结果与原文等长，可以按位置对照原文截取
+ * @param {string} text - 源代码
+ * @param {string} language - CODE_LANGUAGES 中的语言，默认按 C/C++ 处理
+ * @returns {string} 遮蔽后的文本
+ */
+export function maskCode(text, language = 'cpp') {
+  return scanCode(text, language).masked;
+}
+
 // ============================================================================
 // 成对符号定义
 // ============================================================================
@@ -48,22 +490,55 @@ function trimLines(text) {
     .filter((line) => line);
 }
 
+/**
+ * 按行对照原文和遮蔽文本，去掉两端空白（两者截取相同位置，保持等长）
+ * @param {string} text - 源代码
+ * @param {string} masked - 遮蔽后的文本
+ * @returns {Array<{line: string, masked: string}>}
+ */
+function trimMaskedLines(text, masked) {
+  const maskedLines = masked.split(/[\r\n]+/);
+  return text
+    .split(/[\r\n]+/)
+    .map((line, index) => {
+      const start = line.length - line.trimStart().length;
+      const end = line.trimEnd().length;
+      return { line: line.slice(start, end), masked: maskedLines[index].slice(start, end) };
+    })
+    .filter(({ line }) => line);
+}
+
 function getIndent(line) {
   const match = line.match(/^(\s*)/);
   return match ? match[1].length : 0;
 }
 
-function isCompleteBracketPair(text) {
+/**
+ * 从 pos 开始，如果到行尾只剩空白（原文可能是行尾注释），返回行尾位置，否则返回 pos
+ * @param {string} masked - 遮蔽后的文本
+ * @param {number} pos - 位置
+ * @returns {number}
+ */
+function extendToLineEnd(masked, pos) {
+  const newline = masked.indexOf('\n', pos);
+  const lineEnd = newline === -1 ? masked.length : newline;
+  return masked.slice(pos, lineEnd).trim() ? pos : lineEnd;
+}
+
+/**
+ * 判断括号是否完整配对，字符串和注释中的符号不参与配对
+ * @param {string} text - 待检查文本
+ * @param {string} masked - 遮蔽后的文本，默认按 C/C++ 遮蔽
+ * @returns {boolean}
+ */
+function isCompleteBracketPair(text, masked = maskCode(text)) {
   const stack = [];
   let i = 0;
 
-  while (i < text.length) {
-    // eslint-disable-next-line no-unused-vars
-    const char = text[i];
-
+  while (i < masked.length) {
     for (let j = PAIRS.length - 1; j >= 0; j--) {
       const pair = PAIRS[j];
-      if (text.substring(i).startsWith(pair.open)) {
+      if (masked.startsWith(pair.open, i)) {
         if (pair.nested) {
           stack.push(pair.close);
         }
@@ -71,7 +546,7 @@ function isCompleteBracketPair(text) {
         break;
       }
 
-      if (text.substring(i).startsWith(pair.close)) {
+      if (masked.startsWith(pair.close, i)) {
         if (stack.length > 0 && stack[stack.length - 1] === pair.close) {
           stack.pop();
         }
@@ -86,13 +561,19 @@ function isCompleteBracketPair(text) {
   return stack.length === 0;
 }
 
-function extractMaxBracket(text) {
+/**
+ * 提取最大成对符号块，在遮蔽文本上查找，按相同位置截取原文
+ * @param {string} text - 代码片段
+ * @param {string} masked - 遮蔽后的文本，默认按 C/C++ 遮蔽
+ * @returns {{text: string, bracket: string, rest: string}|null}
+ */
+function extractMaxBracket(text, masked = maskCode(text)) {
   let bestStart = -1;
   let bestEnd = -1;
   let maxDepth = 0;
 
-  for (let i = 0; i < text.length; i++) {
-    const pair = PAIRS.find((p) => text.substring(i).startsWith(p.open));
+  for (let i = 0; i < masked.length; i++) {
+    const pair = PAIRS.find((p) => masked.startsWith(p.open, i));
     if (!pair) continue;
 
     const openIdx = i;
@@ -101,19 +582,20 @@ function extractMaxBracket(text) {
     let depth = 0;
     let j = i + pair.open.length;
 
-    while (j < text.length) {
-      if (text.substring(j).startsWith(pair.open)) {
+    while (j < masked.length) {
+      if (masked.startsWith(pair.open, j)) {
         if (nested) depth++;
         j += pair.open.length;
-      } else if (text[j] === closeChar) {
+      } else if (masked[j] === closeChar) {
         if (depth === 0) {
-          const candidate = text.substring(openIdx, j + closeChar.length);
-          if (isCompleteBracketPair(candidate)) {
+          const end = j + closeChar.length;
+          const candidate = masked.substring(openIdx, end);
+          if (isCompleteBracketPair(candidate, candidate)) {
             const candidateDepth = (candidate.match(/\(/g) || []).length;
             if (candidateDepth > maxDepth) {
               maxDepth = candidateDepth;
               bestStart = openIdx;
-              bestEnd = j + closeChar.length;
+              bestEnd = end;
             }
           }
           break;
@@ -147,7 +629,7 @@ function isCppPreprocessor(line) {
 }
 
 function isImportStatement(line) {
-  return /^\s*(import|from|require|using|include)\s+[\w.]+/.test(line);
+  return /^\s*((import|from|require|using|include|use)\s+[\w.@]+|import\s*[{*('"])/.test(line);
 }
 
 function isDeclaration(line) {
@@ -156,7 +638,7 @@ function isDeclaration(line) {
     /^\s*(typedef\s+)?class\s+\w+/,
     /^\s*(public|private|protected):\s*$/,
     /^\s*(virtual\s+)?[\w:*&\s]+\s+\w+\s*\([^)]*\)\s*(const)?\s*\{?\s*$/,
-    /^\s*(def|function|func)\s+[\w]+\s*\([^)]*\)\s*:\s*$/,
+    /^\s*(def|function|func|fn)\s+[\w]+\s*\([^)]*\)\s*:?\s*$/,
     /^\s*[\w]+\s*=\s*function\s*\(/,
     /^\s*[\w]+\s*=\s*\(/
   ];
@@ -169,8 +651,17 @@ function isDeclaration(line) {
 // ============================================================================
 
 function analyzePythonCode(text) {
-  const rawLines = text.split(/[\r\n]+/);
-  const lines = rawLines.map((line) => line.trimRight()).filter((line) => line.trim());
+  // 块头判断使用遮蔽后的行，行尾注释和字符串中的冒号不影响判断
+  const maskedLines = maskCode(text, 'python').split(/[\r\n]+/);
+  const pairs = text
+    .split(/[\r\n]+/)
+    .map((line, index) => ({ line: line.trimRight(), masked: maskedLines[index].trim() }))
+    .filter(({ line }) => line.trim());
+  const lines = pairs.map(({ line }) => line);
+  const isBlockHeader = (index) => {
+    const masked = pairs[index].masked;
+    return masked.endsWith(':') && !masked.endsWith('::');
+  };
 
   if (lines.length === 0) return [text];
 
@@ -218,7 +709,7 @@ function analyzePythonCode(text) {
     }
 
     // 识别块头（以冒号结尾但不是双冒号）
-    if (trimmedLine.endsWith(':') && !trimmedLine.endsWith('::')) {
+    if (isBlockHeader(lineIndex)) {
       if (currentBlock.trim()) {
         result.push(currentBlock.trim());
       }
@@ -244,7 +735,7 @@ function analyzePythonCode(text) {
     if (nextLine) {
       const nextIndent = getIndent(nextLine);
       // 如果下一行缩进小于等于当前块缩进，输出当前块
-      if (nextIndent <= currentBlockIndent && !nextLine.trim().endsWith(':')) {
+      if (nextIndent <= currentBlockIndent && !isBlockHeader(lineIndex + 1)) {
         if (currentBlock.trim()) {
           result.push(currentBlock.trim());
         }
@@ -266,24 +757,37 @@ function analyzePythonCode(text) {
 // ============================================================================
 
 function analyzeCppCode(text) {
-  const lines = trimLines(text);
+  const lines = trimMaskedLines(text, maskCode(text, 'cpp'));
   if (lines.length === 0) return [text];
 
   const result = [];
   let currentChunk = '';
+  let maskedChunk = '';
   let braceDepth = 0;
   let parenDepth = 0;
 
-  for (const line of lines) {
-    const trimmedLine = line.trim();
+  // 拆出最大成对符号块后输出当前块
+  const flushChunk = () => {
+    const extracted = extractMaxBracket(currentChunk, maskedChunk);
+    if (extracted && extracted.text && extracted.bracket) {
+      if (extracted.text) result.push(extracted.text);
+      result.push(extracted.bracket);
+    } else if (currentChunk.trim()) {
+      result.push(currentChunk.trim());
+    }
+    currentChunk = '';
+    maskedChunk = '';
+  };
 
+  for (const { line, masked } of lines) {
     // 预处理器指令整行保留
     if (isCppPreprocessor(line)) {
       if (currentChunk.trim()) {
         result.push(currentChunk.trim());
       }
-      result.push(trimmedLine);
+      result.push(line);
       currentChunk = '';
+      maskedChunk = '';
       continue;
     }
 
@@ -292,61 +796,338 @@ function analyzeCppCode(text) {
       if (currentChunk.trim()) {
         result.push(currentChunk.trim());
       }
-      result.push(trimmedLine);
+      result.push(line);
       currentChunk = '';
+      maskedChunk = '';
       continue;
     }
 
-    // 统计括号深度
-    let i = 0;
-    while (i < line.length) {
-      if (line[i] === '{') braceDepth++;
-      else if (line[i] === '}') braceDepth = Math.max(0, braceDepth - 1);
-      else if (line[i] === '(') parenDepth++;
-      else if (line[i] === ')') parenDepth = Math.max(0, parenDepth - 1);
-      i++;
+    // 统计括号深度（字符串和注释中的括号已被遮蔽）
+    for (const char of masked) {
+      if (char === '{') braceDepth++;
+      else if (char === '}') braceDepth = Math.max(0, braceDepth - 1);
+      else if (char === '(') parenDepth++;
+      else if (char === ')') parenDepth = Math.max(0, parenDepth - 1);
     }
 
-    // 添加当前行
+    // 添加当前行，遮蔽文本同步拼接以保持位置对应
     if (currentChunk) {
-      currentChunk += ' ' + trimmedLine;
+      currentChunk += ' ' + line;
+      maskedChunk += ' ' + masked;
     } else {
-      currentChunk = trimmedLine;
+      currentChunk = line;
+      maskedChunk = masked;
     }
 
     // 花括号闭合时输出
     if (braceDepth === 0 && parenDepth === 0) {
-      // 尝试提取最大成对符号块
-      const extracted = extractMaxBracket(currentChunk);
-      if (extracted && extracted.text && extracted.bracket) {
-        if (extracted.text) result.push(extracted.text);
-        result.push(extracted.bracket);
-      } else if (currentChunk.trim()) {
-        result.push(currentChunk.trim());
-      }
-      currentChunk = '';
+      flushChunk();
     }
   }
 
   // 输出剩余
   if (currentChunk.trim()) {
-    const extracted = extractMaxBracket(currentChunk);
-    if (extracted && extracted.text && extracted.bracket) {
-      if (extracted.text) result.push(extracted.text);
-      result.push(extracted.bracket);
-    } else {
-      result.push(currentChunk.trim());
+    flushChunk();
+  }
+
+  return result.length > 0 ? result : lines.map(({ line }) => line);
+}
+
+// ============================================================================
+// JS/TS、Go、Rust、Java 代码分析 - 顶层分块
+// ============================================================================
+
+// 跳过空白的粘连正则
+const WHITESPACE_STICKY = /\s*/y;
+
+/**
+ * 获取 pos 之后第一个非空白位置开始的片段
+ * @param {string} masked - 遮蔽后的文本
+ * @param {number} pos - 位置
+ * @returns {string}
+ */
+function peekAfterWhitespace(masked, pos) {
+  WHITESPACE_STICKY.lastIndex = pos;
+  WHITESPACE_STICKY.exec(masked);
+  return masked.slice(WHITESPACE_STICKY.lastIndex, WHITESPACE_STICKY.lastIndex + 16);
+}
+
+/**
+ * 顶层 `}` 之后是否仍属于同一语句
+ * @param {string} masked - 遮蔽后的文本
+ * @param {number} start - 当前块开始位置
+ * @param {number} pos - `}` 之后的位置
+ * @returns {boolean}
+ */
+function continuesAfterBlock(masked, start, pos) {
+  const next = peekAfterWhitespace(masked, pos);
+  if (/^(else|catch|finally)\b/.test(next)) return true;
+  // do { ... } while (...)
+  if (/^while\b/.test(next)) return /^\s*do\b/.test(masked.slice(start, pos));
+  // import { a } from 'x'、const { a } = obj 等
+  return /^([),;.?:=+\-*%&|<>\]]|from\b|as\b|satisfies\b)/.test(next);
+}
+
+/**
+ * 省略分号的语言中，顶层换行处是否结束当前语句
+ * @param {string} masked - 遮蔽后的文本
+ * @param {number} start - 当前块开始位置
+ * @param {number} newline - 换行位置
+ * @returns {boolean}
+ */
+function endsStatementAtNewline(masked, start, newline) {
+  const current = masked.slice(start, newline).trim();
+  // 只有注释、装饰器的内容归入下一个块
+  if (!current || ANNOTATION_ONLY_PATTERN.test(current)) return false;
+  // 行尾是运算符、逗号或左括号时语句未结束（++/-- 除外）
+  if (/[,([{=+\-*%&|<>!?:.]$/.test(current) && !/(\+\+|--)$/.test(current)) return false;
+  // 下一行以续接符号开头（链式调用、三元运算符等）时语句未结束
+  const next = peekAfterWhitespace(masked, newline + 1);
+  return !/^[.)\]}?:,=+\-*%&|]/.test(next);
+}
+
+/**
+ * 查找不在圆括号、方括号内的第一个 `{`（跳过装饰器、注解参数中的花括号）
+ * @param {string} masked - 遮蔽后的文本
+ * @returns {number} 位置，没有时返回 -1
+ */
+function findTopLevelBrace(masked) {
+  let depth = 0;
+  for (let i = 0; i < masked.length; i++) {
+    const char = masked[i];
+    if (char === '(' || char === '[') depth++;
+    else if (char === ')' || char === ']') depth = Math.max(0, depth - 1);
+    else if (char === '{' && depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * 类、接口、trait、impl 块展开一层：先输出声明头，再逐个输出成员
+ * @param {string} block - 块原文
+ * @param {string} masked - 块的遮蔽文本
+ * @param {string} language - 语言
+ * @returns {string[]}
+ */
+function expandContainer(block, masked, language) {
+  const open = findTopLevelBrace(masked);
+  const close = masked.lastIndexOf('}');
+  if (
+    open === -1 ||
+    !/\}\s*;?\s*$/.test(masked) ||
+    !CONTAINER_PATTERN.test(masked.slice(0, open)) ||
+    masked.slice(0, open).includes('=')
+  ) {
+    return [block.trim()];
+  }
+
+  const header = block.slice(0, open).trim();
+  const members = splitBraceBlocks(block.slice(open + 1, close), masked.slice(open + 1, close), language);
+  return [header, ...members];
+}
+
+/**
+ * 顶层分块：按 `;`、闭合的 `}` 和（省略分号的语言中）换行切分语句
+ * @param {string} text - 源代码
+ * @param {string} masked - 遮蔽后的文本
+ * @param {string} language - 语言
+ * @returns {string[]}
+ */
+function splitBraceBlocks(text, masked, language) {
+  const asi = ASI_LANGUAGES.has(language);
+  const blocks = [];
+  let start = 0;
+  let depth = 0;
+
+  const pushBlock = (end) => {
+    if (text.slice(start, end).trim()) {
+      blocks.push(...expandContainer(text.slice(start, end), masked.slice(start, end), language));
+    }
+    start = end;
+  };
+
+  for (let i = 0; i < masked.length; i++) {
+    const char = masked[i];
+    if (char === '{' || char === '(' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ')' || char === ']') {
+      depth = Math.max(0, depth - 1);
+      if (depth === 0 && char === '}' && !continuesAfterBlock(masked, start, i + 1)) {
+        pushBlock(extendToLineEnd(masked, i + 1));
+      }
+    } else if (depth === 0 && char === ';') {
+      pushBlock(extendToLineEnd(masked, i + 1));
+    } else if (depth === 0 && char === '\n' && asi && endsStatementAtNewline(masked, start, i)) {
+      pushBlock(i);
     }
   }
+  pushBlock(masked.length);
 
-  return result.length > 0 ? result : lines;
+  return blocks;
+}
+
+function analyzeBraceCode(text, language) {
+  const blocks = splitBraceBlocks(text, maskCode(text, language), language);
+  return blocks.length > 0 ? blocks : trimLines(text);
+}
+
+// ============================================================================
+// Shell 代码分析 - 按命令分块
+// ============================================================================
+
+/**
+ * 统计一行中复合语句的深度变化（if/fi、case/esac、for/while/until/select…done、{ }）
+ * 只有位于命令位置的关键字才计入
+ * @param {string} masked - 遮蔽后的行
+ * @returns {number}
+ */
+function countShellDepth(masked) {
+  let delta = 0;
+  const code = masked.replace(/\$\{[^}]*\}/g, '');
+
+  for (const segment of code.split(/;;|[;&|]+/)) {
+    const words = segment.trim().replace(/^((then|do|else|elif|!)\s+)+/, '').split(/\s+/);
+    const first = words[0];
+    if (/^(if|case|for|while|until|select)$/.test(first)) delta++;
+    else if (/^(fi|esac|done)$/.test(first)) delta--;
+    else if (first === '}') delta--;
+    delta += words.filter((word) => word === '{' || word.endsWith('(){')).length;
+  }
+
+  return delta;
+}
+
+function analyzeShellCode(text) {
+  const lines = text.split(/\r?\n/);
+  const maskedLines = maskCode(text, 'shell').split(/\r?\n/);
+  const result = [];
+  let current = [];
+  let depth = 0;
+  let heredocs = [];
+
+  const pushCurrent = () => {
+    const block = current.join('\n').trim();
+    if (block) result.push(block);
+    current = [];
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const masked = maskedLines[index];
+
+    // heredoc 正文：收集到结束标记为止
+    if (heredocs.length > 0) {
+      current.push(line);
+      const { word, stripTabs } = heredocs[0];
+      if ((stripTabs ? line.replace(/^\t+/, '') : line).replace(/\r$/, '') === word) {
+        heredocs.shift();
+        if (heredocs.length === 0 && depth === 0) pushCurrent();
+      }
+      continue;
+    }
+
+    if (!line.trim()) {
+      // 复合语句内部保留空行，其余空行只作分隔
+      if (depth > 0) current.push(line);
+      continue;
+    }
+
+    current.push(line);
+    // 只有注释的行归入下一个命令
+    if (!masked.trim()) continue;
+
+    depth = Math.max(0, depth + countShellDepth(masked));
+    heredocs = Array.from(line.matchAll(HEREDOC_PATTERN))
+      .filter((match) => masked.startsWith('<<', match.index))
+      .map((match) => ({ word: match[3], stripTabs: match[1] === '-' }));
+    if (heredocs.length > 0) continue;
+
+    // 续行、管道和 && || 连接的命令保持完整
+    const continued = /(\\|\|\||&&|\|)$/.test(masked.trim());
+    if (depth === 0 && !continued) pushCurrent();
+  }
+  pushCurrent();
+
+  return result.length > 0 ? result : trimLines(text);
+}
+
+// ============================================================================
+// SQL 代码分析 - 按语句分块
+// ============================================================================
+
+function analyzeSqlCode(text) {
+  const masked = maskCode(text, 'sql');
+  const tokenPattern = /[A-Za-z_]\w*|;/g;
+  const nextTokenPattern = /\s*([A-Za-z_]\w*|;)?/y;
+  const result = [];
+  let start = 0;
+  let depth = 0;
+  let match;
+
+  const pushStatement = (end) => {
+    const statement = text.slice(start, end).trim();
+    if (statement) result.push(statement);
+    start = end;
+  };
+
+  while ((match = tokenPattern.exec(masked))) {
+    const token = match[0];
+    if (token === ';') {
+      if (depth === 0) pushStatement(extendToLineEnd(masked, match.index + 1));
+      continue;
+    }
+
+    nextTokenPattern.lastIndex = tokenPattern.lastIndex;
+    const next = (nextTokenPattern.exec(masked)?.[1] || '').toUpperCase();
+    const word = token.toUpperCase();
+
+    // BEGIN...END、CASE...END 块内的分号不分割语句（BEGIN TRANSACTION 不是块）
+    if (word === 'BEGIN' && !/^(TRANSACTION|TRAN|WORK|;|)$/.test(next)) {
+      depth++;
+    } else if (word === 'CASE') {
+      depth++;
+    } else if (word === 'END' && !/^(IF|LOOP|WHILE|REPEAT|FOR)$/.test(next)) {
+      depth = Math.max(0, depth - 1);
+    }
+  }
+  pushStatement(text.length);
+
+  return result.length > 0 ? result : trimLines(text);
 }
 
 // ============================================================================
 // 代码类型检测与主入口
 // ============================================================================
 
-function detectCodeType(text) {
+/**
+ * 识别代码语言：按关键字特征打分，取最高分，低于阈值时返回 null
+ * @param {string} text - 源代码
+ * @returns {string|null} CODE_LANGUAGES 中的语言
+ */
+export function detectLanguage(text) {
+  if (!text || !text.trim()) return null;
+
+  const score = (features) =>
+    features.reduce((sum, [pattern, weight]) => sum + (pattern.test(text) ? weight : 0), 0);
+
+  const scores = {};
+  for (const [language, features] of Object.entries(LANGUAGE_FEATURES)) {
+    scores[language] = score(features);
+  }
+  scores.typescript = scores.typescript > 0 ? scores.typescript + scores.javascript : 0;
+
+  let best = null;
+  let bestScore = MIN_LANGUAGE_SCORE - 1;
+  for (const [language, value] of Object.entries(scores)) {
+    if (value > bestScore) {
+      best = language;
+      bestScore = value;
+    }
+  }
+  return best;
+}
+
+function detectStructuralType(text) {
   const lines = text.split(/[\r\n]+/).filter((l) => l.trim());
 
   if (lines.some((line) => line.includes('{') || line.includes('}'))) {
@@ -360,6 +1141,16 @@ function detectCodeType(text) {
   return 'line_based';
 }
 
+/**
+ * 检测代码类型（分析方式）
+ * @param {string} text - 源代码
+ * @returns {string} brace_block | cpp_brace | python_indent | shell_script | sql_statement | line_based
+ */
+function detectCodeType(text) {
+  const language = detectLanguage(text);
+  return language ? CODE_LANGUAGES[language].codeType : detectStructuralType(text);
+}
+
 /**
  * 代码分析主函数
  * @param {string} text 输入代码文本
@@ -368,18 +1159,369 @@ function detectCodeType(text) {
 export function codeAnalyze(text) {
   if (!text || !text.trim()) return [];
 
-  const codeType = detectCodeType(text);
+  const language = detectLanguage(text);
+  const codeType = language ? CODE_LANGUAGES[language].codeType : detectStructuralType(text);
 
   switch (codeType) {
+  case 'brace_block':
+    return analyzeBraceCode(text, language);
   case 'cpp_brace':
     return analyzeCppCode(text);
   case 'python_indent':
     return analyzePythonCode(text);
+  case 'shell_script':
+    return analyzeShellCode(text);
+  case 'sql_statement':
+    return analyzeSqlCode(text);
   default:
     return trimLines(text);
   }
 }
 
+// ============================================================================
+// 符号提取
+// ============================================================================
+
+/**
+ * 符号类别，按输出顺序排列
+ */
+export const SYMBOL_KINDS = {
+  class: { name: '类与类型' },
+  function: { name: '函数' },
+  variable: { name: '变量' },
+  call: { name: '调用' },
+  import: { name: '导入模块' },
+  string: { name: '字符串' },
+  number: { name: '数值常量' }
+};
+
+// 后面常跟括号但不是函数调用的关键字
+const NON_CALL_KEYWORDS = new Set([
+  'if', 'else', 'elif', 'for', 'foreach', 'while', 'do', 'switch', 'case', 'catch', 'return',
+  'throw', 'function', 'def', 'fn', 'func', 'class', 'typeof', 'sizeof', 'alignof', 'decltype',
+  'await', 'yield', 'async', 'import', 'require', 'super', 'with', 'except', 'in', 'not', 'and',
+  'or', 'lambda', 'assert', 'match', 'using', 'operator', 'values', 'exists'
+]);
+
+// 类型声明前的关键字（排除 return x; 这类语句被当作 “类型 变量”）
+const NON_TYPE_KEYWORDS = new Set([
+  'return', 'throw', 'delete', 'else', 'case', 'goto', 'yield', 'await', 'new', 'typeof',
+  'import', 'package', 'using', 'namespace', 'export', 'echo', 'break', 'continue', 'type'
+]);
+
+// 单引号是字符字面量的语言
+const CHAR_LITERAL_LANGUAGES = new Set(['cpp', 'java', 'go', 'rust']);
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+
+const CLASS_PATTERNS = [
+  new RegExp(`\\b(?:class|struct|interface|enum|trait|union|record)\\s+(${IDENTIFIER})`, 'g'),
+  // Go 的 type T struct、TypeScript 的 type T = ...
+  new RegExp(`\\btype\\s+(${IDENTIFIER})\\s*(?:<[^>]*>\\s*)?(?:=|struct\\b|interface\\b)`, 'g')
+];
+
+const FUNCTION_PATTERNS = [
+  new RegExp(`\\b(?:function\\s*\\*?|def|fn)\\s+(${IDENTIFIER})`, 'g'),
+  new RegExp(`\\bfunc\\s+(?:\\([^)]*\\)\\s*)?(${IDENTIFIER})`, 'g'),
+  // const f = () => {}、f: function () {}、f = async x => x
+  new RegExp(
+    `\\b(${IDENTIFIER})\\s*[:=]\\s*(?:async\\s+)?(?:function\\b|(?:\\([^()]*\\)|${IDENTIFIER})\\s*=>)`,
+    'g'
+  )
+];
+
+// 类方法、Java 方法：[修饰符] [返回类型] name(参数) [: 返回类型] {
+const METHOD_PATTERN = new RegExp(
+  '^\\s*(?:(?:public|private|protected|static|final|abstract|async|override|virtual|inline|synchronized|get|set)\\s+)*' +
+    `(?:[\\w<>[\\],.?]+\\s+)?(${IDENTIFIER})\\s*\\([^()]*\\)\\s*(?::\\s*[^{=]+)?(?:throws\\s+[\\w.,\\s]+)?\\{\\s*$`
+);
+
+// 类体的起始位置：class A extends B {、struct S {、public class Main implements X {
+const CLASS_BODY_PATTERN = new RegExp(
+  `\\b(?:class|struct|interface|enum|trait|record)\\s+${IDENTIFIER}[^{};]*\\{`,
+  'g'
+);
+
+// 类体内的方法声明：name(参数) [: 返回类型] [throws ...] {，从名称处开始匹配
+const MEMBER_METHOD_PATTERN = new RegExp(
+  `(${IDENTIFIER})\\s*\\([^()]*\\)\\s*(?::\\s*[^{};=]+)?(?:throws\\s+[\\w.,\\s]+)?\\{`,
+  'y'
+);
+
+// 整句识别出的声明中，函数名前至少有一个类型词
+const DECLARED_NAME_PATTERN = new RegExp(`^(\\s*(?:[\\w:*&<>[\\],]+\\s+)+\\**)(${IDENTIFIER})\\s*\\(`);
+const DECLARATION_PREFIX_EXCLUDE = /\b(class|struct|interface|enum|return|new|else|throw)\b/;
+
+const VARIABLE_PATTERNS = [
+  new RegExp(`\\b(?:const|let|var|val)\\s+(?:mut\\s+)?(${IDENTIFIER})`, 'g'),
+  // Go 短变量声明 a, b := ...
+  new RegExp(`(?:^\\s*|[;{(]\\s*)(${IDENTIFIER}(?:\\s*,\\s*${IDENTIFIER})*)\\s*:=`, 'g')
+];
+
+// 解构声明 const { a, b: c } = obj、let [x, y] = arr
+const DESTRUCTURING_PATTERN = /\b(?:const|let|var)\s*[{[]([^}\]=]*)[}\]]/g;
+
+// C/C++、Java 等带类型的声明：[修饰符] 类型 name = ... / name; / name[
+const TYPED_VARIABLE_PATTERN = new RegExp(
+  '^\\s*(?:(?:static|final|const|private|public|protected|readonly|volatile|unsigned|signed|auto|extern)\\s+)*' +
+    `(${IDENTIFIER}(?:::${IDENTIFIER})*)(?:<[^;=()]*>)?(?:\\[\\])*\\**\\s+\\**(${IDENTIFIER})\\s*(?:=|;|\\[)`
+);
+
+// Python 赋值 a = 1、a, b = ...、a: int = 1
+const PYTHON_ASSIGNMENT_PATTERN = new RegExp(
+  `^\\s*(${IDENTIFIER}(?:\\s*,\\s*${IDENTIFIER})*)\\s*(?::\\s*[^=]+)?=(?![=>])`
+);
+
+// Shell 变量赋值 NAME=value、export NAME=value
+const SHELL_ASSIGNMENT_PATTERN = /^\s*(?:(?:export|local|readonly|declare)\s+)?([A-Za-z_]\w*)=/;
+
+const CALL_PATTERN = new RegExp(
+  `(${IDENTIFIER}(?:\\s*(?:\\.|::|->)\\s*${IDENTIFIER})*)(!?)\\s*\\(`,
+  'g'
+);
+
+const NUMBER_PATTERN =
+  /(?<![\w$.])(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*(?![\w$.])/g;
+
+/**
+ * 从导入语句中提取模块名
+ * @param {string} line - 只遮蔽了注释的行
+ * @returns {string[]}
+ */
+function extractImportModules(line) {
+  const include = line.match(/^\s*#\s*include\s*[<"]([^>"]+)[>"]/);
+  if (include) return [include[1]];
+
+  const quoted = Array.from(line.matchAll(/(['"`])([^'"`\s]+)\1/g), (match) => match[2]);
+  if (quoted.length > 0) return quoted;
+
+  const fromImport = line.match(/^\s*from\s+([\w.]+)\s+import\b/);
+  if (fromImport) return [fromImport[1]];
+
+  const statement = line.match(/^\s*(?:import|use|using|require|include)\s+(?:static\s+|namespace\s+)?(.+?)\s*;?\s*$/);
+  if (!statement) return [];
+
+  return statement[1]
+    .replace(/::\{[^}]*\}/, '')
+    .split(',')
+    .map((part) => part.trim().split(/\s+as\s+/)[0].replace(/(::|\.)\*$/, ''))
+    .filter((name) => /^[\w.:@/-]+$/.test(name));
+}
+
+/**
+ * 提取一行中的函数声明，返回名称及其在行内的位置
+ * @param {string} line - 遮蔽后的行
+ * @returns {Array<{name: string, index: number}>}
+ */
+function extractFunctionDeclarations(line) {
+  const found = [];
+  for (const pattern of FUNCTION_PATTERNS) {
+    for (const match of line.matchAll(pattern)) {
+      found.push({ name: match[1], index: match.index + match[0].lastIndexOf(match[1]) });
+    }
+  }
+
+  if (found.length > 0) return found;
+
+  // 类方法、Java 方法
+  const method = line.match(METHOD_PATTERN);
+  if (method && !NON_CALL_KEYWORDS.has(method[1])) {
+    return [{ name: method[1], index: method.index + method[0].lastIndexOf(method[1]) }];
+  }
+
+  // 基于整句识别的 C/C++ 声明：返回类型 name(参数)
+  if (isDeclaration(line)) {
+    const match = line.match(DECLARED_NAME_PATTERN);
+    if (match && !DECLARATION_PREFIX_EXCLUDE.test(match[1]) && !NON_CALL_KEYWORDS.has(match[2])) {
+      found.push({ name: match[2], index: match.index + match[1].length });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * 提取类体中直接声明的方法，方法体与声明写在同一行时也能识别
+ * @param {string} masked - 遮蔽字符串和注释后的源代码
+ * @returns {Array<{name: string, index: number}>} 名称及其在源代码中的位置
+ */
+function extractMethodDeclarations(masked) {
+  const found = [];
+  for (const match of masked.matchAll(CLASS_BODY_PATTERN)) {
+    let depth = 0;
+    for (let i = match.index + match[0].length - 1; i < masked.length; i++) {
+      const char = masked[i];
+      if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) break;
+      } else if (depth === 1 && /[A-Za-z_$]/.test(char) && !/[\w$]/.test(masked[i - 1])) {
+        // 只看类体这一层，方法体内的调用留给调用识别
+        MEMBER_METHOD_PATTERN.lastIndex = i;
+        const method = MEMBER_METHOD_PATTERN.exec(masked);
+        if (method && !NON_CALL_KEYWORDS.has(method[1])) {
+          found.push({ name: method[1], index: i });
+        }
+        if (method) i = MEMBER_METHOD_PATTERN.lastIndex - 2;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * 提取一行中的变量声明
+ * @param {string} line - 遮蔽后的行
+ * @param {string} language - 语言
+ * @returns {string[]}
+ */
+function extractVariableDeclarations(line, language) {
+  const names = [];
+  const splitNames = (list) => list.split(',').map((name) => name.trim()).filter(Boolean);
+
+  if (language === 'shell') {
+    const assignment = line.match(SHELL_ASSIGNMENT_PATTERN);
+    return assignment ? [assignment[1]] : [];
+  }
+
+  if (language === 'python') {
+    const assignment = line.match(PYTHON_ASSIGNMENT_PATTERN);
+    return assignment ? splitNames(assignment[1]) : [];
+  }
+
+  // C/C++、Java 的 const 是类型修饰符，由带类型的声明处理
+  const patterns = language === 'cpp' || language === 'java' ? VARIABLE_PATTERNS.slice(1) : VARIABLE_PATTERNS;
+  for (const pattern of patterns) {
+    for (const match of line.matchAll(pattern)) {
+      names.push(...splitNames(match[1]));
+    }
+  }
+  for (const match of line.matchAll(DESTRUCTURING_PATTERN)) {
+    // { a, b: c, d = 1 } 取绑定的名称 a、c、d
+    names.push(
+      ...splitNames(match[1])
+        .map((part) => part.split(':').pop().split('=')[0].replace(/^\.\.\./, '').trim())
+        .filter((name) => new RegExp(`^${IDENTIFIER}$`).test(name))
+    );
+  }
+
+  if (names.length === 0 && language !== 'sql') {
+    const typed = line.match(TYPED_VARIABLE_PATTERN);
+    if (typed && !NON_TYPE_KEYWORDS.has(typed[1])) names.push(typed[2]);
+  }
+
+  return names;
+}
+
+/**
+ * 提取代码中的符号，按类别分组
+ * 声明识别基于 isDeclaration/isImportStatement 整句识别，并补充各语言常见的声明写法；
+ * 字符串和注释先被遮蔽，其中的内容不会被当作声明或调用
+ * @param {string} text - 源代码
+ * @returns {{class: string[], function: string[], variable: string[], call: string[], import: string[], string: string[], number: string[]}}
+ */
+export function extractSymbols(text) {
+  const groups = Object.fromEntries(Object.keys(SYMBOL_KINDS).map((kind) => [kind, new Set()]));
+  const toResult = () =>
+    Object.fromEntries(Object.entries(groups).map(([kind, names]) => [kind, Array.from(names)]));
+  if (!text || !text.trim()) return toResult();
+
+  const language = detectLanguage(text) || 'cpp';
+  const { masked, code, strings } = scanCode(text, language);
+  const maskedLines = masked.split('\n');
+  const codeLines = code.split('\n');
+  const declaredAt = new Set();
+  let inImportBlock = false;
+  let offset = 0;
+
+  maskedLines.forEach((line, index) => {
+    const lineStart = offset;
+    offset += line.length + 1;
+    if (!line.trim()) return;
+
+    // Go 的 import ( ... ) 块
+    if (inImportBlock) {
+      if (/^\s*\)/.test(line)) {
+        inImportBlock = false;
+      } else {
+        extractImportModules(codeLines[index]).forEach((name) => groups.import.add(name));
+      }
+      return;
+    }
+    if (/^\s*import\s*\(\s*$/.test(line)) {
+      inImportBlock = true;
+      return;
+    }
+
+    if (isImportStatement(line) || /^\s*#\s*include\b/.test(line)) {
+      extractImportModules(codeLines[index]).forEach((name) => groups.import.add(name));
+      return;
+    }
+
+    for (const pattern of CLASS_PATTERNS) {
+      for (const match of line.matchAll(pattern)) groups.class.add(match[1]);
+    }
+
+    const functions = extractFunctionDeclarations(line);
+    functions.forEach(({ name, index: position }) => {
+      groups.function.add(name);
+      declaredAt.add(lineStart + position);
+    });
+
+    const functionNames = new Set(functions.map(({ name }) => name));
+    extractVariableDeclarations(line, language)
+      .filter((name) => !functionNames.has(name))
+      .forEach((name) => groups.variable.add(name));
+  });
+
+  // 类体中的方法声明（包括与方法体写在同一行的）不是调用
+  extractMethodDeclarations(masked).forEach(({ name, index }) => {
+    groups.function.add(name);
+    declaredAt.add(index);
+  });
+
+  // require('x')、import('x') 动态导入
+  for (const match of code.matchAll(/\b(?:require|import)\s*\(\s*(['"`])([^'"`]+)\1\s*\)/g)) {
+    groups.import.add(match[2]);
+  }
+
+  for (const match of masked.matchAll(CALL_PATTERN)) {
+    if (declaredAt.has(match.index)) continue;
+    const name = match[1].replace(/\s+/g, '');
+    const last = name.split(/\.|::|->/).pop();
+    if (NON_CALL_KEYWORDS.has(last.toLowerCase())) continue;
+    // 函数声明（function f(、def f( 等）不是调用
+    if (/\b(?:function\s*\*?|def|fn|func|class|new\s+class)\s*$/.test(masked.slice(Math.max(0, match.index - 12), match.index))) {
+      continue;
+    }
+    groups.call.add(name + match[2]);
+  }
+
+  // 多行字符串（文档字符串、模板）和导入的模块名不列出
+  strings
+    .filter(({ quote }) => !(quote === '\'' && CHAR_LITERAL_LANGUAGES.has(language)))
+    .map(({ value }) => value.trim())
+    .filter((value) => value && !value.includes('\n') && !groups.import.has(value))
+    .forEach((value) => groups.string.add(value));
+
+  for (const match of masked.matchAll(NUMBER_PATTERN)) {
+    groups.number.add(match[0]);
+  }
+
+  return toResult();
+}
+
+/**
+ * 提取代码符号并按类别顺序展开为列表
+ * @param {string} text - 源代码
+ * @returns {Array<{kind: string, text: string}>}
+ */
+export function listSymbols(text) {
+  const groups = extractSymbols(text);
+  return Object.keys(SYMBOL_KINDS).flatMap((kind) => groups[kind].map((name) => ({ kind, text: name })));
+}
+
 // ============================================================================
 // 导出
 // ============================================================================
@@ -387,6 +1529,9 @@ export function codeAnalyze(text) {
 export {
   analyzeCppCode,
   analyzePythonCode,
+  analyzeBraceCode,
+  analyzeShellCode,
+  analyzeSqlCode,
   detectCodeType,
   isCppPreprocessor,
   isImportStatement,
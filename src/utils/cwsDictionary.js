@@ -0,0 +1,144 @@
+/**
+ * 完整分词词典与 HMM 模型加载模块
+ * 完整词典由 jieba 词典（词频 ≥ 5 的中文词，约 12.7 万词）合并 ref/CWS.json 生成，打包在 src/data/cws-full.json 中；
+ * HMM 模型（BMES 标注，用于识别未登录词）打包在 src/data/hmm-model.json 中。
+ * 仅在用户启用且首次运行中文分析时加载，解析结果在当前页面会话内缓存；
+ * 构建好的双数组索引序列化到存储中，之后的会话直接恢复，无需重新构建。
+ */
+
+import { estimateDictionaryBytes } from './fastCWS.js';
+import { STORAGE_KEYS } from './storage.js';
+
+export const FULL_DICTIONARY_PATH = 'src/data/cws-full.json';
+export const HMM_MODEL_PATH = 'src/data/hmm-model.json';
+
+const logger = {
+  warn: (message, ...args) => console.warn(`[CWS] ${message}`, ...args)
+};
+
+// 当前会话的加载状态
+const status = {
+  state: 'idle', // idle | loading | loaded | error
+  error: '',
+  fileBytes: 0,
+  wordCount: 0,
+  estimatedBytes: 0,
+  loadTime: 0
+};
+
+let loadPromise = null;
+let hmmPromise = null;
+
+/**
+ * 获取打包数据文件地址
+ * @param {string} path - 相对扩展根目录的路径
+ * @returns {string}
+ */
+function getDataUrl(path) {
+  if (typeof chrome !== 'undefined' && chrome.runtime?.getURL) {
+    return chrome.runtime.getURL(path);
+  }
+  return `/${path}`;
+}
+
+/**
+ * 加载完整词典，同一会话内只请求和解析一次
+ * @returns {Promise<object>} 词典数据 { w2, w3, w4, long }
+ */
+export function loadFullDictionary() {
+  if (loadPromise) return loadPromise;
+
+  status.state = 'loading';
+  status.error = '';
+  const startTime = performance.now();
+
+  loadPromise = fetch(getDataUrl(FULL_DICTIONARY_PATH))
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.text();
+    })
+    .then((text) => {
+      const dict = JSON.parse(text);
+      const words = new Set(['w2', 'w3', 'w4', 'long'].flatMap((key) => dict[key] || []));
+
+      Object.assign(status, {
+        state: 'loaded',
+        fileBytes: new Blob([text]).size,
+        wordCount: words.size,
+        estimatedBytes: estimateDictionaryBytes(words),
+        loadTime: Math.round(performance.now() - startTime)
+      });
+      return dict;
+    })
+    .catch((error) => {
+      status.state = 'error';
+      status.error = error.message;
+      // 失败后允许下次重试
+      loadPromise = null;
+      throw error;
+    });
+
+  return loadPromise;
+}
+
+/**
+ * 加载 HMM 模型，同一会话内只请求一次
+ * @returns {Promise<object>} 模型数据 { start, trans, chars, emit }
+ */
+export function loadHmmModel() {
+  if (hmmPromise) return hmmPromise;
+
+  hmmPromise = fetch(getDataUrl(HMM_MODEL_PATH))
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.json();
+    })
+    .catch((error) => {
+      hmmPromise = null;
+      throw error;
+    });
+
+  return hmmPromise;
+}
+
+/**
+ * 获取完整词典的加载状态
+ * @returns {{state: string, error: string, fileBytes: number, wordCount: number, estimatedBytes: number, loadTime: number}}
+ */
+export function getFullDictionaryStatus() {
+  return { ...status };
+}
+
+/**
+ * 恢复或缓存分词索引
+ * 存储中的索引签名一致时直接导入，省去构建；否则构建索引并写回存储
+ * @param {FastCWS} engine - 分词引擎
+ * @param {string} signature - 词表签名（词典版本 + 用户词典）
+ * @returns {Promise<void>}
+ */
+export async function syncDictionaryIndex(engine, signature) {
+  if (!engine.dirty) return;
+
+  try {
+    const key = STORAGE_KEYS.CWS_INDEX_CACHE;
+    const { [key]: cached } = await chrome.storage.local.get(key);
+    if (cached?.signature === signature && engine.importIndex(cached.index)) return;
+
+    await chrome.storage.local.set({ [key]: { signature, index: engine.exportIndex() } });
+  } catch (error) {
+    logger.warn('分词索引缓存失败:', error);
+  }
+}
+
+export default {
+  FULL_DICTIONARY_PATH,
+  HMM_MODEL_PATH,
+  loadFullDictionary,
+  loadHmmModel,
+  getFullDictionaryStatus,
+  syncDictionaryIndex
+};
@@ -0,0 +1,1406 @@
+/**
+ * 结构化数据格式化与转换模块
+ * 在 JSON、YAML、TOML、CSV/TSV、URL 查询串之间互相转换，并能把 curl 命令的 -d 请求体转成 JSON。
+ * 不依赖第三方库：JSON 使用自带的递归下降解析器，出错时能报告行列；
+ * YAML 只支持常用子集（不支持锚点、标签和多文档），TOML 的日期时间按字符串处理。
+ */
+
+// ============================================================================
+// 格式定义与错误
+// ============================================================================
+
+export const DATA_FORMATS = {
+  json: { name: 'JSON' },
+  yaml: { name: 'YAML' },
+  toml: { name: 'TOML' },
+  csv: { name: 'CSV' },
+  tsv: { name: 'TSV' },
+  query: { name: '查询串' },
+  curl: { name: 'curl' }
+};
+
+/**
+ * 数据解析或转换错误，解析错误带出错位置（行列均从 1 开始）
+ */
+export class DataFormatError extends Error {
+  constructor(message, format = null, line = null, column = null) {
+    const location = line ? `（第 ${line} 行第 ${column} 列）` : '';
+    const prefix = format ? `${DATA_FORMATS[format].name} 解析失败` : '转换失败';
+    super(`${prefix}${location}：${message}`);
+    this.name = 'DataFormatError';
+    this.format = format;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * 把字符偏移换算成行列
+ * @param {string} text - 原文
+ * @param {number} offset - 字符偏移
+ * @returns {{line: number, column: number}}
+ */
+function getLineColumn(text, offset) {
+  const before = text.slice(0, offset);
+  return {
+    line: before.split('\n').length,
+    column: offset - before.lastIndexOf('\n')
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 用 defineProperty 写入，避免 __proto__ 之类的键改动原型
+function setProperty(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+function describeChar(char) {
+  return char === undefined ? '意外的结尾' : `意外的字符 ${JSON.stringify(char)}`;
+}
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+const JSON_STRING = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const JSON_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const JSON_ESCAPE = /^(?:["\\/bfnrt]|u[0-9a-fA-F]{4})/;
+
+/**
+ * 解析 JSON，出错时抛出带行列的 DataFormatError
+ * @param {string} text - JSON 文本
+ * @returns {*}
+ */
+export function parseJson(text) {
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const fail = (message, at = pos) => {
+    const { line, column } = getLineColumn(text, at);
+    throw new DataFormatError(message, 'json', line, column);
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && ' \t\r\n'.includes(text[pos])) pos++;
+  };
+  const matchSticky = (regex) => {
+    regex.lastIndex = pos;
+    const match = regex.exec(text);
+    if (match) pos = regex.lastIndex;
+    return match?.[0];
+  };
+
+  function parseString() {
+    const start = pos;
+    const raw = matchSticky(JSON_STRING);
+    if (raw !== undefined) return JSON.parse(raw);
+
+    // 定位具体出错的字符：非法转义、未转义的控制字符或未闭合
+    for (let i = pos + 1; i < text.length && text[i] !== '"'; i++) {
+      if (text[i] === '\\') {
+        if (!JSON_ESCAPE.test(text.slice(i + 1, i + 6))) fail('无效的转义字符', i);
+        i++;
+      } else if (text[i] < ' ') {
+        fail('字符串中不能直接包含换行或控制字符', i);
+      }
+    }
+    return fail('字符串未闭合', start);
+  }
+
+  function parseArray() {
+    const result = [];
+    pos++;
+    skipWhitespace();
+    if (text[pos] === ']') {
+      pos++;
+      return result;
+    }
+    for (;;) {
+      result.push(parseValue());
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+        skipWhitespace();
+        if (text[pos] === ']') fail('数组末尾多了逗号');
+      } else if (text[pos] === ']') {
+        pos++;
+        return result;
+      } else {
+        fail(`${describeChar(text[pos])}，应为 , 或 ]`);
+      }
+    }
+  }
+
+  function parseObject() {
+    const result = {};
+    pos++;
+    skipWhitespace();
+    if (text[pos] === '}') {
+      pos++;
+      return result;
+    }
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') {
+        fail(text[pos] === '}' ? '对象末尾多了逗号' : `${describeChar(text[pos])}，属性名必须使用双引号`);
+      }
+      const key = parseString();
+      skipWhitespace();
+      if (text[pos] !== ':') fail(`${describeChar(text[pos])}，应为 :`);
+      pos++;
+      setProperty(result, key, parseValue());
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] === '}') {
+        pos++;
+        return result;
+      } else {
+        fail(`${describeChar(text[pos])}，应为 , 或 }`);
+      }
+    }
+  }
+
+  function parseValue() {
+    skipWhitespace();
+    const char = text[pos];
+    if (char === '{') return parseObject();
+    if (char === '[') return parseArray();
+    if (char === '"') return parseString();
+    if (char === '-' || (char >= '0' && char <= '9')) {
+      const number = matchSticky(JSON_NUMBER);
+      return number === undefined ? fail(describeChar(char)) : Number(number);
+    }
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(literal, pos)) {
+        pos += literal.length;
+        return value;
+      }
+    }
+    return fail(describeChar(char));
+  }
+
+  skipWhitespace();
+  if (pos >= text.length) fail('内容为空');
+  const value = parseValue();
+  skipWhitespace();
+  if (pos < text.length) fail(`${describeChar(text[pos])}，JSON 已经结束`);
+  return value;
+}
+
+/**
+ * 格式化或压缩 JSON
+ * 整段是 JSON 字符串且内容本身也是 JSON（常见于日志里转义过的 JSON）时，先解开一层再格式化
+ * @param {string} text - JSON 文本
+ * @param {object} options - 选项
+ * @param {boolean} options.minify - 是否压缩为一行，默认 false
+ * @returns {string}
+ */
+export function formatJson(text, options = {}) {
+  const { minify = false } = options;
+  let value = parseJson(text);
+  if (typeof value === 'string' && /^\s*[{[]/.test(value)) {
+    try {
+      value = parseJson(value);
+    } catch {
+      // 内层不是 JSON，按普通字符串处理
+    }
+  }
+  return minify ? JSON.stringify(value) : JSON.stringify(value, null, 2);
+}
+
+// ============================================================================
+// YAML（常用子集）
+// ============================================================================
+
+/**
+ * 去掉行尾注释：引号外、行首或空白之后的 # 开始注释
+ * @param {string} line - 原始行
+ * @returns {string}
+ */
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      // 引号只在值开头或流式集合里才有意义，it's 这类词中的撇号不算
+      if (i === 0 || /[\s:,[{-]/.test(line[i - 1])) quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+  return line.trimEnd();
+}
+
+/**
+ * 解析纯文本标量：null、布尔、数字，其余为字符串
+ * @param {string} value - 标量文本
+ * @returns {*}
+ */
+function resolveYamlScalar(value) {
+  if (/^(~|null|Null|NULL)?$/.test(value)) return null;
+  if (/^(true|True|TRUE)$/.test(value)) return true;
+  if (/^(false|False|FALSE)$/.test(value)) return false;
+  // 0123 这类前导零的值（邮编、编号）保留为字符串
+  if (/^[-+]?(0|[1-9]\d*)$/.test(value)) return Number(value);
+  if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value, 16);
+  if (/^0o[0-7]+$/.test(value)) return parseInt(value.slice(2), 8);
+  if (/^[-+]?(0|[1-9]\d*)?\.\d+([eE][-+]?\d+)?$|^[-+]?(0|[1-9]\d*)(\.\d*)?[eE][-+]?\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(value)) return value.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(value)) return NaN;
+  return value;
+}
+
+/**
+ * 拆分映射条目 key: value，不是映射条目时返回 null
+ * @param {string} content - 去掉缩进和注释的行内容
+ * @returns {{key: string, rest: string, restOffset: number}|null}
+ */
+function splitYamlEntry(content) {
+  let keyEnd;
+  let key;
+  if (content[0] === '"' || content[0] === '\'') {
+    const match = content.match(content[0] === '"' ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/);
+    if (!match) return null;
+    const after = content.slice(match[0].length).match(/^\s*:(?=\s|$)/);
+    if (!after) return null;
+    key = parseYamlQuoted(match[0]);
+    keyEnd = match[0].length + after[0].length;
+  } else {
+    const colon = content.search(/:(\s|$)/);
+    if (colon <= 0 || /^[[{]|^-(\s|$)/.test(content)) return null;
+    key = content.slice(0, colon).trim();
+    keyEnd = colon + 1;
+  }
+  const rest = content.slice(keyEnd).trimStart();
+  return { key, rest, restOffset: content.length - rest.length };
+}
+
+function parseYamlQuoted(raw) {
+  if (raw[0] === '\'') return raw.slice(1, -1).replace(/''/g, '\'');
+  return JSON.parse(raw.replace(/\t/g, '\\t'));
+}
+
+const isYamlSequenceItem = (content) => content === '-' || content.startsWith('- ');
+
+/**
+ * 解析 YAML，支持块映射、块序列、引号字符串、流式集合 [a, b] / {a: 1}、| 和 > 块标量
+ * @param {string} text - YAML 文本
+ * @returns {*}
+ */
+export function parseYaml(text) {
+  // 末尾换行不算一个空行，否则 |+ 块标量会多保留一个换行
+  const rawLines = text.replace(/^\uFEFF/, '').replace(/\r?\n$/, '').split(/\r?\n/);
+  let index = 0;
+  let started = false;
+
+  const fail = (message, lineIndex = index, column = 1) => {
+    throw new DataFormatError(message, 'yaml', lineIndex + 1, column);
+  };
+
+  // 取下一个有效行（跳过空行、注释和开头的文档标记），不移动位置
+  function peek() {
+    while (index < rawLines.length) {
+      const raw = rawLines[index];
+      const content = stripYamlComment(raw).trim();
+      if (!content || (!started && content === '---')) {
+        index++;
+        continue;
+      }
+      if (content === '---' || content === '...') fail('不支持多文档');
+      const leading = raw.match(/^\s*/)[0];
+      if (leading.includes('\t')) fail('缩进不能使用制表符', index, leading.indexOf('\t') + 1);
+      started = true;
+      return { indent: leading.length, content, index };
+    }
+    return null;
+  }
+
+  function parseBlock(minIndent) {
+    const line = peek();
+    if (!line || line.indent < minIndent) return null;
+    if (isYamlSequenceItem(line.content)) return parseSequence(line.indent);
+    if (splitYamlEntry(line.content)) return parseMapping(line.indent);
+    index++;
+    return parseInlineValue(line.content, line.index, line.indent, minIndent - 1);
+  }
+
+  function parseSequence(indent) {
+    const result = [];
+    for (;;) {
+      const line = peek();
+      if (!line || line.indent < indent || !isYamlSequenceItem(line.content)) break;
+      if (line.indent > indent) fail('缩进不一致', line.index, line.indent + 1);
+
+      const rest = line.content.slice(1).trimStart();
+      const restIndent = line.indent + line.content.length - rest.length;
+      index++;
+      if (!rest) {
+        result.push(parseBlock(indent + 1));
+      } else if (isYamlSequenceItem(rest) || splitYamlEntry(rest)) {
+        // "- key: value" 和 "- - item"：把剩余部分当作缩进更深的一行重新解析
+        rawLines[line.index] = ' '.repeat(restIndent) + rest;
+        index = line.index;
+        result.push(parseBlock(restIndent));
+      } else {
+        result.push(parseInlineValue(rest, line.index, restIndent, indent));
+      }
+    }
+    return result;
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+    for (;;) {
+      const line = peek();
+      if (!line || line.indent < indent) break;
+      if (line.indent > indent) fail('缩进不一致', line.index, line.indent + 1);
+      const entry = splitYamlEntry(line.content);
+      if (!entry) {
+        if (isYamlSequenceItem(line.content)) break;
+        fail('应为“键: 值”', line.index, line.indent + 1);
+      }
+      if (Object.hasOwn(result, entry.key)) fail(`重复的键 ${entry.key}`, line.index, line.indent + 1);
+      index++;
+
+      let value = null;
+      if (entry.rest) {
+        value = parseInlineValue(entry.rest, line.index, line.indent + entry.restOffset, indent);
+      } else {
+        // 值在下一行：缩进更深的块，或与键同缩进的序列
+        const next = peek();
+        if (next && next.indent > indent) value = parseBlock(next.indent);
+        else if (next && next.indent === indent && isYamlSequenceItem(next.content)) value = parseSequence(indent);
+      }
+      setProperty(result, entry.key, value);
+    }
+    return result;
+  }
+
+  function parseInlineValue(rest, lineIndex, column, parentIndent) {
+    if (/^[|>][+-]?$/.test(rest)) return parseBlockScalar(rest, parentIndent);
+    if (rest[0] === '&' || rest[0] === '*') fail('不支持锚点和别名', lineIndex, column + 1);
+    if (rest[0] === '!') fail('不支持标签', lineIndex, column + 1);
+    if (rest[0] === '[' || rest[0] === '{') return parseFlow(rest, lineIndex, column, parentIndent);
+    if (rest[0] === '"' || rest[0] === '\'') {
+      const match = rest.match(rest[0] === '"' ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/);
+      if (!match) fail('引号未闭合（不支持跨行的引号字符串）', lineIndex, column + 1);
+      if (match[0].length !== rest.length) fail('引号字符串后有多余内容', lineIndex, column + match[0].length + 1);
+      try {
+        return parseYamlQuoted(match[0]);
+      } catch {
+        return fail('无效的转义字符', lineIndex, column + 1);
+      }
+    }
+
+    // 纯文本标量可以折行，续行的缩进比父级深
+    let value = rest;
+    for (let next = peek(); next && next.indent > parentIndent; next = peek()) {
+      if (isYamlSequenceItem(next.content) || splitYamlEntry(next.content)) {
+        fail('缩进不一致', next.index, next.indent + 1);
+      }
+      value += ` ${next.content}`;
+      index++;
+    }
+    return resolveYamlScalar(value);
+  }
+
+  function parseBlockScalar(header, parentIndent) {
+    const lines = [];
+    let blockIndent = null;
+    while (index < rawLines.length) {
+      const raw = rawLines[index];
+      if (!raw.trim()) {
+        lines.push('');
+        index++;
+        continue;
+      }
+      const indent = raw.length - raw.trimStart().length;
+      if (indent <= parentIndent || (blockIndent !== null && indent < blockIndent)) break;
+      if (blockIndent === null) blockIndent = indent;
+      lines.push(raw.slice(blockIndent));
+      index++;
+    }
+
+    let trailing = 0;
+    while (lines.length && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+    let body = lines.join('\n');
+    if (header[0] === '>') {
+      body = lines.reduce((folded, line, i) => {
+        if (i === 0) return line;
+        if (!line) return `${folded}\n`;
+        return lines[i - 1] ? `${folded} ${line}` : folded + line;
+      }, '');
+    }
+    if (!lines.length || header.endsWith('-')) return body;
+    return body + (header.endsWith('+') ? '\n'.repeat(trailing + 1) : '\n');
+  }
+
+  // 流式集合可以跨行，先收集到括号配平为止
+  function parseFlow(rest, lineIndex, column, parentIndent) {
+    let source = rest;
+    const depthOf = (textPart) => {
+      let depth = 0;
+      let quote = null;
+      for (let i = 0; i < textPart.length; i++) {
+        const char = textPart[i];
+        if (quote) {
+          if (char === '\\' && quote === '"') i++;
+          else if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+          quote = char;
+        } else if (char === '[' || char === '{') {
+          depth++;
+        } else if (char === ']' || char === '}') {
+          depth--;
+        }
+      }
+      return depth;
+    };
+    while (depthOf(source) > 0) {
+      const next = peek();
+      if (!next || next.indent <= parentIndent) fail('括号未闭合', lineIndex, column + 1);
+      source += ` ${next.content}`;
+      index++;
+    }
+    return parseFlowCollection(source, (message) => fail(message, lineIndex, column + 1));
+  }
+
+  const value = parseBlock(0);
+  const extra = peek();
+  if (extra) fail('缩进不一致', extra.index, extra.indent + 1);
+  return value;
+}
+
+/**
+ * 解析 YAML 流式集合：[a, b]、{a: 1, b: [x]}
+ * @param {string} source - 流式集合文本
+ * @param {Function} fail - 报错函数
+ * @returns {*}
+ */
+function parseFlowCollection(source, fail) {
+  let pos = 0;
+  const skipSpaces = () => {
+    while (/\s/.test(source[pos] || '')) pos++;
+  };
+
+  function readScalar(isKey) {
+    skipSpaces();
+    const char = source[pos];
+    if (char === '[' || char === '{') return parseCollection();
+    if (char === '"' || char === '\'') {
+      const match = source.slice(pos).match(char === '"' ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/);
+      if (!match) fail('引号未闭合');
+      pos += match[0].length;
+      return parseYamlQuoted(match[0]);
+    }
+    const start = pos;
+    while (pos < source.length && !',[]{}'.includes(source[pos])) {
+      if (isKey && source[pos] === ':' && /\s|[,}]/.test(source[pos + 1] || ' ')) break;
+      pos++;
+    }
+    const raw = source.slice(start, pos).trim();
+    return isKey ? raw : resolveYamlScalar(raw);
+  }
+
+  function parseCollection() {
+    const open = source[pos];
+    const close = open === '[' ? ']' : '}';
+    const result = open === '[' ? [] : {};
+    pos++;
+    for (;;) {
+      skipSpaces();
+      if (source[pos] === close) {
+        pos++;
+        return result;
+      }
+      if (open === '[') {
+        result.push(readScalar(false));
+      } else {
+        const key = String(readScalar(true));
+        skipSpaces();
+        let value = null;
+        if (source[pos] === ':') {
+          pos++;
+          value = readScalar(false);
+        }
+        setProperty(result, key, value);
+      }
+      skipSpaces();
+      if (source[pos] === ',') pos++;
+      else if (source[pos] !== close) fail(`${describeChar(source[pos])}，应为 , 或 ${close}`);
+    }
+  }
+
+  skipSpaces();
+  const value = parseCollection();
+  skipSpaces();
+  if (pos < source.length) fail(`${describeChar(source[pos])}，集合已经结束`);
+  return value;
+}
+
+/**
+ * 标量转 YAML 文本，会被误读为其他类型或含特殊字符时加双引号
+ * @param {*} value - 标量
+ * @returns {string}
+ */
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  if (typeof value === 'boolean') return String(value);
+
+  const text = String(value);
+  const needsQuote =
+    text !== text.trim() ||
+    resolveYamlScalar(text) !== text ||
+    /^[-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+    /: |:$| #|[\u0000-\u001f]/.test(text);
+  return needsQuote ? JSON.stringify(text) : text;
+}
+
+function yamlKey(key) {
+  return yamlScalar(key);
+}
+
+/**
+ * 值转 YAML 行，集合按块格式展开
+ * @param {*} value - 值
+ * @param {number} indent - 缩进空格数
+ * @returns {string}
+ */
+function yamlBlock(value, indent) {
+  const pad = ' '.repeat(indent);
+  const isNested = (item) => (Array.isArray(item) || isPlainObject(item)) && Object.keys(item).length > 0;
+  // 含换行的字符串用 | 块标量，首行有前导空格或多个结尾换行时退回双引号
+  const inline = (item) => {
+    if (Array.isArray(item)) return '[]';
+    if (isPlainObject(item)) return '{}';
+    if (typeof item === 'string' && /\n./.test(item) && !/^\s|\n\n$|\r/.test(item)) {
+      const header = item.endsWith('\n') ? '|' : '|-';
+      const body = item.replace(/\n$/, '').split('\n');
+      return [header, ...body.map((line) => (line ? ' '.repeat(indent + 2) + line : ''))].join('\n');
+    }
+    return yamlScalar(item);
+  };
+
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => {
+        if (!isNested(item)) return `${pad}- ${inline(item)}`;
+        return `${pad}- ${yamlBlock(item, indent + 2).slice(indent + 2)}`;
+      })
+      .join('\n');
+  }
+
+  return Object.entries(value)
+    .map(([key, item]) => {
+      if (!isNested(item)) return `${pad}${yamlKey(key)}: ${inline(item)}`;
+      return `${pad}${yamlKey(key)}:\n${yamlBlock(item, indent + 2)}`;
+    })
+    .join('\n');
+}
+
+/**
+ * 生成 YAML
+ * @param {*} value - 数据
+ * @returns {string}
+ */
+export function stringifyYaml(value) {
+  if ((Array.isArray(value) || isPlainObject(value)) && Object.keys(value).length > 0) {
+    return yamlBlock(value, 0);
+  }
+  if (Array.isArray(value)) return '[]';
+  if (isPlainObject(value)) return '{}';
+  return yamlScalar(value);
+}
+
+// ============================================================================
+// TOML
+// ============================================================================
+
+const TOML_BARE_KEY = /[A-Za-z0-9_-]+/y;
+const TOML_DATETIME = /\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?/iy;
+const TOML_SPECIAL_NUMBER = /[+-]?(?:inf|nan)/y;
+const TOML_RADIX_NUMBER = /0x[0-9a-fA-F](?:_?[0-9a-fA-F])*|0o[0-7](?:_?[0-7])*|0b[01](?:_?[01])*/y;
+const TOML_DECIMAL_NUMBER = /[+-]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?/y;
+const TOML_ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\u001b', '"': '"', '\\': '\\' };
+
+/**
+ * 解析 TOML：表、表数组、点分键、各类字符串、数字、布尔、数组和内联表
+ * @param {string} text - TOML 文本
+ * @returns {object}
+ */
+export function parseToml(text) {
+  const src = text.replace(/^\uFEFF/, '');
+  const root = {};
+  const explicitTables = new Set();
+  let current = root;
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    const { line, column } = getLineColumn(src, at);
+    throw new DataFormatError(message, 'toml', line, column);
+  };
+  const matchSticky = (regex) => {
+    regex.lastIndex = pos;
+    const match = regex.exec(src);
+    if (match) pos = regex.lastIndex;
+    return match?.[0];
+  };
+  const skipSpaces = () => {
+    while (src[pos] === ' ' || src[pos] === '\t') pos++;
+  };
+  const skipComment = () => {
+    if (src[pos] === '#') {
+      while (pos < src.length && src[pos] !== '\n') pos++;
+    }
+  };
+  // 跳过空白、注释和换行（数组内部和两条语句之间）
+  const skipBlank = () => {
+    for (;;) {
+      skipSpaces();
+      skipComment();
+      if (src[pos] !== '\n' && src[pos] !== '\r') return;
+      pos++;
+    }
+  };
+  const expectLineEnd = () => {
+    skipSpaces();
+    skipComment();
+    if (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') fail(`${describeChar(src[pos])}，应为换行`);
+  };
+
+  function unescapeBasic(raw, start) {
+    return raw.replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/gs, (match, code, offset) => {
+      if (code[0] === 'u' || code[0] === 'U') return String.fromCodePoint(parseInt(code.slice(1), 16));
+      if (code in TOML_ESCAPES) return TOML_ESCAPES[code];
+      return fail('无效的转义字符', start + offset);
+    });
+  }
+
+  function parseString() {
+    const start = pos;
+    if (src.startsWith('"""', pos) || src.startsWith('\'\'\'', pos)) {
+      const delimiter = src.slice(pos, pos + 3);
+      pos += 3;
+      let end = pos;
+      for (;;) {
+        end = src.indexOf(delimiter, end);
+        if (end === -1) fail('多行字符串未闭合', start);
+        if (delimiter === '\'\'\'' || !/(^|[^\\])(\\\\)*\\$/.test(src.slice(pos, end))) break;
+        end++;
+      }
+      // 结尾最多可以多出两个引号，属于字符串内容
+      for (let extra = 0; extra < 2 && src[end + 3] === delimiter[0]; extra++) end++;
+      let raw = src.slice(pos, end).replace(/^\r?\n/, '');
+      const bodyStart = pos;
+      pos = end + 3;
+      if (delimiter === '\'\'\'') return raw;
+      // 行尾反斜杠：连同后续空白一起去掉
+      raw = raw.replace(/\\[ \t]*\r?\n\s*/g, '');
+      return unescapeBasic(raw, bodyStart);
+    }
+
+    const quote = src[pos];
+    let end = pos + 1;
+    while (end < src.length && src[end] !== quote && src[end] !== '\n') {
+      end += quote === '"' && src[end] === '\\' ? 2 : 1;
+    }
+    if (src[end] !== quote) fail('字符串未闭合', start);
+    const raw = src.slice(pos + 1, end);
+    pos = end + 1;
+    return quote === '\'' ? raw : unescapeBasic(raw, start + 1);
+  }
+
+  function parseKey() {
+    const path = [];
+    for (;;) {
+      skipSpaces();
+      if (src[pos] === '"' || src[pos] === '\'') {
+        path.push(parseString());
+      } else {
+        const bare = matchSticky(TOML_BARE_KEY);
+        if (bare === undefined) fail(`${describeChar(src[pos])}，应为键名`);
+        path.push(bare);
+      }
+      skipSpaces();
+      if (src[pos] !== '.') return path;
+      pos++;
+    }
+  }
+
+  function parseArray() {
+    const result = [];
+    pos++;
+    for (;;) {
+      skipBlank();
+      if (src[pos] === ']') {
+        pos++;
+        return result;
+      }
+      result.push(parseValue());
+      skipBlank();
+      if (src[pos] === ',') pos++;
+      else if (src[pos] !== ']') fail(`${describeChar(src[pos])}，应为 , 或 ]`);
+    }
+  }
+
+  function parseInlineTable() {
+    const result = {};
+    pos++;
+    skipSpaces();
+    if (src[pos] === '}') {
+      pos++;
+      return result;
+    }
+    for (;;) {
+      const keyStart = pos;
+      const path = parseKey();
+      if (src[pos] !== '=') fail(`${describeChar(src[pos])}，应为 =`);
+      pos++;
+      skipSpaces();
+      assignKey(result, path, parseValue(), keyStart);
+      skipSpaces();
+      if (src[pos] === '}') {
+        pos++;
+        return result;
+      }
+      if (src[pos] !== ',') fail(`${describeChar(src[pos])}，应为 , 或 }`);
+      pos++;
+    }
+  }
+
+  function parseValue() {
+    const char = src[pos];
+    if (char === '"' || char === '\'') return parseString();
+    if (char === '[') return parseArray();
+    if (char === '{') return parseInlineTable();
+    if (src.startsWith('true', pos)) {
+      pos += 4;
+      return true;
+    }
+    if (src.startsWith('false', pos)) {
+      pos += 5;
+      return false;
+    }
+
+    // 日期时间保留原文
+    const datetime = matchSticky(TOML_DATETIME);
+    if (datetime !== undefined) return datetime;
+
+    const special = matchSticky(TOML_SPECIAL_NUMBER);
+    if (special !== undefined) {
+      if (special.endsWith('nan')) return NaN;
+      return special.startsWith('-') ? -Infinity : Infinity;
+    }
+    const radix = matchSticky(TOML_RADIX_NUMBER);
+    if (radix !== undefined) {
+      const base = { x: 16, o: 8, b: 2 }[radix[1]];
+      return parseInt(radix.slice(2).replace(/_/g, ''), base);
+    }
+    const decimal = matchSticky(TOML_DECIMAL_NUMBER);
+    if (decimal !== undefined) return Number(decimal.replace(/_/g, ''));
+
+    return fail(`${describeChar(char)}，应为值`);
+  }
+
+  // 沿路径找到（必要时创建）父表，表数组取最后一个元素
+  function walkTables(table, path, at) {
+    for (const part of path) {
+      if (!Object.hasOwn(table, part)) setProperty(table, part, {});
+      let next = table[part];
+      if (Array.isArray(next)) next = next[next.length - 1];
+      if (!isPlainObject(next)) fail(`键 ${part} 已经是普通值，不能再作为表`, at);
+      table = next;
+    }
+    return table;
+  }
+
+  function assignKey(table, path, value, at) {
+    const parent = walkTables(table, path.slice(0, -1), at);
+    const key = path[path.length - 1];
+    if (Object.hasOwn(parent, key)) fail(`重复的键 ${path.join('.')}`, at);
+    setProperty(parent, key, value);
+  }
+
+  for (;;) {
+    skipBlank();
+    if (pos >= src.length) break;
+    const lineStart = pos;
+
+    if (src[pos] === '[') {
+      const isArray = src[pos + 1] === '[';
+      pos += isArray ? 2 : 1;
+      const path = parseKey();
+      const close = isArray ? ']]' : ']';
+      if (!src.startsWith(close, pos)) fail(`${describeChar(src[pos])}，应为 ${close}`);
+      pos += close.length;
+      expectLineEnd();
+
+      const parent = walkTables(root, path.slice(0, -1), lineStart);
+      const key = path[path.length - 1];
+      if (isArray) {
+        if (!Object.hasOwn(parent, key)) setProperty(parent, key, []);
+        if (!Array.isArray(parent[key])) fail(`${path.join('.')} 已经定义为表，不能再作为表数组`, lineStart);
+        current = {};
+        parent[key].push(current);
+      } else {
+        const id = JSON.stringify(path);
+        if (explicitTables.has(id)) fail(`重复定义的表 [${path.join('.')}]`, lineStart);
+        explicitTables.add(id);
+        if (!Object.hasOwn(parent, key)) setProperty(parent, key, {});
+        if (!isPlainObject(parent[key])) fail(`${path.join('.')} 已经定义为其他类型`, lineStart);
+        current = parent[key];
+      }
+      continue;
+    }
+
+    const path = parseKey();
+    if (src[pos] !== '=') fail(`${describeChar(src[pos])}，应为 =`);
+    pos++;
+    skipSpaces();
+    assignKey(current, path, parseValue(), lineStart);
+    expectLineEnd();
+  }
+
+  return root;
+}
+
+function tomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+function tomlValue(value, path) {
+  if (value === null || value === undefined) {
+    throw new DataFormatError(`TOML 不支持空值（${path.join('.')}）`);
+  }
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return 'nan';
+    if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+    return String(value);
+  }
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    return `[${value.map((item, i) => tomlValue(item, [...path, i])).join(', ')}]`;
+  }
+  const entries = Object.entries(value).map(
+    ([key, item]) => `${tomlKey(key)} = ${tomlValue(item, [...path, key])}`
+  );
+  return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+}
+
+const isTableArray = (value) => Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+
+/**
+ * 把一张表写成 TOML 行：先写普通键值，再写子表和表数组
+ * @param {object} table - 表
+ * @param {string[]} path - 表路径
+ * @param {string[]} lines - 输出行
+ */
+function writeTomlTable(table, path, lines) {
+  const tables = [];
+  const tableArrays = [];
+  for (const [key, value] of Object.entries(table)) {
+    if (isPlainObject(value)) tables.push([key, value]);
+    else if (isTableArray(value)) tableArrays.push([key, value]);
+    else lines.push(`${tomlKey(key)} = ${tomlValue(value, [...path, key])}`);
+  }
+
+  for (const [key, value] of tables) {
+    const childPath = [...path, key];
+    // 只含子表的表可以省略表头
+    const values = Object.values(value);
+    if (!values.length || values.some((item) => !isPlainObject(item) && !isTableArray(item))) {
+      lines.push('', `[${childPath.map(tomlKey).join('.')}]`);
+    }
+    writeTomlTable(value, childPath, lines);
+  }
+
+  for (const [key, items] of tableArrays) {
+    const childPath = [...path, key];
+    for (const item of items) {
+      lines.push('', `[[${childPath.map(tomlKey).join('.')}]]`);
+      writeTomlTable(item, childPath, lines);
+    }
+  }
+}
+
+/**
+ * 生成 TOML，顶层必须是对象
+ * @param {object} value - 数据
+ * @returns {string}
+ */
+export function stringifyToml(value) {
+  if (!isPlainObject(value)) {
+    throw new DataFormatError('TOML 顶层必须是表（对象）');
+  }
+  const lines = [];
+  writeTomlTable(value, [], lines);
+  return lines.join('\n').replace(/^\n+/, '');
+}
+
+// ============================================================================
+// CSV / TSV
+// ============================================================================
+
+/**
+ * 按 RFC 4180 解析分隔文本：字段可用双引号包裹，引号内可含分隔符、换行，"" 表示一个引号
+ * @param {string} text - 原文
+ * @param {string} delimiter - 分隔符
+ * @param {string} format - csv 或 tsv，用于错误信息
+ * @returns {Array<{cells: string[], line: number}>}
+ */
+function parseDelimitedRows(text, delimiter, format) {
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let line = 1;
+  let rowLine = 1;
+  let quoteStart = -1;
+  let afterQuote = false;
+
+  const fail = (message, at) => {
+    const position = getLineColumn(text, at);
+    throw new DataFormatError(message, format, position.line, position.column);
+  };
+  const endRow = () => {
+    cells.push(field);
+    rows.push({ cells, line: rowLine });
+    cells = [];
+    field = '';
+    afterQuote = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoteStart >= 0) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoteStart = -1;
+        afterQuote = true;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === delimiter) {
+      cells.push(field);
+      field = '';
+      afterQuote = false;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (afterQuote) {
+      fail(`${describeChar(char)}，引号后应为分隔符或换行`, i);
+    } else if (char === '"' && field === '') {
+      quoteStart = i;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoteStart >= 0) fail('引号未闭合', quoteStart);
+  if (field || cells.length || afterQuote) endRow();
+  return rows.filter((row) => row.cells.length > 1 || row.cells[0] !== '');
+}
+
+/**
+ * 解析 CSV/TSV，首行作为表头，每行转成一个对象（值都是字符串）
+ * @param {string} text - 原文
+ * @param {string} format - csv 或 tsv
+ * @returns {object[]}
+ */
+export function parseDelimited(text, format = 'csv') {
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const rows = parseDelimitedRows(text.replace(/^\uFEFF/, ''), delimiter, format);
+  if (!rows.length) throw new DataFormatError('内容为空', format, 1, 1);
+
+  const used = new Set();
+  const headers = rows[0].cells.map((cell, i) => {
+    let name = cell.trim() || `column${i + 1}`;
+    while (used.has(name)) name = `${name}_${i + 1}`;
+    used.add(name);
+    return name;
+  });
+
+  return rows.slice(1).map(({ cells, line }) => {
+    if (cells.length > headers.length) {
+      throw new DataFormatError(`该行有 ${cells.length} 列，多于表头的 ${headers.length} 列`, format, line, 1);
+    }
+    const record = {};
+    headers.forEach((header, i) => setProperty(record, header, cells[i] ?? ''));
+    return record;
+  });
+}
+
+/**
+ * 生成 CSV/TSV：对象数组取所有键的并集作表头，二维数组直接按行输出，嵌套值写成 JSON
+ * @param {*} value - 数据
+ * @param {string} format - csv 或 tsv
+ * @returns {string}
+ */
+export function stringifyDelimited(value, format = 'csv') {
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const items = Array.isArray(value) ? value : [value];
+  if (!items.length) throw new DataFormatError('没有可转换的数据');
+
+  const cell = (item) => {
+    if (item === null || item === undefined) return '';
+    const text = typeof item === 'object' ? JSON.stringify(item) : String(item);
+    const needsQuote = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuote ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const row = (cells) => cells.map(cell).join(delimiter);
+
+  if (items.every(Array.isArray)) return items.map(row).join('\n');
+  if (!items.every(isPlainObject)) return ['value', ...items.map((item) => cell(item))].join('\n');
+
+  const headers = [];
+  for (const item of items) {
+    for (const key of Object.keys(item)) {
+      if (!headers.includes(key)) headers.push(key);
+    }
+  }
+  return [row(headers), ...items.map((item) => row(headers.map((key) => item[key])))].join('\n');
+}
+
+// ============================================================================
+// URL 查询串
+// ============================================================================
+
+/**
+ * 写入一个查询参数，支持 a[b]=1 嵌套对象、a[]=1 数组，重复的键合并为数组
+ * @param {object|Array} node - 当前节点
+ * @param {string[]} parts - 键路径
+ * @param {string} value - 参数值
+ */
+function setQueryValue(node, parts, value) {
+  const [part, ...rest] = parts;
+  if (Array.isArray(node) && part === '') {
+    if (!rest.length) {
+      node.push(value);
+      return;
+    }
+    const child = rest[0] === '' ? [] : {};
+    node.push(child);
+    setQueryValue(child, rest, value);
+    return;
+  }
+
+  if (!rest.length) {
+    if (!Object.hasOwn(node, part)) setProperty(node, part, value);
+    else if (Array.isArray(node[part])) node[part].push(value);
+    else setProperty(node, part, [node[part], value]);
+    return;
+  }
+  if (!Object.hasOwn(node, part) || typeof node[part] !== 'object') {
+    setProperty(node, part, rest[0] === '' ? [] : {});
+  }
+  setQueryValue(node[part], rest, value);
+}
+
+/**
+ * 解析查询串（可带 ? 前缀，也可以是完整链接），值都是字符串
+ * @param {string} text - 查询串
+ * @returns {object}
+ */
+export function parseQuery(text) {
+  let query = text.trim();
+  if (/^https?:\/\//i.test(query)) {
+    try {
+      query = new URL(query).search;
+    } catch {
+      throw new DataFormatError('链接格式不正确', 'query', 1, 1);
+    }
+  }
+  query = query.replace(/^\?/, '').replace(/#.*$/, '');
+
+  const result = {};
+  for (const [key, value] of new URLSearchParams(query)) {
+    const match = key.match(/^([^[\]]+)((?:\[[^[\]]*\])+)$/);
+    const parts = match ? [match[1], ...Array.from(match[2].matchAll(/\[([^[\]]*)\]/g), (m) => m[1])] : [key];
+    setQueryValue(result, parts, value);
+  }
+  return result;
+}
+
+/**
+ * 生成查询串：数组写成重复的键，嵌套对象写成 a[b]=1
+ * @param {object} value - 数据
+ * @returns {string}
+ */
+export function stringifyQuery(value) {
+  if (!isPlainObject(value)) {
+    throw new DataFormatError('只有对象才能转成查询串');
+  }
+  const params = new URLSearchParams();
+  const append = (key, item) => {
+    if (item === null || item === undefined) params.append(key, '');
+    else if (Array.isArray(item)) item.forEach((element) => append(key, isPlainObject(element) ? JSON.stringify(element) : element));
+    else if (isPlainObject(item)) Object.entries(item).forEach(([child, element]) => append(`${key}[${child}]`, element));
+    else params.append(key, String(item));
+  };
+  Object.entries(value).forEach(([key, item]) => append(key, item));
+  return params.toString();
+}
+
+// ============================================================================
+// curl 请求体
+// ============================================================================
+
+const CURL_DATA_FLAGS = new Set(['-d', '--data', '--data-raw', '--data-binary', '--data-ascii', '--data-urlencode', '--json']);
+const CURL_FORM_FLAGS = new Set(['-F', '--form', '--form-string']);
+
+/**
+ * 按 shell 规则拆分命令行：支持单双引号、$'...'、反斜杠转义和续行（\、^、`）
+ * @param {string} command - 命令行
+ * @returns {string[]}
+ */
+function splitShellWords(command) {
+  const text = command.replace(/[\\^`]\r?\n/g, ' ');
+  const words = [];
+  let current = '';
+  let inWord = false;
+  const fail = (message, at) => {
+    const { line, column } = getLineColumn(text, at);
+    throw new DataFormatError(message, 'curl', line, column);
+  };
+
+  for (let i = 0; i < text.length; ) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      if (inWord) words.push(current);
+      current = '';
+      inWord = false;
+      i++;
+      continue;
+    }
+    inWord = true;
+
+    if (char === '\'' || (char === '$' && text[i + 1] === '\'')) {
+      const ansi = char === '$';
+      let j = i + (ansi ? 2 : 1);
+      while (j < text.length && text[j] !== '\'') {
+        if (ansi && text[j] === '\\') {
+          const next = text[j + 1];
+          current += { n: '\n', t: '\t', r: '\r' }[next] ?? next;
+          j += 2;
+        } else {
+          current += text[j++];
+        }
+      }
+      if (j >= text.length) fail('单引号未闭合', i);
+      i = j + 1;
+    } else if (char === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') {
+        if (text[j] === '\\' && /["\\$`]/.test(text[j + 1])) {
+          current += text[j + 1];
+          j += 2;
+        } else {
+          current += text[j++];
+        }
+      }
+      if (j >= text.length) fail('双引号未闭合', i);
+      i = j + 1;
+    } else if (char === '\\' && i + 1 < text.length) {
+      current += text[i + 1];
+      i += 2;
+    } else {
+      current += char;
+      i++;
+    }
+  }
+  if (inWord) words.push(current);
+  return words;
+}
+
+/**
+ * 提取 curl 命令的请求体并转成数据：JSON 请求体原样解析，表单（a=1&b=2 或 -F）转成对象
+ * @param {string} command - curl 命令
+ * @returns {*}
+ */
+export function parseCurl(command) {
+  const words = splitShellWords(command.trim());
+  if (!/(^|[\\/])curl(\.exe)?$/i.test(words[0] || '')) {
+    throw new DataFormatError('不是 curl 命令', 'curl', 1, 1);
+  }
+
+  const bodies = [];
+  const form = {};
+  let hasForm = false;
+  for (let i = 1; i < words.length; i++) {
+    const word = words[i];
+    let flag = word;
+    let value;
+    const longOption = word.match(/^(--[\w-]+)=(.*)$/s);
+    if (longOption) {
+      [, flag, value] = longOption;
+    } else if (/^-[dF]./s.test(word)) {
+      flag = word.slice(0, 2);
+      value = word.slice(2);
+    }
+    if (!CURL_DATA_FLAGS.has(flag) && !CURL_FORM_FLAGS.has(flag)) continue;
+
+    if (value === undefined) value = words[++i];
+    if (value === undefined) throw new DataFormatError(`${flag} 缺少参数`, 'curl');
+
+    if (CURL_FORM_FLAGS.has(flag)) {
+      const separator = value.indexOf('=');
+      if (separator <= 0) throw new DataFormatError(`无法识别的表单字段 ${value}`, 'curl');
+      setQueryValue(form, [value.slice(0, separator)], value.slice(separator + 1));
+      hasForm = true;
+    } else if (flag === '--data-urlencode') {
+      const separator = value.indexOf('=');
+      bodies.push(separator > 0 ? `${value.slice(0, separator)}=${encodeURIComponent(value.slice(separator + 1))}` : encodeURIComponent(value.replace(/^=/, '')));
+    } else {
+      if (flag !== '--data-raw' && value.startsWith('@')) {
+        throw new DataFormatError(`请求体引用了文件 ${value.slice(1)}，无法转换`, 'curl');
+      }
+      bodies.push(value);
+    }
+  }
+
+  if (!bodies.length) {
+    if (hasForm) return form;
+    throw new DataFormatError('没有找到 -d/--data/--json 请求体', 'curl');
+  }
+  const body = bodies.join('&');
+  return /^\s*[{["]/.test(body) ? parseJson(body) : parseQuery(body);
+}
+
+// ============================================================================
+// 格式识别与转换
+// ============================================================================
+
+const TOML_HEADER_LINE = /^\s*\[\[?\s*[\w-]+(\s*\.\s*[\w-]+)*\s*\]\]?\s*(#.*)?$/;
+const TOML_KEY_VALUE_LINE = /^\s*[\w-]+(\s*\.\s*[\w-]+)*\s*=\s*\S/;
+const QUERY_STRING = /^(\?|https?:\/\/[^\s?#]+\?)?[^\s=&?#]+=[^\s&#]*(&[^\s=&#]+(=[^\s&#]*)?)*(#\S*)?$/i;
+const YAML_START = /^(---|-(\s|$)|("[^"]*"|'[^']*'|[^\s:#[{][^:#]*?)\s*:(\s|$))/;
+
+/**
+ * 识别结构化数据格式，无法识别时返回 null
+ * @param {string} text - 输入文本
+ * @returns {string|null} DATA_FORMATS 中的格式
+ */
+export function detectDataFormat(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+  if (/^curl(\.exe)?\s/i.test(trimmed)) return 'curl';
+
+  const lines = trimmed.split(/\r?\n/).filter((line) => line.trim() && !/^\s*#/.test(line));
+  const first = lines[0] || '';
+  // [table] 开头后面跟着 key = value 的是 TOML，[1, 2] 这类是 JSON 数组
+  const isToml =
+    TOML_KEY_VALUE_LINE.test(first) ||
+    (TOML_HEADER_LINE.test(first) && lines.slice(1).some((line) => TOML_KEY_VALUE_LINE.test(line)));
+
+  if (isToml && !QUERY_STRING.test(trimmed)) return 'toml';
+  if (/^[{["]/.test(trimmed)) return 'json';
+  if (lines.length === 1 && QUERY_STRING.test(trimmed)) return 'query';
+  if (lines.length >= 2 && first.includes('\t')) return 'tsv';
+  if (YAML_START.test(first)) return 'yaml';
+  if (lines.length >= 2 && first.includes(',')) return 'csv';
+  return null;
+}
+
+/**
+ * 按指定格式解析文本
+ * @param {string} text - 输入文本
+ * @param {string} format - DATA_FORMATS 中的格式，默认自动识别
+ * @returns {*}
+ */
+export function parseData(text, format = detectDataFormat(text)) {
+  switch (format) {
+  case 'json':
+    return parseJson(text);
+  case 'yaml':
+    return parseYaml(text);
+  case 'toml':
+    return parseToml(text);
+  case 'csv':
+  case 'tsv':
+    return parseDelimited(text, format);
+  case 'query':
+    return parseQuery(text);
+  case 'curl':
+    return parseCurl(text);
+  default:
+    throw new DataFormatError('无法识别数据格式，支持 JSON、YAML、TOML、CSV、TSV、查询串和 curl 命令');
+  }
+}
+
+/**
+ * 把数据写成指定格式
+ * @param {*} value - 数据
+ * @param {string} format - 目标格式（curl 只能作为来源）
+ * @returns {string}
+ */
+export function stringifyData(value, format) {
+  switch (format) {
+  case 'json':
+    return JSON.stringify(value, null, 2);
+  case 'yaml':
+    return stringifyYaml(value);
+  case 'toml':
+    return stringifyToml(value);
+  case 'csv':
+  case 'tsv':
+    return stringifyDelimited(value, format);
+  case 'query':
+    return stringifyQuery(value);
+  default:
+    throw new Error(`不支持的目标格式: ${format}`);
+  }
+}
+
+/**
+ * 转换数据格式
+ * @param {string} text - 输入文本
+ * @param {string} target - 目标格式
+ * @param {string} source - 来源格式，默认自动识别
+ * @returns {string}
+ */
+export function convertData(text, target, source = detectDataFormat(text)) {
+  return stringifyData(parseData(text, source), target);
+}
+
+export default {
+  DATA_FORMATS,
+  DataFormatError,
+  parseJson,
+  formatJson,
+  parseYaml,
+  stringifyYaml,
+  parseToml,
+  stringifyToml,
+  parseDelimited,
+  stringifyDelimited,
+  parseQuery,
+  stringifyQuery,
+  parseCurl,
+  detectDataFormat,
+  parseData,
+  stringifyData,
+  convertData
+};
@@ -0,0 +1,559 @@
+/**
+ * 时间戳与日期转换模块
+ * 识别 Unix 时间戳（秒、毫秒、微秒、纳秒）、ISO 8601、RFC 2822、中文日期和相对时间表达，
+ * 并换算到多个时区，给出距今时长、星期和 ISO 周数。
+ * 没有写明时区的输入按浏览器本地时区解释。
+ */
+
+export const DATE_KINDS = {
+  'unix-seconds': 'Unix 时间戳（秒）',
+  'unix-millis': 'Unix 时间戳（毫秒）',
+  'unix-micros': 'Unix 时间戳（微秒）',
+  'unix-nanos': 'Unix 时间戳（纳秒）',
+  iso: 'ISO 8601',
+  rfc2822: 'RFC 2822',
+  chinese: '中文日期',
+  relative: '相对时间'
+};
+
+export const DEFAULT_TIMEZONES = ['UTC', 'Asia/Shanghai', 'America/New_York', 'Europe/London'];
+
+const DAY_MS = 86400000;
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const EN_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// 整数位数 -> 时间戳单位及换算为毫秒的方法
+const TIMESTAMP_DIGITS = {
+  10: { kind: 'unix-seconds', toMillis: (value) => value * 1000 },
+  13: { kind: 'unix-millis', toMillis: (value) => value },
+  16: { kind: 'unix-micros', toMillis: (value) => value / 1000 },
+  19: { kind: 'unix-nanos', toMillis: (value) => value / 1e6 }
+};
+
+// RFC 2822 允许的时区缩写
+const RFC_ZONES = { UT: 0, GMT: 0, Z: 0, EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420 };
+
+const CHINESE_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const CN_NUM = '[\\d零〇一二两三四五六七八九十]';
+const CN_PERIOD = '(凌晨|早上|上午|中午|下午|晚上)';
+// 可选的时刻：15:30、15:30:20、3点、3点半、下午3点20分
+const CN_TIME = `(?:\\s*${CN_PERIOD}?\\s*(${CN_NUM}{1,3})(?:[:：](\\d{2})(?::(\\d{2}))?|[点时](?:(${CN_NUM}{1,3})分?|(半))?))?`;
+
+const ISO_PATTERN =
+  /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+const RFC2822_PATTERN =
+  /^(?:[a-z]{3},?\s+)?(\d{1,2})\s+([a-z]{3})\s+(\d{2,4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([+-]\d{4}|[a-z]{1,3})?$/i;
+const CHINESE_PATTERN = new RegExp(`^([\\d零〇一二三四五六七八九]{4})\\s*年\\s*(${CN_NUM}{1,3})\\s*月\\s*(${CN_NUM}{1,3})\\s*[日号]?${CN_TIME}$`);
+const CN_DAY_WORDS = { 大前天: -3, 前天: -2, 昨天: -1, 今天: 0, 明天: 1, 后天: 2, 大后天: 3 };
+const EN_DAY_WORDS = { yesterday: -1, today: 0, tomorrow: 1 };
+const CN_DAY_PATTERN = new RegExp(`^(大前天|前天|昨天|今天|明天|大后天|后天)${CN_TIME}$`);
+const EN_DAY_PATTERN = /^(yesterday|today|tomorrow)(?:\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?)?$/i;
+const CN_OFFSET_PATTERN = new RegExp(`^(${CN_NUM}+|半)\\s*个?\\s*(秒钟?|分钟?|小时|钟头|天|日|周|星期|礼拜|月|年)\\s*(?:之|以)?(前|后)$`);
+const EN_OFFSET_PATTERN = /^(?:(in)\s+)?(\d+|an?)\s+(second|minute|hour|day|week|month|year)s?(\s+ago|\s+later|\s+from now)?$/i;
+const CN_WEEKDAY_PATTERN = /^(上|下|这|本)?个?(?:周|星期|礼拜)([一二三四五六日天])$/;
+const EN_WEEKDAY_PATTERN = /^(last|this|next)\s+(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/i;
+const NOW_PATTERN = /^(now|现在|此刻|当前时间)$/i;
+
+// 在一段文本中查找日期时使用的模式（不含时间戳和相对时间，避免把普通数字和词语当成日期）
+const EMBEDDED_PATTERNS = [
+  /\d{4}-\d{1,2}-\d{1,2}(?:[T\s]\d{1,2}:\d{2}(?::\d{2}(?:[.,]\d{1,9})?)?(?:Z|[+-]\d{2}:?\d{2})?)?/gi,
+  /\d{4}\/\d{1,2}\/\d{1,2}(?:\s\d{1,2}:\d{2}(?::\d{2})?)?/g,
+  /\d{4}\s*年\s*\d{1,2}\s*月\s*\d{1,2}\s*[日号]?/g,
+  /(?:[A-Z][a-z]{2},\s+)?\d{1,2}\s+[A-Z][a-z]{2}\s+\d{4}\s+\d{1,2}:\d{2}(?::\d{2})?(?:\s*(?:[+-]\d{4}|GMT|UT))?/g
+];
+
+// ============================================================================
+// 解析
+// ============================================================================
+
+/**
+ * 解析阿拉伯数字或中文数字（十五、二十三、两），年份可逐位书写（二〇二四）
+ * @param {string} text - 数字文本
+ * @returns {number} 无法解析时返回 NaN
+ */
+function parseChineseNumber(text) {
+  if (/^\d+$/.test(text)) return Number(text);
+  if (/^[零〇一二三四五六七八九]{2,}$/.test(text)) {
+    return Number(Array.from(text, (char) => CHINESE_DIGITS[char]).join(''));
+  }
+
+  let total = 0;
+  let current = 0;
+  for (const char of text) {
+    if (char in CHINESE_DIGITS) {
+      current = CHINESE_DIGITS[char];
+    } else if (char === '十') {
+      total += (current || 1) * 10;
+      current = 0;
+    } else {
+      return NaN;
+    }
+  }
+  return total + current;
+}
+
+/**
+ * 按时段（上午、下午等）把 12 小时制换算为 24 小时制
+ * @param {number} hour - 小时
+ * @param {string} period - 时段
+ * @returns {number}
+ */
+function applyPeriod(hour, period) {
+  if ((period === '下午' || period === '晚上' || period === 'pm') && hour < 12) return hour + 12;
+  if (period === '中午' && hour < 11) return hour + 12;
+  if ((period === '凌晨' || period === '早上' || period === '上午' || period === 'am') && hour === 12) return 0;
+  return hour;
+}
+
+/**
+ * 读取 CN_TIME 捕获的时刻，返回 [时, 分, 秒]；没有时刻时返回 [0, 0, 0]
+ * @param {Array} groups - 从时段开始的 6 个捕获组
+ * @returns {number[]}
+ */
+function readChineseTime(groups) {
+  const [period, hourText, colonMinute, colonSecond, cnMinute, half] = groups;
+  if (!hourText) return [0, 0, 0];
+
+  const hour = applyPeriod(parseChineseNumber(hourText), period);
+  let minute = 0;
+  if (colonMinute) minute = Number(colonMinute);
+  else if (cnMinute) minute = parseChineseNumber(cnMinute);
+  else if (half) minute = 30;
+  const second = colonSecond ? Number(colonSecond) : 0;
+  return [hour, minute, second];
+}
+
+/**
+ * 按本地时区构造日期，并检查各字段没有溢出（如 2 月 30 日）
+ * @returns {Date|null}
+ */
+function buildLocalDate(year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0) {
+  const date = new Date(year, month - 1, day, hour, minute, second, millisecond);
+  date.setFullYear(year);
+  const valid =
+    date.getFullYear() === year &&
+    date.getMonth() === month - 1 &&
+    date.getDate() === day &&
+    date.getHours() === hour &&
+    date.getMinutes() === minute &&
+    date.getSeconds() === second;
+  return valid ? date : null;
+}
+
+/**
+ * 按指定 UTC 偏移构造日期
+ * @param {number} offsetMinutes - 相对 UTC 的偏移分钟数（东八区为 480）
+ * @returns {Date|null}
+ */
+function buildOffsetDate(year, month, day, hour, minute, second, millisecond, offsetMinutes) {
+  const utc = new Date(Date.UTC(year, month - 1, day, hour, minute, second, millisecond));
+  utc.setUTCFullYear(year);
+  const valid =
+    utc.getUTCMonth() === month - 1 &&
+    utc.getUTCDate() === day &&
+    utc.getUTCHours() === hour &&
+    utc.getUTCMinutes() === minute &&
+    utc.getUTCSeconds() === second;
+  return valid ? new Date(utc.getTime() - offsetMinutes * 60000) : null;
+}
+
+/**
+ * 解析 +08:00、+0800、+08 形式的偏移
+ * @param {string} offset - 偏移文本
+ * @returns {number} 偏移分钟数
+ */
+function parseOffset(offset) {
+  const match = offset.match(/^([+-])(\d{2}):?(\d{2})?$/);
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function parseTimestamp(text) {
+  const match = text.match(/^(-?\d+)(?:\.(\d+))?$/);
+  if (!match) return null;
+  const digits = match[1].replace('-', '').length;
+  const unit = TIMESTAMP_DIGITS[digits];
+  // 小数只对秒级时间戳有意义（如 1700000000.123）
+  if (!unit || (match[2] && unit.kind !== 'unix-seconds')) return null;
+
+  const date = new Date(unit.toMillis(Number(text)));
+  return Number.isNaN(date.getTime()) ? null : { date, kind: unit.kind, local: false };
+}
+
+function parseIso(text) {
+  const match = text.match(ISO_PATTERN);
+  if (!match) return null;
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '', offset] = match;
+  const millisecond = Number(fraction.padEnd(3, '0').slice(0, 3));
+  const fields = [Number(year), Number(month), Number(day), Number(hour), Number(minute), Number(second), millisecond];
+
+  const date = offset
+    ? buildOffsetDate(...fields, offset.toUpperCase() === 'Z' ? 0 : parseOffset(offset))
+    : buildLocalDate(...fields);
+  return date ? { date, kind: 'iso', local: !offset } : null;
+}
+
+function parseRfc2822(text) {
+  const match = text.match(RFC2822_PATTERN);
+  if (!match) return null;
+  const [, day, monthName, yearText, hour, minute, second = 0, zone] = match;
+  const month = MONTH_NAMES.indexOf(monthName.toLowerCase()) + 1;
+  if (!month) return null;
+
+  // 两位年份按 RFC 2822 的规则：00-49 为 20xx，50-99 为 19xx
+  let year = Number(yearText);
+  if (yearText.length === 2) year += year < 50 ? 2000 : 1900;
+  const fields = [year, month, Number(day), Number(hour), Number(minute), Number(second), 0];
+
+  if (!zone) {
+    const date = buildLocalDate(...fields);
+    return date ? { date, kind: 'rfc2822', local: true } : null;
+  }
+  const offset = /^[+-]/.test(zone) ? parseOffset(zone) : RFC_ZONES[zone.toUpperCase()];
+  if (offset === undefined) return null;
+  const date = buildOffsetDate(...fields, offset);
+  return date ? { date, kind: 'rfc2822', local: false } : null;
+}
+
+function parseChineseDate(text) {
+  const match = text.match(CHINESE_PATTERN);
+  if (!match) return null;
+  const time = readChineseTime(match.slice(4));
+  const date = buildLocalDate(
+    parseChineseNumber(match[1]),
+    parseChineseNumber(match[2]),
+    parseChineseNumber(match[3]),
+    ...time
+  );
+  return date ? { date, kind: 'chinese', local: true } : null;
+}
+
+/**
+ * 在 now 的基础上偏移若干单位；月和年按日历偏移
+ * @returns {Date}
+ */
+function shiftDate(now, amount, unit) {
+  const date = new Date(now.getTime());
+  switch (unit) {
+  case 'second':
+    date.setTime(date.getTime() + amount * 1000);
+    break;
+  case 'minute':
+    date.setTime(date.getTime() + amount * 60000);
+    break;
+  case 'hour':
+    date.setTime(date.getTime() + amount * 3600000);
+    break;
+  case 'day':
+    date.setDate(date.getDate() + amount);
+    break;
+  case 'week':
+    date.setDate(date.getDate() + amount * 7);
+    break;
+  case 'month':
+    date.setMonth(date.getMonth() + amount);
+    break;
+  case 'year':
+    date.setFullYear(date.getFullYear() + amount);
+    break;
+  }
+  return date;
+}
+
+const CN_UNITS = {
+  秒: 'second', 秒钟: 'second', 分: 'minute', 分钟: 'minute', 小时: 'hour', 钟头: 'hour',
+  天: 'day', 日: 'day', 周: 'week', 星期: 'week', 礼拜: 'week', 月: 'month', 年: 'year'
+};
+
+/**
+ * 取 now 所在 ISO 周（周一开始）中星期 weekday 的零点，再偏移 weekShift 周
+ * @returns {Date}
+ */
+function weekdayOf(now, weekday, weekShift) {
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const currentIndex = (date.getDay() + 6) % 7;
+  const targetIndex = (weekday + 6) % 7;
+  date.setDate(date.getDate() - currentIndex + targetIndex + weekShift * 7);
+  return date;
+}
+
+function parseRelative(text, now) {
+  if (NOW_PATTERN.test(text)) return new Date(now.getTime());
+
+  let match = text.match(CN_DAY_PATTERN);
+  if (match) {
+    const [hour, minute, second] = readChineseTime(match.slice(2));
+    const base = new Date(now.getFullYear(), now.getMonth(), now.getDate() + CN_DAY_WORDS[match[1]]);
+    return buildLocalDate(base.getFullYear(), base.getMonth() + 1, base.getDate(), hour, minute, second);
+  }
+
+  match = text.match(EN_DAY_PATTERN);
+  if (match) {
+    const hour = match[2] ? applyPeriod(Number(match[2]), (match[4] || '').toLowerCase()) : 0;
+    const base = new Date(now.getFullYear(), now.getMonth(), now.getDate() + EN_DAY_WORDS[match[1].toLowerCase()]);
+    return buildLocalDate(base.getFullYear(), base.getMonth() + 1, base.getDate(), hour, Number(match[3] || 0));
+  }
+
+  match = text.match(CN_OFFSET_PATTERN);
+  if (match) {
+    const unit = CN_UNITS[match[2]];
+    const sign = match[3] === '前' ? -1 : 1;
+    if (match[1] === '半') {
+      // 半小时、半分钟按毫秒计算，半天、半年等不够明确，不支持
+      if (unit !== 'hour' && unit !== 'minute') return null;
+      return shiftDate(now, sign * 30, unit === 'hour' ? 'minute' : 'second');
+    }
+    const amount = parseChineseNumber(match[1]);
+    return Number.isNaN(amount) ? null : shiftDate(now, sign * amount, unit);
+  }
+
+  match = text.match(EN_OFFSET_PATTERN);
+  if (match) {
+    const [, inWord, amountText, unit, suffix = ''] = match;
+    // "in 3 days"、"3 days ago"、"3 days later" 必须有方向
+    if (!inWord === !suffix.trim()) return null;
+    const amount = /^an?$/i.test(amountText) ? 1 : Number(amountText);
+    return shiftDate(now, /ago/i.test(suffix) ? -amount : amount, unit.toLowerCase());
+  }
+
+  match = text.match(CN_WEEKDAY_PATTERN);
+  if (match) {
+    const shift = { 上: -1, 下: 1 }[match[1]] || 0;
+    const weekday = match[2] === '日' || match[2] === '天' ? 0 : CHINESE_DIGITS[match[2]];
+    return weekdayOf(now, weekday, shift);
+  }
+
+  match = text.match(EN_WEEKDAY_PATTERN);
+  if (match) {
+    const shift = { last: -1, next: 1 }[match[1].toLowerCase()] || 0;
+    return weekdayOf(now, EN_WEEKDAYS.indexOf(match[2].toLowerCase()), shift);
+  }
+
+  return null;
+}
+
+/**
+ * 把一段文本解析为日期
+ * 依次尝试时间戳、ISO 8601、RFC 2822、中文日期和相对时间；
+ * 相对时间以 now 为基准，"下周一"、"next monday" 指下一个 ISO 周的周一
+ * @param {string} text - 输入文本
+ * @param {Date} now - 当前时间，默认 new Date()
+ * @returns {{date: Date, kind: string, local: boolean}|null} local 表示输入未写明时区、按本地时区解释
+ */
+export function parseDateInput(text, now = new Date()) {
+  const value = (text || '').trim();
+  if (!value || value.length > 64) return null;
+
+  const parsed = parseTimestamp(value) || parseIso(value) || parseRfc2822(value) || parseChineseDate(value);
+  if (parsed) return parsed;
+
+  const relative = parseRelative(value, now);
+  return relative ? { date: relative, kind: 'relative', local: true } : null;
+}
+
+/**
+ * 在一段文本中查找可以解析的日期（不识别时间戳和相对时间）
+ * @param {string} text - 文本
+ * @returns {string[]} 去重后的日期文本，按出现顺序排列
+ */
+export function findDateExpressions(text) {
+  const found = [];
+  EMBEDDED_PATTERNS.forEach((pattern) => {
+    for (const match of (text || '').matchAll(pattern)) {
+      found.push({ index: match.index, value: match[0].trim() });
+    }
+  });
+
+  const seen = new Set();
+  return found
+    .sort((a, b) => a.index - b.index)
+    .map((item) => item.value)
+    .filter((value) => {
+      if (seen.has(value) || !parseDateInput(value)) return false;
+      seen.add(value);
+      return true;
+    });
+}
+
+// ============================================================================
+// 格式化
+// ============================================================================
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * 格式化 UTC 偏移分钟数为 +08:00
+ * @param {number} minutes - 偏移分钟数
+ * @param {string} separator - 时与分之间的分隔符
+ * @returns {string}
+ */
+function formatOffset(minutes, separator = ':') {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${separator}${pad(abs % 60)}`;
+}
+
+/**
+ * 检查是否为浏览器支持的 IANA 时区名
+ * @param {string} timeZone - 时区名
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 把日期格式化为指定时区的本地时间，如 2024-01-15 18:00:00 周一（UTC+08:00）
+ * @param {Date} date - 日期
+ * @param {string} timeZone - IANA 时区名
+ * @returns {string}
+ * @throws {RangeError} 时区无效时
+ */
+export function formatInTimeZone(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZoneName: 'longOffset'
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  const weekday = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day))).getUTCDay();
+  const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.replace('GMT', '');
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second} 周${WEEKDAY_NAMES[weekday]}（UTC${offset}）`;
+}
+
+/**
+ * 计算 ISO 8601 周数（按本地日期，周一为一周的开始）
+ * @param {Date} date - 日期
+ * @returns {{year: number, week: number}} year 为周所属的年份，跨年时可能与日历年份不同
+ */
+export function getIsoWeek(date) {
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  // 移到同一周的周四，周四所在的年份就是这一周所属的年份
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  return { year: day.getUTCFullYear(), week: Math.ceil(((day - yearStart) / DAY_MS + 1) / 7) };
+}
+
+/**
+ * 描述日期与 now 的时间差，取最大的两个单位，如 "3 天 4 小时前"
+ * @param {Date} date - 日期
+ * @param {Date} now - 当前时间
+ * @returns {string}
+ */
+export function describeDifference(date, now = new Date()) {
+  const diff = date.getTime() - now.getTime();
+  let remaining = Math.abs(diff);
+  if (remaining < 1000) return '就是现在';
+
+  const units = [
+    ['年', 365 * DAY_MS],
+    ['天', DAY_MS],
+    ['小时', 3600000],
+    ['分钟', 60000],
+    ['秒', 1000]
+  ];
+  const first = units.findIndex(([, size]) => remaining >= size);
+  const parts = units
+    .slice(first, first + 2)
+    .map(([name, size]) => {
+      const count = Math.floor(remaining / size);
+      remaining -= count * size;
+      return count > 0 ? `${count} ${name}` : '';
+    })
+    .filter(Boolean);
+  return `${parts.join(' ')}${diff < 0 ? '前' : '后'}`;
+}
+
+/**
+ * 按本地时区格式化为带偏移的 ISO 8601，如 2024-01-15T18:00:00.000+08:00
+ * @param {Date} date - 日期
+ * @returns {string}
+ */
+function formatLocalIso(date) {
+  const offset = formatOffset(-date.getTimezoneOffset());
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}${offset}`
+  );
+}
+
+/**
+ * 按本地时区格式化为 RFC 2822，如 Mon, 15 Jan 2024 18:00:00 +0800
+ * @param {Date} date - 日期
+ * @returns {string}
+ */
+function formatRfc2822(date) {
+  const weekday = EN_WEEKDAYS[date.getDay()].slice(0, 3);
+  const month = MONTH_NAMES[date.getMonth()];
+  return (
+    `${weekday[0].toUpperCase()}${weekday.slice(1)}, ${pad(date.getDate())} ${month[0].toUpperCase()}${month.slice(1)} ${date.getFullYear()} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${formatOffset(-date.getTimezoneOffset(), '')}`
+  );
+}
+
+/**
+ * 生成日期的各种表示：时间戳、ISO 8601、RFC 2822、各时区时间、星期、ISO 周和距今时长
+ * @param {Date} date - 日期
+ * @param {object} options - 选项
+ * @param {string[]} options.timezones - 要换算的 IANA 时区，默认 DEFAULT_TIMEZONES
+ * @param {Date} options.now - 当前时间，默认 new Date()
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function describeDate(date, options = {}) {
+  const { timezones = DEFAULT_TIMEZONES, now = new Date() } = options;
+  const millis = date.getTime();
+  const { year, week } = getIsoWeek(date);
+
+  const rows = [
+    { name: 'Unix 秒', value: String(Math.floor(millis / 1000)) },
+    { name: 'Unix 毫秒', value: String(millis) },
+    { name: 'ISO 8601', value: date.toISOString() },
+    { name: 'ISO 8601（本地）', value: formatLocalIso(date) },
+    { name: 'RFC 2822', value: formatRfc2822(date) }
+  ];
+  timezones.forEach((timeZone) => {
+    let value;
+    try {
+      value = formatInTimeZone(date, timeZone);
+    } catch {
+      value = '无效的时区';
+    }
+    rows.push({ name: timeZone, value });
+  });
+  rows.push(
+    { name: '星期', value: `星期${WEEKDAY_NAMES[date.getDay()]}` },
+    { name: 'ISO 周', value: `${year}-W${pad(week)}` },
+    { name: '距今', value: describeDifference(date, now) }
+  );
+  return rows;
+}
+
+export default {
+  DATE_KINDS,
+  DEFAULT_TIMEZONES,
+  parseDateInput,
+  findDateExpressions,
+  isValidTimeZone,
+  formatInTimeZone,
+  getIsoWeek,
+  describeDifference,
+  describeDate
+};
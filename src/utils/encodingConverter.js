@@ -0,0 +1,668 @@
+/**
+ * 编码与解码模块
+ * Base64/Base64URL、URL 解码（含多次编码）、HTML 实体、\uXXXX 和 \xXX 反转义、Punycode 域名、
+ * 十六进制转储、Quoted-Printable、JWT 解码（只解码不验签）。
+ * 文本与字节之间统一按 UTF-8 转换；解码出的字节不是 UTF-8 文本时输出十六进制转储。
+ */
+
+// URL 解码的最多轮数（多次编码的链接逐层解开）
+const MAX_URL_DECODE_ROUNDS = 5;
+
+// 自动推荐 Base64 时要求的最短长度，避免把普通单词当成 Base64
+const MIN_BASE64_LENGTH = 8;
+
+const utf8Encoder = new TextEncoder();
+
+// ============================================================================
+// 字节与文本
+// ============================================================================
+
+/**
+ * 严格按 UTF-8 解码，不是合法 UTF-8 时返回 null
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string|null}
+ */
+function decodeUtf8(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 判断字节是否是可读文本：合法 UTF-8，且除制表符和换行外没有控制字符
+ * @param {Uint8Array} bytes - 字节
+ * @returns {boolean}
+ */
+function isReadableBytes(bytes) {
+  const text = decodeUtf8(bytes);
+  return text !== null && text.length > 0 && !/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/.test(text);
+}
+
+/**
+ * 字节转文本，不是 UTF-8 文本（如图片等二进制数据）时输出十六进制转储
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string}
+ */
+function bytesToText(bytes) {
+  const text = decodeUtf8(bytes);
+  return text !== null ? text : formatHexDump(bytes);
+}
+
+// ============================================================================
+// Base64
+// ============================================================================
+
+/**
+ * Base64 编码（UTF-8）
+ * @param {string} text - 原文
+ * @param {object} options - 选项
+ * @param {boolean} options.url - 是否使用 Base64URL 字符集并去掉填充，默认 false
+ * @returns {string}
+ */
+export function base64Encode(text, options = {}) {
+  const { url = false } = options;
+  let binary = '';
+  for (const byte of utf8Encoder.encode(text)) {
+    binary += String.fromCharCode(byte);
+  }
+  const encoded = btoa(binary);
+  return url ? encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '') : encoded;
+}
+
+/**
+ * Base64 转字节，同时接受标准和 URL 字符集，允许缺少填充和夹杂空白
+ * @param {string} text - Base64 文本
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(text) {
+  const clean = text.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  if (!/^[A-Za-z0-9+/]*$/.test(clean) || clean.length % 4 === 1) {
+    throw new Error('不是有效的 Base64');
+  }
+  const binary = atob(clean + '='.repeat((4 - (clean.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Base64 / Base64URL 解码
+ * @param {string} text - Base64 文本
+ * @returns {string}
+ */
+export function base64Decode(text) {
+  return bytesToText(base64ToBytes(text.trim()));
+}
+
+// ============================================================================
+// URL 与 HTML 实体
+// ============================================================================
+
+/**
+ * URL 解码，多次编码（%2520 之类）会逐层解开；无法解码的片段原样保留
+ * @param {string} text - 原文
+ * @returns {string}
+ */
+export function urlDecode(text) {
+  let current = text;
+  for (let round = 0; round < MAX_URL_DECODE_ROUNDS; round++) {
+    const next = current.replace(/(?:%[0-9a-fA-F]{2})+/g, (sequence) => {
+      try {
+        return decodeURIComponent(sequence);
+      } catch {
+        return sequence;
+      }
+    });
+    if (next === current) break;
+    current = next;
+  }
+  return current;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// 常用命名实体，其余命名实体原样保留，数字实体全部支持
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  ensp: ' ',
+  emsp: ' ',
+  thinsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  middot: '·',
+  bull: '•',
+  times: '×',
+  divide: '÷',
+  deg: '°',
+  plusmn: '±',
+  sect: '§',
+  para: '¶',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  larr: '←',
+  rarr: '→',
+  uarr: '↑',
+  darr: '↓'
+};
+
+const HTML_ENTITY_PATTERN = /&(#\d+|#[xX][0-9a-fA-F]+|[A-Za-z][A-Za-z0-9]*);/g;
+
+/**
+ * HTML 实体编码：转义 & < > " '
+ * @param {string} text - 原文
+ * @returns {string}
+ */
+export function htmlEncode(text) {
+  return text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * HTML 实体解码：数字实体（&#20320; &#x4f60;）和常用命名实体
+ * @param {string} text - 原文
+ * @returns {string}
+ */
+export function htmlDecode(text) {
+  return text.replace(HTML_ENTITY_PATTERN, (match, entity) => {
+    if (entity[0] === '#') {
+      const isHex = entity[1] === 'x' || entity[1] === 'X';
+      const code = parseInt(entity.slice(isHex ? 2 : 1), isHex ? 16 : 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity] ?? HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// ============================================================================
+// 转义序列
+// ============================================================================
+
+/**
+ * 反转义 \uXXXX、\u{XXXXX} 和 \xXX
+ * 连续的 \xXX 按 UTF-8 字节解码（如 \xe4\xbd\xa0 → 你），不是 UTF-8 时按单字节字符处理
+ * @param {string} text - 原文
+ * @returns {string}
+ */
+export function unicodeUnescape(text) {
+  return text
+    .replace(/\\u\{([0-9a-fA-F]{1,6})\}/g, (match, hex) => {
+      const code = parseInt(hex, 16);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    })
+    .replace(/(?:\\u[0-9a-fA-F]{4})+/g, (sequence) =>
+      // 代理对由相邻的两个 \uXXXX 组成，按 UTF-16 码元拼接即可
+      String.fromCharCode(...sequence.match(/[0-9a-fA-F]{4}/g).map((hex) => parseInt(hex, 16)))
+    )
+    .replace(/(?:\\x[0-9a-fA-F]{2})+/g, (sequence) => {
+      const bytes = Uint8Array.from(sequence.match(/[0-9a-fA-F]{2}/g), (hex) => parseInt(hex, 16));
+      return decodeUtf8(bytes) ?? String.fromCharCode(...bytes);
+    });
+}
+
+// ============================================================================
+// Punycode（RFC 3492）
+// ============================================================================
+
+const PUNYCODE_BASE = 36;
+const PUNYCODE_T_MIN = 1;
+const PUNYCODE_T_MAX = 26;
+const PUNYCODE_SKEW = 38;
+const PUNYCODE_DAMP = 700;
+const PUNYCODE_INITIAL_BIAS = 72;
+const PUNYCODE_INITIAL_N = 128;
+
+function adaptBias(delta, numPoints, firstTime) {
+  delta = firstTime ? Math.floor(delta / PUNYCODE_DAMP) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+  let k = 0;
+  while (delta > ((PUNYCODE_BASE - PUNYCODE_T_MIN) * PUNYCODE_T_MAX) >> 1) {
+    delta = Math.floor(delta / (PUNYCODE_BASE - PUNYCODE_T_MIN));
+    k += PUNYCODE_BASE;
+  }
+  return k + Math.floor(((PUNYCODE_BASE - PUNYCODE_T_MIN + 1) * delta) / (delta + PUNYCODE_SKEW));
+}
+
+function punycodeThreshold(k, bias) {
+  if (k <= bias) return PUNYCODE_T_MIN;
+  if (k >= bias + PUNYCODE_T_MAX) return PUNYCODE_T_MAX;
+  return k - bias;
+}
+
+// 0-25 → a-z，26-35 → 0-9
+function digitToChar(digit) {
+  return String.fromCharCode(digit < 26 ? digit + 97 : digit + 22);
+}
+
+function charToDigit(code) {
+  if (code >= 48 && code <= 57) return code - 22;
+  if (code >= 65 && code <= 90) return code - 65;
+  if (code >= 97 && code <= 122) return code - 97;
+  return PUNYCODE_BASE;
+}
+
+/**
+ * 单个域名标签编码为 Punycode（不含 xn-- 前缀）
+ * @param {string} label - 域名标签
+ * @returns {string}
+ */
+function encodePunycodeLabel(label) {
+  const codePoints = Array.from(label, (char) => char.codePointAt(0));
+  let output = codePoints
+    .filter((code) => code < 128)
+    .map((code) => String.fromCharCode(code))
+    .join('');
+  const basicLength = output.length;
+  let handled = basicLength;
+  if (basicLength > 0) output += '-';
+
+  let n = PUNYCODE_INITIAL_N;
+  let delta = 0;
+  let bias = PUNYCODE_INITIAL_BIAS;
+  while (handled < codePoints.length) {
+    const next = Math.min(...codePoints.filter((code) => code >= n));
+    delta += (next - n) * (handled + 1);
+    n = next;
+    for (const code of codePoints) {
+      if (code < n) delta++;
+      if (code !== n) continue;
+      let q = delta;
+      for (let k = PUNYCODE_BASE; ; k += PUNYCODE_BASE) {
+        const t = punycodeThreshold(k, bias);
+        if (q < t) break;
+        output += digitToChar(t + ((q - t) % (PUNYCODE_BASE - t)));
+        q = Math.floor((q - t) / (PUNYCODE_BASE - t));
+      }
+      output += digitToChar(q);
+      bias = adaptBias(delta, handled + 1, handled === basicLength);
+      delta = 0;
+      handled++;
+    }
+    delta++;
+    n++;
+  }
+  return output;
+}
+
+/**
+ * 解码单个 Punycode 标签（不含 xn-- 前缀）
+ * @param {string} input - Punycode 文本
+ * @returns {string}
+ */
+function decodePunycodeLabel(input) {
+  const output = [];
+  const basicEnd = Math.max(input.lastIndexOf('-'), 0);
+  for (let j = 0; j < basicEnd; j++) {
+    output.push(input.charCodeAt(j));
+  }
+
+  let n = PUNYCODE_INITIAL_N;
+  let bias = PUNYCODE_INITIAL_BIAS;
+  let i = 0;
+  for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length; ) {
+    const oldI = i;
+    let w = 1;
+    for (let k = PUNYCODE_BASE; ; k += PUNYCODE_BASE) {
+      const digit = index < input.length ? charToDigit(input.charCodeAt(index++)) : PUNYCODE_BASE;
+      if (digit >= PUNYCODE_BASE) throw new Error(`无效的 Punycode: ${input}`);
+      i += digit * w;
+      const t = punycodeThreshold(k, bias);
+      if (digit < t) break;
+      w *= PUNYCODE_BASE - t;
+    }
+    bias = adaptBias(i - oldI, output.length + 1, oldI === 0);
+    n += Math.floor(i / (output.length + 1));
+    i %= output.length + 1;
+    if (n > 0x10ffff) throw new Error(`无效的 Punycode: ${input}`);
+    output.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...output);
+}
+
+// 主机名：行首、空白、:// 或 @ 之后，到 / ? # : @ 或空白为止
+const HOST_PATTERN = /(^|\s|:\/\/|@)([^\s/?#:@]+)/gu;
+
+/**
+ * 把文本中的国际化域名转为 Punycode（例子.测试 → xn--fsqu00a.xn--0zwm56d），链接只转换主机名部分
+ * @param {string} text - 原文
+ * @returns {string}
+ */
+export function toPunycode(text) {
+  return text.replace(HOST_PATTERN, (match, prefix, host) => {
+    if (!/[^\u0000-\u007f]/.test(host)) return match;
+    const ascii = host
+      .replace(/[。．｡]/g, '.')
+      .split('.')
+      .map((label) => (/[^\u0000-\u007f]/.test(label) ? `xn--${encodePunycodeLabel(label.toLowerCase())}` : label))
+      .join('.');
+    return prefix + ascii;
+  });
+}
+
+/**
+ * 把文本中的 xn-- 标签解码为 Unicode，无法解码的标签原样保留
+ * @param {string} text - 原文
+ * @returns {string}
+ */
+export function fromPunycode(text) {
+  return text.replace(/\bxn--[a-z0-9-]+/gi, (label) => {
+    try {
+      return decodePunycodeLabel(label.slice(4).toLowerCase());
+    } catch {
+      return label;
+    }
+  });
+}
+
+// ============================================================================
+// 十六进制
+// ============================================================================
+
+/**
+ * 字节转 hexdump -C 格式：偏移量、16 个字节、右侧可打印字符
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string}
+ */
+function formatHexDump(bytes) {
+  const lines = [];
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    const chunk = Array.from(bytes.subarray(offset, offset + 16));
+    const hex = chunk.map((byte) => byte.toString(16).padStart(2, '0'));
+    const hexColumn = `${hex.slice(0, 8).join(' ')}  ${hex.slice(8).join(' ')}`.padEnd(48);
+    const ascii = chunk.map((byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hexColumn}  |${ascii}|`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 文本的十六进制转储（UTF-8 字节）
+ * @param {string} text - 原文
+ * @returns {string}
+ */
+export function hexDump(text) {
+  return formatHexDump(utf8Encoder.encode(text));
+}
+
+// 转储行：8 位偏移量（xxd 带冒号）开头
+const HEX_DUMP_OFFSET = /^\s*[0-9a-fA-F]{7,8}:?\s+/;
+
+/**
+ * 十六进制转字节，支持连续十六进制、带空格/冒号/0x/\x 分隔的写法，以及 hexdump -C 和 xxd 的转储
+ * @param {string} text - 十六进制文本
+ * @returns {Uint8Array}
+ */
+function hexToBytes(text) {
+  const lines = text.trim().split(/\r?\n/);
+  let hex;
+  if (lines.every((line) => HEX_DUMP_OFFSET.test(line))) {
+    // 转储格式：去掉偏移量和右侧字符列，每行最多 16 个字节
+    hex = lines
+      .map((line) => {
+        const tokens = line.replace(HEX_DUMP_OFFSET, '').replace(/\|.*\|\s*$/, '').split(/\s+/);
+        let lineHex = '';
+        for (const token of tokens) {
+          if (!/^([0-9a-fA-F]{2})+$/.test(token) || lineHex.length + token.length > 32) break;
+          lineHex += token;
+        }
+        return lineHex;
+      })
+      .join('');
+  } else {
+    hex = text.replace(/0x|\\x|[\s:,-]/gi, '');
+  }
+  if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+    throw new Error('不是有效的十六进制');
+  }
+  return Uint8Array.from(hex.match(/../g), (pair) => parseInt(pair, 16));
+}
+
+/**
+ * 十六进制解码为文本
+ * @param {string} text - 十六进制文本
+ * @returns {string}
+ */
+export function hexDecode(text) {
+  return bytesToText(hexToBytes(text));
+}
+
+// ============================================================================
+// Quoted-Printable
+// ============================================================================
+
+// 每行最多 76 个字符（含软换行的 =）
+const QP_LINE_LENGTH = 76;
+
+/**
+ * Quoted-Printable 编码（UTF-8），超过 76 个字符的行用软换行折开
+ * @param {string} text - 原文
+ * @returns {string}
+ */
+export function qpEncode(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => {
+      const bytes = utf8Encoder.encode(line);
+      let encoded = '';
+      bytes.forEach((byte, i) => {
+        // 行尾的空格和制表符必须编码，否则会被邮件系统去掉
+        const isPlain = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && i < bytes.length - 1);
+        encoded += isPlain ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+      });
+
+      const pieces = [];
+      while (encoded.length > QP_LINE_LENGTH) {
+        // 不能从 =XX 中间折断
+        let cut = QP_LINE_LENGTH - 1;
+        const escapeStart = encoded.lastIndexOf('=', cut - 1);
+        if (escapeStart > cut - 3) cut = escapeStart;
+        pieces.push(`${encoded.slice(0, cut)}=`);
+        encoded = encoded.slice(cut);
+      }
+      pieces.push(encoded);
+      return pieces.join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * Quoted-Printable 字节解码
+ * @param {string} text - QP 文本
+ * @returns {Uint8Array}
+ */
+function qpToBytes(text) {
+  const bytes = [];
+  text
+    .replace(/=\r?\n/g, '')
+    .split(/(=[0-9A-Fa-f]{2})/)
+    .forEach((part) => {
+      if (/^=[0-9A-Fa-f]{2}$/.test(part)) bytes.push(parseInt(part.slice(1), 16));
+      else bytes.push(...utf8Encoder.encode(part));
+    });
+  return Uint8Array.from(bytes);
+}
+
+// 邮件头中的编码字：=?UTF-8?Q?...?= 或 =?GBK?B?...?=
+const MIME_ENCODED_WORD = /=\?([\w-]+)\?([QqBb])\?([^?]*)\?=/g;
+
+/**
+ * Quoted-Printable 解码，也支持邮件头里的 =?charset?Q/B?...?= 编码字
+ * @param {string} text - QP 文本
+ * @returns {string}
+ */
+export function qpDecode(text) {
+  if (/=\?[\w-]+\?[QqBb]\?/.test(text)) {
+    // 相邻编码字之间的空白不属于内容
+    return text.replace(/(\?=)\s+(?==\?)/g, '$1').replace(MIME_ENCODED_WORD, (match, charset, encoding, content) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B' ? base64ToBytes(content) : qpToBytes(content.replace(/_/g, ' '));
+        return new TextDecoder(charset).decode(bytes);
+      } catch {
+        return match;
+      }
+    });
+  }
+  return bytesToText(qpToBytes(text));
+}
+
+// ============================================================================
+// JWT
+// ============================================================================
+
+const JWT_PATTERN = /^(Bearer\s+)?eyJ[\w-]*\.[\w-]+\.[\w-]*$/;
+
+// 时间类声明，解码时附上可读时间
+const JWT_TIME_CLAIMS = { iat: '签发时间', nbf: '生效时间', exp: '过期时间' };
+
+/**
+ * 解码 JWT 的头部和载荷，不验证签名
+ * @param {string} token - JWT，可带 Bearer 前缀
+ * @returns {string}
+ */
+export function decodeJwt(token) {
+  const parts = token.trim().replace(/^Bearer\s+/i, '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('JWT 应由 header.payload.signature 三段组成');
+  }
+
+  const decodePart = (part, name) => {
+    try {
+      return JSON.parse(decodeUtf8(base64ToBytes(part)));
+    } catch {
+      throw new Error(`JWT 的 ${name} 不是有效的 Base64URL JSON`);
+    }
+  };
+  const header = decodePart(parts[0], 'header');
+  const payload = decodePart(parts[1], 'payload');
+
+  const lines = ['// Header', JSON.stringify(header, null, 2), '', '// Payload', JSON.stringify(payload, null, 2), ''];
+  for (const [claim, label] of Object.entries(JWT_TIME_CLAIMS)) {
+    if (typeof payload?.[claim] !== 'number') continue;
+    const time = new Date(payload[claim] * 1000);
+    const expired = claim === 'exp' && time.getTime() < Date.now() ? '（已过期）' : '';
+    lines.push(`// ${claim} ${label}: ${time.toISOString()}${expired}`);
+  }
+  lines.push('// 签名未验证');
+  return lines.join('\n');
+}
+
+// ============================================================================
+// 动作与推荐
+// ============================================================================
+
+export const ENCODING_ACTIONS = {
+  'url-decode': { name: 'URL解码', convert: urlDecode },
+  'base64-encode': { name: 'Base64编码', convert: (text) => base64Encode(text) },
+  'base64-decode': { name: 'Base64解码', convert: base64Decode },
+  'base64url-encode': { name: 'Base64URL编码', convert: (text) => base64Encode(text, { url: true }) },
+  'base64url-decode': { name: 'Base64URL解码', convert: base64Decode },
+  'html-encode': { name: 'HTML实体编码', convert: htmlEncode },
+  'html-decode': { name: 'HTML实体解码', convert: htmlDecode },
+  'unicode-unescape': { name: '\\u \\x反转义', convert: unicodeUnescape },
+  'punycode-encode': { name: '域名转Punycode', convert: toPunycode },
+  'punycode-decode': { name: 'Punycode转域名', convert: fromPunycode },
+  'hex-dump': { name: '十六进制转储', convert: hexDump },
+  'hex-decode': { name: '十六进制解码', convert: hexDecode },
+  'qp-encode': { name: 'QP编码', convert: qpEncode },
+  'qp-decode': { name: 'QP解码', convert: qpDecode },
+  'jwt-decode': { name: '解码JWT', convert: decodeJwt }
+};
+
+/**
+ * 执行编码或解码动作
+ * @param {string} text - 原文
+ * @param {string} action - ENCODING_ACTIONS 中的动作
+ * @returns {string}
+ */
+export function applyEncoding(text, action) {
+  const encoding = ENCODING_ACTIONS[action];
+  if (!encoding) {
+    throw new Error(`未知编码动作: ${action}`);
+  }
+  return encoding.convert(text);
+}
+
+function tryBytes(convert) {
+  try {
+    return convert();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 根据文本特征推荐可能适用的解码动作，按可能性排序
+ * Base64 和十六进制会试着解码，只有解出可读文本时才推荐
+ * @param {string} text - 输入文本
+ * @returns {string[]} ENCODING_ACTIONS 中的动作
+ */
+export function suggestDecoders(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return [];
+
+  const suggestions = [];
+  if (JWT_PATTERN.test(trimmed)) suggestions.push('jwt-decode');
+  if (/%[0-9a-fA-F]{2}/.test(trimmed)) suggestions.push('url-decode');
+  if (Array.from(trimmed.matchAll(HTML_ENTITY_PATTERN)).some(([match]) => htmlDecode(match) !== match)) {
+    suggestions.push('html-decode');
+  }
+  if (/\\u[0-9a-fA-F]{4}|\\u\{[0-9a-fA-F]+\}|\\x[0-9a-fA-F]{2}/.test(trimmed)) suggestions.push('unicode-unescape');
+  if (/(^|[\s./@])xn--[a-z0-9-]+/i.test(trimmed)) suggestions.push('punycode-decode');
+  if (/=\?[\w-]+\?[QqBb]\?/.test(trimmed) || (/=[0-9A-F]{2}/.test(trimmed) && /=\r?\n|(=[0-9A-F]{2}){2}/.test(trimmed))) {
+    suggestions.push('qp-decode');
+  }
+
+  const compact = trimmed.replace(/\s+/g, '');
+  const hexBytes = /^[\s0-9a-fA-Fx:,\\-]+$/.test(trimmed) || HEX_DUMP_OFFSET.test(trimmed) ? tryBytes(() => hexToBytes(trimmed)) : null;
+  if (hexBytes && hexBytes.length >= 2 && !/^\d+$/.test(compact) && isReadableBytes(hexBytes)) {
+    suggestions.push('hex-decode');
+  }
+
+  if (!suggestions.includes('jwt-decode') && compact.length >= MIN_BASE64_LENGTH && /^[A-Za-z0-9+/_-]+={0,2}$/.test(compact)) {
+    const bytes = tryBytes(() => base64ToBytes(compact));
+    if (bytes && isReadableBytes(bytes)) {
+      suggestions.push(/[-_]/.test(compact) ? 'base64url-decode' : 'base64-decode');
+    }
+  }
+
+  // 含非 ASCII 字符的域名或链接，推荐转 Punycode
+  if (/^(\S+:\/\/)?[^\s/?#:@]*[^\u0000-\u007f][^\s/?#:@]*\.[^\s/?#:@]+/.test(trimmed) || /:\/\/[^\s/?#]*[^\u0000-\u007f]/.test(trimmed)) {
+    suggestions.push('punycode-encode');
+  }
+
+  return suggestions;
+}
+
+export default {
+  ENCODING_ACTIONS,
+  base64Encode,
+  base64Decode,
+  urlDecode,
+  htmlEncode,
+  htmlDecode,
+  unicodeUnescape,
+  toPunycode,
+  fromPunycode,
+  hexDump,
+  hexDecode,
+  qpEncode,
+  qpDecode,
+  decodeJwt,
+  applyEncoding,
+  suggestDecoders
+};
@@ -0,0 +1,380 @@
+/**
+ * 实体提取器模块
+ * 从文本中提取链接、邮箱、IP、UUID、哈希、CVE、DOI 等结构化标识，
+ * 每种实体可以附带"用…搜索"的动作，跳转到对应站点查询
+ *
+ * 提取器结构：
+ * - id: 唯一标识
+ * - name: 显示名称
+ * - pattern: 带 g 标志的正则，逐个匹配候选
+ * - normalize(match): 可选，接收正则匹配结果，返回规范化后的值；返回 null 表示丢弃该候选
+ * - extract(text): 可选，代替 pattern 直接返回字符串数组，用于复用其他模块的识别逻辑
+ * - search: 可选，{ name, template, query(value) }，template 与搜索引擎模板相同（支持 %s、{query}、{query:raw}），
+ *   query 可把实体值转换为查询内容，默认为实体值本身
+ */
+
+import { buildSearchUrl } from './searchEngines.js';
+import { findDateExpressions } from './dateConverter.js';
+
+// 每种实体最多保留的结果数
+export const MAX_ENTITY_VALUES = 50;
+
+// ============================================================================
+// 校验辅助
+// ============================================================================
+
+/**
+ * 校验 IPv6 地址（可带 IPv4 结尾和 %zone）
+ * @param {string} value - 候选地址
+ * @returns {boolean}
+ */
+function isIPv6(value) {
+  const address = value.replace(/%[\w.-]+$/, '');
+  if ((address.match(/::/g) || []).length > 1) return false;
+
+  let groups = address.split(':');
+  let expected = 8;
+  const last = groups[groups.length - 1];
+  if (last.includes('.')) {
+    if (!isIPv4(last)) return false;
+    groups = groups.slice(0, -1);
+    expected = 6;
+  }
+
+  if (address.includes('::')) {
+    const filled = groups.filter(Boolean);
+    return filled.length < expected && filled.every((group) => /^[0-9a-f]{1,4}$/i.test(group));
+  }
+  return groups.length === expected && groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group));
+}
+
+/**
+ * 校验 IPv4 地址
+ * @param {string} value - 候选地址
+ * @returns {boolean}
+ */
+function isIPv4(value) {
+  const parts = value.split('.');
+  return parts.length === 4 && parts.every((part) => /^(?:0|[1-9]\d{0,2})$/.test(part) && Number(part) <= 255);
+}
+
+/**
+ * 校验 ISBN-10 / ISBN-13 的校验位
+ * @param {string} digits - 去掉分隔符后的 ISBN
+ * @returns {boolean}
+ */
+export function isValidIsbn(digits) {
+  if (/^\d{9}[\dX]$/.test(digits)) {
+    const sum = Array.from(digits).reduce(
+      (total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index),
+      0
+    );
+    return sum % 11 === 0;
+  }
+  if (/^97[89]\d{10}$/.test(digits)) {
+    const sum = Array.from(digits).reduce(
+      (total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3),
+      0
+    );
+    return sum % 10 === 0;
+  }
+  return false;
+}
+
+/**
+ * 去掉 DOI 结尾误带的标点和不成对的右括号
+ * @param {string} doi - 候选 DOI
+ * @returns {string}
+ */
+function trimDoi(doi) {
+  let value = doi.replace(/[.,;:'"]+$/, '');
+  while (/[)\]]$/.test(value)) {
+    const close = value.slice(-1);
+    const open = close === ')' ? '(' : '[';
+    if (value.split(open).length >= value.split(close).length) break;
+    value = value.slice(0, -1).replace(/[.,;:'"]+$/, '');
+  }
+  return value;
+}
+
+/**
+ * 把 #abc、#aabbcc、#aabbccdd 统一为 6 位小写十六进制（忽略透明度）
+ * @param {string} color - 颜色值
+ * @returns {string}
+ */
+function expandHexColor(color) {
+  const hex = color.replace('#', '').toLowerCase();
+  return hex.length === 3 ? Array.from(hex, (char) => char + char).join('') : hex.slice(0, 6);
+}
+
+// ============================================================================
+// 内置提取器
+// ============================================================================
+
+export const BUILTIN_EXTRACTORS = [
+  {
+    id: 'url',
+    name: '链接提取',
+    pattern: /https?:\/\/[^\s<>"{}|\\^`[\]]+/gi,
+    normalize: ([value]) => value.replace(/[.,;:!?'")\]}]+$/, '')
+  },
+  {
+    id: 'email',
+    name: '邮箱地址',
+    pattern: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/gi
+  },
+  {
+    id: 'phone',
+    name: '电话号码',
+    pattern: /(?<![\w.-])(?:\+86[-\s]?)?(?:1[3-9]\d{9}|0\d{2,3}[-\s]?\d{7,8})(?![\w-])/g
+  },
+  {
+    id: 'cidr',
+    name: 'CIDR 网段',
+    pattern: /(?<![\w:.])([0-9a-f:.]+)\/(\d{1,3})(?![\w/])/gi,
+    normalize: ([value, address, prefix]) => {
+      if (isIPv4(address)) return Number(prefix) <= 32 ? value : null;
+      return isIPv6(address) && Number(prefix) <= 128 ? value.toLowerCase() : null;
+    },
+    search: { name: 'BGP Toolkit', template: 'https://bgp.he.net/net/{query:raw}' }
+  },
+  {
+    id: 'ipv4',
+    name: 'IP地址',
+    pattern: /(?<![\w.])(?:\d{1,3}\.){3}\d{1,3}(?!\.?\d|\/\d)/g,
+    normalize: ([value]) => (isIPv4(value) ? value : null),
+    search: { name: 'IPinfo', template: 'https://ipinfo.io/{query:raw}' }
+  },
+  {
+    id: 'ipv6',
+    name: 'IPv6 地址',
+    pattern: /(?<![\w:.])(?:[0-9a-f]{0,4}:){2,7}(?:(?:\d{1,3}\.){3}\d{1,3}|[0-9a-f]{0,4})(?:%[\w.-]+)?(?![\w:/]|\.\d)/gi,
+    // 不含数字的候选多半是 C++ 的 a::b 之类
+    normalize: ([value]) => (/\d/.test(value) && isIPv6(value) ? value.toLowerCase() : null),
+    search: { name: 'IPinfo', template: 'https://ipinfo.io/{query:raw}' }
+  },
+  {
+    id: 'mac',
+    name: 'MAC 地址',
+    pattern: /(?<![\w:-])(?:[0-9a-f]{2}([:-])(?:[0-9a-f]{2}\1){4}[0-9a-f]{2}|[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4})(?![\w:-])/gi,
+    normalize: ([value]) =>
+      value
+        .replace(/[^0-9a-f]/gi, '')
+        .toUpperCase()
+        .match(/../g)
+        .join(':'),
+    search: {
+      name: 'MAC Vendors',
+      template: 'https://macvendors.com/query/{query:raw}',
+      query: (value) => value.slice(0, 8)
+    }
+  },
+  {
+    id: 'uuid',
+    name: 'UUID',
+    pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    normalize: ([value]) => value.toLowerCase(),
+    search: { name: 'Google', template: 'https://www.google.com/search?q=%22{query}%22' }
+  },
+  {
+    id: 'hash',
+    name: '哈希值（MD5/SHA）',
+    pattern: /(?<![\w-])(?:[0-9a-f]{128}|[0-9a-f]{64}|[0-9a-f]{40}|[0-9a-f]{32})(?![\w-])/gi,
+    // 纯数字或纯字母的长串多半不是哈希
+    normalize: ([value]) => (/\d/.test(value) && /[a-f]/i.test(value) ? value.toLowerCase() : null),
+    search: { name: 'VirusTotal', template: 'https://www.virustotal.com/gui/search/{query}' }
+  },
+  {
+    id: 'cve',
+    name: 'CVE 编号',
+    pattern: /\bCVE-\d{4}-\d{4,}\b/gi,
+    normalize: ([value]) => value.toUpperCase(),
+    search: { name: 'NVD', template: 'https://nvd.nist.gov/vuln/detail/{query}' }
+  },
+  {
+    id: 'doi',
+    name: 'DOI',
+    pattern: /\b10\.\d{4,9}\/[^\s"<>]+/g,
+    normalize: ([value]) => trimDoi(value),
+    search: { name: 'doi.org', template: 'https://doi.org/{query:raw}' }
+  },
+  {
+    id: 'arxiv',
+    name: 'arXiv',
+    // 只识别带 arXiv: 前缀或 arxiv.org 链接中的编号，避免把普通小数当作 arXiv 编号
+    pattern: /(?:\barxiv:\s*|arxiv\.org\/(?:abs|pdf)\/)(\d{4}\.\d{4,5}(?:v\d+)?|[a-z-]+(?:\.[a-z]{2})?\/\d{7}(?:v\d+)?)/gi,
+    normalize: ([, id]) => id,
+    search: { name: 'arXiv', template: 'https://arxiv.org/abs/{query:raw}' }
+  },
+  {
+    id: 'isbn',
+    name: 'ISBN',
+    pattern: /(?<![\w-])(ISBN(?:-1[03])?[:：]?\s*)?((?:\d[- ]?){12}\d|(?:\d[- ]?){9}[\dX])(?![\w-])/gi,
+    // 没有 ISBN 前缀时，只接受 978/979 开头的 13 位或带连字符的写法，避免把普通数字当作 ISBN
+    normalize: ([, prefix, raw]) => {
+      const digits = raw.replace(/[-\s]/g, '').toUpperCase();
+      if (!isValidIsbn(digits)) return null;
+      return prefix || digits.length === 13 || raw.includes('-') ? digits : null;
+    },
+    search: { name: 'Open Library', template: 'https://openlibrary.org/isbn/{query}' }
+  },
+  {
+    id: 'package',
+    name: '包版本',
+    pattern: /(?<![\w@/.-])((?:@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*)@[\^~]?(\d+\.\d+\.\d+(?:-[0-9a-z.-]*[0-9a-z])?)(?![\w.-])/gi,
+    normalize: ([, name, version]) => `${name}@${version}`,
+    search: {
+      name: 'npm',
+      template: 'https://www.npmjs.com/package/{query:raw}',
+      query: (value) => value.replace(/@(?=[^@]*$)/, '/v/')
+    }
+  },
+  {
+    id: 'semver',
+    name: '语义化版本',
+    pattern: /(?<![\w.@/^~-])v?(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)(?:-[0-9a-z.-]*[0-9a-z])?(?:\+[0-9a-z.-]*[0-9a-z])?(?![\w-]|\.\d)/gi,
+    search: { name: 'Google', template: 'https://www.google.com/search?q=%22{query}%22' }
+  },
+  {
+    id: 'color',
+    name: '十六进制颜色',
+    pattern: /(?<![\w&#])#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3})(?![\w-])/gi,
+    // 三位纯数字多半是 issue 编号（#123）
+    normalize: ([value]) => (value.length === 4 && /^#\d+$/.test(value) ? null : value.toLowerCase()),
+    search: {
+      name: 'Color Hex',
+      template: 'https://www.color-hex.com/color/{query}',
+      query: expandHexColor
+    }
+  },
+  {
+    id: 'date',
+    name: '日期',
+    extract: findDateExpressions
+  }
+];
+
+// ============================================================================
+// 注册表
+// ============================================================================
+
+const registry = new Map(BUILTIN_EXTRACTORS.map((extractor) => [extractor.id, extractor]));
+
+/**
+ * 校验提取器配置
+ * @param {Object} extractor - 提取器
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateExtractor(extractor) {
+  const errors = [];
+  if (!extractor || typeof extractor !== 'object') {
+    return { valid: false, errors: ['提取器必须是对象'] };
+  }
+  if (!extractor.id || typeof extractor.id !== 'string') errors.push('缺少 id');
+  if (!extractor.name || typeof extractor.name !== 'string') errors.push('缺少名称');
+
+  const hasPattern = extractor.pattern instanceof RegExp;
+  if (!hasPattern && typeof extractor.extract !== 'function') {
+    errors.push('必须提供 pattern 或 extract');
+  } else if (hasPattern && !extractor.pattern.global) {
+    errors.push('pattern 必须带 g 标志');
+  }
+  if (extractor.normalize !== undefined && typeof extractor.normalize !== 'function') {
+    errors.push('normalize 必须是函数');
+  }
+  if (extractor.search !== undefined && (!extractor.search?.name || !extractor.search?.template)) {
+    errors.push('search 必须包含 name 和 template');
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 注册提取器，id 相同时覆盖已有的提取器
+ * @param {Object} extractor - 提取器
+ * @throws {Error} 配置无效时
+ */
+export function registerExtractor(extractor) {
+  const { valid, errors } = validateExtractor(extractor);
+  if (!valid) {
+    throw new Error(`无效的提取器：${errors.join('；')}`);
+  }
+  registry.set(extractor.id, extractor);
+}
+
+/**
+ * 移除提取器
+ * @param {string} id - 提取器 id
+ * @returns {boolean} 是否存在并已移除
+ */
+export function unregisterExtractor(id) {
+  return registry.delete(id);
+}
+
+/**
+ * 获取已注册的提取器，按注册顺序排列
+ * @returns {Array<Object>}
+ */
+export function getExtractors() {
+  return [...registry.values()];
+}
+
+// ============================================================================
+// 提取
+// ============================================================================
+
+/**
+ * 用单个提取器提取实体
+ * @param {Object} extractor - 提取器
+ * @param {string} text - 文本
+ * @returns {string[]} 去重后的值，按出现顺序排列
+ */
+function runExtractor(extractor, text) {
+  const values = extractor.extract
+    ? extractor.extract(text)
+    : Array.from(text.matchAll(extractor.pattern), (match) =>
+      extractor.normalize ? extractor.normalize(match) : match[0]
+    );
+  return [...new Set(values.filter(Boolean))].slice(0, MAX_ENTITY_VALUES);
+}
+
+/**
+ * 从文本中提取所有实体
+ * @param {string} text - 文本
+ * @param {Array<Object>} extractors - 提取器列表，默认为已注册的提取器
+ * @returns {Array<{id: string, name: string, values: string[], search: Object|null}>} 只包含有结果的提取器
+ */
+export function extractEntities(text, extractors = getExtractors()) {
+  if (!text) return [];
+  return extractors
+    .map((extractor) => ({
+      id: extractor.id,
+      name: extractor.name,
+      values: runExtractor(extractor, text),
+      search: extractor.search || null
+    }))
+    .filter((entity) => entity.values.length > 0);
+}
+
+/**
+ * 生成实体的搜索链接
+ * @param {Object} search - 提取器的 search 动作
+ * @param {string} value - 实体值
+ * @returns {string|null} 没有搜索动作时返回 null
+ */
+export function buildEntitySearchUrl(search, value) {
+  if (!search) return null;
+  const query = search.query ? search.query(value) : value;
+  return buildSearchUrl({ name: search.name, template: search.template }, query);
+}
+
+export default {
+  MAX_ENTITY_VALUES,
+  BUILTIN_EXTRACTORS,
+  isValidIsbn,
+  validateExtractor,
+  registerExtractor,
+  unregisterExtractor,
+  getExtractors,
+  extractEntities,
+  buildEntitySearchUrl
+};
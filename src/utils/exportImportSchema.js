@@ -3,6 +3,8 @@
  * 提供标准化的数据结构和导入导出逻辑
  */
 
+import { ENGINE_CATEGORIES, normalizeCharset, validateEngineTemplate } from './searchEngines.js';
+
 // Schema 常量定义
 export const APP_NAME = 'Decide Search';
 export const SCHEMA_VERSION = '2.0';
@@ -14,7 +16,8 @@ export const EXPORT_TYPES = {
   FULL: 'full', // 完整备份
   SETTINGS: 'settings', // 仅设置
   LINK_HISTORY: 'linkHistory', // 仅链接历史
-  CLIPBOARD_HISTORY: 'clipboardHistory' // 仅剪贴板历史
+  CLIPBOARD_HISTORY: 'clipboardHistory', // 仅剪贴板历史
+  SEARCH_ENGINES: 'searchEngines' // 搜索引擎（附每个引擎的 OpenSearch 描述）
 };
 
 // 导入上下文枚举
@@ -51,7 +54,9 @@ export function createExportData(exportType, exportedBy, data) {
     data: {
       ...(data.settings && { settings: data.settings }),
       ...(data.linkHistory && { linkHistory: data.linkHistory }),
-      ...(data.clipboardHistory && { clipboardHistory: data.clipboardHistory })
+      ...(data.clipboardHistory && { clipboardHistory: data.clipboardHistory }),
+      ...(data.searchEngines && { searchEngines: data.searchEngines }),
+      ...(data.openSearch && { openSearch: data.openSearch })
     }
   };
 }
@@ -283,7 +288,11 @@ export function getImportStrategy(importContext, exportType) {
       [EXPORT_TYPES.FULL]: { canImport: true, targetDataKey: null }, // 导入所有
       [EXPORT_TYPES.SETTINGS]: { canImport: true, targetDataKey: 'settings' },
       [EXPORT_TYPES.LINK_HISTORY]: { canImport: true, targetDataKey: 'linkHistory' },
-      [EXPORT_TYPES.CLIPBOARD_HISTORY]: { canImport: true, targetDataKey: 'clipboardHistory' }
+      [EXPORT_TYPES.CLIPBOARD_HISTORY]: { canImport: true, targetDataKey: 'clipboardHistory' },
+      [EXPORT_TYPES.SEARCH_ENGINES]: {
+        canImport: false,
+        error: '这是搜索引擎导出数据，请在搜索引擎区域导入'
+      }
     },
     [IMPORT_CONTEXTS.LINK_HISTORY]: {
       [EXPORT_TYPES.FULL]: { canImport: true, targetDataKey: 'linkHistory' }, // 只提取 linkHistory
@@ -292,6 +301,10 @@ export function getImportStrategy(importContext, exportType) {
       [EXPORT_TYPES.CLIPBOARD_HISTORY]: {
         canImport: false,
         error: '数据类型不匹配：这是剪贴板历史数据，请在剪贴板历史页面导入'
+      },
+      [EXPORT_TYPES.SEARCH_ENGINES]: {
+        canImport: false,
+        error: '数据类型不匹配：这是搜索引擎数据，请在设置页的搜索引擎区域导入'
       }
     },
     [IMPORT_CONTEXTS.CLIPBOARD_HISTORY]: {
@@ -301,7 +314,11 @@ export function getImportStrategy(importContext, exportType) {
         canImport: false,
         error: '数据类型不匹配：这是链接历史数据，请在链接历史页面导入'
       },
-      [EXPORT_TYPES.CLIPBOARD_HISTORY]: { canImport: true, targetDataKey: 'clipboardHistory' }
+      [EXPORT_TYPES.CLIPBOARD_HISTORY]: { canImport: true, targetDataKey: 'clipboardHistory' },
+      [EXPORT_TYPES.SEARCH_ENGINES]: {
+        canImport: false,
+        error: '数据类型不匹配：这是搜索引擎数据，请在设置页的搜索引擎区域导入'
+      }
     }
   };
 
@@ -443,6 +460,343 @@ export function createFullExport(settings, linkHistory, clipboardHistory) {
   });
 }
 
+// ============================================================================
+// 搜索引擎：OpenSearch 描述与浏览器导出
+// ============================================================================
+
+// 搜索引擎导入格式
+export const ENGINE_IMPORT_FORMATS = {
+  OPENSEARCH: 'opensearch', // OpenSearch 描述 XML
+  BROWSER_JSON: 'browserJson', // Chrome/Edge 搜索引擎导出（JSON）
+  BROWSER_CSV: 'browserCsv' // Chrome/Edge 搜索引擎导出（CSV，name,keyword,url）
+};
+
+const OPENSEARCH_NS = 'http://a9.com/-/spec/opensearch/1.1/';
+const APP_NS = 'https://github.com/SantaChains/search-enhance';
+
+// 根据名称和地址推断引擎分类
+const CATEGORY_HINTS = [
+  { category: 'academic', pattern: /scholar|arxiv|pubmed|cnki|semantic|researchgate|wanfang/i },
+  {
+    category: 'code',
+    pattern: /github|gitlab|gitee|stackoverflow|stack overflow|npm|pypi|crates\.io|sourcegraph/i
+  },
+  { category: 'docs', pattern: /mdn|developer\.mozilla|devdocs|docs\.|wiki/i },
+  { category: 'ai', pattern: /metaso|perplexity|phind|kimi|deepseek|chatgpt|you\.com/i }
+];
+
+/**
+ * 推断搜索引擎分类
+ * @param {string} name - 引擎名称
+ * @param {string} template - URL模板
+ * @returns {string} 分类
+ */
+export function inferEngineCategory(name, template) {
+  const text = `${name} ${template}`;
+  const hint = CATEGORY_HINTS.find(({ pattern }) => pattern.test(text));
+  return hint ? hint.category : 'general';
+}
+
+/**
+ * 将 OpenSearch / 浏览器模板参数转换为本扩展的占位符
+ * @param {string} template - 原始模板
+ * @returns {string}
+ */
+function convertExternalTemplate(template) {
+  return String(template || '')
+    .trim()
+    .replace(/\{searchTerms\}/g, '{query}')
+    .replace(/\{language\??\}/g, '{lang}')
+    .replace(/\{(?:inputEncoding|outputEncoding)\??\}/g, 'UTF-8')
+    .replace(/\{startPage\??\}|\{startIndex\??\}/g, '1')
+    .replace(/\{google:baseURL\}/g, 'https://www.google.com/')
+    // 只去掉 Chrome 的 google: 扩展参数和 OpenSearch 的可选参数，本扩展的 {query:raw}、{query:plus} 保留
+    .replace(/\{google:[a-zA-Z]+\}/g, '')
+    .replace(/\{(?:[a-zA-Z]+:)?[a-zA-Z]+\?\}/g, '')
+    .replace(/\{count\}/g, '');
+}
+
+/**
+ * 将本扩展的占位符转换为 OpenSearch 模板参数
+ * @param {string} template - 本扩展模板
+ * @returns {string}
+ */
+function convertTemplateToOpenSearch(template) {
+  return String(template || '')
+    .replace(/%s|\{query(?::raw|:plus)?\}|\{selection\}/g, '{searchTerms}')
+    .replace(/\{lang\}/g, '{language}')
+    .replace(/\{page(?:Url|Host)\}/g, '');
+}
+
+/**
+ * 转义 XML 特殊字符
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 检测搜索引擎导入数据的格式
+ * @param {string} raw - 原始文本
+ * @returns {string|null} ENGINE_IMPORT_FORMATS 中的值
+ */
+export function detectEngineImportFormat(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return null;
+  if (/<OpenSearchDescription[\s>]/i.test(text)) return ENGINE_IMPORT_FORMATS.OPENSEARCH;
+  if (/^[[{]/.test(text)) return ENGINE_IMPORT_FORMATS.BROWSER_JSON;
+  if (/^[^\n]*\b(?:name|short_name)\b[^\n]*,[^\n]*\burl\b/i.test(text)) {
+    return ENGINE_IMPORT_FORMATS.BROWSER_CSV;
+  }
+  return null;
+}
+
+/**
+ * 解析 OpenSearch 描述 XML（可包含多个 OpenSearchDescription）
+ * @param {string} xml - XML 文本
+ * @returns {Array} 引擎列表
+ */
+export function parseOpenSearchDescription(xml) {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('当前环境不支持解析 XML');
+  }
+
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('XML 格式错误');
+  }
+
+  const getText = (parent, tag) => {
+    const el = parent.getElementsByTagNameNS('*', tag)[0];
+    return el ? el.textContent.trim() : '';
+  };
+
+  return Array.from(doc.getElementsByTagNameNS('*', 'OpenSearchDescription')).map((desc) => {
+    const urls = Array.from(desc.getElementsByTagNameNS('*', 'Url'));
+    // 优先使用返回网页结果的 Url
+    const url =
+      urls.find((u) => (u.getAttribute('type') || 'text/html') === 'text/html') || urls[0];
+
+    // 本扩展导出的文件在 ds:template、ds:value 中保留了原始模板，优先还原
+    const original = (el, attr) => el?.getAttributeNS(APP_NS, attr) || '';
+    const paramValue = (p) =>
+      original(p, 'value') || convertExternalTemplate(p.getAttribute('value'));
+
+    const name = getText(desc, 'ShortName') || getText(desc, 'LongName');
+    const method = (url?.getAttribute('method') || 'GET').toUpperCase();
+    const engine = {
+      name,
+      template:
+        original(url, 'template') || convertExternalTemplate(url?.getAttribute('template'))
+    };
+
+    const params = url ? Array.from(url.getElementsByTagNameNS('*', 'Param')) : [];
+    if (method === 'POST') {
+      engine.method = 'POST';
+      engine.postBody = params.map((p) => `${p.getAttribute('name')}=${paramValue(p)}`).join('&');
+    } else if (params.length > 0) {
+      // GET 请求的 Param 拼接到地址上
+      const query = params.map((p) => `${p.getAttribute('name')}=${paramValue(p)}`).join('&');
+      engine.template += (engine.template.includes('?') ? '&' : '?') + query;
+    }
+
+    const inputEncoding = getText(desc, 'InputEncoding');
+    if (inputEncoding) {
+      // 不认识的字符集原样保留，导入校验时会提示"不支持的字符集"
+      const charset = normalizeCharset(inputEncoding) || inputEncoding;
+      if (charset !== 'UTF-8') {
+        engine.charset = charset;
+      }
+    }
+
+    // Tags 是空格分隔的自由关键词，只有某个标签正好是已知分类时才采用
+    const tags = getText(desc, 'Tags').toLowerCase().split(/\s+/);
+    engine.category =
+      tags.find((tag) => Object.hasOwn(ENGINE_CATEGORIES, tag)) ||
+      inferEngineCategory(name, engine.template);
+
+    const keyword = getText(desc, 'Keyword');
+    if (keyword) {
+      engine.keyword = keyword;
+    }
+
+    return engine;
+  });
+}
+
+/**
+ * 解析浏览器导出的搜索引擎列表（JSON 或 CSV）
+ * JSON 支持数组或 { search_engines: [...] }，字段 name/short_name、keyword、url
+ * @param {string} raw - 原始文本
+ * @param {string} format - ENGINE_IMPORT_FORMATS.BROWSER_JSON 或 BROWSER_CSV
+ * @returns {Array} 引擎列表
+ */
+export function parseBrowserEngineExport(raw, format) {
+  let entries;
+
+  if (format === ENGINE_IMPORT_FORMATS.BROWSER_CSV) {
+    const lines = raw.trim().split(/\r?\n/).filter(Boolean);
+    const headers = lines
+      .shift()
+      .split(',')
+      .map((h) => h.trim().toLowerCase());
+    entries = lines.map((line) => {
+      // URL 中可能含逗号，多出的列并入最后一列
+      const cells = line.split(',');
+      const row = {};
+      headers.forEach((header, i) => {
+        row[header] = i === headers.length - 1 ? cells.slice(i).join(',') : cells[i];
+      });
+      return row;
+    });
+  } else {
+    const parsed = JSON.parse(raw);
+    // 也接受本扩展的搜索引擎导出（data.searchEngines）
+    entries = Array.isArray(parsed)
+      ? parsed
+      : parsed.search_engines || parsed.searchEngines || parsed.data?.searchEngines || [];
+  }
+
+  return entries.map((entry) => {
+    const name = String(entry.name || entry.short_name || entry.shortName || entry.title || '')
+      .trim()
+      .replace(/^"|"$/g, '');
+    const template = convertExternalTemplate(
+      String(entry.url || entry.template || entry.search_url || '').replace(/^"|"$/g, '')
+    );
+    const engine = {
+      name,
+      template,
+      category: entry.category || inferEngineCategory(name, template)
+    };
+    const keyword = String(entry.keyword || '').trim();
+    if (keyword) {
+      engine.keyword = keyword;
+    }
+    return engine;
+  });
+}
+
+/**
+ * 解析搜索引擎导入数据，自动识别格式并校验每个引擎
+ * @param {string} raw - 原始文本（OpenSearch XML、浏览器导出 JSON/CSV）
+ * @returns {Object} { success, engines?, skipped?, format?, error? }
+ */
+export function parseEngineImport(raw) {
+  const format = detectEngineImportFormat(raw);
+  if (!format) {
+    return { success: false, error: '无法识别的搜索引擎格式' };
+  }
+
+  try {
+    const parsed =
+      format === ENGINE_IMPORT_FORMATS.OPENSEARCH
+        ? parseOpenSearchDescription(raw)
+        : parseBrowserEngineExport(raw, format);
+
+    const engines = [];
+    const skipped = [];
+    parsed.forEach((engine) => {
+      const { valid, errors } = validateEngineTemplate(engine);
+      if (engine.name && valid) {
+        engines.push(engine);
+      } else {
+        skipped.push({ name: engine.name || '(未命名)', reason: errors[0] || '缺少名称' });
+      }
+    });
+
+    if (engines.length === 0) {
+      return { success: false, engines, skipped, format, error: '没有可导入的搜索引擎' };
+    }
+    return { success: true, engines, skipped, format };
+  } catch (error) {
+    return { success: false, error: `解析搜索引擎失败: ${error.message}` };
+  }
+}
+
+/**
+ * 生成单个引擎的标准 OpenSearch 描述文档，浏览器可直接识别
+ * OpenSearch 只有 {searchTerms}，原始模板另存于 ds:template / ds:value，本扩展导入时还原
+ * @param {Object} engine - 搜索引擎
+ * @returns {string} XML 文本
+ */
+export function createOpenSearchDescription(engine) {
+  const isPost = (engine.method || 'GET').toUpperCase() === 'POST';
+  const urlAttributes =
+    `type="text/html" method="${isPost ? 'post' : 'get'}" ` +
+    `template="${escapeXml(convertTemplateToOpenSearch(engine.template))}" ` +
+    `ds:template="${escapeXml(engine.template)}"`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<OpenSearchDescription xmlns="${OPENSEARCH_NS}" xmlns:ds="${APP_NS}">`,
+    `  <ShortName>${escapeXml(engine.name)}</ShortName>`,
+    `  <Description>${escapeXml(engine.name)} - ${APP_NAME}</Description>`,
+    `  <InputEncoding>${escapeXml(engine.charset || 'UTF-8')}</InputEncoding>`
+  ];
+
+  if (isPost) {
+    lines.push(`  <Url ${urlAttributes}>`);
+    (engine.postBody || '')
+      .split('&')
+      .filter(Boolean)
+      .forEach((pair) => {
+        const [name, ...rest] = pair.split('=');
+        const original = rest.join('=');
+        const value = escapeXml(convertTemplateToOpenSearch(original));
+        lines.push(
+          `    <Param name="${escapeXml(name)}" value="${value}" ds:value="${escapeXml(original)}"/>`
+        );
+      });
+    lines.push('  </Url>');
+  } else {
+    lines.push(`  <Url ${urlAttributes}/>`);
+  }
+
+  if (engine.category) {
+    lines.push(`  <Tags>${escapeXml(engine.category)}</Tags>`);
+  }
+  if (engine.keyword) {
+    lines.push(`  <ds:Keyword>${escapeXml(engine.keyword)}</ds:Keyword>`);
+  }
+  lines.push('</OpenSearchDescription>', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * 创建搜索引擎导出数据
+ * data.searchEngines 为完整的引擎配置，data.openSearch 为每个引擎一份的 OpenSearch 描述文件
+ * @param {Array} engines - 搜索引擎列表
+ * @returns {Object} 标准化的导出数据
+ */
+export function createOpenSearchExport(engines) {
+  const usedNames = new Set();
+  const openSearch = engines.map((engine) => {
+    const base =
+      String(engine.name || '')
+        .replace(/[\\/:*?"<>|\s]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'search-engine';
+    let filename = `${base}.xml`;
+    for (let i = 2; usedNames.has(filename.toLowerCase()); i++) {
+      filename = `${base}-${i}.xml`;
+    }
+    usedNames.add(filename.toLowerCase());
+    return { name: engine.name, filename, xml: createOpenSearchDescription(engine) };
+  });
+
+  return createExportData(EXPORT_TYPES.SEARCH_ENGINES, IMPORT_CONTEXTS.SETTINGS, {
+    searchEngines: engines,
+    openSearch
+  });
+}
+
 // 默认导出
 export default {
   APP_NAME,
@@ -461,5 +815,13 @@ export default {
   createLinkHistoryExport,
   createClipboardHistoryExport,
   createSettingsExport,
-  createFullExport
+  createFullExport,
+  ENGINE_IMPORT_FORMATS,
+  inferEngineCategory,
+  detectEngineImportFormat,
+  parseOpenSearchDescription,
+  parseBrowserEngineExport,
+  parseEngineImport,
+  createOpenSearchDescription,
+  createOpenSearchExport
 };
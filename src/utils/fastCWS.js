@@ -493,58 +493,309 @@ const STOP_WORDS = new Set([
   '他们'
 ]);
 
+// 常单独成词的字（介词、趋向动词、副词等）。HMM 会把它们和前后的单字连成一个词（如“李华去”），
+// 所以与停用词一样作为词典已确定的单字词，不交给 HMM
+const HMM_SINGLE_CHAR_WORDS = new Set('去来到从向往对给把被让叫说很太更最不没也还又才再已'.split(''));
+
+// HMM 状态：词首、词中、词尾、单字词
+const HMM_STATES = ['B', 'M', 'E', 'S'];
+// 不可能的状态
+const HMM_MIN_LOG_PROB = -3.14e100;
+// 模型中没有的字在各状态下的发射概率
+const HMM_UNKNOWN_LOG_PROB = -12;
+
 // ============================================================================
-// 双数组Trie树实现
+// 双数组Trie树 + AC自动机实现
 // ============================================================================
 
+// 序列化格式版本，结构变化时递增，旧缓存自动失效
+const TRIE_FORMAT_VERSION = 1;
+
+/**
+ * 双数组Trie树
+ * - 字符先映射为紧凑的字符编号（1..K），状态 s 经字符 c 转移到 t = base[s] + c，且 check[t] === s
+ * - fail/outLink 构成 AC 自动机，一次扫描即可找出所有词的出现位置
+ * - 全部数据为整数数组，可直接序列化到存储中
+ */
 class DoubleArrayTrie {
   constructor() {
-    this.base = new Int32Array(1024);
-    this.check = new Int32Array(1024);
+    this.codes = new Map(); // 字符码 -> 字符编号
     this.size = 1;
-    this.base[0] = 1;
+    this.allocate(1024);
+    this.maxLen = 0;
+    this.minLen = 0;
+    this.wordCount = 0;
+  }
+
+  /**
+   * 分配（或扩容）状态数组
+   * @param {number} capacity 容量
+   */
+  allocate(capacity) {
+    const grow = (old, fill = 0) => {
+      const array = new Int32Array(capacity).fill(fill);
+      if (old) array.set(old.subarray(0, Math.min(old.length, capacity)));
+      return array;
+    };
+    this.base = grow(this.base);
+    this.check = grow(this.check, -1);
+    this.fail = grow(this.fail);
+    this.outLink = grow(this.outLink);
+    this.wordLen = grow(this.wordLen); // 以该状态结尾的词长，0 表示非词尾
   }
 
   /**
-   * 构建Trie树
+   * 构建Trie树和AC失败指针
    * @param {string[]} words 词列表
    */
   build(words) {
-    // 简化的双数组构建 - 使用哈希表优化
-    this.wordSet = new Set(words);
+    const unique = [...new Set(words)].filter((word) => word.length > 0);
 
-    if (words.length === 0) {
-      this.maxLen = 0;
-      this.minLen = 0;
-      return;
+    this.codes = new Map();
+    this.base = this.check = this.fail = this.outLink = this.wordLen = null;
+    this.allocate(1024);
+    this.check[0] = 0;
+    this.size = 1;
+    this.wordCount = unique.length;
+    this.maxLen = 0;
+    this.minLen = 0;
+
+    if (unique.length === 0) return;
+
+    // 按字符频率分配编号，高频字编号小，子状态更集中，双数组更紧凑
+    const frequency = new Map();
+    this.minLen = Infinity;
+    for (const word of unique) {
+      this.maxLen = Math.max(this.maxLen, word.length);
+      this.minLen = Math.min(this.minLen, word.length);
+      for (let i = 0; i < word.length; i++) {
+        const code = word.charCodeAt(i);
+        frequency.set(code, (frequency.get(code) || 0) + 1);
+      }
     }
+    [...frequency.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([code], index) => this.codes.set(code, index + 1));
+
+    // 先构建临时的指针Trie
+    const root = { children: new Map(), len: 0 };
+    for (const word of unique) {
+      let node = root;
+      for (let i = 0; i < word.length; i++) {
+        const id = this.codes.get(word.charCodeAt(i));
+        if (!node.children.has(id)) {
+          node.children.set(id, { children: new Map(), len: 0 });
+        }
+        node = node.children.get(id);
+      }
+      node.len = word.length;
+    }
+
+    // 按层序放入双数组，同时计算失败指针（父状态及更浅的状态都已就位）
+    const queue = [[root, 0]];
+    let nextCheckPos = 1;
+    // 按子状态数量分档记录上次放置的位置：子状态多的节点很难填进前面的空洞，直接从上次成功处继续找
+    const placeHints = [];
+    for (let head = 0; head < queue.length; head++) {
+      const [node, state] = queue[head];
+      if (node.children.size === 0) continue;
+
+      const ids = [...node.children.keys()].sort((x, y) => x - y);
+      const lastId = ids[ids.length - 1];
+
+      // 从第一个空闲位置开始，找到所有子状态位置都空闲的 base
+      const bucket = 31 - Math.clz32(ids.length);
+      const start = Math.max(nextCheckPos, placeHints[bucket] || 0);
+      let pos = Math.max(start, ids[0] + 1) - 1;
+      let base = 0;
+      let occupied = 0;
+      let firstFreePos = -1;
+      for (;;) {
+        pos++;
+        if (pos + lastId >= this.check.length) {
+          this.allocate(Math.max(this.check.length * 2, pos + lastId + 1));
+        }
+        if (this.check[pos] !== -1) {
+          occupied++;
+          continue;
+        }
+        if (firstFreePos === -1) firstFreePos = pos;
+        base = pos - ids[0];
+        let k = 1;
+        while (k < ids.length && this.check[base + ids[k]] === -1) k++;
+        if (k === ids.length) break;
+      }
+      // 扫描区间已基本占满时，下次直接从这里开始
+      if (start === nextCheckPos) {
+        nextCheckPos = occupied / (pos - nextCheckPos + 1) >= 0.95 ? pos : firstFreePos;
+      }
+      if (bucket > 0) placeHints[bucket] = pos;
+      this.base[state] = base;
+
+      for (const id of ids) {
+        const child = node.children.get(id);
+        const target = base + id;
+        this.check[target] = state;
+        this.wordLen[target] = child.len;
+        this.size = Math.max(this.size, target + 1);
 
-    const lengths = words.map((w) => w.length);
-    this.maxLen = Math.max(...lengths);
-    this.minLen = Math.min(...lengths);
+        let fail = 0;
+        if (state !== 0) {
+          for (let f = this.fail[state]; ; f = this.fail[f]) {
+            const next = this.goto(f, id);
+            if (next !== -1) {
+              fail = next;
+              break;
+            }
+            if (f === 0) break;
+          }
+        }
+        this.fail[target] = fail;
+        this.outLink[target] = this.wordLen[fail] > 0 ? fail : this.outLink[fail];
+
+        queue.push([child, target]);
+      }
+    }
   }
 
   /**
-   * 检查文本位置是否匹配词典中的词
+   * 状态转移（不走失败指针）
+   * @param {number} state 当前状态
+   * @param {number} id 字符编号
+   * @returns {number} 目标状态，不存在时为 -1
+   */
+  goto(state, id) {
+    const target = this.base[state] + id;
+    return this.base[state] > 0 && target < this.size && this.check[target] === state ? target : -1;
+  }
+
+  /**
+   * 检查文本位置是否匹配词典中的词（最长匹配）
    * @param {string} text 文本
    * @param {number} pos 起始位置
    * @returns {object|null} 匹配结果
    */
   match(text, pos) {
-    // 空词典或无效位置
     if (this.maxLen === 0 || pos < 0 || pos >= text.length) {
       return null;
     }
 
-    // 从最大长度开始匹配（正向最大匹配）
-    const maxCheckLen = Math.min(this.maxLen, text.length - pos);
-    for (let len = maxCheckLen; len >= this.minLen; len--) {
-      const word = text.slice(pos, pos + len);
-      if (this.wordSet.has(word)) {
-        return { word, len };
+    let state = 0;
+    let len = 0;
+    for (let i = pos; i < text.length && i - pos < this.maxLen; i++) {
+      state = this.goto(state, this.codes.get(text.charCodeAt(i)) || 0);
+      if (state === -1) break;
+      if (this.wordLen[state] > 0) len = this.wordLen[state];
+    }
+    return len > 0 ? { word: text.slice(pos, pos + len), len } : null;
+  }
+
+  /**
+   * 判断词是否在词典中
+   * @param {string} word 词
+   * @returns {boolean}
+   */
+  has(word) {
+    const result = this.match(word, 0);
+    return result !== null && result.len === word.length;
+  }
+
+  /**
+   * AC自动机扫描：一次遍历求出每个位置开始和结束的最长词长度
+   * @param {string} text 文本
+   * @returns {{starting: Int32Array, ending: Int32Array}} starting[i] 为从 i 开始的最长词长度，
+   *   ending[i] 为在 i 结束的最长词长度，0 表示无匹配
+   */
+  scanMatches(text) {
+    const starting = new Int32Array(text.length);
+    const ending = new Int32Array(text.length);
+    if (this.maxLen === 0) return { starting, ending };
+
+    let state = 0;
+    for (let i = 0; i < text.length; i++) {
+      const id = this.codes.get(text.charCodeAt(i)) || 0;
+      if (id === 0) {
+        state = 0;
+        continue;
+      }
+
+      // 沿失败指针回退直到能转移
+      let next = this.goto(state, id);
+      while (next === -1 && state !== 0) {
+        state = this.fail[state];
+        next = this.goto(state, id);
+      }
+      state = next === -1 ? 0 : next;
+
+      // 输出以 i 结尾的所有词，当前状态本身是最长的一个
+      for (let out = this.wordLen[state] > 0 ? state : this.outLink[state]; out > 0; out = this.outLink[out]) {
+        const len = this.wordLen[out];
+        const start = i - len + 1;
+        if (len > starting[start]) starting[start] = len;
+        if (len > ending[i]) ending[i] = len;
       }
     }
-    return null;
+    return { starting, ending };
+  }
+
+  /**
+   * 求出每个位置开始的最长词长度
+   * @param {string} text 文本
+   * @returns {Int32Array}
+   */
+  longestMatches(text) {
+    return this.scanMatches(text).starting;
+  }
+
+  /**
+   * 序列化为可存储的普通对象
+   * @returns {object}
+   */
+  toJSON() {
+    let alphabet = '';
+    for (const code of this.codes.keys()) {
+      alphabet += String.fromCharCode(code);
+    }
+    const slice = (array) => Array.from(array.subarray(0, this.size));
+
+    return {
+      version: TRIE_FORMAT_VERSION,
+      alphabet,
+      size: this.size,
+      maxLen: this.maxLen,
+      minLen: this.minLen,
+      wordCount: this.wordCount,
+      base: slice(this.base),
+      check: slice(this.check),
+      fail: slice(this.fail),
+      outLink: slice(this.outLink),
+      wordLen: slice(this.wordLen)
+    };
+  }
+
+  /**
+   * 从序列化数据恢复
+   * @param {object} data toJSON 的结果
+   * @returns {DoubleArrayTrie|null} 格式不兼容时返回 null
+   */
+  static fromJSON(data) {
+    if (!data || data.version !== TRIE_FORMAT_VERSION) return null;
+
+    const trie = new DoubleArrayTrie();
+    trie.codes = new Map();
+    for (let i = 0; i < data.alphabet.length; i++) {
+      trie.codes.set(data.alphabet.charCodeAt(i), i + 1);
+    }
+    trie.size = data.size;
+    trie.maxLen = data.maxLen;
+    trie.minLen = data.minLen;
+    trie.wordCount = data.wordCount;
+    trie.base = Int32Array.from(data.base);
+    trie.check = Int32Array.from(data.check);
+    trie.fail = Int32Array.from(data.fail);
+    trie.outLink = Int32Array.from(data.outLink);
+    trie.wordLen = Int32Array.from(data.wordLen);
+    return trie;
   }
 }
 
@@ -559,33 +810,85 @@ class FastCWS {
       w3: new Set(),
       w4: new Set()
     };
+    // 超过4字的长词（用户词典中的产品名、领域术语等）
+    this.longWords = new Set();
+    this.baseDict = DEFAULT_DICT;
+    this.userDict = { words: [], stopWords: [] };
     this.stopWords = new Set(STOP_WORDS);
     this.trie = new DoubleArrayTrie();
+    // 词表有变化但索引尚未重建，下次分词前自动重建
+    this.dirty = false;
+    // HMM 模型（识别未登录词），未加载时为 null
+    this.hmmModel = null;
     this.initialized = false;
   }
 
   /**
    * 初始化词典
-   * @param {object} customDict 自定义词典
+   * 词典中的词按实际长度重新归类，超过4字的词放入长词表
+   * @param {object} customDict 自定义词典 { w2, w3, w4, long }
    */
   init(customDict = null) {
-    if (customDict) {
-      this.dict.w2 = new Set(customDict.w2 || []);
-      this.dict.w3 = new Set(customDict.w3 || []);
-      this.dict.w4 = new Set(customDict.w4 || []);
-    } else {
-      this.dict = DEFAULT_DICT;
+    this.baseDict = customDict || DEFAULT_DICT;
+    // 重新建表，避免 addWord 修改内置词典
+    this.dict = {
+      w2: new Set(),
+      w3: new Set(),
+      w4: new Set()
+    };
+    this.longWords = new Set();
+    for (const key of ['w2', 'w3', 'w4', 'long']) {
+      for (const word of this.baseDict[key] || []) {
+        this.addWord(word);
+      }
     }
 
-    // 合并所有词构建Trie树
+    this.dirty = true;
+    this.initialized = true;
+  }
+
+  /**
+   * 重建Trie索引
+   */
+  rebuild() {
     const allWords = [
+      ...Array.from(this.longWords),
       ...Array.from(this.dict.w4),
       ...Array.from(this.dict.w3),
       ...Array.from(this.dict.w2)
     ];
-
     this.trie.build(allWords);
-    this.initialized = true;
+    this.dirty = false;
+  }
+
+  /**
+   * 确保索引与词表一致
+   */
+  ensureIndex() {
+    if (!this.initialized) this.init();
+    if (this.dirty) this.rebuild();
+  }
+
+  /**
+   * 导出索引，用于缓存到存储中，避免下次重新构建
+   * @returns {object} 可 JSON 序列化的索引数据
+   */
+  exportIndex() {
+    this.ensureIndex();
+    return this.trie.toJSON();
+  }
+
+  /**
+   * 导入之前导出的索引（词表需与导出时一致）
+   * @param {object} data exportIndex 的结果
+   * @returns {boolean} 是否导入成功
+   */
+  importIndex(data) {
+    const trie = DoubleArrayTrie.fromJSON(data);
+    if (!trie) return false;
+    this.trie = trie;
+    this.dirty = false;
+    return true;
   }
 
   /**
@@ -596,33 +899,231 @@ class FastCWS {
   addWord(word, rebuild = false) {
     if (!word || word.length < 2) return;
 
-    // 根据词长选择对应的词典，超过4字的词也放入w4
-    const len = Math.min(word.length, 4);
-    const key = `w${len}`;
-    if (this.dict[key]) {
-      this.dict[key].add(word);
+    if (word.length > 4) {
+      this.longWords.add(word);
+    } else {
+      this.dict[`w${word.length}`].add(word);
     }
 
     if (rebuild) {
-      const allWords = [
-        ...Array.from(this.dict.w4),
-        ...Array.from(this.dict.w3),
-        ...Array.from(this.dict.w2)
-      ];
-      this.trie.build(allWords);
+      this.rebuild();
+    } else {
+      this.dirty = true;
     }
   }
 
   /**
-   * 极速分词 - 正向最大匹配
+   * 删除词
+   * @param {string} word 词
+   * @param {boolean} rebuild 是否重建索引
+   */
+  removeWord(word, rebuild = false) {
+    if (!word) return;
+
+    if (word.length > 4) {
+      this.longWords.delete(word);
+    } else if (this.dict[`w${word.length}`]) {
+      this.dict[`w${word.length}`].delete(word);
+    }
+
+    if (rebuild) {
+      this.rebuild();
+    } else {
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * 应用用户词典：在内置词典基础上追加用户词和停用词
+   * 重复调用会先恢复到基础词典，再应用新的词表；索引在下次分词前重建
+   * @param {object} userDict 用户词典
+   * @param {string[]} userDict.words 自定义词
+   * @param {string[]} userDict.stopWords 额外的停用词
+   */
+  setUserDictionary({ words = [], stopWords = [] } = {}) {
+    this.userDict = { words, stopWords };
+    this.init(this.baseDict);
+    for (const word of words) {
+      this.addWord(word.trim());
+    }
+
+    this.stopWords = new Set(STOP_WORDS);
+    for (const word of stopWords) {
+      if (word.trim()) this.stopWords.add(word.trim());
+    }
+  }
+
+  /**
+   * 切换基础词典（内置精简词典或完整词典），并重新应用用户词典
+   * @param {object|null} dict 基础词典，为空时使用内置词典
+   */
+  setBaseDictionary(dict = null) {
+    const baseDict = dict || DEFAULT_DICT;
+    if (this.initialized && baseDict === this.baseDict) return;
+    this.baseDict = baseDict;
+    this.setUserDictionary(this.userDict);
+  }
+
+  /**
+   * 设置 HMM 模型
+   * 模型格式：{ start: {B,S}, trans: {B: {M, E}, ...}, chars: '字符表', emit: {B: [与字符表对应的对数概率]} }
+   * @param {object|null} model 模型数据，为空时关闭 HMM
+   */
+  setHmmModel(model = null) {
+    if (!model) {
+      this.hmmModel = null;
+      return;
+    }
+
+    const emit = {};
+    for (const state of HMM_STATES) {
+      emit[state] = new Map();
+      (model.emit[state] || []).forEach((logProb, index) => {
+        if (logProb !== null) emit[state].set(model.chars[index], logProb);
+      });
+    }
+    this.hmmModel = { start: model.start, trans: model.trans, emit };
+  }
+
+  /**
+   * Viterbi 解码，按 BMES 标注把连续单字组合成词
+   * @param {string} text 连续的单字
+   * @returns {string[]} 词列表
+   */
+  viterbi(text) {
+    const { start, trans, emit } = this.hmmModel;
+    const emitProb = (state, char) => {
+      // 模型中完全没有的字各状态等概率，由转移概率决定
+      if (!HMM_STATES.some((s) => emit[s].has(char))) return HMM_UNKNOWN_LOG_PROB;
+      return emit[state].get(char) ?? HMM_MIN_LOG_PROB;
+    };
+    const transProb = (from, to) => trans[from]?.[to] ?? HMM_MIN_LOG_PROB;
+
+    let scores = {};
+    const paths = [];
+    for (const state of HMM_STATES) {
+      scores[state] = (start[state] ?? HMM_MIN_LOG_PROB) + emitProb(state, text[0]);
+    }
+
+    for (let i = 1; i < text.length; i++) {
+      const next = {};
+      const back = {};
+      for (const state of HMM_STATES) {
+        let best = -Infinity;
+        for (const prev of HMM_STATES) {
+          const score = scores[prev] + transProb(prev, state);
+          if (score > best) {
+            best = score;
+            back[state] = prev;
+          }
+        }
+        next[state] = best + emitProb(state, text[i]);
+      }
+      scores = next;
+      paths.push(back);
+    }
+
+    // 词只能以 E 或 S 结尾
+    let state = scores.E >= scores.S ? 'E' : 'S';
+    const tags = [state];
+    for (let i = paths.length - 1; i >= 0; i--) {
+      state = paths[i][state];
+      tags.unshift(state);
+    }
+
+    const words = [];
+    let begin = 0;
+    tags.forEach((tag, i) => {
+      if (tag === 'B') {
+        begin = i;
+      } else if (tag === 'E') {
+        words.push(text.slice(begin, i + 1));
+      } else if (tag === 'S') {
+        words.push(text[i]);
+      }
+    });
+    return words;
+  }
+
+  /**
+   * 用 HMM 把连续的单字合并为未登录词（人名、新词等）
+   * 只处理词典没有匹配上的单字片段：词典词原样保留，停用词和常单独成词的字也作为边界，
+   * 避免 HMM 跨过它们重新切分
+   * @param {string[]} words 词典切分结果
+   * @returns {string[]}
+   */
+  recognizeUnknownWords(words) {
+    const result = [];
+    let buffer = '';
+    const flush = () => {
+      if (buffer.length > 1) {
+        result.push(...this.viterbi(buffer));
+      } else if (buffer) {
+        result.push(buffer);
+      }
+      buffer = '';
+    };
+
+    for (const word of words) {
+      if (word.length === 1 && !this.stopWords.has(word) && !HMM_SINGLE_CHAR_WORDS.has(word)) {
+        buffer += word;
+      } else {
+        flush();
+        result.push(word);
+      }
+    }
+    flush();
+    return result;
+  }
+
+  /**
+   * 切分一段连续的中文
+   * @param {string} text 连续中文
+   * @param {object} options 选项
+   * @param {boolean} options.bidirectional 是否双向最大匹配
+   * @param {boolean} options.hmm 是否用 HMM 识别未登录词
+   * @returns {string[]}
+   */
+  segmentRun(text, { bidirectional = false, hmm = false } = {}) {
+    const { starting, ending } = this.trie.scanMatches(text);
+    let words = forwardMaximumMatch(text, starting);
+    if (bidirectional) {
+      words = chooseSegmentation(words, backwardMaximumMatch(text, ending));
+    }
+    return hmm && this.hmmModel ? this.recognizeUnknownWords(words) : words;
+  }
+
+  /**
+   * 词典统计信息
+   * @returns {{wordCount: number, stopWordCount: number, estimatedBytes: number}}
+   */
+  getStats() {
+    if (!this.initialized) this.init();
+
+    const allWords = [
+      ...Array.from(this.longWords),
+      ...Array.from(this.dict.w4),
+      ...Array.from(this.dict.w3),
+      ...Array.from(this.dict.w2)
+    ];
+
+    return {
+      wordCount: allWords.length,
+      stopWordCount: this.stopWords.size,
+      estimatedBytes: estimateDictionaryBytes(allWords)
+    };
+  }
+
+  /**
+   * 极速分词 - 最大匹配
+   * 连续中文整段交给 segmentRun：AC自动机一次扫描求出最长词，再正向（或双向）切分，
+   * 可选用 HMM 合并剩余单字
    * @param {string} text 输入文本
    * @param {object} options 选项
    * @returns {string[]} 分词结果
    */
   cut(text, options = {}) {
-    if (!this.initialized) {
-      this.init();
-    }
+    this.ensureIndex();
 
     if (!text || text.length === 0) return [];
 
@@ -630,7 +1131,9 @@ class FastCWS {
       removeStopWords = true, // 是否移除停用词
       keepEnglish = true, // 是否保留英文单词
       keepNumber = true, // 是否保留数字
-      minLength = 1 // 最小词长度
+      minLength = 1, // 最小词长度
+      bidirectional = false, // 是否双向最大匹配
+      hmm = false // 是否用 HMM 识别未登录词（需先 setHmmModel）
     } = options;
 
     const result = [];
@@ -672,36 +1175,17 @@ class FastCWS {
         continue;
       }
 
-      // 处理中文字符
-      if (charCode >= 0x4e00 && charCode <= 0x9fff) {
-        // 尝试匹配最长词
-        let matched = false;
-
-        // 按长度从大到小匹配（4->3->2）
-        for (let len = 4; len >= 2; len--) {
-          if (i + len <= text.length) {
-            const word = text.slice(i, i + len);
-            const dictKey = `w${len}`;
-
-            if (this.dict[dictKey] && this.dict[dictKey].has(word)) {
-              if (!removeStopWords || !this.stopWords.has(word)) {
-                result.push(word);
-              }
-              i += len;
-              matched = true;
-              break;
-            }
-          }
-        }
+      // 处理中文字符：连续中文整段切分
+      if (isHanChar(charCode)) {
+        let end = i + 1;
+        while (end < text.length && isHanChar(text.charCodeAt(end))) end++;
 
-        if (!matched) {
-          // 单字处理
-          const singleChar = text[i];
-          if (!removeStopWords || !this.stopWords.has(singleChar)) {
-            result.push(singleChar);
+        for (const word of this.segmentRun(text.slice(i, end), { bidirectional, hmm })) {
+          if (!removeStopWords || !this.stopWords.has(word)) {
+            result.push(word);
           }
-          i++;
         }
+        i = end;
       } else {
         // 其他字符作为单字处理
         result.push(char);
@@ -750,17 +1234,11 @@ class FastCWS {
    * @returns {boolean}
    */
   containsDictWord(text) {
-    if (!this.initialized) this.init();
+    this.ensureIndex();
     if (!text || text.length < 2) return false;
 
-    // 使用Trie树进行匹配，支持任意长度
-    for (let i = 0; i < text.length; i++) {
-      const match = this.trie.match(text, i);
-      if (match) {
-        return true;
-      }
-    }
-    return false;
+    // AC自动机一次扫描，支持任意长度
+    return this.trie.longestMatches(text).some((len) => len > 0);
   }
 
   /**
@@ -781,6 +1259,7 @@ class FastCWS {
 
     let result = text;
     const allWords = [
+      ...Array.from(this.longWords),
       ...Array.from(this.dict.w4),
       ...Array.from(this.dict.w3),
       ...Array.from(this.dict.w2)
@@ -802,10 +1281,78 @@ class FastCWS {
 // 工具函数
 // ============================================================================
 
+function isHanChar(code) {
+  return code >= 0x4e00 && code <= 0x9fff;
+}
+
+/**
+ * 正向最大匹配
+ * @param {string} text 连续中文
+ * @param {Int32Array} starting 每个位置开始的最长词长度
+ * @returns {string[]}
+ */
+function forwardMaximumMatch(text, starting) {
+  const words = [];
+  for (let i = 0; i < text.length; ) {
+    const len = starting[i] >= 2 ? starting[i] : 1;
+    words.push(text.slice(i, i + len));
+    i += len;
+  }
+  return words;
+}
+
+/**
+ * 逆向最大匹配
+ * @param {string} text 连续中文
+ * @param {Int32Array} ending 每个位置结束的最长词长度
+ * @returns {string[]}
+ */
+function backwardMaximumMatch(text, ending) {
+  const words = [];
+  for (let i = text.length - 1; i >= 0; ) {
+    const len = ending[i] >= 2 ? ending[i] : 1;
+    words.push(text.slice(i - len + 1, i + 1));
+    i -= len;
+  }
+  return words.reverse();
+}
+
+/**
+ * 双向最大匹配的结果选择
+ * 1. 词数少者优先
+ * 2. 词数相同时，单字少者优先
+ * 3. 仍相同时取逆向结果（交集型歧义中逆向匹配更常正确，如「结合成分子」）
+ * @param {string[]} forward 正向结果
+ * @param {string[]} backward 逆向结果
+ * @returns {string[]}
+ */
+function chooseSegmentation(forward, backward) {
+  if (forward.length !== backward.length) {
+    return forward.length < backward.length ? forward : backward;
+  }
+  const countSingles = (words) => words.filter((word) => word.length === 1).length;
+  return countSingles(forward) < countSingles(backward) ? forward : backward;
+}
+
 function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+/**
+ * 估算词典占用的内存
+ * 分长度词表中每个词按 UTF-16 字符 2 字节加约 48 字节的 Set 条目开销计算，
+ * 双数组索引每个字符最多一个状态，每个状态 5 个 Int32 共 20 字节
+ * @param {Iterable<string>} words 词列表
+ * @returns {number} 字节数
+ */
+function estimateDictionaryBytes(words) {
+  let bytes = 0;
+  for (const word of words) {
+    bytes += word.length * 2 + 48 + word.length * 20;
+  }
+  return bytes;
+}
+
 // ============================================================================
 // 导出
 // ============================================================================
@@ -814,12 +1361,12 @@ function escapeRegExp(string) {
 const fastCWS = new FastCWS();
 
 // 导出类和实例
-export { FastCWS, fastCWS };
+export { FastCWS, fastCWS, estimateDictionaryBytes };
 export default fastCWS;
 
 // 兼容CommonJS
  
 if (typeof module !== 'undefined' && module.exports) {
    
-  module.exports = { FastCWS, fastCWS };
+  module.exports = { FastCWS, fastCWS, estimateDictionaryBytes };
 }
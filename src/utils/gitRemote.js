@@ -0,0 +1,233 @@
+/**
+ * Git 远程地址解析模块
+ * 识别 SSH、HTTPS、git:// 远程地址以及 git clone / gh repo clone / git submodule add 命令，
+ * 并生成各种等价写法
+ */
+
+// degit 支持的托管平台前缀
+const DEGIT_HOSTS = {
+  'github.com': '',
+  'gitlab.com': 'gitlab:',
+  'bitbucket.org': 'bitbucket:',
+  'git.sr.ht': 'git.sr.ht:'
+};
+
+const SCP_REMOTE_REGEX = /^([\w.-]+)@([\w.-]+):(?!\d+\/)\/?([^\s]+?)\/?$/;
+const URL_REMOTE_REGEX = /^(ssh|git|https?):\/\/(?:([\w.-]+)@)?([\w.-]+)(?::(\d+))?\/([^\s?#]+?)\/?$/i;
+const SHORT_REPO_REGEX = /^([\w-]+)\/([\w.-]+)$/;
+
+/**
+ * 把仓库路径拆成 owner/repo，去除 .git 后缀
+ * @param {string} path - 仓库路径
+ * @returns {{path: string, owner: string, repo: string}|null}
+ */
+function splitRepoPath(path) {
+  const segments = path.replace(/\.git$/i, '').split('/').filter(Boolean);
+  if (segments.length < 2) return null;
+  return {
+    path: segments.join('/'),
+    owner: segments[0],
+    repo: segments[segments.length - 1]
+  };
+}
+
+/**
+ * 解析单个远程地址
+ * HTTPS 地址需以 .git 结尾，否则视为普通网页链接
+ * @param {string} url - 远程地址
+ * @param {boolean} fromCommand - 是否来自 clone 命令（此时 HTTPS 地址不要求 .git 后缀）
+ * @returns {Object|null}
+ */
+function parseRemoteUrl(url, fromCommand = false) {
+  const scpMatch = url.match(SCP_REMOTE_REGEX);
+  if (scpMatch) {
+    const [, user, host, path] = scpMatch;
+    const repoPath = splitRepoPath(path);
+    return repoPath ? { protocol: 'ssh', user, host: host.toLowerCase(), port: null, ...repoPath } : null;
+  }
+
+  const urlMatch = url.match(URL_REMOTE_REGEX);
+  if (urlMatch) {
+    const [, scheme, user, host, port, path] = urlMatch;
+    const protocol = scheme.toLowerCase();
+    if (protocol.startsWith('http') && !fromCommand && !/\.git$/i.test(path)) return null;
+    const repoPath = splitRepoPath(path);
+    if (!repoPath) return null;
+    return {
+      protocol: protocol === 'http' ? 'https' : protocol,
+      user: user || (protocol === 'ssh' ? 'git' : null),
+      host: host.toLowerCase(),
+      port: port ? parseInt(port, 10) : null,
+      ...repoPath
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 把命令行拆分为参数，支持单双引号
+ * @param {string} command - 命令行
+ * @returns {Array<string>}
+ */
+function tokenizeCommand(command) {
+  const tokens = [];
+  const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = regex.exec(command)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+}
+
+/**
+ * 解析 git clone / git submodule add 命令的参数
+ * @param {Array<string>} args - 子命令之后的参数
+ * @returns {{url: string, directory: string, branch: string, depth: number}|null}
+ */
+function parseCloneArgs(args) {
+  const options = { url: '', directory: '', branch: '', depth: null };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--depth') {
+      options.depth = parseInt(args[++i], 10) || null;
+    } else if (arg.startsWith('--depth=')) {
+      options.depth = parseInt(arg.slice(8), 10) || null;
+    } else if (arg === '-b' || arg === '--branch') {
+      options.branch = args[++i] || '';
+    } else if (arg.startsWith('--branch=')) {
+      options.branch = arg.slice(9);
+    } else if (['-o', '--origin', '-c', '--config', '--reference', '--name'].includes(arg)) {
+      i++;
+    } else if (!arg.startsWith('-')) {
+      positional.push(arg);
+    }
+  }
+
+  [options.url, options.directory = ''] = positional;
+  return options.url ? options : null;
+}
+
+/**
+ * 解析 Git 远程地址或克隆命令
+ * 支持：
+ * - git@github.com:owner/repo.git
+ * - ssh://git@host:2222/owner/repo.git、git://host/owner/repo.git
+ * - https://host/owner/repo.git
+ * - git clone [--depth 1] [-b main] <url> [dir]
+ * - git submodule add <url> [path]
+ * - gh repo clone owner/repo
+ * @param {string} input - 用户输入
+ * @returns {Object|null} { protocol, user, host, port, path, owner, repo, branch, depth, directory, source }
+ */
+export function parseGitRemote(input) {
+  const text = String(input || '').trim();
+  if (!text || text.includes('\n')) return null;
+
+  const tokens = tokenizeCommand(text);
+  const extras = { branch: '', depth: null, directory: '', source: 'url' };
+
+  if (tokens[0] === 'gh' && tokens[1] === 'repo' && tokens[2] === 'clone' && tokens[3]) {
+    const remote = SHORT_REPO_REGEX.test(tokens[3])
+      ? { protocol: 'https', user: null, host: 'github.com', port: null, ...splitRepoPath(tokens[3]) }
+      : parseRemoteUrl(tokens[3], true);
+    return remote ? { ...remote, ...extras, directory: tokens[4] || '', source: 'gh' } : null;
+  }
+
+  if (tokens[0] === 'git') {
+    let args = null;
+    let source = '';
+    if (tokens[1] === 'clone') {
+      args = tokens.slice(2);
+      source = 'clone';
+    } else if (tokens[1] === 'submodule' && tokens[2] === 'add') {
+      args = tokens.slice(3);
+      source = 'submodule';
+    }
+    const options = args && parseCloneArgs(args);
+    const remote = options && parseRemoteUrl(options.url, true);
+    if (!remote) return null;
+    return {
+      ...remote,
+      branch: options.branch,
+      depth: options.depth,
+      directory: options.directory,
+      source
+    };
+  }
+
+  if (tokens.length !== 1) return null;
+  const remote = parseRemoteUrl(text);
+  return remote ? { ...remote, ...extras } : null;
+}
+
+/**
+ * 生成远程地址的各种等价写法
+ * @param {Object} remote - parseGitRemote 的结果
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function getGitRemoteForms(remote) {
+  if (!remote) return [];
+
+  const httpsUrl = `https://${remote.host}/${remote.path}.git`;
+  // 非默认 SSH 端口只能用 ssh:// 写法
+  const sshUrl =
+    remote.protocol === 'ssh' && remote.port
+      ? `ssh://${remote.user || 'git'}@${remote.host}:${remote.port}/${remote.path}.git`
+      : `git@${remote.host}:${remote.path}.git`;
+
+  const cloneOptions = [
+    remote.depth ? `--depth ${remote.depth}` : '',
+    remote.branch ? `-b ${remote.branch}` : ''
+  ]
+    .filter(Boolean)
+    .join(' ');
+  const cloneTarget = remote.source === 'clone' && remote.directory ? ` ${remote.directory}` : '';
+
+  const forms = [
+    { name: 'SSH', value: sshUrl },
+    { name: 'HTTPS', value: httpsUrl },
+    {
+      name: 'git clone',
+      value: `git clone ${cloneOptions ? `${cloneOptions} ` : ''}${httpsUrl}${cloneTarget}`
+    }
+  ];
+
+  if (remote.host === 'github.com') {
+    forms.push({ name: 'gh repo clone', value: `gh repo clone ${remote.path}` });
+  }
+
+  if (remote.host in DEGIT_HOSTS && remote.path.split('/').length === 2) {
+    const ref = remote.branch ? `#${remote.branch}` : '';
+    forms.push({
+      name: 'degit',
+      value: `npx degit ${DEGIT_HOSTS[remote.host]}${remote.path}${ref} ${remote.repo}`
+    });
+  }
+
+  const submodulePath =
+    remote.source === 'submodule' && remote.directory ? remote.directory : remote.repo;
+  forms.push({
+    name: 'submodule',
+    value: `git submodule add ${remote.branch ? `-b ${remote.branch} ` : ''}${httpsUrl} ${submodulePath}`
+  });
+
+  return forms;
+}
+
+/**
+ * 获取远程地址对应的仓库网页地址
+ * @param {Object} remote - parseGitRemote 的结果
+ * @returns {string}
+ */
+export function getGitRemoteWebUrl(remote) {
+  return remote ? `https://${remote.host}/${remote.path}` : '';
+}
+
+export default {
+  parseGitRemote,
+  getGitRemoteForms,
+  getGitRemoteWebUrl
+};
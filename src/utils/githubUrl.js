@@ -0,0 +1,351 @@
+/**
+ * GitHub 链接解析模块
+ * 从 GitHub 链接中解析出类型、分支/提交、文件路径、行号和编号，并生成各种等价链接
+ *
+ * 支持的链接类型（kind）：
+ * - repo      仓库主页
+ * - tree      目录
+ * - blob      文件（含 raw.githubusercontent.com）
+ * - blame     文件追溯
+ * - history   提交历史（/commits/<ref>/<path>）
+ * - commit    单个提交
+ * - issue     Issue
+ * - pull      Pull Request
+ * - release   Release（/releases 或 /releases/tag/<tag>）
+ * - compare   分支对比
+ */
+
+// 链接类型显示名称
+export const GITHUB_KIND_LABELS = {
+  repo: '仓库',
+  tree: '目录',
+  blob: '文件',
+  blame: '追溯',
+  history: '提交历史',
+  commit: '提交',
+  issue: 'Issue',
+  pull: 'Pull Request',
+  release: 'Release',
+  compare: '对比'
+};
+
+const GITHUB_HOST_REGEX = /^(?:https?:\/\/)?(?:www\.)?github\.com\/([^?#]+)(\?[^#]*)?(#.*)?$/i;
+const RAW_HOST_REGEX = /^(?:https?:\/\/)?raw\.githubusercontent\.com\/([^?#]+)/i;
+const SHORTHAND_REGEX = /^([\w-]+)\/([\w.-]+)(?:#(\d+)|@([0-9a-f]{7,40}))$/i;
+const SHA_REGEX = /^[0-9a-f]{7,40}$/i;
+const FULL_SHA_REGEX = /^[0-9a-f]{40}$/i;
+const OWNER_REGEX = /^[\w-]+$/;
+const REPO_REGEX = /^[\w.-]+$/;
+// 解析含斜杠的分支名时最多尝试的段数
+const MAX_REF_SEGMENTS = 4;
+
+/**
+ * 解析行号锚点，如 #L10、#L10-L20、#L10C3-L20C8
+ * @param {string} hash - 锚点
+ * @returns {{lineStart: number, lineEnd: number}|null}
+ */
+function parseLineAnchor(hash) {
+  const match = String(hash || '').match(/^#L(\d+)(?:C\d+)?(?:-L(\d+)(?:C\d+)?)?$/i);
+  if (!match) return null;
+  const lineStart = parseInt(match[1], 10);
+  const lineEnd = match[2] ? parseInt(match[2], 10) : lineStart;
+  return { lineStart, lineEnd };
+}
+
+/**
+ * 生成行号锚点
+ * @param {Object} parsed - 解析结果
+ * @returns {string}
+ */
+function buildLineAnchor(parsed) {
+  if (!parsed.lineStart) return '';
+  return parsed.lineEnd && parsed.lineEnd !== parsed.lineStart
+    ? `#L${parsed.lineStart}-L${parsed.lineEnd}`
+    : `#L${parsed.lineStart}`;
+}
+
+/**
+ * 解码链接中的一段，含单独 % 等无法解码的内容时原样返回（如 100%.md）
+ * @param {string} segment - 路径片段
+ * @returns {string}
+ */
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * 设置 ref 与路径；ref 不是 SHA 且后面还有路径时标记 refAmbiguous，
+ * 因为 tree/feature/x/src 这类链接无法区分分支 feature/x 与路径 x/src
+ * @param {Object} result - 解析结果
+ * @param {string[]} parts - ref 及之后的路径片段
+ */
+function assignRefPath(result, parts) {
+  result.ref = safeDecode(parts[0]);
+  result.path = parts.slice(1).map(safeDecode).join('/');
+  result.refSegments = parts.map(safeDecode);
+  if (parts.length > 1 && !SHA_REGEX.test(parts[0])) result.refAmbiguous = true;
+}
+
+/**
+ * 解析 GitHub 链接
+ * 分支名中含斜杠时无法与路径区分，先按第一段作为 ref 并标记 refAmbiguous，
+ * 由 resolveGitHubRef 通过 GitHub API 确定实际分支
+ * 用户名或仓库名不合法（如含无法解码的 %ZZ）时返回 null
+ * owner/repo#42 按 Issue 处理（GitHub 会把 PR 编号的 Issue 链接重定向到 PR）
+ * @param {string} input - GitHub 或 raw.githubusercontent.com 链接，或 owner/repo#42、owner/repo@sha 简写
+ * @returns {Object|null} { owner, repo, kind, ref, path, refAmbiguous, lineStart, lineEnd, number, sha, tag, base, head }
+ */
+export function parseGitHubUrl(input) {
+  const text = String(input || '').trim();
+
+  const shorthandMatch = text.match(SHORTHAND_REGEX);
+  if (shorthandMatch) {
+    const [, owner, repo, number, sha] = shorthandMatch;
+    return number
+      ? { owner, repo, kind: 'issue', number: parseInt(number, 10) }
+      : { owner, repo, kind: 'commit', sha, ref: sha };
+  }
+
+  const rawMatch = text.match(RAW_HOST_REGEX);
+  if (rawMatch) {
+    const [owner, repo, ...rest] = rawMatch[1].split('/').filter(Boolean);
+    if (!OWNER_REGEX.test(owner || '') || !REPO_REGEX.test(repo || '') || rest.length < 2) {
+      return null;
+    }
+    const result = { owner, repo, kind: 'blob' };
+    assignRefPath(result, rest);
+    return result;
+  }
+
+  const match = text.match(GITHUB_HOST_REGEX);
+  if (!match) return null;
+
+  const segments = match[1].split('/').filter(Boolean);
+  if (segments.length < 2) return null;
+
+  const [owner, rawRepo, section, ...rest] = segments;
+  const repo = rawRepo.replace(/\.git$/i, '');
+  if (!OWNER_REGEX.test(owner) || !REPO_REGEX.test(repo)) return null;
+  const result = { owner, repo, kind: 'repo' };
+  const decodePath = (parts) => parts.map(safeDecode).join('/');
+
+  switch (section) {
+  case undefined:
+    break;
+  case 'tree':
+  case 'blob':
+  case 'blame':
+    if (rest.length === 0) break;
+    result.kind = section;
+    assignRefPath(result, rest);
+    Object.assign(result, parseLineAnchor(match[3]));
+    break;
+  case 'commits':
+    result.kind = 'history';
+    if (rest.length > 0) assignRefPath(result, rest);
+    break;
+  case 'commit':
+    if (!rest[0] || !SHA_REGEX.test(rest[0])) break;
+    result.kind = 'commit';
+    result.sha = rest[0];
+    result.ref = rest[0];
+    break;
+  case 'issues':
+  case 'pull':
+    if (!/^\d+$/.test(rest[0] || '')) break;
+    result.kind = section === 'issues' ? 'issue' : 'pull';
+    result.number = parseInt(rest[0], 10);
+    break;
+  case 'releases':
+    result.kind = 'release';
+    if (rest[0] === 'tag' && rest[1]) {
+      result.tag = safeDecode(rest[1]);
+      result.ref = result.tag;
+    }
+    break;
+  case 'compare': {
+    const range = decodePath(rest).split(/\.{2,3}/);
+    if (range.length !== 2) break;
+    result.kind = 'compare';
+    [result.base, result.head] = range;
+    break;
+  }
+  default:
+    break;
+  }
+
+  return result;
+}
+
+/**
+ * 生成简写形式：owner/repo#42、owner/repo@sha
+ * @param {Object} parsed - 解析结果
+ * @returns {string}
+ */
+export function getGitHubShorthand(parsed) {
+  if (!parsed) return '';
+  const base = `${parsed.owner}/${parsed.repo}`;
+  if (parsed.number) return `${base}#${parsed.number}`;
+  if (parsed.sha) return `${base}@${parsed.sha.slice(0, 7)}`;
+  return base;
+}
+
+/**
+ * 根据解析结果生成等价链接
+ * 固定链接（permalink）只在 ref 本身是完整 SHA 时生成，其他情况需调用 resolveGitHubPermalink
+ * @param {Object} parsed - parseGitHubUrl 的结果
+ * @returns {Array<{name: string, url: string}>}
+ */
+export function generateGitHubVariants(parsed) {
+  if (!parsed) return [];
+
+  const repoUrl = `https://github.com/${parsed.owner}/${parsed.repo}`;
+  const lines = buildLineAnchor(parsed);
+  const path = parsed.path ? parsed.path.split('/').map(encodeURIComponent).join('/') : '';
+  const refPath = parsed.ref ? `${encodeURIComponent(parsed.ref)}${path ? `/${path}` : ''}` : '';
+  const variants = [];
+
+  switch (parsed.kind) {
+  case 'blob':
+  case 'blame':
+    variants.push({
+      name: FULL_SHA_REGEX.test(parsed.ref) ? '固定链接' : '文件',
+      url: `${repoUrl}/blob/${refPath}${lines}`
+    });
+    variants.push({
+      name: 'Raw',
+      url: `https://raw.githubusercontent.com/${parsed.owner}/${parsed.repo}/${refPath}`
+    });
+    variants.push({
+      name: 'github.dev',
+      url: `https://github.dev/${parsed.owner}/${parsed.repo}/blob/${refPath}`
+    });
+    variants.push({ name: 'Blame', url: `${repoUrl}/blame/${refPath}${lines}` });
+    variants.push({ name: '提交历史', url: `${repoUrl}/commits/${refPath}` });
+    break;
+  case 'tree':
+  case 'history':
+    if (refPath) {
+      variants.push({ name: '目录', url: `${repoUrl}/tree/${refPath}` });
+      variants.push({
+        name: 'github.dev',
+        url: `https://github.dev/${parsed.owner}/${parsed.repo}/tree/${refPath}`
+      });
+      variants.push({ name: '提交历史', url: `${repoUrl}/commits/${refPath}` });
+    }
+    break;
+  case 'commit':
+    variants.push({ name: '提交', url: `${repoUrl}/commit/${parsed.sha}` });
+    variants.push({ name: '固定链接', url: `${repoUrl}/tree/${parsed.sha}` });
+    variants.push({ name: 'Patch', url: `${repoUrl}/commit/${parsed.sha}.patch` });
+    variants.push({
+      name: 'github.dev',
+      url: `https://github.dev/${parsed.owner}/${parsed.repo}/tree/${parsed.sha}`
+    });
+    break;
+  case 'issue':
+    variants.push({ name: 'Issue', url: `${repoUrl}/issues/${parsed.number}` });
+    break;
+  case 'pull':
+    variants.push({ name: 'Pull Request', url: `${repoUrl}/pull/${parsed.number}` });
+    variants.push({ name: '文件变更', url: `${repoUrl}/pull/${parsed.number}/files` });
+    variants.push({
+      name: 'github.dev',
+      url: `https://github.dev/${parsed.owner}/${parsed.repo}/pull/${parsed.number}`
+    });
+    variants.push({ name: 'Diff', url: `${repoUrl}/pull/${parsed.number}.diff` });
+    break;
+  case 'release':
+    if (parsed.tag) {
+      variants.push({
+        name: 'Release',
+        url: `${repoUrl}/releases/tag/${encodeURIComponent(parsed.tag)}`
+      });
+      variants.push({ name: '源码', url: `${repoUrl}/tree/${encodeURIComponent(parsed.tag)}` });
+    }
+    break;
+  case 'compare':
+    variants.push({ name: 'Diff', url: `${repoUrl}/compare/${parsed.base}...${parsed.head}.diff` });
+    break;
+  default:
+    variants.push({ name: 'github.dev', url: `https://github.dev/${parsed.owner}/${parsed.repo}` });
+  }
+
+  return variants;
+}
+
+/**
+ * 查询 ref 对应的提交 SHA
+ * @param {Object} parsed - 解析结果
+ * @param {string} ref - 分支、标签或 SHA
+ * @returns {Promise<string|null>} 完整 SHA，ref 不存在时返回 null
+ */
+async function fetchCommitSha(parsed, ref) {
+  const response = await fetch(
+    `https://api.github.com/repos/${parsed.owner}/${parsed.repo}/commits/${encodeURIComponent(ref)}`,
+    { headers: { Accept: 'application/vnd.github.sha' } }
+  );
+  if (!response.ok) return null;
+
+  const sha = (await response.text()).trim();
+  return FULL_SHA_REGEX.test(sha) ? sha : null;
+}
+
+/**
+ * 通过 GitHub API 确定实际的 ref 与路径，并解析出提交 SHA
+ * refAmbiguous 时从短到长依次尝试 feature、feature/x……，第一个存在的即为分支
+ * （Git 不允许 feature 与 feature/x 两个分支同时存在，所以结果唯一）
+ * @param {Object} parsed - parseGitHubUrl 的结果，需含 ref
+ * @returns {Promise<Object|null>} 补充了 ref、path、sha 的解析结果，均不存在时返回 null
+ */
+export async function resolveGitHubRef(parsed) {
+  if (!parsed || !parsed.ref) return null;
+
+  const segments = parsed.refAmbiguous ? parsed.refSegments : [parsed.ref];
+  const count = Math.min(segments.length, MAX_REF_SEGMENTS);
+  for (let i = 1; i <= count; i++) {
+    const ref = segments.slice(0, i).join('/');
+    const sha = FULL_SHA_REGEX.test(ref) ? ref : await fetchCommitSha(parsed, ref);
+    if (sha) {
+      const path = parsed.refAmbiguous ? segments.slice(i).join('/') : parsed.path;
+      return { ...parsed, ref, path, sha, refAmbiguous: false };
+    }
+  }
+  return null;
+}
+
+/**
+ * 通过 GitHub API 把分支/标签解析为提交 SHA，生成固定链接
+ * @param {Object} parsed - parseGitHubUrl 的结果，需为 blob/blame/tree 类型
+ * @returns {Promise<{url: string, ref: string, path: string}|null>} 固定链接及实际分支、路径，
+ *   ref 已是完整 SHA 或请求失败时返回 null
+ */
+export async function resolveGitHubPermalink(parsed) {
+  if (!parsed || !parsed.ref || !['blob', 'blame', 'tree'].includes(parsed.kind)) return null;
+  if (FULL_SHA_REGEX.test(parsed.ref)) return null;
+
+  const resolved = await resolveGitHubRef(parsed);
+  if (!resolved) return null;
+
+  const path = resolved.path ? `/${resolved.path.split('/').map(encodeURIComponent).join('/')}` : '';
+  const view = parsed.kind === 'tree' ? 'tree' : 'blob';
+  const base = `https://github.com/${parsed.owner}/${parsed.repo}/${view}/${resolved.sha}`;
+  return {
+    url: `${base}${path}${buildLineAnchor(parsed)}`,
+    ref: resolved.ref,
+    path: resolved.path
+  };
+}
+
+export default {
+  GITHUB_KIND_LABELS,
+  parseGitHubUrl,
+  getGitHubShorthand,
+  generateGitHubVariants,
+  resolveGitHubRef,
+  resolveGitHubPermalink
+};
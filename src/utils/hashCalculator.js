@@ -0,0 +1,204 @@
+/**
+ * 哈希与校验和模块
+ * SHA 系列使用浏览器自带的 SubtleCrypto，CRC32 在本地计算。
+ * 文本可以按 UTF-8 或 UTF-16 编码成字节后计算，也可以逐行分别计算；
+ * 支持把用户粘贴的哈希（sha256sum 输出、BSD 格式、SRI 格式等）与结果比对。
+ */
+
+export const HASH_ALGORITHMS = {
+  CRC32: { length: 8 },
+  'SHA-1': { length: 40 },
+  'SHA-256': { length: 64 },
+  'SHA-384': { length: 96 },
+  'SHA-512': { length: 128 }
+};
+
+export const TEXT_ENCODINGS = {
+  utf8: 'UTF-8',
+  utf16le: 'UTF-16LE',
+  utf16be: 'UTF-16BE'
+};
+
+// 逐行计算时最多处理的行数
+export const MAX_HASH_LINES = 100;
+
+let crcTable = null;
+
+// ============================================================================
+// 计算
+// ============================================================================
+
+/**
+ * 按指定编码把文本转成字节（UTF-16 不带 BOM）
+ * @param {string} text - 文本
+ * @param {string} encoding - TEXT_ENCODINGS 中的编码
+ * @returns {Uint8Array}
+ */
+export function encodeText(text, encoding = 'utf8') {
+  if (encoding === 'utf8') return new TextEncoder().encode(text);
+
+  const bytes = new Uint8Array(text.length * 2);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < text.length; i++) {
+    view.setUint16(i * 2, text.charCodeAt(i), encoding === 'utf16le');
+  }
+  return bytes;
+}
+
+function getCrcTable() {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+}
+
+/**
+ * CRC32（IEEE 802.3，与 zip、gzip 相同）
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string} 8 位小写十六进制
+ */
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 计算字节的哈希
+ * @param {Uint8Array} bytes - 字节
+ * @param {string} algorithm - HASH_ALGORITHMS 中的算法
+ * @returns {Promise<string>} 小写十六进制
+ */
+export async function hashBytes(bytes, algorithm) {
+  if (algorithm === 'CRC32') return crc32(bytes);
+  const digest = await crypto.subtle.digest(algorithm, bytes);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 计算文本的全部哈希
+ * 整段计算时按原文计算（包括首尾空白和换行）；逐行计算时跳过空行，最多 MAX_HASH_LINES 行
+ * @param {string} text - 文本
+ * @param {object} options - 选项
+ * @param {string} options.encoding - 文本编码，默认 utf8
+ * @param {boolean} options.perLine - 是否逐行计算，默认 false
+ * @returns {Promise<Array<{label: string, text: string, hashes: Array<{algorithm: string, value: string}>}>>}
+ */
+export async function computeHashes(text, options = {}) {
+  const { encoding = 'utf8', perLine = false } = options;
+  const targets = perLine
+    ? text
+      .split(/\r?\n/)
+      .map((line, index) => ({ label: `第 ${index + 1} 行`, text: line }))
+      .filter((target) => target.text)
+      .slice(0, MAX_HASH_LINES)
+    : [{ label: '全文', text }];
+
+  return Promise.all(
+    targets.map(async (target) => {
+      const bytes = encodeText(target.text, encoding);
+      const hashes = await Promise.all(
+        Object.keys(HASH_ALGORITHMS).map(async (algorithm) => ({
+          algorithm,
+          value: await hashBytes(bytes, algorithm)
+        }))
+      );
+      return { ...target, hashes };
+    })
+  );
+}
+
+// ============================================================================
+// 比对
+// ============================================================================
+
+// SRI 格式：sha384-Base64
+const SRI_PATTERN = /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})$/i;
+// BSD 格式：SHA256 (file.zip) = 十六进制
+const BSD_PATTERN = /^([\w-]+)\s*\(.*\)\s*=\s*([0-9a-fA-F]+)$/;
+// 带算法前缀：sha256:十六进制、SHA-256=十六进制
+const PREFIXED_PATTERN = /^(sha-?\d+|crc-?32)\s*[:=]\s*([0-9a-fA-F]+)$/i;
+
+/**
+ * 把 sha256、SHA256、crc32 等写法统一成 HASH_ALGORITHMS 的键，不认识时返回 null
+ * @param {string} name - 算法名
+ * @returns {string|null}
+ */
+function normalizeAlgorithmName(name) {
+  const compact = name.toUpperCase().replace(/-/g, '');
+  if (compact === 'CRC32') return 'CRC32';
+  const sha = compact.match(/^SHA(1|256|384|512)$/);
+  return sha ? `SHA-${sha[1]}` : null;
+}
+
+/**
+ * 解析用户粘贴的哈希：纯十六进制、sha256sum 输出（哈希 + 文件名）、BSD 格式、算法前缀、SRI 格式
+ * @param {string} input - 粘贴的内容
+ * @returns {{hex: string, algorithm: string|null}|null}
+ */
+export function normalizeHash(input) {
+  const value = (input || '').trim();
+  if (!value) return null;
+
+  const sri = value.match(SRI_PATTERN);
+  if (sri) {
+    try {
+      const hex = Array.from(atob(sri[2]), (char) => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+      return { hex, algorithm: normalizeAlgorithmName(sri[1]) };
+    } catch {
+      return null;
+    }
+  }
+
+  const labeled = value.match(BSD_PATTERN) || value.match(PREFIXED_PATTERN);
+  if (labeled) {
+    return { hex: labeled[2].toLowerCase(), algorithm: normalizeAlgorithmName(labeled[1]) };
+  }
+
+  const hex = value.split(/\s+/)[0].replace(/^0x/i, '');
+  return /^[0-9a-fA-F]+$/.test(hex) ? { hex: hex.toLowerCase(), algorithm: null } : null;
+}
+
+/**
+ * 在计算结果中查找与粘贴的哈希一致的项
+ * @param {string} expected - 粘贴的哈希
+ * @param {Array} results - computeHashes 的结果
+ * @returns {{expected: {hex: string, algorithm: string|null}, matches: Array<{label: string, algorithm: string}>, candidates: string[]}|null}
+ *   candidates 为长度相符的算法，用于提示；无法解析时返回 null
+ */
+export function findHashMatches(expected, results) {
+  const normalized = normalizeHash(expected);
+  if (!normalized) return null;
+
+  const matches = results.flatMap((result) =>
+    result.hashes
+      .filter((hash) => hash.value === normalized.hex)
+      .map((hash) => ({ label: result.label, algorithm: hash.algorithm }))
+  );
+  const candidates = Object.entries(HASH_ALGORITHMS)
+    .filter(([, { length }]) => length === normalized.hex.length)
+    .map(([algorithm]) => algorithm);
+
+  return { expected: normalized, matches, candidates };
+}
+
+export default {
+  HASH_ALGORITHMS,
+  TEXT_ENCODINGS,
+  MAX_HASH_LINES,
+  encodeText,
+  crc32,
+  hashBytes,
+  computeHashes,
+  normalizeHash,
+  findHashMatches
+};
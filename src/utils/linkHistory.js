@@ -9,6 +9,7 @@ import {
   extractDataForContext,
   IMPORT_CONTEXTS
 } from './exportImportSchema.js';
+import { parseGitHubUrl, getGitHubShorthand } from './githubUrl.js';
 
 class LinkHistoryManager {
   constructor() {
@@ -200,6 +201,84 @@ class LinkHistoryManager {
     }
   }
 
+  /**
+   * 添加多引擎搜索会话到历史记录
+   * 一次多引擎搜索记为一条会话记录，各引擎的搜索链接保存在 sessionLinks 中
+   * @param {string} query - 搜索查询词
+   * @param {Array<{engine: string, url: string}>} searches - 各引擎的搜索链接
+   * @param {Object} options - 额外选项
+   * @param {string} options.category - 引擎分类（按分类搜索时）
+   * @param {string} options.groupTitle - 标签组标题
+   * @param {string} source - 来源
+   */
+  async addSearchSession(query, searches, options = {}, source = 'fan_out_search') {
+    try {
+      if (!query || !query.trim() || !Array.isArray(searches) || searches.length === 0) {
+        return false;
+      }
+
+      const history = await this.getHistory();
+      const trimmedQuery = query.trim();
+      const engineNames = searches.map((s) => s.engine);
+      const sessionKey = engineNames.join('|');
+
+      // 相同查询词、相同引擎组合视为同一会话
+      const existingIndex = history.findIndex(
+        (item) =>
+          item.type === 'search_session' &&
+          item.searchQuery === trimmedQuery &&
+          item.metadata?.sessionKey === sessionKey
+      );
+
+      if (existingIndex !== -1) {
+        history[existingIndex] = {
+          ...history[existingIndex],
+          accessCount: history[existingIndex].accessCount + 1,
+          lastAccessed: Date.now(),
+          timestamp: Date.now(),
+          sessionLinks: searches
+        };
+        const item = history.splice(existingIndex, 1)[0];
+        history.unshift(item);
+      } else {
+        history.unshift({
+          id: this.generateId(),
+          url: searches[0].url,
+          originalUrl: searches[0].url,
+          title: `${trimmedQuery} (${engineNames.length}个引擎)`,
+          searchQuery: trimmedQuery,
+          searchEngine: engineNames.join(', '),
+          type: 'search_session',
+          source: source,
+          timestamp: Date.now(),
+          accessCount: 1,
+          lastAccessed: Date.now(),
+          tags: ['search', 'session', ...(options.category ? [options.category] : [])],
+          metadata: {
+            isSearch: true,
+            query: trimmedQuery,
+            engines: engineNames,
+            sessionKey,
+            category: options.category || null,
+            groupTitle: options.groupTitle || ''
+          },
+          sessionLinks: searches,
+          isSearch: true
+        });
+
+        if (history.length > this.maxHistoryItems) {
+          history.splice(this.maxHistoryItems);
+        }
+      }
+
+      await this.saveHistory(history);
+      return true;
+    } catch (error) {
+      console.error('添加搜索会话失败:', error);
+      return false;
+    }
+  }
+
   /**
    * 从URL提取搜索查询
    * @param {string} url - 搜索引擎URL
@@ -774,9 +853,11 @@ class LinkHistoryManager {
       const urlObj = new URL(url);
 
       if (this.githubPattern.test(url)) {
-        const pathParts = urlObj.pathname.split('/').filter((part) => part);
-        if (pathParts.length >= 2) {
-          return `${pathParts[0]}/${pathParts[1]}`;
+        const github = parseGitHubUrl(url);
+        if (github) {
+          return github.path
+            ? `${github.owner}/${github.repo}: ${github.path}`
+            : getGitHubShorthand(github);
         }
       }
 
@@ -810,6 +891,10 @@ class LinkHistoryManager {
         if (pathParts.includes('pull')) {
           tags.push('pull-request');
         }
+        const github = parseGitHubUrl(url);
+        if (github) {
+          tags.push(`kind:${github.kind}`);
+        }
       }
     } catch {
       // 忽略错误
@@ -836,6 +921,15 @@ class LinkHistoryManager {
           metadata.githubUser = pathParts[0];
           metadata.githubRepo = pathParts[1];
         }
+
+        const github = parseGitHubUrl(url);
+        if (github) {
+          metadata.githubKind = github.kind;
+          if (github.ref) metadata.githubRef = github.ref;
+          if (github.path) metadata.githubPath = github.path;
+          if (github.number) metadata.githubNumber = github.number;
+          if (github.lineStart) metadata.githubLines = [github.lineStart, github.lineEnd];
+        }
       }
     } catch {
       // 忽略错误
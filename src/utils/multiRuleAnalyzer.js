@@ -2,7 +2,7 @@
  * 多规则组合分析器 - Multi-Rule Analyzer
  *
  * 功能：
- * - 11个独立规则：符号分词、空格分词、换行分词、中英分词、大写分词、命名分词、数字分词、去除空格、去除符号、去除中文、去除英文
+ * - 12个独立规则：符号分词、空格分词、换行分词、中英分词、文字分词、大写分词、命名分词、数字分词、去除空格、去除符号、去除中文、去除英文
  * - 互斥组：同一组内只能选一个
  * - 依赖关系：选A必须选B
  * - 处理顺序：分词规则在前，去除规则在后
@@ -13,6 +13,7 @@
  * - 空格分词：放前一词词尾
  * - 换行分词：放前一词词尾
  * - 中英分词：分离中文和英文
+ * - 文字分词：在汉字、平假名、片假名、谚文、拉丁字母、数字之间的边界处分开
  * - 大写分词：将每个大写字母分成一格
  * - 命名分词：各类命名法分格（驼峰、蛇形等）
  * - 数字分词：数字单独分出来
@@ -23,40 +24,7 @@
  */
 
 import { getSettings } from './storage.js';
-
-// ============================================================================
-// 辅助函数：检查字符是否是emoji
-// ============================================================================
-
-function isEmoji(char) {
-  const code = char.codePointAt(0);
-  return (
-    (code >= 0x1f300 && code <= 0x1f9ff) || // 杂项符号和象形文字
-    (code >= 0x1f600 && code <= 0x1f64f) || // 表情符号
-    (code >= 0x1f680 && code <= 0x1f6ff) || // 交通和地图符号
-    (code >= 0x1f1e0 && code <= 0x1f1ff) || // 国旗
-    (code >= 0x2600 && code <= 0x26ff) ||   // 杂项符号
-    (code >= 0x2700 && code <= 0x27bf) ||   // 装饰符号
-    (code >= 0x1f900 && code <= 0x1f9ff)    // 补充符号和象形文字
-  );
-}
-
-function isChinese(char) {
-  const code = char.codePointAt(0);
-  return (
-    (code >= 0x4e00 && code <= 0x9fff) ||   // CJK统一表意文字
-    (code >= 0x3000 && code <= 0x303f) ||   // CJK符号和标点
-    (code >= 0xff00 && code <= 0xffef) ||   // 全角ASCII、半角片假名
-    (code >= 0x3400 && code <= 0x4dbf) ||   // CJK扩展A
-    (code >= 0x20000 && code <= 0x2a6df) || // CJK扩展B
-    (code >= 0x2a700 && code <= 0x2b73f) || // CJK扩展C
-    (code >= 0x2b740 && code <= 0x2b81f)    // CJK扩展D
-  );
-}
-
-function isChineseOrEmoji(char) {
-  return isChinese(char) || isEmoji(char);
-}
+import { SCRIPT, isChineseOrEmoji, isCJKOrEmoji, splitByScript } from './scriptDetector.js';
 
 // ============================================================================
 // 配置
@@ -104,24 +72,30 @@ export const RULES = {
     group: 'split',
     order: 4
   },
+  scriptSplit: {
+    name: '文字分词',
+    description: '在汉字、假名、谚文、英文、数字的边界处分开',
+    group: 'split',
+    order: 5
+  },
   uppercaseSplit: {
     name: '大写分词',
     description: '将每个大写字母分成一格，与命名分词不同',
     group: 'split',
-    order: 5
+    order: 6
   },
   namingSplit: {
     name: '命名分词',
     description: '各类命名法分格（驼峰、蛇形等）',
     group: 'split',
-    order: 6,
+    order: 7,
     dependsOn: ['uppercaseSplit']
   },
   digitSplit: {
     name: '数字分词',
     description: '数字单独分出来',
     group: 'split',
-    order: 7
+    order: 8
   },
 
   // 去除规则
@@ -129,26 +103,26 @@ export const RULES = {
     name: '去除空格',
     description: '去除所有空格',
     group: 'remove',
-    order: 8
+    order: 9
   },
   removeSymbols: {
     name: '去除符号',
     description: '去除所有符号',
     group: 'remove',
-    order: 9,
+    order: 10,
     conflictsWith: ['symbolSplit']
   },
   removeChinese: {
     name: '去除中文',
     description: '去除所有中文字符',
     group: 'remove',
-    order: 10
+    order: 11
   },
   removeEnglish: {
     name: '去除英文',
     description: '去除所有英文字符',
     group: 'remove',
-    order: 11
+    order: 12
   }
 };
 
@@ -318,7 +292,7 @@ export function applyNewlineSplit(input) {
 
 /**
  * 中英分词规则
- * 分离中文和英文
+ * 分离中日韩文字（含假名、谚文）和英文
  * @param {Array} input 输入数组
  * @returns {Array} 处理结果
  */
@@ -335,7 +309,7 @@ export function applyChineseEnglishSplit(input) {
       const char = String.fromCodePoint(codePoint);
       const charLength = char.length;
 
-      const isCJK = isChineseOrEmoji(char);
+      const isCJK = isCJKOrEmoji(char);
       const isEnglish = /[a-zA-Z]/.test(char);
       let type = null;
       if (isCJK) type = 'chinese';
@@ -362,6 +336,32 @@ export function applyChineseEnglishSplit(input) {
   });
 }
 
+/**
+ * 文字分词规则
+ * 在不同文字（汉字、平假名、片假名、谚文、emoji、英文、数字）之间的边界处分开，
+ * 空格和符号留在上一段词尾
+ * @param {Array} input 输入数组
+ * @returns {Array} 处理结果
+ */
+export function applyScriptSplit(input) {
+  return input.map((text) => {
+    if (!text || typeof text !== 'string') return text;
+    const parts = [];
+    let currentScript = null;
+
+    for (const run of splitByScript(text)) {
+      const isAttached = run.script === SCRIPT.WHITESPACE || run.script === SCRIPT.SYMBOL;
+      if (parts.length > 0 && (isAttached || run.script === currentScript)) {
+        parts[parts.length - 1] += run.text;
+      } else {
+        parts.push(run.text);
+      }
+      if (!isAttached) currentScript = run.script;
+    }
+    return parts;
+  });
+}
+
 /**
  * 大写分词规则
  * 将每个大写字母分开，与命名分词不同
@@ -467,13 +467,13 @@ export function applyRemoveWhitespace(input) {
 export function applyRemoveSymbols(input) {
   return input.map((text) => {
     if (!text || typeof text !== 'string') return text;
-    // 保留中文、emoji、英文、数字和空格
+    // 保留中日韩文字、emoji、英文、数字和空格
     let result = '';
     for (let i = 0; i < text.length; ) {
       const codePoint = text.codePointAt(i);
       const char = String.fromCodePoint(codePoint);
       const charLength = char.length;
-      if (/[\w\s]/.test(char) || isChineseOrEmoji(char)) {
+      if (/[\w\s]/.test(char) || isCJKOrEmoji(char)) {
         result += char;
       }
       i += charLength;
@@ -623,6 +623,9 @@ export async function multiRuleAnalyze(text, rules = []) {
     case 'chineseEnglishSplit':
       result = applyChineseEnglishSplit(result);
       break;
+    case 'scriptSplit':
+      result = applyScriptSplit(result);
+      break;
     case 'uppercaseSplit':
       result = applyUppercaseSplit(result);
       break;
@@ -710,7 +713,7 @@ export function applySingleRule(input, rule) {
         const codePoint = text.codePointAt(i);
         const char = String.fromCodePoint(codePoint);
         const charLength = char.length;
-        if (!/[\w\s]/.test(char) && !isChineseOrEmoji(char)) {
+        if (!/[\w\s]/.test(char) && !isCJKOrEmoji(char)) {
           return false; // 还有符号
         }
         i += charLength;
@@ -737,6 +740,9 @@ export function applySingleRule(input, rule) {
   case 'chineseEnglishSplit':
     result = applyChineseEnglishSplit(result);
     break;
+  case 'scriptSplit':
+    result = applyScriptSplit(result);
+    break;
   case 'uppercaseSplit':
     result = applyUppercaseSplit(result);
     break;
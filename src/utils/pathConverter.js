@@ -0,0 +1,553 @@
+/**
+ * 路径格式转换模块
+ * 在 Windows、WSL、MSYS/Git Bash、Cygwin、UNC、POSIX 和 file:// 等写法之间互相转换
+ *
+ * 所有输入先解析为统一结构，再由统一结构生成各种写法，因此任一写法都可以作为输入：
+ * - windows  盘符路径：D:\a\b、D:/a/b、/mnt/d/a/b、/cygdrive/d/a/b、file:///D:/a/b、/d/Users/a（MSYS）
+ * - unc      网络路径：\\server\share\a、//server/share/a、file://server/share/a
+ * - posix    Unix 路径：/home/a、\\wsl$\Ubuntu\home\a、\\wsl.localhost\Ubuntu\home\a、file:///home/a，
+ *            以及 macOS 卷路径 /Volumes/<卷名>/a（记为 volume）
+ * - home     未展开的 ~ 路径（未配置主目录时）
+ */
+
+// WSL 网络路径使用的主机名
+const WSL_HOSTS = ['wsl$', 'wsl.localhost'];
+
+// 常见的 Windows 顶层目录，/c/Users/... 这类路径可以确定是 MSYS 盘符写法
+const WINDOWS_TOP_DIRS = ['users', 'windows', 'program files', 'program files (x86)', 'programdata'];
+
+// Shell 中无需转义的字符
+const SHELL_SAFE_REGEX = /^[\w@%+=:,./~-]+$/;
+
+// ============================================================================
+// 引号与转义
+// ============================================================================
+
+/**
+ * 去除外层引号，还原 PowerShell（''）与 Shell（'\''）单引号转义
+ * @param {string} text - 输入
+ * @returns {string}
+ */
+function unquotePath(text) {
+  const doubleMatch = text.match(/^"(.*)"$/);
+  if (doubleMatch) return doubleMatch[1];
+
+  if (/^'.*'$/.test(text)) {
+    return text
+      .slice(1, -1)
+      .replace(/'\\''/g, '\'')
+      .replace(/''/g, '\'');
+  }
+  return text;
+}
+
+/**
+ * Shell 反斜杠转义，如 /a b → /a\ b
+ * @param {string} path - 路径
+ * @returns {string}
+ */
+export function shellEscape(path) {
+  return path
+    .split('')
+    .map((ch) => (SHELL_SAFE_REGEX.test(ch) ? ch : `\\${ch}`))
+    .join('');
+}
+
+/**
+ * Shell 单引号包裹
+ * @param {string} path - 路径
+ * @returns {string}
+ */
+export function shellQuote(path) {
+  return SHELL_SAFE_REGEX.test(path) ? path : `'${path.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * PowerShell 单引号包裹（单引号写两次）
+ * @param {string} path - 路径
+ * @returns {string}
+ */
+export function powershellQuote(path) {
+  return `'${path.replace(/'/g, '\'\'')}'`;
+}
+
+/**
+ * cmd 双引号包裹
+ * @param {string} path - 路径
+ * @returns {string}
+ */
+export function cmdQuote(path) {
+  return `"${path}"`;
+}
+
+// ============================================================================
+// 解析
+// ============================================================================
+
+/**
+ * 拆分路径段
+ * @param {string} rest - 路径剩余部分
+ * @param {boolean} posixOnly - 是否只按正斜杠拆分（POSIX 路径中反斜杠是普通字符）
+ * @returns {Array<string>}
+ */
+function splitSegments(rest, posixOnly = false) {
+  return rest.split(posixOnly ? '/' : /[\\/]/).filter(Boolean);
+}
+
+/**
+ * 识别 macOS 卷路径 /Volumes/<卷名>/...
+ * @param {Array<string>} segments - 路径段
+ * @returns {{volume: string}|{}}
+ */
+function getMacVolume(segments) {
+  return segments[0] === 'Volumes' && segments[1] ? { volume: segments[1] } : {};
+}
+
+/**
+ * 解析 POSIX 路径，识别 WSL、MSYS、Cygwin 的盘符挂载点
+ * /a/b 这类单字母开头的路径既可能是普通目录也可能是 MSYS 盘符，
+ * 只有在 options.msys 为真或第二段是 Windows 顶层目录时才按盘符解析，否则记下 msysDrive 供备选写法使用
+ * @param {string} path - 以 / 开头的路径
+ * @param {Object} options - { msys: 单字母开头时按 MSYS 盘符解析 }
+ * @returns {Object}
+ */
+function parsePosixPath(path, options = {}) {
+  // Shell 转义（/a\ b）还原为普通字符
+  const unescaped = path.replace(/\\(.)/g, '$1');
+  const segments = splitSegments(unescaped, true);
+
+  if ((segments[0] === 'mnt' || segments[0] === 'cygdrive') && /^[a-zA-Z]$/.test(segments[1] || '')) {
+    return {
+      kind: 'windows',
+      drive: segments[1].toUpperCase(),
+      segments: segments.slice(2),
+      source: segments[0]
+    };
+  }
+
+  if (!/^[a-zA-Z]$/.test(segments[0] || '')) {
+    return { kind: 'posix', segments, source: 'posix', ...getMacVolume(segments) };
+  }
+
+  const drive = segments[0].toUpperCase();
+  if (options.msys || WINDOWS_TOP_DIRS.includes((segments[1] || '').toLowerCase())) {
+    return { kind: 'windows', drive, segments: segments.slice(1), source: 'msys', posixSegments: segments };
+  }
+  return { kind: 'posix', segments, source: 'posix', msysDrive: drive };
+}
+
+/**
+ * 解析任意写法的路径
+ * @param {string} input - 路径
+ * @param {Object} options - { home: 主目录, wslDistro: WSL 发行版, msys: 单字母开头的路径按 MSYS 盘符解析 }
+ * @returns {Object|null} { kind, drive, server, share, distro, volume, segments, source }
+ */
+export function parsePathInput(input, options = {}) {
+  let text = unquotePath(String(input || '').trim());
+  if (!text) return null;
+
+  // file:// 链接
+  const fileMatch = text.match(/^file:\/\/([^/]*)(\/.*)?$/i);
+  if (fileMatch) {
+    const [, host, rest = ''] = fileMatch;
+    let decoded = rest;
+    try {
+      decoded = decodeURIComponent(rest);
+    } catch {
+      // 保留原始编码
+    }
+    if (host && host.toLowerCase() !== 'localhost') {
+      text = `//${host}${decoded}`;
+    } else if (/^\/[a-zA-Z]:/.test(decoded)) {
+      text = decoded.slice(1);
+    } else {
+      const segments = splitSegments(decoded, true);
+      return { kind: 'posix', segments, source: 'file', ...getMacVolume(segments) };
+    }
+  }
+
+  // ~ 主目录
+  const homeMatch = text.match(/^~(?=$|[\\/])(.*)$/);
+  if (homeMatch) {
+    if (!options.home) {
+      return { kind: 'home', segments: splitSegments(homeMatch[1]), source: 'home' };
+    }
+    const home = options.home.replace(/[\\/]+$/, '');
+    text = home + homeMatch[1];
+  }
+
+  // 原路径使用的分隔符，规范化时保持不变
+  const separator = text.includes('/') && !text.includes('\\') ? '/' : '\\';
+
+  // Windows 盘符
+  const driveMatch = text.match(/^([a-zA-Z]):(?:[\\/](.*))?$/);
+  if (driveMatch) {
+    return {
+      kind: 'windows',
+      drive: driveMatch[1].toUpperCase(),
+      segments: splitSegments(driveMatch[2] || ''),
+      source: 'windows',
+      separator
+    };
+  }
+
+  // UNC 与 WSL 网络路径
+  const uncMatch = text.match(/^(?:\\\\|\/\/)([^\\/]+)[\\/]([^\\/]+)(.*)$/);
+  if (uncMatch) {
+    const [, server, share, rest] = uncMatch;
+    if (WSL_HOSTS.includes(server.toLowerCase())) {
+      return {
+        kind: 'posix',
+        distro: share,
+        wslHost: server,
+        segments: splitSegments(rest),
+        source: 'wsl_unc'
+      };
+    }
+    return { kind: 'unc', server, share, segments: splitSegments(rest), source: 'unc', separator };
+  }
+
+  if (text.startsWith('/')) {
+    return parsePosixPath(text, options);
+  }
+
+  return null;
+}
+
+// ============================================================================
+// 生成
+// ============================================================================
+
+/**
+ * file:// 链接中的路径段编码
+ * @param {Array<string>} segments - 路径段
+ * @returns {string}
+ */
+function encodeFileSegments(segments) {
+  return segments.map(encodeURIComponent).join('/');
+}
+
+/**
+ * 生成盘符路径的各种写法
+ * @param {Object} parsed - 解析结果
+ * @returns {Array<{name: string, value: string}>}
+ */
+function buildWindowsForms(parsed) {
+  const drive = parsed.drive;
+  const lower = drive.toLowerCase();
+  const rest = parsed.segments.join('/');
+  const windows = `${drive}:\\${parsed.segments.join('\\')}`;
+  const wsl = `/mnt/${lower}${rest ? `/${rest}` : ''}`;
+
+  return [
+    { name: 'Windows', value: windows },
+    { name: 'Windows（正斜杠）', value: `${drive}:/${rest}` },
+    { name: '转义路径', value: windows.replace(/\\/g, '\\\\') },
+    { name: 'WSL', value: wsl },
+    { name: 'MSYS / Git Bash', value: `/${lower}${rest ? `/${rest}` : ''}` },
+    { name: 'Cygwin', value: `/cygdrive/${lower}${rest ? `/${rest}` : ''}` },
+    { name: 'file://', value: `file:///${drive}:/${encodeFileSegments(parsed.segments)}` },
+    { name: 'cmd', value: cmdQuote(windows) },
+    { name: 'PowerShell', value: powershellQuote(windows) },
+    { name: 'Shell（WSL）', value: shellEscape(wsl) }
+  ];
+}
+
+/**
+ * 生成 UNC 路径的各种写法
+ * @param {Object} parsed - 解析结果
+ * @returns {Array<{name: string, value: string}>}
+ */
+function buildUncForms(parsed) {
+  const all = [parsed.server, parsed.share, ...parsed.segments];
+  const unc = `\\\\${all.join('\\')}`;
+  const forward = `//${all.join('/')}`;
+
+  return [
+    { name: 'UNC', value: unc },
+    { name: 'UNC（正斜杠）', value: forward },
+    { name: '转义路径', value: unc.replace(/\\/g, '\\\\') },
+    {
+      name: 'file://',
+      value: `file://${parsed.server}/${encodeFileSegments([parsed.share, ...parsed.segments])}`
+    },
+    { name: 'cmd', value: cmdQuote(unc) },
+    { name: 'PowerShell', value: powershellQuote(unc) },
+    { name: 'Shell', value: shellEscape(forward) }
+  ];
+}
+
+/**
+ * 生成 POSIX 路径的各种写法
+ * WSL 网络路径只在输入自带发行版或设置中配置了发行版时生成；macOS 卷路径不会位于 WSL 中，
+ * 改为给出 Finder / AppleScript 使用的 HFS 写法（卷名:目录:文件）
+ * @param {Object} parsed - 解析结果
+ * @param {Object} options - { home, wslDistro }
+ * @returns {Array<{name: string, value: string}>}
+ */
+function buildPosixForms(parsed, options) {
+  const posix = `/${parsed.segments.join('/')}`;
+  const forms = [
+    { name: 'POSIX', value: posix },
+    { name: 'Shell 转义', value: shellEscape(posix) },
+    { name: 'Shell 单引号', value: shellQuote(posix) },
+    { name: 'file://', value: `file:///${encodeFileSegments(parsed.segments)}` }
+  ];
+
+  const distro = parsed.distro || options.wslDistro;
+  if (parsed.volume) {
+    const hfs = parsed.segments.slice(1).join(':');
+    forms.push({ name: 'macOS HFS', value: parsed.segments.length > 2 ? hfs : `${hfs}:` });
+    forms.push({ name: 'AppleScript', value: `POSIX file "${posix.replace(/["\\]/g, '\\$&')}"` });
+  } else if (distro) {
+    const windowsRest = parsed.segments.join('\\');
+    forms.push({ name: 'WSL 网络路径', value: `\\\\wsl$\\${distro}\\${windowsRest}` });
+    forms.push({ name: 'WSL 网络路径（新）', value: `\\\\wsl.localhost\\${distro}\\${windowsRest}` });
+  }
+
+  const home = (options.home || '').replace(/\/+$/, '');
+  if (home.startsWith('/') && (posix === home || posix.startsWith(`${home}/`))) {
+    forms.push({ name: '~ 简写', value: `~${posix.slice(home.length)}` });
+  }
+
+  return forms;
+}
+
+/**
+ * 生成未展开 ~ 路径的各种写法
+ * @param {Object} parsed - 解析结果
+ * @returns {Array<{name: string, value: string}>}
+ */
+function buildHomeForms(parsed) {
+  const rest = parsed.segments.join('/');
+  const windowsRest = parsed.segments.join('\\');
+  return [
+    { name: 'POSIX', value: rest ? `~/${rest}` : '~' },
+    { name: 'Shell 转义', value: rest ? `~/${shellEscape(rest)}` : '~' },
+    { name: 'cmd', value: cmdQuote(`%USERPROFILE%${windowsRest ? `\\${windowsRest}` : ''}`) },
+    { name: 'PowerShell', value: `"$HOME${windowsRest ? `\\${windowsRest}` : ''}"` }
+  ];
+}
+
+/**
+ * 把路径转换为所有支持的写法
+ * @param {string} input - 任意写法的路径
+ * @param {Object} options - { home: 主目录（可为 Windows 或 POSIX 路径）, wslDistro: WSL 发行版, msys: 单字母开头的路径按 MSYS 盘符解析 }
+ * @returns {{parsed: Object, forms: Array<{name: string, value: string}>}|null}
+ */
+export function convertPathFormats(input, options = {}) {
+  const parsed = parsePathInput(input, options);
+  if (!parsed) return null;
+
+  let forms;
+  switch (parsed.kind) {
+  case 'windows':
+    forms = buildWindowsForms(parsed);
+    break;
+  case 'unc':
+    forms = buildUncForms(parsed);
+    break;
+  case 'home':
+    forms = buildHomeForms(parsed);
+    break;
+  default:
+    forms = buildPosixForms(parsed, options);
+  }
+
+  // 单字母开头的路径同时给出另一种理解方式的写法，按 MSYS 解析时也保留普通 POSIX 写法
+  if (parsed.source === 'msys') {
+    const posixForms = buildPosixForms({ kind: 'posix', segments: parsed.posixSegments }, options);
+    forms.push(...posixForms.map((form) => ({ name: `${form.name}（按 POSIX）`, value: form.value })));
+  } else if (parsed.msysDrive) {
+    const windowsForms = buildWindowsForms({ drive: parsed.msysDrive, segments: parsed.segments.slice(1) });
+    forms.push(...windowsForms.map((form) => ({ name: `${form.name}（按 MSYS 盘符）`, value: form.value })));
+  }
+
+  // 与原始输入相同的写法排在最前，其余去重
+  const original = String(input).trim();
+  const seen = new Set();
+  forms = forms.filter((form) => {
+    if (seen.has(form.value)) return false;
+    seen.add(form.value);
+    return true;
+  });
+  forms.sort((a, b) => (b.value === original) - (a.value === original));
+
+  return { parsed, forms };
+}
+
+// ============================================================================
+// 规范化、相对路径与拼接
+// ============================================================================
+
+/**
+ * 解析 . 与 .. 路径段，绝对路径在根目录处的 .. 直接丢弃
+ * @param {Array<string>} segments - 路径段
+ * @returns {Array<string>}
+ */
+function resolveSegments(segments) {
+  const resolved = [];
+  segments.forEach((segment) => {
+    if (segment === '.') return;
+    if (segment === '..') {
+      resolved.pop();
+      return;
+    }
+    resolved.push(segment);
+  });
+  return resolved;
+}
+
+/**
+ * 按解析结果原来的写法重新生成路径
+ * @param {Object} parsed - 解析结果
+ * @param {Array<string>} segments - 路径段，默认使用 parsed.segments
+ * @returns {string}
+ */
+export function formatParsedPath(parsed, segments = parsed.segments) {
+  const sep = parsed.separator || '\\';
+  const rest = segments.join('/');
+
+  switch (parsed.kind) {
+  case 'windows': {
+    const lower = parsed.drive.toLowerCase();
+    if (parsed.source === 'mnt') return `/mnt/${lower}${rest ? `/${rest}` : ''}`;
+    if (parsed.source === 'cygdrive') return `/cygdrive/${lower}${rest ? `/${rest}` : ''}`;
+    if (parsed.source === 'msys') return `/${lower}${rest ? `/${rest}` : ''}`;
+    return `${parsed.drive}:${sep}${segments.join(sep)}`;
+  }
+  case 'unc': {
+    const prefix = sep === '/' ? '//' : '\\\\';
+    return `${prefix}${[parsed.server, parsed.share, ...segments].join(sep)}`;
+  }
+  case 'home':
+    return rest ? `~/${rest}` : '~';
+  default:
+    if (parsed.source === 'wsl_unc') {
+      return `\\\\${[parsed.wslHost, parsed.distro, ...segments].join('\\')}`;
+    }
+    return `/${rest}`;
+  }
+}
+
+/**
+ * 规范化路径：合并重复分隔符，解析 . 与 ..
+ * @param {string} input - 路径
+ * @returns {string|null} 保持原写法的规范化路径
+ */
+export function normalizePath(input) {
+  const parsed = parsePathInput(input);
+  if (!parsed) return null;
+  return formatParsedPath(parsed, resolveSegments(parsed.segments));
+}
+
+/**
+ * 拆分路径的各组成部分
+ * @param {string} input - 路径
+ * @returns {{normalized: string, parent: string, basename: string, ext: string, stem: string}|null}
+ */
+export function getPathParts(input) {
+  const parsed = parsePathInput(input);
+  if (!parsed) return null;
+
+  const segments = resolveSegments(parsed.segments);
+  const basename = segments[segments.length - 1] || '';
+  // .gitignore 这类以点开头的文件没有扩展名
+  const dotIndex = basename.lastIndexOf('.');
+  const ext = dotIndex > 0 ? basename.slice(dotIndex) : '';
+
+  return {
+    normalized: formatParsedPath(parsed, segments),
+    parent: formatParsedPath(parsed, segments.slice(0, -1)),
+    basename,
+    ext,
+    stem: ext ? basename.slice(0, -ext.length) : basename
+  };
+}
+
+/**
+ * 获取路径的根标识，根相同的两个路径才能计算相对路径
+ * @param {Object} parsed - 解析结果
+ * @returns {string}
+ */
+function getPathRoot(parsed) {
+  switch (parsed.kind) {
+  case 'windows':
+    return `drive:${parsed.drive}`;
+  case 'unc':
+    return `unc:${parsed.server}/${parsed.share}`.toLowerCase();
+  case 'home':
+    return 'home';
+  default:
+    return `posix:${parsed.distro || ''}`;
+  }
+}
+
+/**
+ * 计算从 from（视为目录）到 to 的相对路径
+ * @param {string} from - 起始路径
+ * @param {string} to - 目标路径
+ * @returns {string|null} 不在同一盘符或共享下时返回 null
+ */
+export function getRelativePath(from, to) {
+  const fromParsed = parsePathInput(from);
+  const toParsed = parsePathInput(to);
+  if (!fromParsed || !toParsed || getPathRoot(fromParsed) !== getPathRoot(toParsed)) {
+    return null;
+  }
+
+  const fromSegments = resolveSegments(fromParsed.segments);
+  const toSegments = resolveSegments(toParsed.segments);
+  // Windows 与 UNC 路径不区分大小写
+  const caseInsensitive = fromParsed.kind === 'windows' || fromParsed.kind === 'unc';
+  const same = (a, b) => (caseInsensitive ? a.toLowerCase() === b.toLowerCase() : a === b);
+
+  let common = 0;
+  while (
+    common < fromSegments.length &&
+    common < toSegments.length &&
+    same(fromSegments[common], toSegments[common])
+  ) {
+    common++;
+  }
+
+  const parts = [
+    ...new Array(fromSegments.length - common).fill('..'),
+    ...toSegments.slice(common)
+  ];
+  if (parts.length === 0) return '.';
+
+  const sep = toParsed.kind === 'posix' || toParsed.kind === 'home' ? '/' : toParsed.separator;
+  return parts.join(sep || '/');
+}
+
+/**
+ * 拼接基础路径与相对路径
+ * @param {string} base - 基础路径（目录）
+ * @param {string} relative - 相对路径；若为绝对路径则直接规范化后返回
+ * @returns {string|null}
+ */
+export function joinPath(base, relative) {
+  const relativeText = String(relative || '').trim();
+  if (parsePathInput(relativeText)) return normalizePath(relativeText);
+
+  const parsed = parsePathInput(base);
+  if (!parsed) return null;
+
+  const extra = relativeText.split(parsed.kind === 'posix' ? '/' : /[\\/]/).filter(Boolean);
+  return formatParsedPath(parsed, resolveSegments([...parsed.segments, ...extra]));
+}
+
+export default {
+  shellEscape,
+  shellQuote,
+  powershellQuote,
+  cmdQuote,
+  parsePathInput,
+  convertPathFormats,
+  formatParsedPath,
+  normalizePath,
+  getPathParts,
+  getRelativePath,
+  joinPath
+};
@@ -0,0 +1,370 @@
+/**
+ * 仓库链接提供方模块
+ * 根据可编辑的提供方列表，把仓库/包标识转换为各站点链接
+ *
+ * 提供方结构：
+ * - name: 显示名称
+ * - patterns: 输入匹配规则，主机名（如 github.com，只匹配该主机；*.example.com 匹配其子域名）或包前缀（如 npm:）
+ * - template: 输出链接模板，占位符见 TEMPLATE_FIELDS
+ */
+
+/**
+ * 输出模板占位符
+ * - {host}  仓库所在主机，如 gitlab.com
+ * - {path}  完整仓库路径，如 group/sub/project
+ * - {owner} 路径第一段
+ * - {repo}  路径最后一段
+ * - {name}  包名，如 react、@scope/pkg
+ */
+export const TEMPLATE_FIELDS = ['host', 'path', 'owner', 'repo', 'name'];
+
+// 内置提供方
+export const BUILTIN_REPO_PROVIDERS = [
+  { name: 'GitHub', patterns: ['github.com'], template: 'https://github.com/{owner}/{repo}' },
+  { name: 'ZRead', patterns: ['github.com'], template: 'https://zread.ai/{owner}/{repo}' },
+  { name: 'DeepWiki', patterns: ['github.com'], template: 'https://deepwiki.com/{owner}/{repo}' },
+  { name: 'Context7', patterns: ['github.com'], template: 'https://context7.com/{owner}/{repo}' },
+  { name: 'GitHub1s', patterns: ['github.com'], template: 'https://github1s.com/{owner}/{repo}' },
+  { name: 'GitLab', patterns: ['gitlab.com'], template: 'https://gitlab.com/{path}' },
+  { name: 'Gitee', patterns: ['gitee.com'], template: 'https://gitee.com/{path}' },
+  { name: 'Codeberg', patterns: ['codeberg.org'], template: 'https://codeberg.org/{path}' },
+  { name: 'Bitbucket', patterns: ['bitbucket.org'], template: 'https://bitbucket.org/{path}' },
+  {
+    name: 'Sourcegraph',
+    patterns: ['github.com', 'gitlab.com', 'gitee.com', 'codeberg.org', 'bitbucket.org'],
+    template: 'https://sourcegraph.com/{host}/{path}'
+  },
+  { name: 'npm', patterns: ['npm:', 'npmjs.com'], template: 'https://www.npmjs.com/package/{name}' },
+  { name: 'PyPI', patterns: ['pypi:', 'pypi.org'], template: 'https://pypi.org/project/{name}/' },
+  {
+    name: 'crates.io',
+    patterns: ['crates:', 'crate:', 'crates.io'],
+    template: 'https://crates.io/crates/{name}'
+  }
+];
+
+// 没有主机名时（owner/repo）默认的仓库主机
+const DEFAULT_REPO_HOST = 'github.com';
+
+// 支持多级分组路径的主机（路径到 "/-/" 为止）
+const NESTED_PATH_HOST_REGEX = /(?:^|\.)gitlab\./i;
+
+// 模板占位符对应的捕获正则
+const FIELD_CAPTURES = {
+  host: '([^/?#]+)',
+  path: '([^?#]+)',
+  owner: '([^/?#]+)',
+  repo: '([^/?#]+)',
+  name: '((?:@[^/?#]+/)?[^/?#]+)'
+};
+
+// ============================================================================
+// 匹配辅助
+// ============================================================================
+
+/**
+ * 判断规则是否为包前缀（以冒号结尾）
+ * @param {string} pattern - 匹配规则
+ * @returns {boolean}
+ */
+function isPrefixPattern(pattern) {
+  return /^[a-z0-9-]+:$/i.test(pattern);
+}
+
+/**
+ * 判断主机名是否匹配规则
+ * example.com 只匹配该主机（可带 www.），docs.github.com、gist.github.com 这类子站点不是仓库主机；
+ * 子域名需显式写作 *.example.com
+ * @param {string} host - 主机名
+ * @param {string} pattern - 匹配规则
+ * @returns {boolean}
+ */
+function hostMatches(host, pattern) {
+  if (!host || !pattern || isPrefixPattern(pattern)) return false;
+  const h = host.toLowerCase().replace(/^www\./, '');
+  const p = pattern.toLowerCase();
+  if (p.startsWith('*.')) return h.endsWith(p.slice(1));
+  return h === p.replace(/^www\./, '');
+}
+
+/**
+ * 判断提供方是否接受该标识
+ * @param {Object} provider - 提供方
+ * @param {Object} identifier - 仓库或包标识
+ * @returns {boolean}
+ */
+function providerAccepts(provider, identifier) {
+  const patterns = provider.patterns || [];
+  if (identifier.type === 'package') {
+    return patterns.some(
+      (p) =>
+        (isPrefixPattern(p) && p.slice(0, -1).toLowerCase() === identifier.scheme) ||
+        hostMatches(identifier.host, p)
+    );
+  }
+  return patterns.some((p) => hostMatches(identifier.host, p));
+}
+
+/**
+ * 规范化仓库路径：去除 .git 后缀，截掉仓库内部的子路径
+ * @param {string} host - 主机名
+ * @param {string} path - 原始路径
+ * @returns {string|null} 规范化后的路径，不足两段时返回 null
+ */
+export function normalizeRepoPath(host, path) {
+  let segments = String(path || '')
+    .split('/')
+    .filter(Boolean);
+
+  if (NESTED_PATH_HOST_REGEX.test(host)) {
+    const markerIndex = segments.indexOf('-');
+    if (markerIndex !== -1) segments = segments.slice(0, markerIndex);
+  } else {
+    segments = segments.slice(0, 2);
+  }
+
+  if (segments.length < 2) return null;
+  segments[segments.length - 1] = segments[segments.length - 1].replace(/\.git$/i, '');
+  return segments.join('/');
+}
+
+/**
+ * 生成仓库标识
+ * @param {string} host - 主机名
+ * @param {string} path - 规范化后的路径
+ * @returns {Object}
+ */
+function createRepoIdentifier(host, path) {
+  const segments = path.split('/');
+  return {
+    type: 'repo',
+    host: host.toLowerCase(),
+    path,
+    owner: segments[0],
+    repo: segments[segments.length - 1]
+  };
+}
+
+/**
+ * 把提供方的输出模板反向转换为正则，用于识别镜像站链接（如 zread.ai/owner/repo）
+ * @param {string} template - 输出模板
+ * @returns {{regex: RegExp, fields: Array<string>}|null}
+ */
+function templateToRegex(template) {
+  const fields = [];
+  let source = '';
+  let lastIndex = 0;
+  // 协议和 www. 可省略
+  const body = template.replace(/^https?:\/\/(?:www\.)?/i, '');
+
+  for (const match of body.matchAll(/\{(\w+)\}/g)) {
+    const field = match[1];
+    if (!FIELD_CAPTURES[field]) return null;
+    source += body.slice(lastIndex, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    source += FIELD_CAPTURES[field];
+    fields.push(field);
+    lastIndex = match.index + match[0].length;
+  }
+  if (fields.length === 0) return null;
+
+  source += body
+    .slice(lastIndex)
+    .replace(/\/$/, '')
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // 末尾允许仓库内部路径
+  return { regex: new RegExp(`^(?:https?://)?(?:www\\.)?${source}(?:[/?#].*)?$`, 'i'), fields };
+}
+
+/**
+ * 通过提供方模板反向识别链接
+ * @param {string} input - 输入链接
+ * @param {Array} providers - 提供方列表
+ * @returns {Object|null} 标识
+ */
+function matchProviderTemplates(input, providers) {
+  for (const provider of providers) {
+    const compiled = templateToRegex(provider.template || '');
+    if (!compiled) continue;
+
+    const match = input.match(compiled.regex);
+    if (!match) continue;
+
+    const values = {};
+    try {
+      compiled.fields.forEach((field, i) => {
+        values[field] = decodeURIComponent(match[i + 1]);
+      });
+    } catch {
+      // 含单独 % 等无法解码的片段时，不算匹配该提供方
+      continue;
+    }
+
+    const patterns = provider.patterns || [];
+    if (values.name) {
+      const prefix = patterns.find(isPrefixPattern);
+      const host = patterns.find((p) => !isPrefixPattern(p)) || '';
+      return {
+        type: 'package',
+        scheme: prefix ? prefix.slice(0, -1).toLowerCase() : '',
+        host,
+        name: values.name
+      };
+    }
+
+    // 模板中的 {host} 也要在匹配规则内，避免 https://{host}/{path} 这类模板接受任意链接
+    if (values.host && !patterns.some((p) => hostMatches(values.host, p))) continue;
+    const host = values.host || patterns.find((p) => !isPrefixPattern(p));
+    if (!host) continue;
+
+    const rawPath = values.path || [values.owner, values.repo].filter(Boolean).join('/');
+    const path = normalizeRepoPath(host, rawPath);
+    if (path) return createRepoIdentifier(host, path);
+  }
+  return null;
+}
+
+// ============================================================================
+// 解析与生成
+// ============================================================================
+
+/**
+ * 解析仓库或包输入
+ * 支持：npm:react、pypi:requests、https://gitlab.com/group/sub/project、
+ * gitlab.com/group/project、镜像站链接（zread.ai/owner/repo）以及 owner/repo
+ * @param {string} input - 用户输入
+ * @param {Array} providers - 提供方列表
+ * @returns {Object|null} 标识 { type: 'repo'|'package', host, path, owner, repo, name, scheme }
+ */
+export function parseRepoInput(input, providers = BUILTIN_REPO_PROVIDERS) {
+  const text = String(input || '').trim();
+  if (!text || /\s/.test(text)) return null;
+
+  // 包前缀，如 npm:react
+  const prefixMatch = text.match(/^([a-z0-9-]+):(?!\/\/)(\S+)$/i);
+  if (prefixMatch) {
+    const scheme = prefixMatch[1].toLowerCase();
+    const known = providers.some((p) => (p.patterns || []).includes(`${scheme}:`));
+    if (known) {
+      return { type: 'package', scheme, host: '', name: prefixMatch[2] };
+    }
+  }
+
+  // 提供方模板反向匹配（镜像站、包注册表页面）
+  const templateMatch = matchProviderTemplates(text, providers);
+  if (templateMatch) return templateMatch;
+
+  // 带主机名的链接，主机需在某个提供方的匹配规则中
+  const urlMatch = text.match(/^(?:https?:\/\/)?([a-z0-9.-]+\.[a-z]{2,})(?::\d+)?\/([^?#]+)/i);
+  if (urlMatch) {
+    const host = urlMatch[1].replace(/^www\./i, '');
+    const known = providers.some((p) => (p.patterns || []).some((pt) => hostMatches(host, pt)));
+    const path = known ? normalizeRepoPath(host, urlMatch[2]) : null;
+    return path ? createRepoIdentifier(host, path) : null;
+  }
+
+  // owner/repo
+  const simpleMatch = text.match(/^([\w-]+)\/([\w.-]+)$/);
+  if (simpleMatch) {
+    return createRepoIdentifier(DEFAULT_REPO_HOST, normalizeRepoPath(DEFAULT_REPO_HOST, text));
+  }
+
+  return null;
+}
+
+/**
+ * 用标识填充提供方模板
+ * @param {string} template - 输出模板
+ * @param {Object} identifier - 标识
+ * @returns {string|null} 模板需要的字段缺失时返回 null
+ */
+export function fillProviderTemplate(template, identifier) {
+  let missing = false;
+  const url = template.replace(/\{(\w+)\}/g, (match, field) => {
+    const value = identifier[field];
+    if (!value) {
+      missing = true;
+      return match;
+    }
+    if (field !== 'path' && field !== 'name') {
+      return encodeURIComponent(value);
+    }
+    // 路径和 @scope/pkg 中的斜杠保持原样
+    return value
+      .split('/')
+      .map((part) => encodeURIComponent(part).replace(/^%40/, '@'))
+      .join('/');
+  });
+  return missing ? null : url;
+}
+
+/**
+ * 生成仓库/包的各站点链接
+ * @param {string} input - 用户输入
+ * @param {Array} providers - 提供方列表
+ * @returns {{identifier: Object, originalLink: string, links: Array<{name: string, url: string}>}|null}
+ */
+export function generateRepoLinks(input, providers = BUILTIN_REPO_PROVIDERS) {
+  const identifier = parseRepoInput(input, providers);
+  if (!identifier) return null;
+
+  const links = [];
+  const seen = new Set();
+  providers.forEach((provider) => {
+    if (!providerAccepts(provider, identifier)) return;
+    const url = fillProviderTemplate(provider.template, identifier);
+    if (url && !seen.has(url)) {
+      seen.add(url);
+      links.push({ name: provider.name, url });
+    }
+  });
+
+  if (links.length === 0) return null;
+
+  // 原始链接：仓库主页，包则取第一个注册表链接
+  const originalLink =
+    identifier.type === 'repo' ? `https://${identifier.host}/${identifier.path}` : links[0].url;
+
+  return { identifier, originalLink, links };
+}
+
+/**
+ * 校验提供方配置
+ * @param {Object} provider - 提供方
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateRepoProvider(provider) {
+  const errors = [];
+  if (!provider || typeof provider !== 'object') {
+    return { valid: false, errors: ['提供方格式无效'] };
+  }
+  if (typeof provider.name !== 'string' || !provider.name.trim()) {
+    errors.push('名称不能为空');
+  }
+  if (
+    !Array.isArray(provider.patterns) ||
+    provider.patterns.length === 0 ||
+    provider.patterns.some((p) => typeof p !== 'string' || !p.trim())
+  ) {
+    errors.push('至少需要一个输入匹配规则');
+  }
+  if (typeof provider.template !== 'string' || !/^https?:\/\//i.test(provider.template)) {
+    errors.push('链接模板必须以 http:// 或 https:// 开头');
+  } else {
+    for (const [, field] of provider.template.matchAll(/\{(\w+)\}/g)) {
+      if (!TEMPLATE_FIELDS.includes(field)) {
+        errors.push(`未知的占位符: {${field}}`);
+      }
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+export default {
+  TEMPLATE_FIELDS,
+  BUILTIN_REPO_PROVIDERS,
+  normalizeRepoPath,
+  parseRepoInput,
+  fillProviderTemplate,
+  generateRepoLinks,
+  validateRepoProvider
+};
@@ -0,0 +1,175 @@
+/**
+ * 文字系统识别模块
+ *
+ * 按码点区分汉字、平假名、片假名（含半角）、谚文（含半角）、emoji、拉丁字母和数字，
+ * 供文本处理和多规则分词判断字符类别与文字边界。
+ * 原先散落在各模块中的 isChinese/isEmoji 只覆盖汉字和 emoji，
+ * 假名和谚文会落入「其他」类别，并且半角假名、半角谚文被误当成中文。
+ */
+
+// ============================================================================
+// 文字类别
+// ============================================================================
+
+export const SCRIPT = {
+  HAN: 'han',
+  HIRAGANA: 'hiragana',
+  KATAKANA: 'katakana',
+  HANGUL: 'hangul',
+  EMOJI: 'emoji',
+  LATIN: 'latin',
+  DIGIT: 'digit',
+  WHITESPACE: 'whitespace',
+  SYMBOL: 'symbol'
+};
+
+// ============================================================================
+// 码点判断
+// ============================================================================
+
+// 检查字符是否是emoji
+export function isEmoji(char) {
+  const code = char.codePointAt(0);
+  return (
+    (code >= 0x1f300 && code <= 0x1f9ff) || // 杂项符号和象形文字
+    (code >= 0x1f600 && code <= 0x1f64f) || // 表情符号
+    (code >= 0x1f680 && code <= 0x1f6ff) || // 交通和地图符号
+    (code >= 0x1f1e0 && code <= 0x1f1ff) || // 国旗
+    (code >= 0x2600 && code <= 0x26ff) || // 杂项符号
+    (code >= 0x2700 && code <= 0x27bf) || // 装饰符号
+    (code >= 0x1f900 && code <= 0x1f9ff) // 补充符号和象形文字
+  );
+}
+
+// 检查字符是否是汉字（含日文中的々〆〇）
+export function isHan(char) {
+  const code = char.codePointAt(0);
+  return (
+    (code >= 0x4e00 && code <= 0x9fff) || // CJK统一表意文字
+    (code >= 0x3400 && code <= 0x4dbf) || // CJK扩展A
+    (code >= 0xf900 && code <= 0xfaff) || // CJK兼容表意文字
+    (code >= 0x20000 && code <= 0x2a6df) || // CJK扩展B
+    (code >= 0x2a700 && code <= 0x2b73f) || // CJK扩展C
+    (code >= 0x2b740 && code <= 0x2b81f) || // CJK扩展D
+    code === 0x3005 || // 々
+    code === 0x3006 || // 〆
+    code === 0x3007 // 〇
+  );
+}
+
+// 检查字符是否是平假名
+export function isHiragana(char) {
+  const code = char.codePointAt(0);
+  return code >= 0x3040 && code <= 0x309f;
+}
+
+// 检查字符是否是片假名（含长音符ー、片假名音标扩展和半角片假名）
+export function isKatakana(char) {
+  const code = char.codePointAt(0);
+  return (
+    (code >= 0x30a0 && code <= 0x30ff) || // 片假名
+    (code >= 0x31f0 && code <= 0x31ff) || // 片假名音标扩展
+    (code >= 0xff66 && code <= 0xff9f) // 半角片假名
+  );
+}
+
+// 检查字符是否是假名
+export function isKana(char) {
+  return isHiragana(char) || isKatakana(char);
+}
+
+// 检查字符是否是谚文（韩文）
+export function isHangul(char) {
+  const code = char.codePointAt(0);
+  return (
+    (code >= 0xac00 && code <= 0xd7af) || // 谚文音节
+    (code >= 0x1100 && code <= 0x11ff) || // 谚文字母
+    (code >= 0x3130 && code <= 0x318f) || // 谚文兼容字母
+    (code >= 0xa960 && code <= 0xa97f) || // 谚文字母扩展A
+    (code >= 0xd7b0 && code <= 0xd7ff) || // 谚文字母扩展B
+    (code >= 0xffa0 && code <= 0xffdc) // 半角谚文
+  );
+}
+
+// 检查字符是否是CJK符号或全角字符（不含半角假名和半角谚文）
+export function isCJKSymbol(char) {
+  const code = char.codePointAt(0);
+  return (
+    (code >= 0x3000 && code <= 0x303f && !isHan(char)) || // CJK符号和标点
+    (code >= 0xff00 && code <= 0xffef && !isKatakana(char) && !isHangul(char)) // 全角ASCII、半角标点
+  );
+}
+
+// 检查字符是否是中文（汉字、CJK符号和全角字符），与原 isChinese 的范围一致，但排除半角假名和谚文
+export function isChinese(char) {
+  return isHan(char) || isCJKSymbol(char);
+}
+
+// 检查字符是否是中文或emoji
+export function isChineseOrEmoji(char) {
+  return isChinese(char) || isEmoji(char);
+}
+
+// 检查字符是否属于中日韩文字（中文、假名、谚文）或emoji
+export function isCJKOrEmoji(char) {
+  return isChineseOrEmoji(char) || isKana(char) || isHangul(char);
+}
+
+/**
+ * 获取字符所属的文字类别
+ * CJK符号、全角标点和其他标点都归为 SCRIPT.SYMBOL
+ * @param {string} char - 单个字符（码点）
+ * @returns {string} SCRIPT 中的类别
+ */
+export function getCharScript(char) {
+  if (!char) return SCRIPT.SYMBOL;
+  if (/\s/.test(char)) return SCRIPT.WHITESPACE;
+  if (/[a-zA-Z]/.test(char)) return SCRIPT.LATIN;
+  if (/\d/.test(char)) return SCRIPT.DIGIT;
+  if (isHan(char)) return SCRIPT.HAN;
+  if (isHiragana(char)) return SCRIPT.HIRAGANA;
+  if (isKatakana(char)) return SCRIPT.KATAKANA;
+  if (isHangul(char)) return SCRIPT.HANGUL;
+  if (isEmoji(char)) return SCRIPT.EMOJI;
+  return SCRIPT.SYMBOL;
+}
+
+/**
+ * 按文字类别把文本切成连续片段
+ * @param {string} text - 输入文本
+ * @returns {Array<{script: string, text: string}>}
+ */
+export function splitByScript(text) {
+  const runs = [];
+  if (!text) return runs;
+
+  for (let i = 0; i < text.length; ) {
+    const char = String.fromCodePoint(text.codePointAt(i));
+    const script = getCharScript(char);
+    const last = runs[runs.length - 1];
+    if (last && last.script === script) {
+      last.text += char;
+    } else {
+      runs.push({ script, text: char });
+    }
+    i += char.length;
+  }
+
+  return runs;
+}
+
+export default {
+  SCRIPT,
+  isEmoji,
+  isHan,
+  isHiragana,
+  isKatakana,
+  isKana,
+  isHangul,
+  isCJKSymbol,
+  isChinese,
+  isChineseOrEmoji,
+  isCJKOrEmoji,
+  getCharScript,
+  splitByScript
+};
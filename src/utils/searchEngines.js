@@ -0,0 +1,447 @@
+/**
+ * 搜索引擎工具模块
+ * 提供搜索URL构建、引擎关键词解析等与具体界面无关的功能
+ */
+
+/**
+ * 引擎分类：显示名称与多引擎搜索时使用的标签组颜色
+ * 颜色取值见 chrome.tabGroups.Color
+ */
+export const ENGINE_CATEGORIES = {
+  general: { name: '通用', color: 'blue' },
+  academic: { name: '学术', color: 'purple' },
+  ai: { name: 'AI', color: 'pink' },
+  code: { name: '代码', color: 'green' },
+  docs: { name: '文档', color: 'orange' }
+};
+
+/**
+ * 获取引擎名称的紧凑形式（小写、去空格）
+ * @param {string} name - 引擎名称
+ * @returns {string}
+ */
+function compactName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\s+/g, '');
+}
+
+/**
+ * 获取引擎的快捷关键词
+ * 优先使用引擎配置中的 keyword 字段，否则使用紧凑名称
+ * @param {Object} engine - 搜索引擎配置
+ * @returns {string}
+ */
+export function getEngineKeyword(engine) {
+  if (!engine) return '';
+  if (typeof engine.keyword === 'string' && engine.keyword.trim()) {
+    return engine.keyword.trim().toLowerCase();
+  }
+  return compactName(engine.name);
+}
+
+/**
+ * 根据关键词查找搜索引擎
+ * 只匹配 keyword 字段或完整的紧凑名称，不做前缀匹配，避免把查询的首个普通单词（如 git、go）当作引擎
+ * @param {string} keyword - 用户输入的关键词
+ * @param {Array} engines - 搜索引擎列表
+ * @returns {Object|null} 匹配的引擎
+ */
+export function findEngineByKeyword(keyword, engines) {
+  if (!keyword || !Array.isArray(engines) || engines.length === 0) return null;
+
+  const token = keyword.trim().toLowerCase();
+  if (!token) return null;
+
+  return (
+    engines.find((e) => typeof e.keyword === 'string' && e.keyword.toLowerCase() === token) ||
+    engines.find((e) => compactName(e.name) === token) ||
+    null
+  );
+}
+
+/**
+ * 解析 "关键词 查询内容" 形式的输入
+ * 首个单词能匹配引擎时拆出引擎，否则整段作为查询内容
+ * @param {string} input - 用户输入
+ * @param {Array} engines - 搜索引擎列表
+ * @returns {{engine: Object|null, query: string}}
+ */
+export function parseEngineQuery(input, engines) {
+  const text = (input || '').trim();
+  const match = text.match(/^(\S+)\s+([\s\S]+)$/);
+
+  if (match) {
+    const engine = findEngineByKeyword(match[1], engines);
+    if (engine) {
+      return { engine, query: match[2].trim() };
+    }
+  }
+
+  return { engine: null, query: text };
+}
+
+// ============================================================================
+// 模板语言
+// ============================================================================
+
+/**
+ * 模板占位符
+ * - {query}        查询词，按引擎字符集编码
+ * - {query:raw}    查询词原文，不编码
+ * - {query:plus}   查询词编码后空格写作 "+"
+ * - {selection}    选中文本（默认同查询词），按引擎字符集编码
+ * - {pageUrl}      当前页面地址，URL编码
+ * - {pageHost}     当前页面主机名
+ * - {lang}         浏览器界面语言，如 zh-CN
+ * 旧模板中的 %s 等同于 {query}
+ */
+export const TEMPLATE_PLACEHOLDERS = [
+  'query',
+  'query:raw',
+  'query:plus',
+  'selection',
+  'pageUrl',
+  'pageHost',
+  'lang'
+];
+
+/**
+ * 引擎可选的字符集，非 UTF-8 字符集用于老旧中文/日文/韩文站点
+ */
+export const SUPPORTED_CHARSETS = ['UTF-8', 'GBK', 'GB18030', 'Big5', 'Shift_JIS', 'EUC-KR'];
+
+// 常见字符集别名（大写）→ SUPPORTED_CHARSETS 中的名称
+const CHARSET_ALIASES = {
+  UTF8: 'UTF-8',
+  GB2312: 'GBK',
+  'EUC-CN': 'GBK',
+  CP936: 'GBK',
+  'X-GBK': 'GBK',
+  SJIS: 'Shift_JIS',
+  'SHIFT-JIS': 'Shift_JIS',
+  'X-SJIS': 'Shift_JIS',
+  'WINDOWS-31J': 'Shift_JIS',
+  CP949: 'EUC-KR',
+  'KS_C_5601-1987': 'EUC-KR'
+};
+
+/**
+ * 把字符集名称规范为 SUPPORTED_CHARSETS 中的写法，不区分大小写并识别 gb2312 等别名
+ * @param {string} charset - 字符集名称
+ * @returns {string|null} 不支持的字符集返回 null
+ */
+export function normalizeCharset(charset) {
+  const upper = String(charset || '')
+    .trim()
+    .toUpperCase();
+  if (!upper) return null;
+  return SUPPORTED_CHARSETS.find((name) => name.toUpperCase() === upper) || CHARSET_ALIASES[upper] || null;
+}
+
+export const SUPPORTED_METHODS = ['GET', 'POST'];
+
+// 至少包含一个能带入查询内容的占位符
+const QUERY_PLACEHOLDER_REGEX = /%s|\{(?:query(?::raw|:plus)?|selection)\}/;
+const PLACEHOLDER_REGEX = /\{([a-zA-Z]+(?::[a-zA-Z]+)?)\}/g;
+
+// POST 引擎通过扩展内的中转页面提交表单
+const POST_REDIRECT_PAGE = 'src/redirect/index.html';
+
+// 字符集编码表缓存：charset → Map<字符, 字节数组>
+const charsetTables = new Map();
+
+/**
+ * 构建多字节字符集的编码表
+ * 浏览器只提供 UTF-8 的 TextEncoder，这里用 TextDecoder 逐个解码单字节和双字节序列反推编码表
+ * @param {string} charset - 字符集名称
+ * @returns {Map<string, Array<number>>}
+ */
+function buildCharsetTable(charset) {
+  const table = new Map();
+  const decoder = new TextDecoder(charset);
+
+  const register = (bytes) => {
+    const char = decoder.decode(Uint8Array.from(bytes));
+    if (char.length === 1 && char !== '\uFFFD' && !table.has(char)) {
+      table.set(char, bytes);
+    }
+  };
+
+  for (let b = 0x80; b <= 0xff; b++) {
+    register([b]);
+  }
+  for (let lead = 0x81; lead <= 0xfe; lead++) {
+    for (let trail = 0x40; trail <= 0xfe; trail++) {
+      if (trail !== 0x7f) register([lead, trail]);
+    }
+  }
+
+  return table;
+}
+
+/**
+ * 按指定字符集进行URL编码
+ * 无法用该字符集表示的字符按浏览器表单的习惯写作 &#NNNN;
+ * @param {string} text - 原始文本
+ * @param {string} charset - 字符集名称
+ * @returns {string}
+ */
+export function encodeWithCharset(text, charset = 'UTF-8') {
+  const value = String(text ?? '');
+  if (!charset || charset.toUpperCase() === 'UTF-8') {
+    return encodeURIComponent(value);
+  }
+
+  if (!charsetTables.has(charset)) {
+    charsetTables.set(charset, buildCharsetTable(charset));
+  }
+  const table = charsetTables.get(charset);
+
+  let result = '';
+  for (const char of value) {
+    if (char.charCodeAt(0) < 0x80) {
+      result += encodeURIComponent(char);
+      continue;
+    }
+    const bytes = table.get(char);
+    if (bytes) {
+      result += bytes.map((b) => '%' + b.toString(16).toUpperCase().padStart(2, '0')).join('');
+    } else {
+      result += encodeURIComponent(`&#${char.codePointAt(0)};`);
+    }
+  }
+  return result;
+}
+
+/**
+ * 计算各占位符的替换值
+ * @param {string} query - 查询内容
+ * @param {Object} context - 上下文
+ * @param {boolean} encode - 是否按字符集编码（POST 表单由浏览器编码，传 false）
+ * @param {string} charset - 字符集
+ * @returns {Object} 占位符 → 替换值
+ */
+function getPlaceholderValues(query, context, encode, charset) {
+  const selection = context.selection ?? query;
+  const enc = (value) => (encode ? encodeWithCharset(value, charset) : String(value ?? ''));
+
+  return {
+    query: enc(query),
+    'query:raw': query,
+    'query:plus': encode ? enc(query).replace(/%20/g, '+') : query,
+    selection: enc(selection),
+    pageUrl: encode ? encodeURIComponent(context.pageUrl || '') : context.pageUrl || '',
+    pageHost: context.pageHost || '',
+    lang: context.lang || ''
+  };
+}
+
+/**
+ * 替换模板中的占位符
+ * @param {string} template - 模板
+ * @param {Object} values - 占位符 → 替换值
+ * @returns {string}
+ */
+function fillTemplate(template, values) {
+  return template
+    .replace(/%s/g, () => values.query)
+    .replace(PLACEHOLDER_REGEX, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * 判断引擎模板是否需要当前页面信息
+ * @param {Object} engine - 搜索引擎配置
+ * @returns {boolean}
+ */
+export function needsPageContext(engine) {
+  const text = `${engine?.template || ''} ${engine?.postBody || ''}`;
+  return /\{page(?:Url|Host)\}/.test(text);
+}
+
+/**
+ * 校验引擎配置中的模板、请求方式和字符集
+ * @param {Object} engine - 搜索引擎配置
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateEngineTemplate(engine) {
+  const errors = [];
+  if (!engine || typeof engine.template !== 'string' || !engine.template.trim()) {
+    return { valid: false, errors: ['URL模板不能为空'] };
+  }
+
+  const method = (engine.method || 'GET').toUpperCase();
+  if (!SUPPORTED_METHODS.includes(method)) {
+    errors.push(`不支持的请求方式: ${engine.method}`);
+  }
+
+  if (engine.charset && !SUPPORTED_CHARSETS.includes(engine.charset)) {
+    errors.push(`不支持的字符集: ${engine.charset}`);
+  }
+
+  if (engine.postBody !== undefined && typeof engine.postBody !== 'string') {
+    errors.push('POST 参数必须是字符串');
+  }
+
+  const queryCarrier =
+    method === 'POST' ? `${engine.template} ${engine.postBody || ''}` : engine.template;
+  if (!QUERY_PLACEHOLDER_REGEX.test(queryCarrier)) {
+    errors.push('模板必须包含 {query}、{query:raw}、{query:plus}、{selection} 或 %s 之一');
+  }
+
+  const templates = [engine.template, typeof engine.postBody === 'string' ? engine.postBody : ''];
+  for (const text of templates) {
+    for (const [, name] of text.matchAll(PLACEHOLDER_REGEX)) {
+      if (!TEMPLATE_PLACEHOLDERS.includes(name)) {
+        errors.push(`未知的占位符: {${name}}`);
+      }
+    }
+  }
+
+  // 用空值填充后检查是否为合法的 http(s) 地址
+  const sampleUrl = fillTemplate(engine.template, getPlaceholderValues('test', {}, true, 'UTF-8'));
+  try {
+    const url = new URL(sampleUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      errors.push('URL模板必须以 http:// 或 https:// 开头');
+    }
+  } catch {
+    errors.push('URL模板不是合法的网址');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 解析 POST 参数模板，如 "q={query}&src=ds"
+ * @param {string} postBody - 参数模板
+ * @param {Object} values - 占位符 → 替换值（未编码）
+ * @returns {Array<[string, string]>} 参数键值对
+ */
+function parsePostBody(postBody, values) {
+  return (postBody || '')
+    .split('&')
+    .filter(Boolean)
+    .map((pair) => {
+      const index = pair.indexOf('=');
+      const key = index === -1 ? pair : pair.slice(0, index);
+      const value = index === -1 ? '' : pair.slice(index + 1);
+      return [key, fillTemplate(value, values)];
+    });
+}
+
+/**
+ * 构建搜索请求
+ * @param {Object} engine - 搜索引擎配置
+ * @param {string} query - 搜索内容
+ * @param {Object} [context] - 上下文：selection, pageUrl, pageHost, lang
+ * @returns {{method: string, url: string, params: Array, charset: string}|null}
+ */
+export function buildSearchRequest(engine, query, context = {}) {
+  if (!engine || !engine.template) return null;
+
+  const method = (engine.method || 'GET').toUpperCase();
+  const charset = engine.charset || 'UTF-8';
+  const url = fillTemplate(engine.template, getPlaceholderValues(query, context, true, charset));
+
+  if (method !== 'POST') {
+    return { method: 'GET', url, params: [], charset };
+  }
+
+  const rawValues = getPlaceholderValues(query, context, false, charset);
+  const params = parsePostBody(engine.postBody, rawValues);
+  return { method: 'POST', url, params, charset };
+}
+
+/**
+ * 根据引擎模板构建可直接打开的搜索URL
+ * POST 引擎返回扩展内中转页面的地址，由中转页面提交表单
+ * @param {Object} engine - 搜索引擎配置
+ * @param {string} query - 搜索内容
+ * @param {Object} [context] - 上下文：selection, pageUrl, pageHost, lang
+ * @returns {string|null} 搜索URL
+ */
+export function buildSearchUrl(engine, query, context = {}) {
+  const request = buildSearchRequest(engine, query, context);
+  if (!request) return null;
+  if (request.method === 'GET') return request.url;
+
+  const payload = encodeURIComponent(
+    JSON.stringify({ url: request.url, params: request.params, charset: request.charset })
+  );
+  const page =
+    typeof chrome !== 'undefined' && chrome.runtime?.getURL
+      ? chrome.runtime.getURL(POST_REDIRECT_PAGE)
+      : POST_REDIRECT_PAGE;
+  return `${page}#${payload}`;
+}
+
+/**
+ * 获取模板需要的上下文（当前页面、界面语言）
+ * 需在打开搜索标签页之前调用，否则读取到的是新打开的页面
+ * @param {Object|Array<Object>} engines - 一个或多个搜索引擎配置
+ * @param {string} [selection] - 选中文本
+ * @returns {Promise<Object>}
+ */
+export async function getSearchContext(engines, selection) {
+  const context = {
+    lang:
+      (typeof chrome !== 'undefined' && chrome.i18n?.getUILanguage?.()) ||
+      (typeof navigator !== 'undefined' ? navigator.language : ''),
+    ...(selection !== undefined ? { selection } : {})
+  };
+
+  const needsPage = [].concat(engines).some((engine) => needsPageContext(engine));
+  if (!needsPage || typeof chrome === 'undefined' || !chrome.tabs) {
+    return context;
+  }
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tab?.url) {
+      context.pageUrl = tab.url;
+      context.pageHost = new URL(tab.url).hostname;
+    }
+  } catch {
+    // 无法读取当前页面时占位符替换为空
+  }
+
+  return context;
+}
+
+/**
+ * 按分类或名称列表挑选多个引擎
+ * @param {Array} engines - 搜索引擎列表
+ * @param {Object} selector - 选择条件
+ * @param {string} [selector.category] - 分类，如 code、academic
+ * @param {Array<string>} [selector.engineNames] - 引擎名称列表
+ * @returns {Array} 选中的引擎，保持原列表顺序
+ */
+export function selectEngines(engines, { category, engineNames } = {}) {
+  if (!Array.isArray(engines)) return [];
+  if (category) {
+    return engines.filter((e) => e.category === category);
+  }
+  if (Array.isArray(engineNames)) {
+    return engines.filter((e) => engineNames.includes(e.name));
+  }
+  return [];
+}
+
+export default {
+  ENGINE_CATEGORIES,
+  TEMPLATE_PLACEHOLDERS,
+  SUPPORTED_CHARSETS,
+  normalizeCharset,
+  SUPPORTED_METHODS,
+  selectEngines,
+  getEngineKeyword,
+  findEngineByKeyword,
+  parseEngineQuery,
+  encodeWithCharset,
+  needsPageContext,
+  validateEngineTemplate,
+  buildSearchRequest,
+  buildSearchUrl,
+  getSearchContext
+};
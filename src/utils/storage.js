@@ -1,5 +1,9 @@
 // src/utils/storage.js
 
+import { validateEngineTemplate } from './searchEngines.js';
+import { BUILTIN_REPO_PROVIDERS, validateRepoProvider } from './repoProviders.js';
+import { DEFAULT_TIMEZONES } from './dateConverter.js';
+
 /**
  * Enhanced Storage Management Utilities
  * Provides robust data persistence with error handling and validation
@@ -8,6 +12,12 @@
 // Storage keys constants
 export const STORAGE_KEYS = {
   SEARCH_ENGINES: 'searchEngines',
+  REPO_PROVIDERS: 'repoProviders',
+  PATH_SETTINGS: 'pathSettings',
+  DATE_SETTINGS: 'dateSettings',
+  CUSTOM_DICTIONARY: 'customDictionary',
+  // Serialized segmenter index for the full dictionary (not part of settings)
+  CWS_INDEX_CACHE: 'cwsIndexCache',
   HISTORY: 'history',
   HISTORY_LIMIT: 'historyLimit',
   DEFAULT_ENGINE: 'defaultEngine',
@@ -23,44 +33,69 @@ export const DEFAULTS = {
     {
       name: 'Bing',
       template: 'https://www.bing.com/search?q=%s',
-      category: 'general'
+      category: 'general',
+      keyword: 'b'
     },
     {
       name: 'Google',
       template: 'https://www.google.com/search?q=%s',
-      category: 'general'
+      category: 'general',
+      keyword: 'g'
     },
     {
       name: 'Google Scholar',
       template: 'https://scholar.google.com/scholar?q=%s',
-      category: 'academic'
+      category: 'academic',
+      keyword: 'gs'
     },
     {
       name: 'Metaso',
       template: 'https://metaso.cn/search?q=%s',
-      category: 'ai'
+      category: 'ai',
+      keyword: 'mt'
     },
     {
       name: 'Sogou',
       template: 'https://www.sogou.com/web?query=%s',
-      category: 'general'
+      category: 'general',
+      keyword: 'sg'
     },
     {
       name: 'GitHub',
       template: 'https://github.com/search?q=%s',
-      category: 'code'
+      category: 'code',
+      keyword: 'gh'
     },
     {
       name: 'Stack Overflow',
       template: 'https://stackoverflow.com/search?q=%s',
-      category: 'code'
+      category: 'code',
+      keyword: 'so'
     },
     {
       name: 'MDN',
       template: 'https://developer.mozilla.org/en-US/search?q=%s',
-      category: 'docs'
+      category: 'docs',
+      keyword: 'mdn'
     }
   ],
+  // Repository link providers used by link generation and the omnibox
+  repoProviders: BUILTIN_REPO_PROVIDERS,
+  // Path conversion: home directory used to expand ~, and the WSL distro for \\wsl$ paths
+  pathSettings: {
+    homeDir: '',
+    wslDistro: ''
+  },
+  // Date panel: IANA time zones that parsed dates are converted into, in display order
+  dateSettings: {
+    timezones: DEFAULT_TIMEZONES
+  },
+  // User dictionary for the Chinese segmenter: extra words, terms kept intact, extra stop words
+  customDictionary: {
+    words: [],
+    neverSplit: [],
+    stopWords: []
+  },
   history: [],
   historyLimit: 100,
   defaultEngine: 'Bing',
@@ -77,6 +112,9 @@ export const DEFAULTS = {
     // 中文分词
     cnUseDict: true, // 是否启用词典
     cnUseAlgo: true, // 是否启用算法
+    cnFullDict: false, // 是否使用完整词典（首次中文分析时加载）
+    cnBidirectional: true, // 是否双向最大匹配（否则仅正向）
+    cnUseHmm: false, // 是否用 HMM 识别未登录词（首次中文分析时加载模型）
     // AI分析
     aiEnabled: false, // 是否启用AI分析（默认关闭，避免浪费API Key）
     aiProvider: 'openai', // AI 服务商：openai, claude, gemini, azure, custom
@@ -105,6 +143,115 @@ const logger = {
   warn: (message, ...args) => console.warn(`[Storage] ${message}`, ...args)
 };
 
+/**
+ * Collects problems with a single search engine entry
+ * @param {object} engine - Search engine config
+ * @returns {string[]} - Empty when the engine is usable
+ */
+function getEngineErrors(engine) {
+  if (
+    !engine ||
+    !engine.name ||
+    !engine.template ||
+    typeof engine.name !== 'string' ||
+    typeof engine.template !== 'string'
+  ) {
+    return ['missing name or template'];
+  }
+  // Optional omnibox keyword
+  if (engine.keyword !== undefined && typeof engine.keyword !== 'string') {
+    return ['keyword must be a string'];
+  }
+  // Template placeholders, request method and charset
+  return validateEngineTemplate(engine).errors;
+}
+
+/**
+ * Fills the default short keywords (g, b, gh, ...) into engines saved before keywords existed.
+ * Engines are matched to a default by name or template; an explicit keyword (even an empty one)
+ * is kept, and a keyword another engine already uses is not assigned twice
+ * @param {object[]} engines - Stored search engines
+ * @returns {object[]} - Engines with default keywords filled in
+ */
+function migrateEngineKeywords(engines) {
+  const used = new Set(
+    engines.filter((engine) => typeof engine.keyword === 'string').map((engine) => engine.keyword.toLowerCase())
+  );
+
+  return engines.map((engine) => {
+    if (engine.keyword !== undefined) return engine;
+    const match = DEFAULTS.searchEngines.find(
+      (preset) =>
+        preset.name.toLowerCase() === engine.name.toLowerCase() || preset.template === engine.template
+    );
+    if (!match || used.has(match.keyword)) return engine;
+    used.add(match.keyword);
+    return { ...engine, keyword: match.keyword };
+  });
+}
+
+const isStringList = (list) => Array.isArray(list) && list.every((item) => typeof item === 'string');
+
+/**
+ * Structure checks for object-valued settings, keyed by setting name
+ */
+const OBJECT_SETTING_CHECKS = {
+  pathSettings: (value) =>
+    !!value && typeof value.homeDir === 'string' && typeof value.wslDistro === 'string',
+  dateSettings: (value) => !!value && isStringList(value.timezones),
+  customDictionary: (value) =>
+    !!value &&
+    typeof value === 'object' &&
+    ['words', 'neverSplit', 'stopWords'].every((key) => isStringList(value[key]))
+};
+
+/**
+ * Drops search engines and repository providers that fail validation, so one bad entry
+ * (for example an engine saved before template validation existed) doesn't invalidate
+ * the whole settings object and wipe history, dictionary and API keys
+ * @param {object} settings - Settings to sanitize
+ * @returns {object} - Copy of settings with only valid entries
+ */
+function sanitizeSettings(settings) {
+  if (!settings || typeof settings !== 'object') return settings;
+  const sanitized = { ...settings };
+
+  if (Array.isArray(settings.searchEngines)) {
+    sanitized.searchEngines = settings.searchEngines.filter((engine) => {
+      const errors = getEngineErrors(engine);
+      if (errors.length > 0) {
+        logger.warn(`Skipping invalid engine "${engine?.name}": ${errors.join('; ')}`);
+      }
+      return errors.length === 0;
+    });
+    // Keep search usable when every stored engine is broken
+    if (sanitized.searchEngines.length === 0 && settings.searchEngines.length > 0) {
+      sanitized.searchEngines = DEFAULTS.searchEngines;
+    }
+    sanitized.searchEngines = migrateEngineKeywords(sanitized.searchEngines);
+  }
+
+  if (Array.isArray(settings.repoProviders)) {
+    sanitized.repoProviders = settings.repoProviders.filter((provider) => {
+      const { valid, errors } = validateRepoProvider(provider);
+      if (!valid) {
+        logger.warn(`Skipping invalid repository provider "${provider?.name}": ${errors.join('; ')}`);
+      }
+      return valid;
+    });
+  }
+
+  // A malformed object setting only falls back to its own default
+  for (const [key, isValid] of Object.entries(OBJECT_SETTING_CHECKS)) {
+    if (settings[key] !== undefined && !isValid(settings[key])) {
+      logger.warn(`Invalid "${key}" settings, restoring defaults for this key`);
+      sanitized[key] = DEFAULTS[key];
+    }
+  }
+
+  return sanitized;
+}
+
 /**
  * Validates settings object structure
  * @param {object} settings - Settings to validate
@@ -113,19 +260,9 @@ const logger = {
 function validateSettings(settings) {
   if (!settings || typeof settings !== 'object') return false;
 
-  // Validate search engines
-  if (settings.searchEngines && Array.isArray(settings.searchEngines)) {
-    for (const engine of settings.searchEngines) {
-      if (
-        !engine.name ||
-        !engine.template ||
-        typeof engine.name !== 'string' ||
-        typeof engine.template !== 'string'
-      ) {
-        return false;
-      }
-    }
-  }
+  // Entries are filtered by sanitizeSettings; only the list types are checked here
+  if (settings.searchEngines !== undefined && !Array.isArray(settings.searchEngines)) return false;
+  if (settings.repoProviders !== undefined && !Array.isArray(settings.repoProviders)) return false;
 
   // Validate history
   if (settings.history && !Array.isArray(settings.history)) return false;
@@ -147,7 +284,7 @@ function validateSettings(settings) {
 export async function getSettings() {
   try {
     const data = await chrome.storage.local.get(Object.keys(DEFAULTS));
-    const settings = { ...DEFAULTS, ...data };
+    const settings = sanitizeSettings({ ...DEFAULTS, ...data });
 
     // Validate loaded settings
     if (!validateSettings(settings)) {
@@ -169,12 +306,13 @@ export async function getSettings() {
  */
 export async function saveSettings(settings) {
   try {
-    if (!validateSettings(settings)) {
+    const sanitized = sanitizeSettings(settings);
+    if (!validateSettings(sanitized)) {
       logger.error('Invalid settings provided for saving');
       return false;
     }
 
-    await chrome.storage.local.set(settings);
+    await chrome.storage.local.set(sanitized);
     logger.info('Settings saved successfully');
     return true;
   } catch (error) {
@@ -425,7 +563,8 @@ export async function importSettings(importData) {
 
     // Extract settings (exclude metadata)
     // eslint-disable-next-line no-unused-vars
-    const { exportDate, version, ...settings } = importData;
+    const { exportDate, version, ...rest } = importData;
+    const settings = sanitizeSettings(rest);
 
     if (!validateSettings(settings)) {
       logger.error('Invalid settings in import data');
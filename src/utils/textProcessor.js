@@ -4,55 +4,29 @@
  * 文本处理工具模块
  *
  * 功能：
- * - 多种互斥分析模式：智能分析、中文分析、英文分析、代码分析、AI分析、整句分析、去除符号、字符断行、随机分词
- * - 多规则组合系统：符号分词、空格/换行分词、中英分词、大写分词、命名分词、数字分词、去除规则
+ * - 多种互斥分析模式：智能分析、中文分析、日韩分析、英文分析、代码分析、AI分析、整句分析、去除符号、字符断行、随机分词
+ * - 多规则组合系统：符号分词、空格/换行分词、中英分词、文字分词、大写分词、命名分词、数字分词、去除规则
  * - 词典算法开关配置
+ * - 分词结果的词性与实体标注
  */
 
 import { fastCWS } from './fastCWS.js';
+import { loadFullDictionary, loadHmmModel, syncDictionaryIndex } from './cwsDictionary.js';
 import { getSettings } from './storage.js';
-import { aiAnalyzePipeline } from './aiAdapter.js';
-import { codeAnalyze as analyzeCode } from './codeAnalyzer.js';
+import { aiAnalyzePipeline, extractSuspectLinks } from './aiAdapter.js';
+import { codeAnalyze as analyzeCode, listSymbols } from './codeAnalyzer.js';
+import { SCRIPT, isChineseOrEmoji, isCJKOrEmoji, splitByScript } from './scriptDetector.js';
 import { randomAnalyze as randomSplit } from './randomAnalyzer.js';
 import { multiRuleAnalyze as analyzeMultiRules } from './multiRuleAnalyzer.js';
+import { BUILTIN_REPO_PROVIDERS, generateRepoLinks, parseRepoInput } from './repoProviders.js';
+import { parseGitHubUrl, generateGitHubVariants, getGitHubShorthand } from './githubUrl.js';
+import { extractEntities } from './entityExtractors.js';
+import { parseGitRemote, getGitRemoteWebUrl } from './gitRemote.js';
 
 // ============================================================================
 // 预编译正则表达式
 // ============================================================================
 
-// 检查字符是否是emoji
-function isEmoji(char) {
-  const code = char.codePointAt(0);
-  return (
-    (code >= 0x1f300 && code <= 0x1f9ff) || // 杂项符号和象形文字
-    (code >= 0x1f600 && code <= 0x1f64f) || // 表情符号
-    (code >= 0x1f680 && code <= 0x1f6ff) || // 交通和地图符号
-    (code >= 0x1f1e0 && code <= 0x1f1ff) || // 国旗
-    (code >= 0x2600 && code <= 0x26ff) || // 杂项符号
-    (code >= 0x2700 && code <= 0x27bf) || // 装饰符号
-    (code >= 0x1f900 && code <= 0x1f9ff) // 补充符号和象形文字
-  );
-}
-
-// 检查字符是否是中文（包括CJK统一表意文字）
-function isChinese(char) {
-  const code = char.codePointAt(0);
-  return (
-    (code >= 0x4e00 && code <= 0x9fff) || // CJK统一表意文字
-    (code >= 0x3000 && code <= 0x303f) || // CJK符号和标点
-    (code >= 0xff00 && code <= 0xffef) || // 全角ASCII、半角片假名
-    (code >= 0x3400 && code <= 0x4dbf) || // CJK扩展A
-    (code >= 0x20000 && code <= 0x2a6df) || // CJK扩展B
-    (code >= 0x2a700 && code <= 0x2b73f) || // CJK扩展C
-    (code >= 0x2b740 && code <= 0x2b81f) // CJK扩展D
-  );
-}
-
-// 检查字符是否是中文或emoji
-function isChineseOrEmoji(char) {
-  return isChinese(char) || isEmoji(char);
-}
-
 const REGEX = {
   // 字符类型 - 不使用g标志，避免lastIndex问题
   chineseChar: /[\u4e00-\u9fa5]/,
@@ -98,6 +72,9 @@ const CONFIG = {
   // 中文分析开关
   useDictionary: true,
   useAlgorithm: true,
+  // 双向最大匹配、HMM 未登录词识别
+  bidirectional: true,
+  useHmm: false,
 
   // 混沌分词配置
   chaosMinTokens: 3,
@@ -130,6 +107,116 @@ export function getConfig() {
   return { ...CONFIG };
 }
 
+// ============================================================================
+// 用户词典
+// ============================================================================
+
+// 不拆分词表（按长度降序，优先匹配长词）
+let neverSplitTerms = [];
+// 已应用词典的签名，词表未变化时跳过重建
+let userDictionarySignature = '';
+
+/**
+ * 应用用户词典
+ * - 自定义词和不拆分词加入 fastCWS 词典
+ * - 停用词追加到 fastCWS 停用词表
+ * - 不拆分词在智能分析和中文分析中整体保留
+ * @param {object} dictionary 用户词典 { words, neverSplit, stopWords }
+ */
+export function applyUserDictionary(dictionary = {}) {
+  const words = dictionary.words || [];
+  const neverSplit = dictionary.neverSplit || [];
+  const stopWords = dictionary.stopWords || [];
+
+  const signature = JSON.stringify([words, neverSplit, stopWords]);
+  if (signature === userDictionarySignature) return;
+  userDictionarySignature = signature;
+
+  fastCWS.setUserDictionary({ words: [...words, ...neverSplit], stopWords });
+  neverSplitTerms = removeDuplicates(neverSplit.map((term) => term.trim()).filter(Boolean)).sort(
+    (a, b) => b.length - a.length
+  );
+}
+
+/**
+ * 从设置中加载分词选项和用户词典
+ * 完整词典和 HMM 模型只在需要中文分词时才加载（每个会话只加载一次）
+ * @param {object} options 选项
+ * @param {boolean} options.lazyLoad 是否按设置加载完整词典和 HMM 模型
+ * @returns {Promise<void>}
+ */
+export async function loadSegmenterSettings(options = {}) {
+  const settings = await getSettings();
+  const ts = settings.tokenizerSettings || {};
+
+  updateConfig({
+    bidirectional: ts.cnBidirectional !== false,
+    useHmm: ts.cnUseHmm === true
+  });
+
+  if (!CONFIG.useHmm) {
+    fastCWS.setHmmModel(null);
+  } else if (options.lazyLoad && !fastCWS.hmmModel) {
+    try {
+      fastCWS.setHmmModel(await loadHmmModel());
+    } catch (error) {
+      console.warn('HMM 模型加载失败，跳过未登录词识别:', error);
+    }
+  }
+
+  // HMM 只补充词典没有覆盖的片段，开启时总是使用完整词典
+  let fullDictionary = null;
+  if (ts.cnFullDict !== true && !CONFIG.useHmm) {
+    fastCWS.setBaseDictionary(null);
+  } else if (options.lazyLoad) {
+    try {
+      fullDictionary = await loadFullDictionary();
+      fastCWS.setBaseDictionary(fullDictionary);
+    } catch (error) {
+      console.warn('完整词典加载失败，使用内置词典:', error);
+    }
+  }
+
+  applyUserDictionary(settings.customDictionary);
+
+  // 完整词典的索引较大，从存储恢复或构建后写回
+  if (fullDictionary) {
+    await syncDictionaryIndex(
+      fastCWS,
+      `${fullDictionary._meta?.version || ''}|${userDictionarySignature}`
+    );
+  }
+}
+
+/**
+ * 查找文本中的不拆分词位置
+ * @param {string} text 输入文本
+ * @returns {Array<{start: number, end: number, content: string}>} 不重叠的区间，按位置排序
+ */
+function findNeverSplitRanges(text) {
+  if (neverSplitTerms.length === 0) return [];
+
+  const ranges = [];
+  for (const term of neverSplitTerms) {
+    let index = text.indexOf(term);
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + term.length, content: term });
+      index = text.indexOf(term, index + term.length);
+    }
+  }
+
+  // 同一位置优先保留长词，去掉与前一区间重叠的部分
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+  const result = [];
+  for (const range of ranges) {
+    const last = result[result.length - 1];
+    if (!last || range.start >= last.end) {
+      result.push(range);
+    }
+  }
+  return result;
+}
+
 // ============================================================================
 // 工具函数
 // ============================================================================
@@ -164,7 +251,7 @@ function filterEmpty(arr) {
  * @param {string} word 单词
  * @returns {Array} 拆分结果
  */
-function splitNaming(word) {
+export function splitNaming(word) {
   const result = [];
   let buffer = '';
 
@@ -254,7 +341,7 @@ export function smartAnalyze(text) {
     // chrome:// 和 about:// 等浏览器内部协议
     { type: 'browser_protocol', regex: /(?:chrome|about|edge|firefox):\/\/[^\s<>"{}|^`[\]]+/gi },
     // Windows路径 - 允许空格，但排除非法字符，前面不能是字母
-    { type: 'windows', regex: /(?<![a-zA-Z])[a-zA-Z]:[\\/][^<>"|?*]*/g },
+    { type: 'windows', regex: /(?<![a-zA-Z])[a-zA-Z]:[\\/][^<>"|?*\r\n]*/g },
     // Unix路径 - 同样允许空格
     { type: 'unix', regex: /(?:\/[\\/]?(?:home|Users|usr|etc|var|opt|tmp)[\\/][^<>"|?*]*)/g }
   ];
@@ -266,6 +353,9 @@ export function smartAnalyze(text) {
     }
   }
 
+  // 用户词典中的不拆分词同样整体保留
+  paths.push(...findNeverSplitRanges(text));
+
   // 按起始位置排序路径
   paths.sort((a, b) => a.start - b.start);
 
@@ -310,14 +400,14 @@ export function smartAnalyze(text) {
       continue;
     }
 
-    // 中文字符（包括emoji）：整句收集直到遇到非中文字符
-    if (isChineseOrEmoji(char)) {
+    // 中日韩文字（包括emoji）：整句收集直到遇到其他字符
+    if (isCJKOrEmoji(char)) {
       let chineseSegment = '';
       while (i < text.length) {
         const cp = text.codePointAt(i);
         const ch = String.fromCodePoint(cp);
         const len = ch.length;
-        if (isChineseOrEmoji(ch)) {
+        if (isCJKOrEmoji(ch)) {
           chineseSegment += ch;
           i += len;
         } else {
@@ -381,6 +471,25 @@ export function smartAnalyze(text) {
 export function chineseAnalyze(text) {
   if (!text || !text.trim()) return [];
 
+  // 不拆分词整体成格，其余部分按中文分析规则处理
+  const result = [];
+  let lastIndex = 0;
+  for (const range of findNeverSplitRanges(text)) {
+    result.push(...chineseAnalyzeSegment(text.slice(lastIndex, range.start)), range.content);
+    lastIndex = range.end;
+  }
+  result.push(...chineseAnalyzeSegment(text.slice(lastIndex)));
+  return result;
+}
+
+/**
+ * 对不含不拆分词的片段执行中文分析
+ * @param {string} text 输入文本
+ * @returns {Array} 分词结果
+ */
+function chineseAnalyzeSegment(text) {
+  if (!text || !text.trim()) return [];
+
   const result = [];
 
   // 中英分离 - 使用辅助函数处理emoji
@@ -436,7 +545,9 @@ export function chineseAnalyze(text) {
           // 剩余中文（包含emoji）：先查找字典，再调用算法
           const tokens = chineseWordSegmentation(word, {
             useDictionary: CONFIG.useDictionary,
-            useAlgorithm: CONFIG.useAlgorithm
+            useAlgorithm: CONFIG.useAlgorithm,
+            bidirectional: CONFIG.bidirectional,
+            useHmm: CONFIG.useHmm
           });
           result.push(...tokens);
         }
@@ -469,8 +580,8 @@ function chineseWordSegmentation(text, options = {}) {
       const codePoint = text.codePointAt(i);
       const char = String.fromCodePoint(codePoint);
       const charLength = char.length;
-      // 检查是否是中文或emoji
-      if (isChineseOrEmoji(char)) {
+      // 检查是否是中日韩文字或emoji
+      if (isCJKOrEmoji(char)) {
         result.push(char);
       }
       i += charLength;
@@ -481,10 +592,125 @@ function chineseWordSegmentation(text, options = {}) {
   return fastCWS.cut(text, {
     removeStopWords: true,
     keepEnglish: false,
-    keepNumber: false
+    keepNumber: false,
+    bidirectional: options.bidirectional,
+    hmm: options.useHmm
   });
 }
 
+// ============================================================================
+// 日韩分析模式
+// ============================================================================
+
+// 日文常见助词，按长度从长到短匹配
+const JAPANESE_PARTICLES = [
+  'から',
+  'まで',
+  'より',
+  'ので',
+  'のに',
+  'けど',
+  'では',
+  'には',
+  'とは',
+  'での',
+  'への',
+  'との',
+  'は',
+  'が',
+  'を',
+  'に',
+  'で',
+  'と',
+  'も',
+  'の',
+  'へ',
+  'や',
+  'か',
+  'ね',
+  'よ'
+];
+
+/**
+ * 日韩分析模式
+ * - 按文字类别（汉字、平假名、片假名、谚文、英文、数字）分段，空格去除，符号单独成格
+ * - 片假名连续成词（含长音符ー和半角片假名），韩文按空格分隔的语节成词
+ * - 紧跟汉字的平假名视为送假名并入前词，平假名末尾的常见助词单独成格
+ * 例如「私は東京に行きます」→ 私 / は / 東京 / に / 行きます
+ * @param {string} text 输入文本
+ * @returns {Array} 分词结果
+ */
+export function japaneseKoreanAnalyze(text) {
+  if (!text || !text.trim()) return [];
+
+  const result = [];
+  let lastIndex = 0;
+  for (const range of findNeverSplitRanges(text)) {
+    result.push(...japaneseKoreanAnalyzeSegment(text.slice(lastIndex, range.start)), range.content);
+    lastIndex = range.end;
+  }
+  result.push(...japaneseKoreanAnalyzeSegment(text.slice(lastIndex)));
+  return result;
+}
+
+/**
+ * 对不含不拆分词的片段执行日韩分析
+ * @param {string} text 输入文本
+ * @returns {Array} 分词结果
+ */
+function japaneseKoreanAnalyzeSegment(text) {
+  const result = [];
+  // 上一个词的文字类别，遇到空格或符号后清空，用于判断送假名是否与前词相连
+  let lastScript = null;
+
+  for (const { script, text: run } of splitByScript(text)) {
+    switch (script) {
+    case SCRIPT.WHITESPACE:
+      lastScript = null;
+      break;
+    case SCRIPT.SYMBOL:
+      result.push(...Array.from(run));
+      lastScript = null;
+      break;
+    case SCRIPT.HIRAGANA: {
+      const afterHan = lastScript === SCRIPT.HAN;
+      let rest = run;
+      // 紧跟片假名、英文或数字的平假名以助词开头时，助词单独成格，如「ｶﾀｶﾅとひらがな」
+      // 「です」「でした」是助动词，不拆
+      if (lastScript && !afterHan && !/^で[すし]/.test(rest)) {
+        const leading = JAPANESE_PARTICLES.find((p) => rest.startsWith(p) && rest.length > p.length);
+        if (leading) {
+          result.push(leading);
+          rest = rest.slice(leading.length);
+        }
+      }
+      // 助词前至少保留一个送假名（紧跟汉字）或两个假名，避免把「もの」拆成「も / の」
+      const particle = JAPANESE_PARTICLES.find(
+        (p) =>
+          rest.endsWith(p) &&
+          (rest.length === p.length || rest.length - p.length >= (afterHan ? 1 : 2))
+      );
+      const stem = particle ? rest.slice(0, -particle.length) : rest;
+      if (stem) {
+        if (afterHan) {
+          result[result.length - 1] += stem;
+        } else {
+          result.push(stem);
+        }
+      }
+      if (particle) result.push(particle);
+      lastScript = particle ? null : SCRIPT.HIRAGANA;
+      break;
+    }
+    default:
+      result.push(run);
+      lastScript = script;
+    }
+  }
+
+  return result.filter((w) => w.length > 0);
+}
+
 // ============================================================================
 // 英文分析模式
 // ============================================================================
@@ -518,7 +744,7 @@ export function englishAnalyze(text) {
     const char = String.fromCodePoint(codePoint);
     const charLength = char.length;
 
-    const isCJK = isChineseOrEmoji(char);
+    const isCJK = isCJKOrEmoji(char);
     const type = isCJK ? 'chinese' : 'english';
 
     if (currentType !== type && currentPart) {
@@ -534,8 +760,8 @@ export function englishAnalyze(text) {
   }
 
   for (const part of parts) {
-    if (isChineseOrEmoji(part[0])) {
-      // 中文部分：直接保留
+    if (isCJKOrEmoji(part[0])) {
+      // 中日韩部分：直接保留
       const noSpace = part.replace(/\s+/g, '');
       if (noSpace) result.push(noSpace);
     } else {
@@ -584,10 +810,14 @@ export function englishAnalyze(text) {
 
 /**
  * 代码分析模式
- * 根据代码类型自动选择分析方式：
+ * 先按关键字打分识别语言，再选择分析方式：
+ * - brace_block：JS/TS、Go、Rust、Java，按顶层函数、类、导入语句分块
  * - cpp_brace：C++/含{}符号，使用成对符号匹配
  * - python_indent：Python/含:行，使用缩进栈算法
+ * - shell_script：Shell，按命令分块，保留管道、续行和 heredoc
+ * - sql_statement：SQL，按分号分割语句
  * - line_based：退化为按行分析
+ * 字符串和注释中的括号、分号不参与匹配
  *
  * 整句识别：
  * - 宏定义（#define, #include等）
@@ -604,6 +834,22 @@ export function codeAnalyze(text) {
   return analyzeCode(text);
 }
 
+// ============================================================================
+// 符号提取模式
+// ============================================================================
+
+/**
+ * 符号提取模式
+ * 列出代码中声明的类、函数、变量，调用的函数，导入的模块，字符串和数值常量，
+ * 按类别顺序输出，同一类别内去重
+ * @param {string} text 输入文本
+ * @returns {Array} 分词结果
+ */
+export function symbolsAnalyze(text) {
+  if (!text || !text.trim()) return [];
+  return listSymbols(text).map((symbol) => symbol.text);
+}
+
 // ============================================================================
 // 字符断行模式
 // ============================================================================
@@ -862,7 +1108,7 @@ export function removeSymbolsAnalyze(text) {
       let type = null;
       if (/[a-zA-Z]/.test(char)) type = 'english';
       else if (/\d/.test(char)) type = 'digit';
-      else if (isChineseOrEmoji(char)) type = 'chinese';
+      else if (isCJKOrEmoji(char)) type = 'chinese';
 
       if (type !== currentSegType && currentSeg) {
         segments.push(currentSeg);
@@ -955,6 +1201,8 @@ export async function multiRuleAnalyze(text, rules = []) {
 export async function splitText(text, mode = 'smart', options = {}) {
   if (!text || !text.trim()) return [];
 
+  await loadSegmenterSettings({ lazyLoad: mode === 'chinese' });
+
   const charLimit = options.charLimit || CONFIG.lineCharLimit;
 
   switch (mode) {
@@ -964,12 +1212,18 @@ export async function splitText(text, mode = 'smart', options = {}) {
   case 'chinese':
     return chineseAnalyze(text);
 
+  case 'japaneseKorean':
+    return japaneseKoreanAnalyze(text);
+
   case 'english':
     return englishAnalyze(text);
 
   case 'code':
     return codeAnalyze(text);
 
+  case 'symbols':
+    return symbolsAnalyze(text);
+
   case 'ai':
     return await aiAnalyze(text);
 
@@ -1063,7 +1317,13 @@ export const ANALYZE_MODES = {
     name: '中文分析',
     description: '中英分离，数字分格，剩余中文查字典后算法分词',
     exclusive: true,
-    options: ['useDictionary', 'useAlgorithm']
+    options: ['useDictionary', 'useAlgorithm', 'bidirectional', 'useHmm']
+  },
+  japaneseKorean: {
+    name: '日韩分析',
+    description: '按汉字、假名、谚文分段，片假名连续成词，分离日文助词，韩文按语节分词',
+    exclusive: true,
+    options: []
   },
   english: {
     name: '英文分析',
@@ -1073,7 +1333,13 @@ export const ANALYZE_MODES = {
   },
   code: {
     name: '代码分析',
-    description: 'C++/Python代码结构分析，函数体识别',
+    description: '识别JS/TS、Go、Rust、Java、C++、Python、Shell、SQL，按函数、类、语句分块',
+    exclusive: true,
+    options: []
+  },
+  symbols: {
+    name: '符号提取',
+    description: '列出代码中的类、函数、变量、调用、导入模块、字符串和数值常量，按类别分组',
     exclusive: true,
     options: []
   },
@@ -1136,6 +1402,11 @@ export const MULTI_RULES = {
     description: '分离中文和英文',
     group: 'split'
   },
+  scriptSplit: {
+    name: '文字分词',
+    description: '在汉字、假名、谚文、英文、数字的边界处分开',
+    group: 'split'
+  },
   uppercaseSplit: {
     name: '大写分词',
     description: '将每个大写字母分成一格',
@@ -1209,18 +1480,21 @@ export function processPath(text) {
     // Windows路径（带引号）- 支持带空格的路径
     { type: 'windows_quoted', regex: /"[a-zA-Z]:[\\/][^"]*"/g },
     { type: 'windows_quoted_single', regex: /'[a-zA-Z]:[\\/][^']*'/g },
-    // Windows路径 - 支持空格，排除非法字符 <>
+    // Windows路径 - 支持空格，排除非法字符 <> 和换行（每行一个路径）
     // 匹配 D:\\path 或 D:/path 格式，但前面不能是字母（避免匹配 URL 协议部分）
-    { type: 'windows', regex: /(?<![a-zA-Z])[a-zA-Z]:[\\/][^<>"|?*]*/g },
+    { type: 'windows', regex: /(?<![a-zA-Z])[a-zA-Z]:[\\/][^<>"|?*\r\n]*/g },
     // Unix/Linux/Mac 路径 - 以 / 开头
     {
       type: 'unix',
-      regex: /(?:\/[\\/]?(?:home|Users|usr|etc|var|opt|tmp|bin|lib|mnt|media)[\\/][^<>"|?*]*)/g
+      regex: /(?:\/[\\/]?(?:home|Users|usr|etc|var|opt|tmp|bin|lib|mnt|media)[\\/][^<>"|?*\r\n]*)/g
     },
     // 通用 Unix 绝对路径
-    { type: 'unix_general', regex: /\/(?:[^<>"|?*\s]+\/)*[^<>"|?*\s]*/g },
-    // 网络路径 (UNC路径) \\\\server\\share
-    { type: 'unc', regex: /\\\\[^<>"|?*]+/g }
+    // 前面不能是单词字符或点，避免把 ../src、owner/repo 中的片段当作路径
+    { type: 'unix_general', regex: /(?<![\w.])\/(?:[^<>"|?*\s]+\/)*[^<>"|?*\s]*/g },
+    // 网络路径 (UNC路径) \\\\server\\share，含 \\\\wsl$\\Ubuntu
+    { type: 'unc', regex: /\\\\[^<>"|?*\r\n]+/g },
+    // 主目录路径 ~/path
+    { type: 'home', regex: /(?<![\w/~])~[\\/][^<>"|?*\s]*/g }
   ];
 
   const allMatches = [];
@@ -1291,6 +1565,45 @@ export function processPath(text) {
   return uniquePaths.length > 0 ? uniquePaths : null;
 }
 
+/**
+ * 将本地路径转换为 file:// URL
+ * @param {string} path - 本地路径
+ * @returns {string|null} - file:// URL 或 null
+ */
+export function convertPathToFileUrl(path) {
+  if (!path) return null;
+
+  // 检查是否是 URL（已经是 http/https/file 开头）
+  if (/^(https?:|file:)/i.test(path)) {
+    return path;
+  }
+
+  // Windows 路径处理 (D:\\path 或 D:/path)
+  if (/^[a-zA-Z]:[\\/]/.test(path)) {
+    // 将反斜杠转为正斜杠
+    let normalizedPath = path.replace(/\\/g, '/');
+    // 确保路径以 / 开头（Windows 盘符前加 /）
+    if (!normalizedPath.startsWith('/')) {
+      normalizedPath = '/' + normalizedPath;
+    }
+    return 'file://' + normalizedPath;
+  }
+
+  // Unix/Linux/Mac 路径处理 (/home/user/...)
+  if (path.startsWith('/')) {
+    return 'file://' + path;
+  }
+
+  // 网络路径 (\\server\share)
+  if (path.startsWith('\\\\')) {
+    // 转换为 file://server/share 格式
+    const normalizedPath = path.replace(/\\/g, '/');
+    return 'file:' + normalizedPath;
+  }
+
+  return null;
+}
+
 // ============================================================================
 // 辅助函数：链接提取
 // ============================================================================
@@ -1311,38 +1624,44 @@ export function processTextExtraction(text) {
 }
 
 // ============================================================================
-// 辅助函数：GitHub仓库链接生成
+// 辅助函数：仓库链接生成
 // ============================================================================
 
-export function processLinkGeneration(input) {
-  const githubPattern = /github\.com[/:]([\w-]+)\/([\w.-]+)/i;
-  const simplePattern = /^([\w-]+)\/([\w.-]+)$/;
-
-  let username, repo;
-
-  const githubMatch = input.match(githubPattern);
-  if (githubMatch) {
-    [, username, repo] = githubMatch;
-    repo = repo.replace(/\.git$/, '');
-  } else {
-    const simpleMatch = input.match(simplePattern);
-    if (simpleMatch) {
-      [, username, repo] = simpleMatch;
-    }
+/**
+ * 生成仓库/包的各站点链接，站点由提供方列表决定
+ * GitHub 链接还会解析出类型、ref、路径、行号和编号，生成 Raw、Blame 等等价链接
+ * Git 远程地址和克隆命令（git@host:o/r.git、git clone ...）按对应的仓库网页处理
+ * @param {string} input - 仓库链接、owner/repo、owner/repo#42、Git 远程地址或 npm:pkg 等
+ * @param {Array} providers - 提供方列表，默认使用内置提供方
+ * @returns {{originalLink: string, identifier: Object, links: Array<{name: string, url: string}>, generatedLinks: Array<string>, remote: Object|null, github: Object|null, githubVariants: Array<{name: string, url: string}>, shorthand: string}|null}
+ */
+export function processLinkGeneration(input, providers = BUILTIN_REPO_PROVIDERS) {
+  const remote = parseGitRemote(input);
+  const github =
+    parseGitHubUrl(input) ||
+    (remote?.host === 'github.com' ? { owner: remote.owner, repo: remote.repo, kind: 'repo' } : null);
+
+  let repoInput = input;
+  if (github) {
+    repoInput = `github.com/${github.owner}/${github.repo}`;
+  } else if (remote) {
+    repoInput = getGitRemoteWebUrl(remote);
   }
 
-  if (!username || !repo) {
+  const result = generateRepoLinks(repoInput, providers);
+  if (!result) {
     return null;
   }
 
-  const originalUrl = `https://github.com/${username}/${repo}`;
-  const zreadUrl = `https://zread.ai/${username}/${repo}`;
-  const deepwikiUrl = `https://deepwiki.com/${username}/${repo}`;
-  const context7Url = `https://context7.com/${username}/${repo}`;
-
   return {
-    originalGithubLink: originalUrl,
-    generatedLinks: [originalUrl, zreadUrl, deepwikiUrl, context7Url]
+    originalLink: result.originalLink,
+    identifier: result.identifier,
+    links: result.links,
+    generatedLinks: result.links.map((link) => link.url),
+    remote,
+    github,
+    githubVariants: generateGitHubVariants(github),
+    shorthand: github ? getGitHubShorthand(github) : ''
   };
 }
 
@@ -1350,50 +1669,37 @@ export function processLinkGeneration(input) {
 // 辅助函数：多格式分析
 // ============================================================================
 
+/**
+ * 多格式分析：用已注册的实体提取器提取链接、邮箱、IP、UUID、CVE 等，再识别路径和仓库
+ * @param {string} text - 输入文本
+ * @returns {Array<{type: string, data: Array, id?: string, search?: Object|null}>}
+ *   实体结果带提取器 id 和搜索动作，可用 buildEntitySearchUrl 生成搜索链接
+ */
 export function analyzeTextForMultipleFormats(text) {
-  const results = [];
-
-  const urls = text.match(/https?:\/\/[^\s<>"{}|\\^`[]]+/gi) || [];
-  if (urls.length > 0) {
-    results.push({ type: '链接提取', data: [...new Set(urls)] });
-  }
-
-  const emails = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/gi) || [];
-  if (emails.length > 0) {
-    results.push({ type: '邮箱地址', data: [...new Set(emails)] });
-  }
-
-  const phones = text.match(/(?:\+86[-\s]?)?(?:1[3-9]\d{9}|0\d{2,3}[-\s]?\d{7,8})/g) || [];
-  if (phones.length > 0) {
-    results.push({ type: '电话号码', data: [...new Set(phones)] });
-  }
-
-  const ips =
-    text.match(
-      /(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)/g
-    ) || [];
-  if (ips.length > 0) {
-    results.push({ type: 'IP地址', data: [...new Set(ips)] });
-  }
+  const results = extractEntities(text).map((entity) => ({
+    type: entity.name,
+    data: entity.values,
+    id: entity.id,
+    search: entity.search
+  }));
 
   const paths = processPath(text);
   if (paths) {
     results.push({ type: '路径转换', data: paths });
   }
 
-  const githubPattern = /github\.com[/:]([\w-]+)\/([\w.-]+)/i;
-  if (githubPattern.test(text)) {
-    const linkGen = processLinkGeneration(text);
+  // 只检查带主机名或包前缀的片段，避免把 and/or 之类的普通文本当作仓库
+  const repoCandidate = text
+    .split(/\s+/)
+    .find((token) => /[.:]/.test(token) && (parseRepoInput(token) || parseGitRemote(token)));
+  if (repoCandidate) {
+    const linkGen = processLinkGeneration(repoCandidate);
     if (linkGen) {
-      results.push({ type: 'GitHub链接', data: linkGen.generatedLinks });
+      const variants = linkGen.githubVariants.map((link) => link.url);
+      results.push({ type: '仓库链接', data: [...new Set([...linkGen.generatedLinks, ...variants])] });
     }
   }
 
-  const dates = text.match(/\d{4}[-/年]\d{1,2}[-/月]\d{1,2}/g) || [];
-  if (dates.length > 0) {
-    results.push({ type: '日期', data: [...new Set(dates)] });
-  }
-
   return results;
 }
 
@@ -1482,3 +1788,110 @@ export function detectContentType(text) {
 
   return { type, confidence, features };
 }
+
+// ============================================================================
+// 词性与实体标注
+// ============================================================================
+
+/**
+ * 标注类型，顺序即筛选栏中的显示顺序
+ */
+export const TOKEN_TAGS = {
+  noun: { name: '名词' },
+  verb: { name: '动词' },
+  number: { name: '数字' },
+  english: { name: '英文' },
+  url: { name: '链接' },
+  path: { name: '路径' },
+  email: { name: '邮箱' },
+  symbol: { name: '符号' },
+  code: { name: '标识符' }
+};
+
+// 常用动词（无词性词典，未收录的中文词按名词处理）
+const CHINESE_VERBS = new Set(
+  (
+    '是 有 在 做 去 来 看 说 想 要 会 能 用 给 找 拿 放 打 写 读 听 问 吃 喝 走 跑 买 卖 学 ' +
+    '可以 进行 使用 提供 支持 实现 开发 设计 学习 工作 研究 分析 处理 管理 发展 建设 ' +
+    '创建 删除 修改 更新 添加 安装 配置 运行 执行 打开 关闭 保存 下载 上传 搜索 查询 ' +
+    '复制 粘贴 选择 点击 输入 输出 显示 发送 接收 获取 设置 检查 测试 调试 解决 完成 ' +
+    '开始 结束 继续 需要 应该 希望 认为 知道 觉得 喜欢 帮助 参加 参与 讨论 介绍 包括 ' +
+    '成为 提高 增加 减少 改变 了解 理解 表示 发现 生产 生活 回答 告诉 准备 决定 出现'
+  ).split(' ')
+);
+
+const TAG_PATTERNS = {
+  // 首尾的标点、符号和空白（中文分析会把符号留在词尾）
+  edgeSymbols: /^[\p{P}\p{S}\s]+|[\p{P}\p{S}\s]+$/gu,
+  number: /^[+-]?\d[\d,]*(?:\.\d+)?(?:[eE][+-]?\d+)?%?$/,
+  chineseNumber: /^[零〇一二三四五六七八九十百千万亿两]+$/,
+  // v1.2、v2、1.2.3、2.0.0-beta.1 这类版本号
+  version: /^(?:[vV]\d+(?:\.\d+)*|\d+(?:\.\d+){2,})(?:-[\w.]+)?$/,
+  english: /^[A-Za-z]+(?:['’-][A-Za-z]+)*$/,
+  codeIdentifier: /^[A-Za-z_$][\w$]*(?:(?:\.|::|->)[A-Za-z_$][\w$]*)*(?:\(\))?$/,
+  // 点号只在后面是小写单词或两边都是完整名称（obj.prop、Math.PI）时算代码特征，排除 e.g.、U.S. 这类缩写
+  codeFeature: /[a-z][A-Z]|_|\$|\.[a-z_$][\w$]|[\w$]{2}\.[A-Za-z_$][\w$]|::|->|\(\)$/,
+  kebabCase: /^[a-z][a-z0-9]*(?:-[a-z0-9]+)+$/,
+  relativePath: /^\.{1,2}[\\/]|^[\w.-]+(?:[\\/][\w.-]+)+\.\w{1,8}$/,
+  urlProtocol: /^(?:https?|ftp|file):\/\//i
+};
+
+function isUrlToken(text) {
+  if (TAG_PATTERNS.urlProtocol.test(text)) return isURL(text);
+  if (/^www\./i.test(text)) return true;
+  return extractSuspectLinks(text)[0] === text;
+}
+
+function isPathToken(text) {
+  if (TAG_PATTERNS.relativePath.test(text)) return true;
+  const paths = processPath(text);
+  return !!paths && paths[0] === text.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function isCodeIdentifier(text) {
+  if (TAG_PATTERNS.kebabCase.test(text)) return true;
+  return TAG_PATTERNS.codeIdentifier.test(text) && TAG_PATTERNS.codeFeature.test(text);
+}
+
+/**
+ * 标注单个分词结果
+ * 复用已有的检测逻辑：邮箱（extractEmails）、链接（isURL、extractSuspectLinks）、
+ * 路径（processPath）；中文词按常用动词表区分动词和名词
+ * @param {string} token - 分词结果
+ * @returns {string} TOKEN_TAGS 中的标注类型
+ */
+export function tagToken(token) {
+  const text = String(token ?? '').trim();
+  if (!text) return 'symbol';
+
+  const core = text.replace(TAG_PATTERNS.edgeSymbols, '');
+  if (extractEmails(core)[0] === core && core) return 'email';
+  if (core && isUrlToken(core)) return 'url';
+  // 路径和 foo()、$el 这类标识符的首尾符号是有效部分，用原文判断
+  if (isPathToken(text)) return 'path';
+  if (isCodeIdentifier(text)) return 'code';
+  if (!core) return 'symbol';
+
+  if (
+    TAG_PATTERNS.number.test(core) ||
+    TAG_PATTERNS.chineseNumber.test(core) ||
+    TAG_PATTERNS.version.test(core)
+  ) {
+    return 'number';
+  }
+  if (isCodeIdentifier(core)) return 'code';
+  if (TAG_PATTERNS.english.test(core)) return 'english';
+  if (REGEX.chineseChar.test(core)) {
+    return CHINESE_VERBS.has(core) ? 'verb' : 'noun';
+  }
+  return REGEX.englishChar.test(core) ? 'english' : 'noun';
+}
+
+/**
+ * 批量标注分词结果
+ * @param {string[]} tokens - 分词结果
+ * @returns {Array<{text: string, tag: string}>}
+ */
+export function tagTokens(tokens) {
+  return (tokens || []).map((text) => ({ text, tag: tagToken(text) }));
+}
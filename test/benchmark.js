@@ -0,0 +1,254 @@
+// benchmark.js - 分词引擎性能测试页面脚本
+
+import { FastCWS } from "../src/utils/fastCWS.js";
+
+// 合成词典和测试文本使用的常用字
+const CHAR_POOL =
+  "的一是在不了有和人这中大为上个国我以要他时来用们生到作地于出就分对成会可主发年动同工也能下过子说产种面而方后多定行学法所民得经十三之进着等部度家电力里如水化高自二理起小物现实加量都两体制机当使点从业本去把性好应开它合还因由其些然前外天政四日那社义事平形相全表间样与关各重新线内数正心反你明看原又么利比或但质气第向道命此变条只没结解问意建月公无系军很情者最立代想已通并提直题党程展五果料象员革位入常文总次品式活设及管特件长求老头基资边流路级少图山统接知较将组见计别她手角期根论运农指几九区强放决西被干做必战先回则任取据处理府研质";
+const PUNCTUATION = "，。、；：！？ ";
+const ASCII_WORDS = ["JavaScript", "API", "2024", "v1.2", "GitHub", "trie"];
+
+/**
+ * 可复现的伪随机数生成器（mulberry32）
+ * @param {number} seed - 种子
+ * @returns {Function} 返回 [0, 1) 随机数的函数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 旧实现：Set 词表，每个位置从最大词长逐一切片查找
+ */
+class LegacySetTrie {
+  build(words) {
+    this.wordSet = new Set(words);
+    this.maxLen = 0;
+    this.minLen = Infinity;
+    for (const word of this.wordSet) {
+      this.maxLen = Math.max(this.maxLen, word.length);
+      this.minLen = Math.min(this.minLen, word.length);
+    }
+  }
+
+  match(text, pos) {
+    const maxCheckLen = Math.min(this.maxLen, text.length - pos);
+    for (let len = maxCheckLen; len >= this.minLen; len--) {
+      const word = text.slice(pos, pos + len);
+      if (this.wordSet.has(word)) {
+        return { word, len };
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * 旧实现的正向最大匹配分词（与 FastCWS.cut 的切分规则一致，不去停用词）
+ * @param {LegacySetTrie} trie - 旧索引
+ * @param {string} text - 文本
+ * @returns {string[]}
+ */
+function legacyCut(trie, text) {
+  const result = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const charCode = char.charCodeAt(0);
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[a-zA-Z]/.test(char)) {
+      let word = "";
+      while (i < text.length && /[a-zA-Z]/.test(text[i])) word += text[i++];
+      result.push(word);
+    } else if (/[0-9]/.test(char)) {
+      let num = "";
+      while (i < text.length && /[0-9.]/.test(text[i])) num += text[i++];
+      result.push(num);
+    } else if (charCode >= 0x4e00 && charCode <= 0x9fff) {
+      const match = trie.match(text, i);
+      const len = match && match.len >= 2 ? match.len : 1;
+      result.push(text.slice(i, i + len));
+      i += len;
+    } else {
+      result.push(char);
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * 生成词典
+ * @param {string} source - full | synthetic
+ * @param {number} size - 合成词数
+ * @returns {Promise<string[]>}
+ */
+async function loadWords(source, size) {
+  if (source === "full") {
+    const response = await fetch("../src/data/cws-full.json");
+    const dict = await response.json();
+    return ["w2", "w3", "w4", "long"].flatMap((key) => dict[key] || []);
+  }
+
+  const random = createRandom(42);
+  const words = new Set();
+  while (words.size < size) {
+    const length = 2 + Math.floor(random() * random() * 5);
+    let word = "";
+    for (let i = 0; i < length; i++) {
+      word += CHAR_POOL[Math.floor(random() * CHAR_POOL.length)];
+    }
+    words.add(word);
+  }
+  return [...words];
+}
+
+/**
+ * 生成测试文本：以词典词为主，混入单字、标点和英文数字
+ * @param {string[]} words - 词典
+ * @param {number} length - 文本长度
+ * @returns {string}
+ */
+function generateText(words, length) {
+  const random = createRandom(7);
+  const parts = [];
+  let total = 0;
+  while (total < length) {
+    const roll = random();
+    let part;
+    if (roll < 0.7) {
+      part = words[Math.floor(random() * words.length)];
+    } else if (roll < 0.9) {
+      part = CHAR_POOL[Math.floor(random() * CHAR_POOL.length)];
+    } else if (roll < 0.97) {
+      part = PUNCTUATION[Math.floor(random() * PUNCTUATION.length)];
+    } else {
+      part = ASCII_WORDS[Math.floor(random() * ASCII_WORDS.length)];
+    }
+    parts.push(part);
+    total += part.length;
+  }
+  return parts.join("").slice(0, length);
+}
+
+/**
+ * 计时，返回多次运行的中位数（毫秒）
+ * @param {Function} fn - 被测函数
+ * @param {number} repeat - 次数
+ * @returns {{median: number, result: *}}
+ */
+function measure(fn, repeat) {
+  const times = [];
+  let result;
+  for (let i = 0; i < repeat; i++) {
+    const start = performance.now();
+    result = fn();
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return { median: times[Math.floor(times.length / 2)], result };
+}
+
+function formatMs(ms) {
+  return `${ms.toFixed(2)} ms`;
+}
+
+function log(message) {
+  const logElement = document.getElementById("log");
+  logElement.textContent += `${message}\n`;
+}
+
+function addRow(name, legacy, current) {
+  const row = document.createElement("tr");
+  [name, legacy, current].forEach((value) => {
+    const cell = document.createElement("td");
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+  document.getElementById("result-body").appendChild(row);
+}
+
+/**
+ * 运行性能测试
+ */
+async function runBenchmark() {
+  const button = document.getElementById("btn-run");
+  const source = document.getElementById("dict-source").value;
+  const dictSize = parseInt(document.getElementById("dict-size").value) || 100000;
+  const textLength = parseInt(document.getElementById("text-length").value) || 100000;
+  const repeat = parseInt(document.getElementById("repeat-count").value) || 5;
+
+  button.disabled = true;
+  document.getElementById("log").textContent = "";
+  document.getElementById("result-body").innerHTML = "";
+  document.getElementById("result-table").style.display = "table";
+
+  try {
+    const words = await loadWords(source, dictSize);
+    const text = generateText(words, textLength);
+    log(`词典 ${words.length} 个词，文本 ${text.length} 个字符，每项取 ${repeat} 次中位数`);
+
+    // 构建
+    const legacy = new LegacySetTrie();
+    const legacyBuild = measure(() => legacy.build(words), repeat);
+
+    const engine = new FastCWS();
+    engine.init({ w2: words });
+    const currentBuild = measure(() => engine.rebuild(), repeat);
+    addRow("构建索引", formatMs(legacyBuild.median), formatMs(currentBuild.median));
+
+    // 分词
+    const legacyCutResult = measure(() => legacyCut(legacy, text), repeat);
+    const currentCutResult = measure(
+      () => engine.cut(text, { removeStopWords: false }),
+      repeat,
+    );
+    addRow("分词", formatMs(legacyCutResult.median), formatMs(currentCutResult.median));
+
+    const charsPerMs = (median) => `${Math.round(text.length / median)} 字符/ms`;
+    addRow("吞吐量", charsPerMs(legacyCutResult.median), charsPerMs(currentCutResult.median));
+
+    // 结果一致性
+    const legacyTokens = legacyCutResult.result;
+    const currentTokens = currentCutResult.result;
+    const mismatch = legacyTokens.findIndex((token, index) => token !== currentTokens[index]);
+    const same = mismatch === -1 && legacyTokens.length === currentTokens.length;
+    addRow("分词数量", String(legacyTokens.length), String(currentTokens.length));
+    log(
+      same
+        ? "✓ 两种实现的分词结果完全一致"
+        : `✗ 分词结果不一致，第 ${mismatch} 项：${legacyTokens[mismatch]} / ${currentTokens[mismatch]}`,
+    );
+    document.getElementById("log").className = `log ${same ? "pass" : "fail"}`;
+
+    // 序列化
+    const serialized = measure(() => JSON.stringify(engine.exportIndex()), repeat).result;
+    const restore = measure(() => {
+      const restored = new FastCWS();
+      restored.init({ w2: words });
+      restored.importIndex(JSON.parse(serialized));
+      return restored;
+    }, repeat);
+    addRow("序列化大小", "-", `${(serialized.length / 1024).toFixed(1)} KB`);
+    addRow("从缓存恢复（含重建词表）", "-", formatMs(restore.median));
+    log(`双数组状态数 ${engine.trie.size}`);
+  } catch (error) {
+    log(`测试失败: ${error.message}`);
+    console.error(error);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+document.getElementById("btn-run").addEventListener("click", runBenchmark);
+document.getElementById("dict-source").addEventListener("change", (e) => {
+  document.getElementById("dict-size").disabled = e.target.value === "full";
+});
@@ -13,6 +13,8 @@ import {
     createSettingsExport,
     createLinkHistoryExport,
     createClipboardHistoryExport,
+    createOpenSearchExport,
+    parseEngineImport,
     EXPORT_TYPES,
     IMPORT_CONTEXTS,
 } from '../src/utils/exportImportSchema.js';
@@ -343,6 +345,84 @@ export function testLegacyLinkHistory() {
     }
 }
 
+/**
+ * 测试 OpenSearch 导出与往返导入
+ */
+export function testOpenSearchRoundTrip() {
+    try {
+        const engines = [
+            { name: 'Baidu', template: 'https://www.baidu.com/s?wd={query:raw}', keyword: 'bd' },
+            { name: 'Baidu', template: 'https://example.com/search?q=%s&site={host}' }
+        ];
+
+        const exportData = createOpenSearchExport(engines);
+        const files = exportData.data.openSearch;
+        const xml = files[0].xml;
+        const imported = parseEngineImport(xml);
+        const restored = imported.engines?.[0] || {};
+
+        const checks = [
+            exportData.metadata.exportType === EXPORT_TYPES.SEARCH_ENGINES,
+            files.length === engines.length,
+            files[0].filename !== files[1].filename,
+            /^<\?xml[^>]*\?>\s*<OpenSearchDescription[\s>]/.test(xml),
+            !xml.includes('SearchEngineList'),
+            xml.includes('template="https://www.baidu.com/s?wd={searchTerms}"'),
+            restored.template === engines[0].template,
+            restored.keyword === 'bd'
+        ];
+
+        showResult('result-opensearch',
+            `${checks.every(Boolean) ? '✅' : '❌'} OpenSearch 往返\n` +
+            `导出类型: ${exportData.metadata.exportType}\n` +
+            `文件: ${files.map((file) => file.filename).join(', ')}\n` +
+            `还原模板: ${restored.template}\n` +
+            `还原关键词: ${restored.keyword}\n` +
+            `检查项: ${checks.map((ok) => (ok ? '✓' : '✗')).join(' ')}`,
+            checks.every(Boolean)
+        );
+        log('OpenSearch 往返测试完成', checks.every(Boolean) ? 'success' : 'error');
+    } catch (error) {
+        showResult('result-opensearch', `❌ 测试失败: ${error.message}`, false);
+        log(`OpenSearch 往返测试失败: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * 测试浏览器导出的搜索引擎：去掉 Google 扩展参数，保留本扩展的占位符
+ */
+export function testBrowserEngineImport() {
+    try {
+        const csv = [
+            'name,keyword,url',
+            'Google,g,{google:baseURL}search?q={searchTerms}&{google:RLZ}{google:originalQueryForSuggestion}',
+            'Raw,r,https://example.com/raw/{query:raw}',
+            'Plus,p,https://example.com/?q={query:plus}&n={count?}'
+        ].join('\n');
+
+        const result = parseEngineImport(csv);
+        const templates = (result.engines || []).map((engine) => engine.template);
+        const expected = [
+            'https://www.google.com/search?q={query}&',
+            'https://example.com/raw/{query:raw}',
+            'https://example.com/?q={query:plus}&n='
+        ];
+        const passed = JSON.stringify(templates) === JSON.stringify(expected);
+
+        showResult('result-browser-engines',
+            `${passed ? '✅' : '❌'} 浏览器导出导入\n` +
+            `识别格式: ${result.format}\n` +
+            `模板:\n${templates.join('\n')}\n` +
+            (passed ? '' : `期望:\n${expected.join('\n')}`),
+            passed
+        );
+        log('浏览器搜索引擎导入测试完成', passed ? 'success' : 'error');
+    } catch (error) {
+        showResult('result-browser-engines', `❌ 测试失败: ${error.message}`, false);
+        log(`浏览器搜索引擎导入测试失败: ${error.message}`, 'error');
+    }
+}
+
 /**
  * 初始化测试页面
  */
@@ -360,6 +440,8 @@ export function initSchemaTest() {
     window.testExportClipboardHistory = testExportClipboardHistory;
     window.testLegacySettings = testLegacySettings;
     window.testLegacyLinkHistory = testLegacyLinkHistory;
+    window.testOpenSearchRoundTrip = testOpenSearchRoundTrip;
+    window.testBrowserEngineImport = testBrowserEngineImport;
 }
 
 // 如果页面已加载，自动初始化
@@ -0,0 +1,81 @@
+// segmenter.js - 中文分词示例页面脚本
+
+import { FastCWS } from '../src/utils/fastCWS.js';
+
+// 示例文本及完整词典 + HMM 下的期望切分（保留停用词）
+const examples = [
+  { text: '李华去上海交通大学读书', expected: ['李华', '去', '上海交通大学', '读书'] },
+  { text: '我来到北京清华大学', expected: ['我', '来到', '北京', '清华大学'] },
+  {
+    text: '小明硕士毕业于中国科学院计算所',
+    expected: ['小明', '硕士', '毕业', '于', '中国科学院', '计算所']
+  },
+  { text: '张小明从杭州到深圳出差', expected: ['张小明', '从', '杭州', '到', '深圳', '出差'] },
+  { text: '结婚的和尚未结婚的', expected: ['结婚', '的', '和', '尚未', '结婚', '的'] },
+  { text: '他说的确实在理', expected: ['他', '说', '的确', '实在', '理'] }
+];
+
+const CUT_OPTIONS = { removeStopWords: false, bidirectional: true };
+
+/**
+ * 读取扩展内的 JSON 数据文件
+ * @param {string} path - 相对仓库根目录的路径
+ * @returns {Promise<object>}
+ */
+async function loadJson(path) {
+  const response = await fetch(`../${path}`);
+  if (!response.ok) throw new Error(`${path}: HTTP ${response.status}`);
+  return response.json();
+}
+
+/**
+ * 运行全部示例并填充结果表
+ */
+async function runExamples() {
+  const logEl = document.getElementById('log');
+  const body = document.getElementById('result-body');
+  logEl.textContent = '正在加载完整词典和 HMM 模型...';
+
+  try {
+    const [fullDict, model] = await Promise.all([
+      loadJson('src/data/cws-full.json'),
+      loadJson('src/data/hmm-model.json')
+    ]);
+
+    const builtIn = new FastCWS();
+    builtIn.setHmmModel(model);
+    const full = new FastCWS();
+    full.setBaseDictionary(fullDict);
+    full.setHmmModel(model);
+
+    let passed = 0;
+    body.innerHTML = '';
+    for (const { text, expected } of examples) {
+      const actual = full.cut(text, { ...CUT_OPTIONS, hmm: true });
+      const ok = actual.join('/') === expected.join('/');
+      if (ok) passed++;
+
+      const row = document.createElement('tr');
+      [
+        text,
+        builtIn.cut(text, { ...CUT_OPTIONS, hmm: true }).join(' / '),
+        full.cut(text, CUT_OPTIONS).join(' / '),
+        actual.join(' / '),
+        expected.join(' / ')
+      ].forEach((value, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        if (index === 3) cell.className = ok ? 'pass' : 'fail';
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    }
+
+    document.getElementById('result-table').style.display = '';
+    logEl.textContent = `完整词典 + HMM：${passed}/${examples.length} 个示例与期望一致`;
+  } catch (error) {
+    logEl.textContent = `加载失败: ${error.message}`;
+  }
+}
+
+document.getElementById('btn-run').addEventListener('click', runExamples);
@@ -0,0 +1,741 @@
+// utils-test.js - Decide Search 工具模块测试页面脚本
+
+import {
+  parseData,
+  convertData,
+  detectDataFormat,
+  parseJson,
+  DataFormatError
+} from '../src/utils/dataFormatter.js';
+import {
+  base64Encode,
+  base64Decode,
+  urlDecode,
+  htmlDecode,
+  unicodeUnescape,
+  toPunycode,
+  fromPunycode,
+  qpDecode,
+  suggestDecoders
+} from '../src/utils/encodingConverter.js';
+import { extractEntities, isValidIsbn, validateExtractor } from '../src/utils/entityExtractors.js';
+import {
+  convertPathFormats,
+  normalizePath,
+  getRelativePath,
+  getPathParts
+} from '../src/utils/pathConverter.js';
+import { parseGitRemote, getGitRemoteForms } from '../src/utils/gitRemote.js';
+import {
+  parseGitHubUrl,
+  generateGitHubVariants,
+  resolveGitHubRef,
+  resolveGitHubPermalink
+} from '../src/utils/githubUrl.js';
+import {
+  parseRepoInput,
+  generateRepoLinks,
+  validateRepoProvider
+} from '../src/utils/repoProviders.js';
+import {
+  parseDateInput,
+  getIsoWeek,
+  describeDifference,
+  formatInTimeZone
+} from '../src/utils/dateConverter.js';
+import {
+  computeHashes,
+  crc32,
+  encodeText,
+  normalizeHash,
+  findHashMatches
+} from '../src/utils/hashCalculator.js';
+import { splitIdentifier, convertCase, parseIdentifierList } from '../src/utils/caseConverter.js';
+import { getSettings, DEFAULTS } from '../src/utils/storage.js';
+
+/**
+ * 取出写法列表中指定名称的值
+ * @param {Array<{name: string, value: string}>} forms - 写法列表
+ * @param {string} name - 写法名称
+ * @returns {string|undefined}
+ */
+function formValue(forms, name) {
+  return forms.find((form) => form.name === name)?.value;
+}
+
+/**
+ * 在测试期间把 fetch 换成固定响应
+ * @param {Function} handler - (url) => {ok, text}
+ * @param {Function} run - 测试函数
+ * @returns {Promise<*>}
+ */
+async function withFetch(handler, run) {
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url) => handler(String(url));
+  try {
+    return await run();
+  } finally {
+    globalThis.fetch = original;
+  }
+}
+
+/**
+ * 在测试期间把 chrome.storage.local 换成内存存储，避免改动真实设置
+ * @param {object} stored - 存储中的数据
+ * @param {Function} run - 测试函数
+ * @returns {Promise<*>}
+ */
+async function withStorage(stored, run) {
+  const original = globalThis.chrome;
+  globalThis.chrome = {
+    storage: { local: { get: async () => ({ ...stored }), set: async () => {} } }
+  };
+  try {
+    return await run();
+  } finally {
+    globalThis.chrome = original;
+  }
+}
+
+// 测试套件：run 的返回值与 expected 序列化后比较
+const suites = [
+  {
+    id: 'data-formatter',
+    name: 'dataFormatter.js 数据格式转换',
+    cases: [
+      {
+        name: '识别 JSON、TOML、查询串和 curl',
+        run: () =>
+          ['{"a":1}', 'a = 1', 'a=1&b=2', 'curl -d "a=1" https://x.com'].map(detectDataFormat),
+        expected: ['json', 'toml', 'query', 'curl']
+      },
+      {
+        name: 'JSON 语法错误报告行列',
+        run: () => {
+          try {
+            parseJson('{\n  "a": 1,\n  "b": }');
+            return null;
+          } catch (error) {
+            return [error instanceof DataFormatError, error.line, error.column];
+          }
+        },
+        expected: [true, 3, 8]
+      },
+      {
+        name: '__proto__ 键不会改动原型',
+        run: () => {
+          const value = parseJson('{"__proto__": {"polluted": true}}');
+          return [Object.keys(value), {}.polluted === undefined];
+        },
+        expected: [['__proto__'], true]
+      },
+      {
+        name: 'YAML 转 JSON',
+        run: () => JSON.parse(convertData('name: demo\nitems:\n  - 1\n  - two', 'json')),
+        expected: { name: 'demo', items: [1, 'two'] }
+      },
+      {
+        name: 'TOML 表格与数组',
+        run: () => parseData('[server]\nport = 8080\nhosts = ["a", "b"]', 'toml'),
+        expected: { server: { port: 8080, hosts: ['a', 'b'] } }
+      },
+      {
+        name: 'CSV 引号内的逗号和换行',
+        run: () => parseData('name,note\n"Li, Hua","a\nb"', 'csv'),
+        expected: [{ name: 'Li, Hua', note: 'a\nb' }]
+      },
+      {
+        name: '查询串解码并合并重复键',
+        run: () => parseData('q=%E4%BD%A0%E5%A5%BD&tag=a&tag=b', 'query'),
+        expected: { q: '你好', tag: ['a', 'b'] }
+      },
+      {
+        name: 'curl -d JSON 请求体',
+        run: () => parseData('curl -X POST https://x.com -d \'{"a": [1, 2]}\'', 'curl'),
+        expected: { a: [1, 2] }
+      }
+    ]
+  },
+  {
+    id: 'encoding-converter',
+    name: 'encodingConverter.js 编码转换',
+    cases: [
+      {
+        name: 'Base64 与 Base64URL（UTF-8）',
+        run: () => [
+          base64Encode('你好?'),
+          base64Encode('你好?', { url: true }),
+          base64Decode('5L2g5aW9Pw')
+        ],
+        expected: ['5L2g5aW9Pw==', '5L2g5aW9Pw', '你好?']
+      },
+      {
+        name: '多次 URL 编码逐层解开，无法解码的片段原样保留',
+        run: () => [urlDecode('%25E4%25BD%25A0'), urlDecode('100%ZZ%20ok')],
+        expected: ['你', '100%ZZ ok']
+      },
+      {
+        name: 'HTML 数字与命名实体',
+        run: () => htmlDecode('&#20320;&#x597d; &lt;b&gt; &amp;amp;'),
+        expected: '你好 <b> &amp;'
+      },
+      {
+        name: '\\x 字节按 UTF-8 解码',
+        run: () => [unicodeUnescape('\\xe4\\xbd\\xa0\\u597d'), unicodeUnescape('\\u{1F600}')],
+        expected: ['你好', '😀']
+      },
+      {
+        name: 'Punycode 双向转换',
+        run: () => [toPunycode('https://例子.测试/路径'), fromPunycode('xn--fsqu00a.xn--0zwm56d')],
+        expected: ['https://xn--fsqu00a.xn--0zwm56d/路径', '例子.测试']
+      },
+      {
+        name: 'QP 软换行与邮件头编码字',
+        run: () => [qpDecode('a=\r\nb=3D'), qpDecode('=?UTF-8?B?5L2g5aW9?=')],
+        expected: ['ab=', '你好']
+      },
+      {
+        name: '只对能解出可读文本的 Base64 推荐解码',
+        run: () => [
+          suggestDecoders('5L2g5aW9').includes('base64-decode'),
+          suggestDecoders('abcd').includes('base64-decode')
+        ],
+        expected: [true, false]
+      }
+    ]
+  },
+  {
+    id: 'entity-extractors',
+    name: 'entityExtractors.js 实体提取',
+    cases: [
+      {
+        name: 'ISBN 校验位',
+        run: () => [
+          isValidIsbn('9787111213826'),
+          isValidIsbn('9787111213827'),
+          isValidIsbn('030640615X')
+        ],
+        expected: [true, false, false]
+      },
+      {
+        name: 'IPv4 与 CIDR 分开识别',
+        run: () => {
+          const entities = extractEntities('主机 10.0.0.1，网段 192.168.0.0/16');
+          return ['ipv4', 'cidr'].map((id) => entities.find((e) => e.id === id)?.values);
+        },
+        expected: [['10.0.0.1'], ['192.168.0.0/16']]
+      },
+      {
+        name: 'CVE、UUID 和包版本',
+        run: () => {
+          const entities = extractEntities(
+            '修复 CVE-2024-3094，升级 react@18.2.0，任务 123e4567-e89b-12d3-a456-426614174000'
+          );
+          return ['cve', 'package', 'uuid'].map((id) => entities.find((e) => e.id === id)?.values);
+        },
+        expected: [['CVE-2024-3094'], ['react@18.2.0'], ['123e4567-e89b-12d3-a456-426614174000']]
+      },
+      {
+        name: '版本号中的 1.2.3 不被当作 IP',
+        run: () => extractEntities('版本 v1.2.3 发布').map((e) => e.id),
+        expected: ['semver']
+      },
+      {
+        name: '自定义提取器缺少正则时校验失败',
+        run: () => validateExtractor({ id: 'x', name: 'X' }).valid,
+        expected: false
+      }
+    ]
+  },
+  {
+    id: 'path-converter',
+    name: 'pathConverter.js 路径转换',
+    cases: [
+      {
+        name: 'Windows 路径转 WSL、MSYS、Cygwin',
+        run: () => {
+          const { forms } = convertPathFormats('D:\\a b\\c.txt');
+          return ['WSL', 'MSYS / Git Bash', 'Cygwin', 'cmd'].map((name) => formValue(forms, name));
+        },
+        expected: ['/mnt/d/a b/c.txt', '/d/a b/c.txt', '/cygdrive/d/a b/c.txt', '"D:\\a b\\c.txt"']
+      },
+      {
+        name: 'WSL 网络路径反向解析出发行版',
+        run: () => {
+          const { parsed, forms } = convertPathFormats('\\\\wsl$\\Debian\\home\\me');
+          return [parsed.distro, formValue(forms, 'POSIX')];
+        },
+        expected: ['Debian', '/home/me']
+      },
+      {
+        name: '未配置发行版时 Unix 路径不生成 WSL 网络路径',
+        run: () => {
+          const plain = convertPathFormats('/home/me/a').forms;
+          const withDistro = convertPathFormats('/home/me/a', { wslDistro: 'Arch' }).forms;
+          return [formValue(plain, 'WSL 网络路径'), formValue(withDistro, 'WSL 网络路径')];
+        },
+        expected: [undefined, '\\\\wsl$\\Arch\\home\\me\\a']
+      },
+      {
+        name: 'macOS 卷路径生成 HFS 写法且没有 WSL 写法',
+        run: () => {
+          const { parsed, forms } = convertPathFormats('/Volumes/My Disk/a.txt', {
+            wslDistro: 'Arch'
+          });
+          return [parsed.volume, formValue(forms, 'macOS HFS'), formValue(forms, 'WSL 网络路径')];
+        },
+        expected: ['My Disk', 'My Disk:a.txt', undefined]
+      },
+      {
+        name: 'UNC 与 file:// 互转',
+        run: () => formValue(convertPathFormats('file://server/share/a%20b').forms, 'UNC'),
+        expected: '\\\\server\\share\\a b'
+      },
+      {
+        name: '~ 按配置的主目录展开',
+        run: () => formValue(convertPathFormats('~/src', { home: '/home/me' }).forms, 'POSIX'),
+        expected: '/home/me/src'
+      },
+      {
+        name: '规范化、拆分与相对路径',
+        run: () => [
+          normalizePath('C:\\a\\.\\b\\..\\c'),
+          getPathParts('/home/me/.gitignore').ext,
+          getRelativePath('C:\\a\\b', 'C:\\a\\c\\d.txt'),
+          getRelativePath('C:\\a', 'D:\\a')
+        ],
+        expected: ['C:\\a\\c', '', '..\\c\\d.txt', null]
+      }
+    ]
+  },
+  {
+    id: 'git-remote',
+    name: 'gitRemote.js Git 远程地址',
+    cases: [
+      {
+        name: 'SCP 写法',
+        run: () => {
+          const remote = parseGitRemote('git@github.com:owner/repo.git');
+          return [remote.host, remote.owner, remote.repo];
+        },
+        expected: ['github.com', 'owner', 'repo']
+      },
+      {
+        name: '非默认端口保留 ssh:// 写法',
+        run: () =>
+          formValue(getGitRemoteForms(parseGitRemote('ssh://git@host.com:2222/o/r.git')), 'SSH'),
+        expected: 'ssh://git@host.com:2222/o/r.git'
+      },
+      {
+        name: 'git clone 参数和目录',
+        run: () => {
+          const remote = parseGitRemote(
+            'git clone --depth 1 -b dev https://gitlab.com/g/sub/p.git dir'
+          );
+          return [remote.path, remote.branch, remote.depth, remote.directory];
+        },
+        expected: ['g/sub/p', 'dev', 1, 'dir']
+      },
+      {
+        name: 'gh repo clone 简写',
+        run: () => formValue(getGitRemoteForms(parseGitRemote('gh repo clone o/r')), 'HTTPS'),
+        expected: 'https://github.com/o/r.git'
+      },
+      {
+        name: '多行或普通文本不识别',
+        run: () => [parseGitRemote('git status'), parseGitRemote('a\nb')],
+        expected: [null, null]
+      }
+    ]
+  },
+  {
+    id: 'github-url',
+    name: 'githubUrl.js GitHub 链接',
+    cases: [
+      {
+        name: '文件链接的行号范围',
+        run: () => {
+          const parsed = parseGitHubUrl('https://github.com/o/r/blob/main/src/a.js#L10-L20');
+          return [parsed.kind, parsed.ref, parsed.path, parsed.lineStart, parsed.lineEnd];
+        },
+        expected: ['blob', 'main', 'src/a.js', 10, 20]
+      },
+      {
+        name: '仓库名无法解码时不识别',
+        run: () => [
+          parseGitHubUrl('https://github.com/o/r%ZZ/issues'),
+          parseGitHubUrl('https://github.com/o%20x/r')
+        ],
+        expected: [null, null]
+      },
+      {
+        name: '路径中的 % 原样保留且类型不变',
+        run: () => {
+          const parsed = parseGitHubUrl('https://github.com/o/r/blob/main/100%.md');
+          return [parsed.kind, parsed.path];
+        },
+        expected: ['blob', '100%.md']
+      },
+      {
+        name: '分支含斜杠时标记为不确定',
+        run: () => {
+          const parsed = parseGitHubUrl('https://github.com/o/r/tree/feature/x/src');
+          return [parsed.ref, parsed.path, parsed.refAmbiguous];
+        },
+        expected: ['feature', 'x/src', true]
+      },
+      {
+        name: '通过 API 解析出实际分支 feature/x',
+        run: () =>
+          withFetch(
+            (url) => ({
+              ok: url.endsWith('/commits/feature%2Fx'),
+              text: async () => 'a'.repeat(40)
+            }),
+            async () => {
+              const resolved = await resolveGitHubRef(
+                parseGitHubUrl('https://github.com/o/r/tree/feature/x/src')
+              );
+              return [resolved.ref, resolved.path];
+            }
+          ),
+        expected: ['feature/x', 'src']
+      },
+      {
+        name: '固定链接使用解析出的提交 SHA',
+        run: () =>
+          withFetch(
+            (url) => ({ ok: url.endsWith('/commits/main'), text: async () => 'b'.repeat(40) }),
+            async () => {
+              const permalink = await resolveGitHubPermalink(
+                parseGitHubUrl('https://github.com/o/r/blob/main/a.js#L3')
+              );
+              return permalink.url;
+            }
+          ),
+        expected: `https://github.com/o/r/blob/${'b'.repeat(40)}/a.js#L3`
+      },
+      {
+        name: 'PR 链接的 Diff 变体与简写',
+        run: () => {
+          const parsed = parseGitHubUrl('https://github.com/o/r/pull/42/files');
+          return [
+            parsed.kind,
+            formValue(
+              generateGitHubVariants(parsed).map((v) => ({ name: v.name, value: v.url })),
+              'Diff'
+            )
+          ];
+        },
+        expected: ['pull', 'https://github.com/o/r/pull/42.diff']
+      }
+    ]
+  },
+  {
+    id: 'repo-providers',
+    name: 'repoProviders.js 仓库提供方',
+    cases: [
+      {
+        name: 'GitLab 子组',
+        run: () => parseRepoInput('https://gitlab.com/group/sub/project/-/tree/main')?.path,
+        expected: 'group/sub/project'
+      },
+      {
+        name: 'GitHub 子域名不算 GitHub 仓库',
+        run: () =>
+          [
+            'docs.github.com/en/get-started',
+            'gist.github.com/o/abc',
+            'api.github.com/repos/o/r',
+            'raw.github.com/o/r'
+          ].map((input) => parseRepoInput(input)),
+        expected: [null, null, null, null]
+      },
+      {
+        name: 'www. 前缀与 owner/repo 简写',
+        run: () => [
+          parseRepoInput('https://www.github.com/o/r')?.path,
+          parseRepoInput('o/r')?.host
+        ],
+        expected: ['o/r', 'github.com']
+      },
+      {
+        name: '*. 规则才匹配子域名',
+        run: () => {
+          const providers = [
+            { name: 'Corp', patterns: ['*.corp.example'], template: 'https://{host}/{path}' }
+          ];
+          return [
+            parseRepoInput('git.corp.example/o/r', providers)?.host,
+            parseRepoInput('corp.example/o/r', providers)
+          ];
+        },
+        expected: ['git.corp.example', null]
+      },
+      {
+        name: '包前缀生成注册表链接',
+        run: () =>
+          generateRepoLinks('npm:react')?.links.some((link) =>
+            link.url.includes('npmjs.com/package/react')
+          ),
+        expected: true
+      },
+      {
+        name: '缺少模板的提供方校验失败',
+        run: () => validateRepoProvider({ name: 'x', patterns: ['x.com'] }).valid,
+        expected: false
+      }
+    ]
+  },
+  {
+    id: 'date-converter',
+    name: 'dateConverter.js 日期转换',
+    cases: [
+      {
+        name: '秒与毫秒时间戳',
+        run: () => [
+          parseDateInput('1700000000')?.date.toISOString(),
+          parseDateInput('1700000000000')?.date.toISOString()
+        ],
+        expected: ['2023-11-14T22:13:20.000Z', '2023-11-14T22:13:20.000Z']
+      },
+      {
+        name: 'ISO 8601 带时区',
+        run: () => {
+          const result = parseDateInput('2024-01-15T10:00:00+08:00');
+          return [result.date.toISOString(), result.local];
+        },
+        expected: ['2024-01-15T02:00:00.000Z', false]
+      },
+      {
+        name: '跨年的 ISO 周',
+        run: () => [getIsoWeek(new Date(2021, 0, 1)), getIsoWeek(new Date(2024, 11, 30))],
+        expected: [
+          { year: 2020, week: 53 },
+          { year: 2025, week: 1 }
+        ]
+      },
+      {
+        name: '时区换算',
+        run: () => formatInTimeZone(new Date('2024-01-15T10:00:00Z'), 'Asia/Shanghai'),
+        expected: '2024-01-15 18:00:00 周一（UTC+08:00）'
+      },
+      {
+        name: '相对时间描述',
+        run: () =>
+          describeDifference(new Date('2024-01-01T00:00:00Z'), new Date('2024-01-04T04:00:00Z')),
+        expected: '3 天 4 小时前'
+      },
+      {
+        name: '无效日期不识别',
+        run: () => [parseDateInput('2024-02-30'), parseDateInput('hello')],
+        expected: [null, null]
+      }
+    ]
+  },
+  {
+    id: 'hash-calculator',
+    name: 'hashCalculator.js 哈希计算',
+    cases: [
+      {
+        name: 'CRC32 与 SHA-256',
+        run: async () => {
+          const [result] = await computeHashes('abc');
+          return [
+            crc32(encodeText('abc')),
+            formValue(
+              result.hashes.map((h) => ({ name: h.algorithm, value: h.value })),
+              'SHA-256'
+            )
+          ];
+        },
+        expected: ['352441c2', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad']
+      },
+      {
+        name: 'UTF-16LE 编码不带 BOM',
+        run: () => Array.from(encodeText('a你', 'utf16le')),
+        expected: [0x61, 0x00, 0x60, 0x4f]
+      },
+      {
+        name: '逐行计算跳过空行',
+        run: async () => (await computeHashes('a\n\nb', { perLine: true })).map((r) => r.text),
+        expected: ['a', 'b']
+      },
+      {
+        name: '解析 sha256sum 输出与 SRI 格式',
+        run: () => [
+          normalizeHash(
+            'BA7816BF8F01CFEA414140DE5DAE2223B00361A396177A9CB410FF61F20015AD  file.txt'
+          ),
+          normalizeHash('sha256-ungWv48Bz+pBQUDeXa4iI7ADYaOWF3qctBD/YfIAFa0=')
+        ],
+        expected: [
+          {
+            hex: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+            algorithm: null
+          },
+          {
+            hex: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+            algorithm: 'SHA-256'
+          }
+        ]
+      },
+      {
+        name: '粘贴的哈希与计算结果比对',
+        run: async () => {
+          const results = await computeHashes('abc');
+          return findHashMatches('352441C2', results).matches.map((m) => m.algorithm);
+        },
+        expected: ['CRC32']
+      }
+    ]
+  },
+  {
+    id: 'case-converter',
+    name: 'caseConverter.js 命名风格',
+    cases: [
+      {
+        name: '缩写与数字的拆分',
+        run: () => [splitIdentifier('utf8Encoder'), splitIdentifier('XMLHttpRequest')],
+        expected: [
+          ['utf8', 'Encoder'],
+          ['XML', 'Http', 'Request']
+        ]
+      },
+      {
+        name: '各风格互转',
+        run: () =>
+          ['camel', 'pascal', 'snake', 'screamingSnake', 'kebab'].map((style) =>
+            convertCase('user_id-list', style)
+          ),
+        expected: ['userIdList', 'UserIdList', 'user_id_list', 'USER_ID_LIST', 'user-id-list']
+      },
+      {
+        name: '标识符列表与普通句子',
+        run: () => [
+          parseIdentifierList('getUser, set_name;\nIsValid'),
+          parseIdentifierList('这不是标识符列表。')
+        ],
+        expected: [['getUser', 'set_name', 'IsValid'], null]
+      }
+    ]
+  },
+  {
+    id: 'storage',
+    name: 'storage.js 设置读取',
+    cases: [
+      {
+        name: '单项设置格式错误时只重置该项',
+        run: () =>
+          withStorage(
+            {
+              history: ['kept'],
+              pathSettings: { homeDir: 5 },
+              dateSettings: { timezones: 'UTC' },
+              customDictionary: { words: ['abc'] }
+            },
+            async () => {
+              const settings = await getSettings();
+              return [
+                settings.history,
+                settings.pathSettings,
+                settings.dateSettings.timezones.length === DEFAULTS.dateSettings.timezones.length,
+                settings.customDictionary.words
+              ];
+            }
+          ),
+        expected: [['kept'], { homeDir: '', wslDistro: '' }, true, []]
+      }
+    ]
+  }
+];
+
+// 测试统计
+const testStats = { passed: 0, failed: 0, total: 0 };
+
+/**
+ * 更新测试统计显示
+ */
+function updateStats() {
+  document.getElementById('stat-passed').textContent = testStats.passed;
+  document.getElementById('stat-failed').textContent = testStats.failed;
+  document.getElementById('stat-total').textContent = testStats.total;
+}
+
+/**
+ * 运行一个测试用例
+ * @param {Object} testCase - 测试用例
+ * @returns {Promise<{ok: boolean, actual: string, expected: string}>}
+ */
+async function runCase(testCase) {
+  const expected = JSON.stringify(testCase.expected);
+  try {
+    const actual = JSON.stringify(await testCase.run());
+    return { ok: actual === expected, actual, expected };
+  } catch (error) {
+    return { ok: false, actual: `抛出异常: ${error.message}`, expected };
+  }
+}
+
+/**
+ * 运行一个套件并显示结果
+ * @param {Object} suite - 测试套件
+ */
+async function runSuite(suite) {
+  const resultEl = document.getElementById(`result-${suite.id}`);
+  const lines = [];
+  let failed = 0;
+
+  for (const testCase of suite.cases) {
+    const { ok, actual, expected } = await runCase(testCase);
+    testStats.total++;
+    if (ok) {
+      testStats.passed++;
+      lines.push(`✅ ${testCase.name}`);
+    } else {
+      testStats.failed++;
+      failed++;
+      lines.push(`❌ ${testCase.name}\n   期望: ${expected}\n   实际: ${actual}`);
+    }
+  }
+
+  resultEl.textContent = lines.join('\n');
+  resultEl.className = `result ${failed === 0 ? 'success' : 'error'}`;
+  resultEl.style.display = 'block';
+  updateStats();
+}
+
+/**
+ * 生成套件区域
+ */
+function renderSuites() {
+  const container = document.getElementById('suites');
+  suites.forEach((suite) => {
+    const section = document.createElement('div');
+    section.className = 'test-case';
+    section.innerHTML = `<h3>${suite.name}（${suite.cases.length} 项）</h3>`;
+
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = '运行';
+    button.addEventListener('click', () => runSuite(suite));
+
+    const result = document.createElement('div');
+    result.id = `result-${suite.id}`;
+    result.className = 'result';
+    result.style.display = 'none';
+
+    section.append(button, result);
+    container.appendChild(section);
+  });
+}
+
+async function runAll() {
+  Object.assign(testStats, { passed: 0, failed: 0, total: 0 });
+  for (const suite of suites) {
+    await runSuite(suite);
+  }
+}
+
+renderSuites();
+document.getElementById('btn-run-all').addEventListener('click', runAll);